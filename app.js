@@ -4,16 +4,47 @@ const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const { cookieParser } = require('./middlewares/auth');
+const { csrfProtection } = require('./middlewares/csrf');
+const { rateLimit } = require('./middlewares/rateLimit');
 const { testConnection } = require('./config/database');
+const { startAccountPurgeJob } = require('./utils/account');
+const { startTrashPurgeJob } = require('./utils/trash');
+const { startRecurringRecordJob } = require('./utils/recurringRules');
+const { assertSecureConfig } = require('./utils/securityConfig');
 const authRoutes = require('./routes/auth');
+const emailVerificationRoutes = require('./routes/emailVerification');
+const sessionRoutes = require('./routes/sessions');
+const twoFactorRoutes = require('./routes/twoFactor');
+const adminUserRoutes = require('./routes/adminUsers');
+const adminRoleRoutes = require('./routes/adminRoles');
+const accountRoutes = require('./routes/account');
+const securityEventRoutes = require('./routes/securityEvents');
+const personalAccessTokenRoutes = require('./routes/personalAccessTokens');
+const oidcRoutes = require('./routes/oidc');
+const trashRoutes = require('./routes/trash');
+const recordImportRoutes = require('./routes/recordImport');
+const recurringRuleRoutes = require('./routes/recurringRules');
 const recordRoutes = require('./routes/records');
 const recordTypeRoutes = require('./routes/recordTypes');
 const categoryRoutes = require('./routes/categories');
 const tagRoutes = require('./routes/tags');
+const wellKnownRoutes = require('./routes/wellKnown');
+
+// 检查密钥配置，生产环境使用默认或过弱的密钥时拒绝启动
+try {
+  assertSecureConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
 const app = express();
 const port = process.env.PORT || 3030;
 
+// 反向代理层数（默认0，不信任 X-Forwarded-For）：部署在 Nginx 等反向代理之后时设置为代理的层数，
+// req.ip 只从 X-Forwarded-For 中取最后 TRUST_PROXY 跳之前的地址，客户端自行添加的值不会被采用
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY || '0', 10));
+
 // 允许的前端域名（单一域名，可从环境变量中读取）
 const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || 'http://localhost:3000'; // TODO: 请在 .env 中配置正式前端域名
 
@@ -22,12 +53,15 @@ app.use(
   cors({
     origin: FRONTEND_ORIGIN,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token'],
     credentials: true, // 允许携带 Cookie
+    exposedHeaders: ['Retry-After', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
   }),
 );
 
 // 基础中间件
+// 导入接口的请求体包含整个文件内容，单独放宽大小限制
+app.use('/api/records/import', express.json({ limit: process.env.IMPORT_MAX_BODY_SIZE || '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -51,15 +85,36 @@ app.get('/swagger.json', (req, res) => {
 //   });
 // });
 
+// 全部接口按 IP 兜底限流，认证、记账等接口在路由上另有更严格的策略
+app.use('/api', rateLimit('global'));
+
+// 使用 Cookie 认证的非 GET 请求需校验 CSRF 令牌
+app.use('/api', csrfProtection);
+
 // Auth 相关接口
 app.use('/api', authRoutes);
+app.use('/api', emailVerificationRoutes);
+app.use('/api', sessionRoutes);
+app.use('/api', twoFactorRoutes);
+app.use('/api', adminUserRoutes);
+app.use('/api', adminRoleRoutes);
+app.use('/api', accountRoutes);
+app.use('/api', securityEventRoutes);
+app.use('/api', personalAccessTokenRoutes);
+app.use('/api', oidcRoutes);
 
-// 记账相关接口
+// 记账相关接口（回收站、导入、周期记账使用路径级鉴权，需挂载在全局鉴权的记账路由之前）
+app.use('/api', trashRoutes);
+app.use('/api', recordImportRoutes);
+app.use('/api', recurringRuleRoutes);
 app.use('/api', recordRoutes);
 app.use('/api', recordTypeRoutes);
 app.use('/api', categoryRoutes);
 app.use('/api', tagRoutes);
 
+// JWKS 等公开的标准地址
+app.use(wellKnownRoutes);
+
 app.get('/', (req, res) => {
   res.send('Hello World!');
 });
@@ -69,5 +124,11 @@ app.listen(port, async () => {
   console.log(`Finsmart API listening on port ${port} and swagger docs on http://localhost:${port}/api-docs and swagger json on http://localhost:${port}/swagger.json`);
   // 启动时测试数据库连接
   await testConnection();
+  // 定时清除超过宽限期的已注销账号
+  startAccountPurgeJob();
+  // 定时清除超过保留期的回收站项目
+  startTrashPurgeJob();
+  // 定时生成周期记账规则到期的记录（包括服务停止期间错过的日期）
+  startRecurringRecordJob();
 });
 
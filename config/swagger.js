@@ -22,6 +22,17 @@ const swaggerDefinition = {
                 in: 'cookie',
                 name: 'access_token',
             },
+            // 个人访问令牌，通过 Authorization: Bearer <token> 传入
+            bearerAuth: {
+                type: 'http',
+                scheme: 'bearer',
+            },
+            // CSRF 令牌：使用 Cookie 认证的非 GET 请求需在请求头中携带（登录、刷新令牌或 /api/csrf-token 返回）
+            csrfToken: {
+                type: 'apiKey',
+                in: 'header',
+                name: 'X-CSRF-Token',
+            },
         },
     },
 };
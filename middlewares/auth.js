@@ -2,9 +2,15 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
 const { query } = require('../config/database');
+const { getClientIp } = require('../utils/request');
+const { logSecurityEvent, SECURITY_EVENTS, SECURITY_OUTCOMES } = require('../utils/securityEvents');
+const { getTokenVersion, isAccessTokenJtiRevoked, revokeAccessTokenJti } = require('../utils/tokenRevocation');
+const { PERMISSIONS, getRolePermissions } = require('../utils/permissions');
+const { DEFAULT_ACCESS_TOKEN_SECRET, signAccessToken, verifyAccessToken } = require('../utils/jwtKeys');
 
 // 读取环境变量中的密钥和配置
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'please_change_access_secret'; // TODO: 请在 .env 中配置安全的随机字符串
+// ACCESS_TOKEN_SECRET 用于派生两步验证、邮箱验证、CSRF 等签名密钥；Access Token 的签名密钥见 utils/jwtKeys.js（未配置轮换密钥时同样使用该值）
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || DEFAULT_ACCESS_TOKEN_SECRET; // TODO: 请在 .env 中配置安全的随机字符串
 const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'please_change_refresh_secret'; // TODO: 请在 .env 中配置安全的随机字符串
 
 // Access Token 过期时间（秒），建议 15 分钟
@@ -12,26 +18,134 @@ const ACCESS_TOKEN_EXPIRES_IN = parseInt(process.env.ACCESS_TOKEN_EXPIRES_IN ||
 // Refresh Token 过期时间（秒），记住登录与普通登录可区分
 const REFRESH_TOKEN_EXPIRES_IN = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN || '604800', 10); // 默认7天
 const REFRESH_TOKEN_EXPIRES_IN_REMEMBER = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_REMEMBER || '2592000', 10); // 默认30天
+// 两步验证登录挑战的有效期（秒），默认5分钟
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '300', 10);
+// 两步验证挑战使用由 Access Token 密钥派生的独立密钥签名，避免挑战令牌被当作 Access Token 使用
+const TWO_FACTOR_CHALLENGE_SECRET = crypto.createHmac('sha256', ACCESS_TOKEN_SECRET).update('2fa_challenge').digest('hex');
+// 模拟登录 Access Token 的有效期（秒），默认15分钟
+const IMPERSONATION_TOKEN_EXPIRES_IN = parseInt(process.env.IMPERSONATION_TOKEN_EXPIRES_IN || '900', 10);
+// 邮箱验证链接的有效期（秒），默认1天
+const EMAIL_VERIFICATION_EXPIRES_IN = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN || '86400', 10);
+// 邮箱验证令牌同样使用派生密钥签名
+const EMAIL_VERIFICATION_SECRET = crypto.createHmac('sha256', ACCESS_TOKEN_SECRET).update('email_verification').digest('hex');
+// CSRF 令牌签名同样使用派生密钥
+const CSRF_TOKEN_SECRET = crypto.createHmac('sha256', ACCESS_TOKEN_SECRET).update('csrf_token').digest('hex');
+// CSRF 令牌所在的 Cookie 名称和请求头名称（双提交：前端读取 Cookie 或接口返回值，放入请求头提交）
+const CSRF_COOKIE_NAME = 'csrf_token';
+const CSRF_HEADER_NAME = 'x-csrf-token';
 
 // 生成随机 Refresh Token 原文
 function generateRefreshTokenRaw() {
     return crypto.randomBytes(48).toString('hex');
 }
 
+// 生成通用的一次性随机令牌（如密码重置令牌），数据库中只保存其哈希
+function generateSecureToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
 // 计算 Refresh Token 哈希，用于存数据库
 function hashToken(token) {
     return crypto.createHash('sha256').update(token).digest('hex');
 }
 
 // 生成 Access Token（JWT）
-function generateAccessToken(payload) {
-    return jwt.sign(payload, ACCESS_TOKEN_SECRET, {
-        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+// payload 需包含 sub、username、role 以及令牌版本号 tv；每个令牌带唯一 jti，便于登出时单独撤销
+function generateAccessToken(payload, expiresIn = ACCESS_TOKEN_EXPIRES_IN) {
+    return signAccessToken(payload, {
+        expiresIn,
+        jwtid: crypto.randomUUID(),
     });
 }
 
+/**
+ * 生成模拟登录 Access Token：sub 为被模拟的用户，act 为执行模拟登录的管理员
+ * @param {object} user - 被模拟的用户（需包含 id、username、role、token_version）
+ * @param {object} impersonator - 管理员（需包含 id、username、role、token_version）
+ * @param {boolean} readOnly - 是否只读（只读时不能调用需要 xxx:write 的接口）
+ * @returns {{accessToken: string, jti: string, expiresIn: number}}
+ */
+function generateImpersonationToken(user, impersonator, readOnly = true) {
+    const accessToken = generateAccessToken(
+        {
+            sub: user.id,
+            username: user.username,
+            role: user.role,
+            tv: user.token_version,
+            act: {
+                sub: impersonator.id,
+                username: impersonator.username,
+                role: impersonator.role,
+                tv: impersonator.token_version,
+                ro: !!readOnly,
+            },
+        },
+        IMPERSONATION_TOKEN_EXPIRES_IN,
+    );
+    return { accessToken, jti: jwt.decode(accessToken).jti, expiresIn: IMPERSONATION_TOKEN_EXPIRES_IN };
+}
+
+// 撤销单个 Access Token（用于登出），令牌无效时忽略
+async function revokeAccessToken(accessToken) {
+    if (!accessToken) return;
+    let decoded;
+    try {
+        decoded = verifyAccessToken(accessToken);
+    } catch (err) {
+        return;
+    }
+    if (decoded.jti) {
+        await revokeAccessTokenJti(decoded.jti, decoded.sub, decoded.exp);
+    }
+}
+
+// 生成两步验证登录挑战（密码校验通过、等待验证码时返回给前端）
+function generateTwoFactorChallenge(user, rememberMe) {
+    return {
+        challengeToken: jwt.sign({ sub: user.id, remember_me: !!rememberMe }, TWO_FACTOR_CHALLENGE_SECRET, {
+            expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+        }),
+        expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+    };
+}
+
+// 校验两步验证登录挑战，失败返回 null
+function verifyTwoFactorChallenge(challengeToken) {
+    try {
+        const decoded = jwt.verify(challengeToken, TWO_FACTOR_CHALLENGE_SECRET);
+        return {
+            userId: decoded.sub,
+            rememberMe: !!decoded.remember_me,
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+// 生成邮箱验证令牌（签名令牌，绑定用户ID和待验证的邮箱地址）
+function generateEmailVerificationToken(userId, email) {
+    return jwt.sign({ sub: userId, email }, EMAIL_VERIFICATION_SECRET, {
+        expiresIn: EMAIL_VERIFICATION_EXPIRES_IN,
+    });
+}
+
+// 校验邮箱验证令牌，失败返回 null
+function verifyEmailVerificationToken(token) {
+    try {
+        const decoded = jwt.verify(token, EMAIL_VERIFICATION_SECRET);
+        return {
+            userId: decoded.sub,
+            email: decoded.email,
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
 // 创建并持久化 Refresh Token，返回原文
-async function createAndStoreRefreshToken(user, rememberMe, userAgent, ipAddress) {
+// options.familyId / options.parentId 用于令牌轮换：新令牌沿用旧令牌的家族并指向其父令牌
+async function createAndStoreRefreshToken(user, rememberMe, userAgent, ipAddress, options = {}) {
+    const { familyId = crypto.randomUUID(), parentId = null } = options;
     const refreshTokenRaw = generateRefreshTokenRaw();
     const tokenHash = hashToken(refreshTokenRaw);
 
@@ -41,14 +155,16 @@ async function createAndStoreRefreshToken(user, rememberMe, userAgent, ipAddress
 
     const sql = `
     INSERT INTO user_refresh_tokens
-      (user_id, token_hash, remember_me, user_agent, ip_address, expires_at, revoked)
+      (user_id, token_hash, family_id, parent_id, remember_me, user_agent, ip_address, expires_at, revoked)
     VALUES
-      (?, ?, ?, ?, ?, ?, 0)
+      (?, ?, ?, ?, ?, ?, ?, ?, 0)
   `;
 
-    await query(sql, [
+    const result = await query(sql, [
         user.id,
         tokenHash,
+        familyId,
+        parentId,
         rememberMe ? 1 : 0,
         userAgent || null,
         ipAddress || null,
@@ -56,19 +172,113 @@ async function createAndStoreRefreshToken(user, rememberMe, userAgent, ipAddress
     ]);
 
     return {
+        id: result.insertId,
         refreshTokenRaw,
         expiresAt,
+        familyId,
     };
 }
 
-// 在 Cookie 中设置 Access Token 和 Refresh Token（仅 Cookie 模式）
-function setAuthCookies(res, accessToken, refreshTokenRaw, options = {}) {
-    const {
-        rememberMe = false,
-        accessTokenMaxAge = ACCESS_TOKEN_EXPIRES_IN * 1000,
-        refreshTokenMaxAge = (rememberMe ? REFRESH_TOKEN_EXPIRES_IN_REMEMBER : REFRESH_TOKEN_EXPIRES_IN) * 1000,
-    } = options;
+// 撤销整个令牌家族（检测到已轮换的令牌被重复使用时调用）
+async function revokeRefreshTokenFamily(familyId) {
+    if (!familyId) return 0;
+    const result = await query(
+        `
+    UPDATE user_refresh_tokens
+    SET revoked = 1
+    WHERE family_id = ? AND revoked = 0
+  `,
+        [familyId],
+    );
+    return result.affectedRows || 0;
+}
+
+/**
+ * 轮换 Refresh Token：校验旧令牌 → 撤销旧令牌 → 在同一家族中签发新令牌
+ * 返回 { status, record, refreshTokenRaw }，status 取值：
+ *   ok      - 轮换成功，refreshTokenRaw 为新令牌原文
+ *   invalid - 令牌不存在或已被撤销（如登出）
+ *   expired - 令牌已过期
+ *   reused  - 已轮换的令牌被再次使用，整个家族已被撤销
+ *   disabled - 用户已被禁用或删除，整个家族已被撤销
+ */
+async function rotateRefreshToken(refreshTokenRaw, userAgent, ipAddress) {
+    const tokenHash = hashToken(refreshTokenRaw);
+
+    const rows = await query(
+        `
+    SELECT
+      urt.id,
+      urt.user_id,
+      urt.family_id,
+      urt.remember_me,
+      urt.expires_at,
+      urt.revoked,
+      urt.rotated_at,
+      u.username,
+      u.role,
+      u.status,
+      u.is_deleted,
+      u.token_version
+    FROM user_refresh_tokens urt
+    JOIN users u ON urt.user_id = u.id
+    WHERE urt.token_hash = ?
+    LIMIT 1
+  `,
+        [tokenHash],
+    );
+
+    const record = rows[0];
+
+    if (!record) {
+        return { status: 'invalid' };
+    }
+
+    if (record.revoked) {
+        if (record.rotated_at) {
+            await revokeRefreshTokenFamily(record.family_id);
+            return { status: 'reused', record };
+        }
+        return { status: 'invalid', record };
+    }
+
+    if (new Date(record.expires_at) <= new Date()) {
+        return { status: 'expired', record };
+    }
 
+    if (record.status === 0 || record.is_deleted) {
+        await revokeRefreshTokenFamily(record.family_id);
+        return { status: 'disabled', record };
+    }
+
+    // 条件更新保证同一令牌只能被轮换一次，并发请求中后到者按重复使用处理
+    const revokeResult = await query(
+        `
+    UPDATE user_refresh_tokens
+    SET revoked = 1, rotated_at = NOW()
+    WHERE id = ? AND revoked = 0
+  `,
+        [record.id],
+    );
+
+    if (!revokeResult.affectedRows) {
+        await revokeRefreshTokenFamily(record.family_id);
+        return { status: 'reused', record };
+    }
+
+    const { refreshTokenRaw: newRefreshTokenRaw } = await createAndStoreRefreshToken(
+        { id: record.user_id },
+        !!record.remember_me,
+        userAgent,
+        ipAddress,
+        { familyId: record.family_id, parentId: record.id },
+    );
+
+    return { status: 'ok', record, refreshTokenRaw: newRefreshTokenRaw };
+}
+
+// 在 Cookie 中设置 Access Token
+function setAccessTokenCookie(res, accessToken, maxAge = ACCESS_TOKEN_EXPIRES_IN * 1000) {
     // 根据环境决定 secure，同域单一前端场景，生产环境建议使用 HTTPS + secure
     const isProduction = process.env.NODE_ENV === 'production';
 
@@ -77,9 +287,66 @@ function setAuthCookies(res, accessToken, refreshTokenRaw, options = {}) {
         httpOnly: true,
         secure: isProduction, // 生产环境必须 true（需 HTTPS）
         sameSite: 'lax', // 单一域名 + 不跨站表单提交时，一般用 lax；如需跨域再调整
-        maxAge: accessTokenMaxAge,
+        maxAge,
         path: '/',
     });
+}
+
+// CSRF 令牌绑定的会话值：请求携带的 Refresh Token（没有时为 Access Token），均为 httpOnly Cookie，页面脚本无法读取
+function getCsrfSessionToken(req) {
+    const cookies = req.cookies || {};
+    return cookies.refresh_token || cookies.access_token || '';
+}
+
+// 计算 CSRF 令牌签名：随机值与会话绑定
+function signCsrfToken(nonce, sessionToken) {
+    return crypto.createHmac('sha256', CSRF_TOKEN_SECRET).update(`${nonce}.${sessionToken}`).digest('hex');
+}
+
+// 生成 CSRF 令牌：随机值 + 绑定会话的签名，其他会话（包括未登录时）获取的令牌无法用于当前会话，
+// 被子域名等写入的伪造 Cookie 无法通过校验
+function generateCsrfToken(sessionToken) {
+    const nonce = crypto.randomBytes(32).toString('hex');
+    return `${nonce}.${signCsrfToken(nonce, sessionToken)}`;
+}
+
+// 校验 CSRF 令牌签名是否与会话匹配
+function isValidCsrfToken(token, sessionToken) {
+    if (typeof token !== 'string' || !sessionToken) {
+        return false;
+    }
+    const [nonce, signature] = token.split('.');
+    if (!nonce || !signature) {
+        return false;
+    }
+    const expected = signCsrfToken(nonce, sessionToken);
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// 签发绑定会话的 CSRF 令牌并写入 Cookie（非 httpOnly，前端需读取后放入 X-CSRF-Token 请求头），返回令牌原文
+function setCsrfCookie(res, sessionToken, maxAge = REFRESH_TOKEN_EXPIRES_IN_REMEMBER * 1000) {
+    const csrfToken = generateCsrfToken(sessionToken);
+    res.cookie(CSRF_COOKIE_NAME, csrfToken, {
+        httpOnly: false,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        maxAge,
+        path: '/',
+    });
+    return csrfToken;
+}
+
+// 在 Cookie 中设置 Access Token 和 Refresh Token（仅 Cookie 模式），同时签发新的 CSRF 令牌并返回
+function setAuthCookies(res, accessToken, refreshTokenRaw, options = {}) {
+    const {
+        rememberMe = false,
+        accessTokenMaxAge = ACCESS_TOKEN_EXPIRES_IN * 1000,
+        refreshTokenMaxAge = (rememberMe ? REFRESH_TOKEN_EXPIRES_IN_REMEMBER : REFRESH_TOKEN_EXPIRES_IN) * 1000,
+    } = options;
+
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    setAccessTokenCookie(res, accessToken, accessTokenMaxAge);
 
     // Refresh Token Cookie（长期）
     res.cookie('refresh_token', refreshTokenRaw, {
@@ -89,35 +356,226 @@ function setAuthCookies(res, accessToken, refreshTokenRaw, options = {}) {
         maxAge: refreshTokenMaxAge,
         path: '/',
     });
+
+    // CSRF 令牌绑定新的 Refresh Token，有效期一致
+    return setCsrfCookie(res, refreshTokenRaw, refreshTokenMaxAge);
+}
+
+// 令牌版本号递增后为当前会话重新签发 Access Token，使当前会话保持登录
+function reissueAccessToken(res, user, tokenVersion) {
+    const accessToken = generateAccessToken({
+        sub: user.id,
+        username: user.username,
+        role: user.role,
+        tv: tokenVersion,
+    });
+    setAccessTokenCookie(res, accessToken);
 }
 
 // 清理认证相关 Cookie
 function clearAuthCookies(res) {
     res.clearCookie('access_token', { path: '/' });
     res.clearCookie('refresh_token', { path: '/' });
+    res.clearCookie(CSRF_COOKIE_NAME, { path: '/' });
 }
 
-// 认证中间件：从 Cookie 中读取 Access Token 并校验
+// 个人访问令牌前缀，用于区分 Bearer 中的访问令牌类型
+const PERSONAL_ACCESS_TOKEN_PREFIX = 'fsp_';
+
+// 个人访问令牌可授予的权限范围
+const TOKEN_SCOPES = [
+    'records:read',
+    'records:write',
+    'categories:read',
+    'categories:write',
+    'tags:read',
+    'tags:write',
+    'record_types:read',
+    'profile:read',
+];
+
+// 生成个人访问令牌原文
+function generatePersonalAccessTokenRaw() {
+    return `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// 从 Authorization 请求头中读取 Bearer 令牌
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// 校验个人访问令牌，返回令牌和用户信息，无效时返回 null
+async function verifyPersonalAccessToken(tokenRaw) {
+    const rows = await query(
+        `
+    SELECT
+      pat.id,
+      pat.user_id,
+      pat.scopes,
+      pat.expires_at,
+      pat.revoked_at,
+      u.username,
+      u.role,
+      u.status,
+      u.is_deleted
+    FROM personal_access_tokens pat
+    JOIN users u ON pat.user_id = u.id
+    WHERE pat.token_hash = ?
+    LIMIT 1
+  `,
+        [hashToken(tokenRaw)],
+    );
+
+    const record = rows[0];
+
+    if (!record || record.revoked_at || record.is_deleted || record.status === 0) {
+        return null;
+    }
+    if (record.expires_at && new Date(record.expires_at) <= new Date()) {
+        return null;
+    }
+
+    return {
+        id: record.id,
+        userId: record.user_id,
+        username: record.username,
+        role: record.role,
+        scopes: String(record.scopes || '').split(',').filter(Boolean),
+    };
+}
+
+// 记录个人访问令牌最近使用时间（1 分钟内不重复写库）
+async function touchPersonalAccessToken(tokenId, ipAddress) {
+    await query(
+        `
+    UPDATE personal_access_tokens
+    SET last_used_at = NOW(), last_used_ip = ?
+    WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL 60 SECOND)
+  `,
+        [ipAddress || null, tokenId],
+    );
+}
+
+// 模拟登录的管理员仍然有效：账号正常、令牌版本号未变化，且角色仍拥有 users:impersonate 权限
+async function isImpersonatorActive(act) {
+    const tokenVersion = await getTokenVersion(act.sub);
+    if (tokenVersion === null || (act.tv || 0) !== tokenVersion) {
+        return false;
+    }
+    const permissions = await getRolePermissions(act.role);
+    return permissions.includes(PERMISSIONS.USERS_IMPERSONATE);
+}
+
+// 模拟登录期间的每个请求在响应结束后记录审计日志（包含管理员ID、请求路径和响应状态码）
+function logImpersonatedRequest(req, res) {
+    res.on('finish', () => {
+        logSecurityEvent(req, SECURITY_EVENTS.IMPERSONATED_REQUEST, {
+            userId: req.user.id,
+            outcome: res.statusCode < 400 ? SECURITY_OUTCOMES.SUCCESS : SECURITY_OUTCOMES.FAILURE,
+            detail: {
+                admin_id: req.impersonator.id,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status_code: res.statusCode,
+            },
+        });
+    });
+}
+
+// 认证中间件：支持 Cookie 中的 Access Token，以及 Authorization: Bearer（个人访问令牌或 Access Token）
+// 认证方式挂载在 req.auth 上：{ type: 'session' } 或 { type: 'personal_access_token', tokenId, scopes }
 async function authMiddleware(req, res, next) {
     try {
-        if (!req.cookies) {
+        const bearerToken = getBearerToken(req);
+
+        if (bearerToken && bearerToken.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+            const pat = await verifyPersonalAccessToken(bearerToken);
+            if (!pat) {
+                await logSecurityEvent(req, SECURITY_EVENTS.ACCESS_TOKEN_REJECTED, {
+                    outcome: SECURITY_OUTCOMES.FAILURE,
+                    detail: { token_type: 'personal_access_token', token_prefix: bearerToken.slice(0, 12) },
+                });
+                return res.status(401).json({ code: 401, message: '未认证或令牌已失效' });
+            }
+
+            await touchPersonalAccessToken(pat.id, getClientIp(req));
+
+            req.user = {
+                id: pat.userId,
+                username: pat.username,
+                role: pat.role,
+            };
+            req.auth = {
+                type: 'personal_access_token',
+                tokenId: pat.id,
+                scopes: pat.scopes,
+            };
+            return next();
+        }
+
+        if (!bearerToken && !req.cookies) {
             // 确保应用使用了 cookieParser
             return res.status(401).json({ code: 401, message: '未认证：未找到 Cookie' });
         }
 
-        const token = req.cookies.access_token;
+        const token = bearerToken || req.cookies.access_token;
 
         if (!token) {
             return res.status(401).json({ code: 401, message: '未认证：缺少访问令牌' });
         }
 
-        const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
+        const decoded = verifyAccessToken(token);
+
+        // 已登出的令牌，或令牌版本号落后（退出全部设备、修改密码、禁用账号、修改角色等）均视为失效
+        if (decoded.jti && (await isAccessTokenJtiRevoked(decoded.jti))) {
+            await logSecurityEvent(req, SECURITY_EVENTS.ACCESS_TOKEN_REJECTED, {
+                userId: decoded.sub,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { token_type: 'access_token', reason: 'revoked' },
+            });
+            return res.status(401).json({ code: 401, message: '未认证或令牌已失效' });
+        }
+        const tokenVersion = await getTokenVersion(decoded.sub);
+        if (tokenVersion === null || (decoded.tv || 0) !== tokenVersion) {
+            await logSecurityEvent(req, SECURITY_EVENTS.ACCESS_TOKEN_REJECTED, {
+                userId: decoded.sub,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { token_type: 'access_token', reason: tokenVersion === null ? 'account_inactive' : 'stale_version' },
+            });
+            return res.status(401).json({ code: 401, message: '未认证或令牌已失效' });
+        }
+
+        // 模拟登录令牌：管理员被禁用、删除、退出全部设备或失去模拟登录权限后，令牌立即失效
+        if (decoded.act && !(await isImpersonatorActive(decoded.act))) {
+            await logSecurityEvent(req, SECURITY_EVENTS.ACCESS_TOKEN_REJECTED, {
+                userId: decoded.sub,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { token_type: 'impersonation', reason: 'impersonator_inactive', admin_id: decoded.act.sub },
+            });
+            return res.status(401).json({ code: 401, message: '未认证或令牌已失效' });
+        }
+
         // 将用户基本信息挂载到 req 对象上
         req.user = {
             id: decoded.sub,
             username: decoded.username,
             role: decoded.role,
         };
+        req.auth = {
+            type: 'session',
+        };
+
+        if (decoded.act) {
+            req.impersonator = {
+                id: decoded.act.sub,
+                username: decoded.act.username,
+                readOnly: !!decoded.act.ro,
+            };
+            req.auth.impersonated = true;
+            logImpersonatedRequest(req, res);
+        }
 
         next();
     } catch (err) {
@@ -126,6 +584,44 @@ async function authMiddleware(req, res, next) {
     }
 }
 
+// 权限范围检查中间件：个人访问令牌需具备指定 scope（xxx:write 同时包含 xxx:read），登录会话不受限制
+function requireScope(requiredScope) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ code: 401, message: '未认证' });
+        }
+        if (!req.auth || req.auth.type !== 'personal_access_token') {
+            // 只读模拟登录不能调用写接口
+            if (req.impersonator && req.impersonator.readOnly && requiredScope.endsWith(':write')) {
+                return res.status(403).json({ code: 403, message: '只读模拟登录期间不能执行写操作' });
+            }
+            return next();
+        }
+        const scopes = req.auth.scopes || [];
+        const impliedWriteScope = requiredScope.endsWith(':read')
+            ? requiredScope.replace(/:read$/, ':write')
+            : null;
+        if (!scopes.includes(requiredScope) && !(impliedWriteScope && scopes.includes(impliedWriteScope))) {
+            return res.status(403).json({ code: 403, message: `访问令牌缺少权限：${requiredScope}` });
+        }
+        next();
+    };
+}
+
+// 仅允许登录会话访问（账号安全、令牌管理、后台管理等接口不对个人访问令牌和模拟登录开放）
+function requireSessionAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ code: 401, message: '未认证' });
+    }
+    if (req.auth && req.auth.type === 'personal_access_token') {
+        return res.status(403).json({ code: 403, message: '该接口不支持使用访问令牌调用' });
+    }
+    if (req.impersonator) {
+        return res.status(403).json({ code: 403, message: '模拟登录期间不能访问该接口' });
+    }
+    next();
+}
+
 // 角色检查中间件：要求用户具有特定角色
 function requireRole(requiredRoles) {
     const roles = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
@@ -140,28 +636,103 @@ function requireRole(requiredRoles) {
     };
 }
 
-// 验证并撤销 Refresh Token（用于登出）
+// 权限检查中间件：当前用户的角色需拥有全部指定权限（需放在 authMiddleware 之后）
+// 校验通过后将角色的全部权限挂载在 req.user.permissions 上，便于接口内做更细粒度的判断
+function requirePermission(requiredPermissions) {
+    const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ code: 401, message: '未认证' });
+        }
+        try {
+            const granted = await getRolePermissions(req.user.role);
+            if (!permissions.every((permission) => granted.includes(permission))) {
+                return res.status(403).json({ code: 403, message: '无访问权限' });
+            }
+            req.user.permissions = granted;
+            next();
+        } catch (err) {
+            console.error('requirePermission error:', err);
+            return res.status(500).json({ code: 500, message: '服务器内部错误' });
+        }
+    };
+}
+
+// 验证并撤销 Refresh Token（用于登出），返回本次撤销的令牌所属用户ID，令牌无效时返回 null
 async function revokeRefreshToken(refreshTokenRaw) {
-    if (!refreshTokenRaw) return;
+    if (!refreshTokenRaw) return null;
     const tokenHash = hashToken(refreshTokenRaw);
+    const rows = await query(
+        `
+    SELECT id, user_id
+    FROM user_refresh_tokens
+    WHERE token_hash = ? AND revoked = 0
+    LIMIT 1
+  `,
+        [tokenHash],
+    );
+    if (!rows[0]) {
+        return null;
+    }
     const sql = `
     UPDATE user_refresh_tokens
     SET revoked = 1
-    WHERE token_hash = ? AND revoked = 0
+    WHERE id = ? AND revoked = 0
   `;
-    await query(sql, [tokenHash]);
+    await query(sql, [rows[0].id]);
+    return rows[0].user_id;
+}
+
+// 撤销某用户的全部 Refresh Token，可通过 exceptTokenHash 保留当前会话
+async function revokeUserRefreshTokens(userId, options = {}) {
+    const { exceptTokenHash = null } = options;
+    const params = [userId];
+    let sql = `
+    UPDATE user_refresh_tokens
+    SET revoked = 1
+    WHERE user_id = ? AND revoked = 0
+  `;
+    if (exceptTokenHash) {
+        sql += ' AND token_hash != ?';
+        params.push(exceptTokenHash);
+    }
+    const result = await query(sql, params);
+    return result.affectedRows || 0;
 }
 
 module.exports = {
     cookieParser,
     authMiddleware,
+    requireScope,
+    requireSessionAuth,
     requireRole,
+    requirePermission,
+    TOKEN_SCOPES,
+    generatePersonalAccessTokenRaw,
     generateAccessToken,
+    generateImpersonationToken,
+    revokeAccessToken,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
     createAndStoreRefreshToken,
     setAuthCookies,
+    setCsrfCookie,
+    getCsrfSessionToken,
+    isValidCsrfToken,
+    CSRF_COOKIE_NAME,
+    CSRF_HEADER_NAME,
+    reissueAccessToken,
     clearAuthCookies,
     revokeRefreshToken,
+    revokeRefreshTokenFamily,
+    rotateRefreshToken,
+    revokeUserRefreshTokens,
     hashToken,
+    generateSecureToken,
+    getBearerToken,
+    getClientIp,
 };
 
 
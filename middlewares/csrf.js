@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { httpError, MESSAGE_CODES } = require('../utils/response');
+const { getCsrfSessionToken, isValidCsrfToken, CSRF_COOKIE_NAME, CSRF_HEADER_NAME } = require('./auth');
+
+// 不修改状态的请求方法，无需校验 CSRF 令牌
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// CSRF 校验中间件（双提交 Cookie）：修改状态的请求需在 X-CSRF-Token 请求头中提交与 csrf_token Cookie 一致的令牌，
+// 且令牌的签名与当前会话（Refresh Token / Access Token Cookie）匹配
+// - 携带 Authorization: Bearer 请求头的请求（个人访问令牌、Bearer Access Token）不依赖 Cookie 认证，跨站页面也无法伪造该请求头，不做校验
+// - 未携带认证 Cookie 的请求（如登录、注册、找回密码）没有可被冒用的登录态，不做校验
+function csrfProtection(req, res, next) {
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    if (/^Bearer\s+\S/i.test(req.headers.authorization || '')) {
+        return next();
+    }
+
+    const cookies = req.cookies || {};
+    if (!cookies.access_token && !cookies.refresh_token) {
+        return next();
+    }
+
+    const cookieToken = cookies[CSRF_COOKIE_NAME];
+    const headerToken = req.headers[CSRF_HEADER_NAME];
+
+    if (!cookieToken || typeof headerToken !== 'string' || !isValidCsrfToken(cookieToken, getCsrfSessionToken(req))) {
+        return httpError(res, 403, MESSAGE_CODES.CSRF_TOKEN_INVALID);
+    }
+
+    const headerBuffer = Buffer.from(headerToken);
+    const cookieBuffer = Buffer.from(cookieToken);
+    if (headerBuffer.length !== cookieBuffer.length || !crypto.timingSafeEqual(headerBuffer, cookieBuffer)) {
+        return httpError(res, 403, MESSAGE_CODES.CSRF_TOKEN_INVALID);
+    }
+
+    next();
+}
+
+module.exports = {
+    csrfProtection,
+};
@@ -0,0 +1,39 @@
+const { query } = require('../config/database');
+const { httpError, MESSAGE_CODES } = require('../utils/response');
+const { EMAIL_VERIFICATION_POLICY } = require('../utils/emailVerification');
+
+// 邮箱验证检查中间件：策略为 limit / block 时，要求当前用户已验证邮箱（需放在 authMiddleware 之后）
+async function requireVerifiedEmail(req, res, next) {
+    try {
+        if (EMAIL_VERIFICATION_POLICY === 'off') {
+            return next();
+        }
+
+        const users = await query(
+            `
+      SELECT email_verified_at
+      FROM users
+      WHERE id = ? AND is_deleted = 0
+      LIMIT 1
+    `,
+            [req.user.id],
+        );
+
+        if (!users[0]) {
+            return httpError(res, 401, MESSAGE_CODES.UNAUTHORIZED);
+        }
+
+        if (!users[0].email_verified_at) {
+            return httpError(res, 403, MESSAGE_CODES.EMAIL_NOT_VERIFIED);
+        }
+
+        next();
+    } catch (err) {
+        console.error('requireVerifiedEmail error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+}
+
+module.exports = {
+    requireVerifiedEmail,
+};
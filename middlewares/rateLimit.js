@@ -0,0 +1,112 @@
+const { httpError, MESSAGE_CODES } = require('../utils/response');
+const { getClientIp } = require('../utils/request');
+const { createMemoryRateLimitStore } = require('../utils/rateLimitStore');
+
+// 是否启用限流（本地调试或压测时可设置为 false 关闭）
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+/**
+ * 限流策略（固定窗口）
+ * windowSeconds: 窗口时长（秒），max: 窗口内最多请求次数
+ * keyBy: 计数维度
+ *   - ip：按客户端 IP
+ *   - user：按登录用户（未登录时按 IP，需放在 authMiddleware 之后）
+ *   - account：按请求中提交的用户名或邮箱（跨 IP 限制针对同一账号的暴力破解）
+ */
+const RATE_LIMIT_POLICIES = {
+    // 全部接口的兜底限制
+    global: { windowSeconds: 60, max: 600, keyBy: 'ip' },
+    // 登录、注册、找回密码、邮箱验证等认证接口
+    auth: { windowSeconds: 600, max: 20, keyBy: 'ip' },
+    // 针对单个账号的登录尝试
+    login_account: { windowSeconds: 900, max: 10, keyBy: 'account' },
+    // 查询类接口
+    read: { windowSeconds: 60, max: 300, keyBy: 'user' },
+    // 写入类接口
+    write: { windowSeconds: 60, max: 60, keyBy: 'user' },
+};
+
+// 当前使用的计数存储，默认内存存储；多实例部署时可通过 setRateLimitStore 替换为共享存储
+let store = createMemoryRateLimitStore();
+
+// 替换计数存储（需实现 increment、reset，见 utils/rateLimitStore.js）
+function setRateLimitStore(customStore) {
+    store = customStore;
+}
+
+// 计算计数键，无法确定维度时返回 null（不限流）
+function resolveKey(policyName, keyBy, req) {
+    if (keyBy === 'user') {
+        return req.user ? `${policyName}:user:${req.user.id}` : `${policyName}:ip:${getClientIp(req)}`;
+    }
+    if (keyBy === 'account') {
+        const { username, email } = req.body || {};
+        const account = typeof username === 'string' && username.trim() ? username : email;
+        return typeof account === 'string' && account.trim()
+            ? `${policyName}:account:${account.trim().toLowerCase()}`
+            : null;
+    }
+    return `${policyName}:ip:${getClientIp(req)}`;
+}
+
+// 写入 RateLimit 响应头；同一请求经过多个限流中间件时，保留剩余次数最少的一组
+function setRateLimitHeaders(res, policy, remaining, resetSeconds) {
+    const current = res.get('RateLimit-Remaining');
+    if (current !== undefined && Number(current) < remaining) {
+        return;
+    }
+    res.set({
+        'RateLimit-Policy': `${policy.max};w=${policy.windowSeconds}`,
+        'RateLimit-Limit': String(policy.max),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds),
+    });
+}
+
+/**
+ * 创建限流中间件
+ * @param {string} policyName - 策略名称（RATE_LIMIT_POLICIES 中的键）
+ * @returns {Function} Express 中间件，超出限制时返回 429，并设置 Retry-After 响应头
+ */
+function rateLimit(policyName) {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+    if (!policy) {
+        throw new Error(`未知的限流策略：${policyName}`);
+    }
+
+    return async (req, res, next) => {
+        if (!RATE_LIMIT_ENABLED) {
+            return next();
+        }
+
+        try {
+            const key = resolveKey(policyName, policy.keyBy, req);
+            if (!key) {
+                return next();
+            }
+
+            const { count, resetAt } = await store.increment(key, policy.windowSeconds);
+            const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+            const remaining = Math.max(0, policy.max - count);
+
+            setRateLimitHeaders(res, policy, remaining, resetSeconds);
+
+            if (count > policy.max) {
+                res.set('Retry-After', String(resetSeconds));
+                return httpError(res, 429, MESSAGE_CODES.TOO_MANY_REQUESTS, { retry_after: resetSeconds });
+            }
+
+            next();
+        } catch (err) {
+            // 计数存储不可用时放行，避免限流故障导致接口整体不可用
+            console.error(`rateLimit(${policyName}) error:`, err);
+            next();
+        }
+    };
+}
+
+module.exports = {
+    RATE_LIMIT_POLICIES,
+    rateLimit,
+    setRateLimitStore,
+};
@@ -0,0 +1,196 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const router = express.Router();
+
+const {
+    authMiddleware,
+    requireSessionAuth,
+    revokeUserRefreshTokens,
+    clearAuthCookies,
+} = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { query } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { logSecurityEvent, SECURITY_EVENTS, SECURITY_OUTCOMES } = require('../utils/securityEvents');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const { bumpTokenVersion } = require('../utils/tokenRevocation');
+const { ACCOUNT_DELETION_GRACE_DAYS, buildAccountExportArchive } = require('../utils/account');
+
+// 账号接口需要登录，且只能通过登录会话调用
+router.use('/account', authMiddleware, requireSessionAuth);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Account
+ *   description: 账号数据导出与注销相关接口
+ */
+
+/**
+ * @swagger
+ * /api/account/export:
+ *   get:
+ *     summary: 导出当前用户的全部个人数据
+ *     description: |
+ *       返回 ZIP 压缩包，包含：
+ *       - account.json：个人资料、全部记账记录（含标签和修改历史）、自定义分类和标签
+ *       - records.csv、record_history.csv、categories.csv、tags.csv：同样的数据的 CSV 格式
+ *     tags: [Account]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 导出成功
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.get('/account/export', async (req, res) => {
+    try {
+        const archive = await buildAccountExportArchive(req.user.id);
+
+        if (!archive) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        await logSecurityEvent(req, SECURITY_EVENTS.ACCOUNT_EXPORT, { userId: req.user.id });
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename="${archive.fileName}"; filename*=UTF-8''${encodeURIComponent(archive.fileName)}`,
+        );
+        res.setHeader('Cache-Control', 'no-store');
+        return res.send(archive.buffer);
+    } catch (err) {
+        console.error('GET /api/account/export error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/account:
+ *   delete:
+ *     summary: 注销当前账号
+ *     description: |
+ *       需重新输入登录密码；已启用两步验证时还需提供验证码或恢复码。
+ *       注销后立即退出所有会话、撤销全部个人访问令牌，账号无法再登录。
+ *       宽限期（默认30天）内可联系管理员恢复，宽限期过后记账数据将被删除、个人信息将被匿名化，无法恢复。
+ *       建议注销前先调用 /api/account/export 导出数据。
+ *     tags: [Account]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: 登录密码
+ *               code:
+ *                 type: string
+ *                 description: 6 位验证码（已启用两步验证时与 recoveryCode 二选一）
+ *               recoveryCode:
+ *                 type: string
+ *                 description: 恢复码（已启用两步验证时与 code 二选一）
+ *     responses:
+ *       200:
+ *         description: 注销成功，data.purge_after 为数据清除时间
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.delete('/account', rateLimit('auth'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { password, code, recoveryCode } = req.body || {};
+
+        if (!password) {
+            return fail(res, MESSAGE_CODES.PASSWORD_FIELDS_REQUIRED);
+        }
+
+        const users = await query(
+            `
+      SELECT id, password_hash, totp_secret, totp_enabled, is_deleted
+      FROM users
+      WHERE id = ? LIMIT 1
+    `,
+            [userId],
+        );
+
+        const user = users[0];
+
+        if (!user || user.is_deleted) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        const passwordMatch = await bcrypt.compare(password, user.password_hash);
+        if (!passwordMatch) {
+            await logSecurityEvent(req, SECURITY_EVENTS.ACCOUNT_DELETE, {
+                userId,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { reason: 'wrong_password' },
+            });
+            return fail(res, MESSAGE_CODES.CURRENT_PASSWORD_ERROR);
+        }
+
+        if (user.totp_enabled) {
+            if (!code && !recoveryCode) {
+                return fail(res, MESSAGE_CODES.TWO_FACTOR_CODE_REQUIRED);
+            }
+            if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+                return fail(res, MESSAGE_CODES.TWO_FACTOR_CODE_INVALID);
+            }
+        }
+
+        await query(
+            `
+      UPDATE users
+      SET is_deleted = 1, deletion_requested_at = NOW(), updated_at = NOW()
+      WHERE id = ?
+    `,
+            [userId],
+        );
+        await revokeUserRefreshTokens(userId);
+        await bumpTokenVersion(userId);
+        await query(
+            `
+      UPDATE personal_access_tokens
+      SET revoked_at = NOW()
+      WHERE user_id = ? AND revoked_at IS NULL
+    `,
+            [userId],
+        );
+
+        await logSecurityEvent(req, SECURITY_EVENTS.ACCOUNT_DELETE, { userId });
+
+        clearAuthCookies(res);
+
+        const purgeAfter = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+        return success(res, MESSAGE_CODES.ACCOUNT_DELETED, { purge_after: purgeAfter.toISOString() });
+    } catch (err) {
+        console.error('DELETE /api/account error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,486 @@
+const express = require('express');
+const router = express.Router();
+
+const { authMiddleware, requireSessionAuth, requirePermission } = require('../middlewares/auth');
+const { query, pool } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { logSecurityEvent, SECURITY_EVENTS } = require('../utils/securityEvents');
+const { PERMISSIONS, getRolePermissions, invalidateRolePermissions } = require('../utils/permissions');
+
+// 角色编码：小写字母开头，小写字母、数字、下划线，2-50位
+const ROLE_CODE_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+// 内置管理员角色，始终拥有全部权限
+const ADMIN_ROLE_CODE = 'admin';
+
+// 角色管理接口需要 roles:manage 权限，且只能通过登录会话调用
+router.use('/admin/roles', authMiddleware, requireSessionAuth, requirePermission(PERMISSIONS.ROLES_MANAGE));
+router.use('/admin/permissions', authMiddleware, requireSessionAuth, requirePermission(PERMISSIONS.ROLES_MANAGE));
+
+// 按 ID 查询角色，不存在时返回 null
+async function findRoleById(roleId) {
+    const rows = await query(
+        `
+      SELECT id, code, name, description, is_builtin
+      FROM roles
+      WHERE id = ?
+      LIMIT 1
+    `,
+        [roleId],
+    );
+    return rows[0] || null;
+}
+
+// 将权限编码转换为权限ID；permissions 不是数组或包含不存在的权限时返回 null
+async function resolvePermissionIds(permissions) {
+    if (!Array.isArray(permissions)) {
+        return null;
+    }
+    const codes = [...new Set(permissions)];
+    if (codes.length === 0) {
+        return [];
+    }
+    if (codes.some((code) => typeof code !== 'string')) {
+        return null;
+    }
+
+    const rows = await query(`SELECT id, code FROM permissions WHERE code IN (${codes.map(() => '?').join(', ')})`, codes);
+    return rows.length === codes.length ? rows.map((r) => r.id) : null;
+}
+
+// 判断是否包含当前管理员自己没有的权限，防止通过编辑角色为自己或他人授予更高的权限
+async function exceedsAdminPermissions(req, permissions) {
+    const adminPermissions = req.user.permissions || (await getRolePermissions(req.user.role));
+    return permissions.some((permission) => !adminPermissions.includes(permission));
+}
+
+// 在事务中覆盖角色的权限
+async function replaceRolePermissions(conn, roleId, permissionIds) {
+    await conn.execute('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+    for (const permissionId of permissionIds) {
+        await conn.execute('INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)', [roleId, permissionId]);
+    }
+}
+
+/**
+ * @swagger
+ * /api/admin/permissions:
+ *   get:
+ *     summary: 获取全部权限（需 roles:manage 权限）
+ *     description: 响应统一为 { code, message, data }，其中 data.list 为权限数组（code、name）
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 roles:manage 权限）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.get('/admin/permissions', async (req, res) => {
+    try {
+        const rows = await query(
+            `
+      SELECT code, name
+      FROM permissions
+      ORDER BY code ASC
+    `,
+        );
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, { list: rows });
+    } catch (err) {
+        console.error('GET /api/admin/permissions error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/list:
+ *   post:
+ *     summary: 获取角色列表（需 roles:manage 权限）
+ *     description: |
+ *       响应统一为 { code, message, data }，其中 data.list 为角色数组，
+ *       每个角色包含 permissions（权限编码数组）和 user_count（使用该角色的未删除用户数）。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 roles:manage 权限）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/admin/roles/list', async (req, res) => {
+    try {
+        const roles = await query(
+            `
+      SELECT
+        r.id, r.code, r.name, r.description, r.is_builtin, r.created_at, r.updated_at,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.code AND u.is_deleted = 0) AS user_count
+      FROM roles r
+      ORDER BY r.is_builtin DESC, r.id ASC
+    `,
+        );
+
+        const permissionRows = await query(
+            `
+      SELECT rp.role_id, p.code
+      FROM role_permissions rp
+      INNER JOIN permissions p ON p.id = rp.permission_id
+      ORDER BY p.code ASC
+    `,
+        );
+
+        const permissionMap = {};
+        permissionRows.forEach((r) => {
+            if (!permissionMap[r.role_id]) {
+                permissionMap[r.role_id] = [];
+            }
+            permissionMap[r.role_id].push(r.code);
+        });
+
+        const list = roles.map((r) => ({
+            id: r.id,
+            code: r.code,
+            name: r.name,
+            description: r.description,
+            is_builtin: !!r.is_builtin,
+            permissions: permissionMap[r.id] || [],
+            user_count: Number(r.user_count) || 0,
+            created_at: r.created_at,
+            updated_at: r.updated_at,
+        }));
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, { list });
+    } catch (err) {
+        console.error('POST /api/admin/roles/list error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/create:
+ *   post:
+ *     summary: 创建角色（需 roles:manage 权限）
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 角色编码（小写字母开头，小写字母、数字、下划线，2-50位，创建后不可修改）
+ *               name:
+ *                 type: string
+ *                 description: 角色名称
+ *               description:
+ *                 type: string
+ *                 description: 角色说明（可选）
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 权限编码（可选，默认无权限），只能包含当前管理员自己拥有的权限
+ *           example:
+ *             code: operator
+ *             name: 运营
+ *             permissions: ["record_types:manage", "categories:system:edit"]
+ *     responses:
+ *       200:
+ *         description: 创建成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 roles:manage 权限）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/admin/roles/create', async (req, res) => {
+    try {
+        const { code, name, description, permissions = [] } = req.body || {};
+
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (typeof code !== 'string' || !ROLE_CODE_PATTERN.test(code) || !trimmedName || trimmedName.length > 100) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const permissionIds = await resolvePermissionIds(permissions);
+        if (!permissionIds) {
+            return fail(res, MESSAGE_CODES.PERMISSION_NOT_FOUND);
+        }
+        if (await exceedsAdminPermissions(req, permissions)) {
+            return fail(res, MESSAGE_CODES.PERMISSION_EXCEEDS_ADMIN);
+        }
+
+        const existed = await query('SELECT id FROM roles WHERE code = ? LIMIT 1', [code]);
+        if (existed[0]) {
+            return fail(res, MESSAGE_CODES.ROLE_CODE_EXISTS);
+        }
+
+        const conn = await pool.getConnection();
+        let roleId;
+        try {
+            await conn.beginTransaction();
+            const [result] = await conn.execute(
+                `
+        INSERT INTO roles (code, name, description, is_builtin)
+        VALUES (?, ?, ?, 0)
+      `,
+                [code, trimmedName, description || null],
+            );
+            roleId = result.insertId;
+            await replaceRolePermissions(conn, roleId, permissionIds);
+            await conn.commit();
+        } catch (err) {
+            await conn.rollback();
+            if (err.code === 'ER_DUP_ENTRY') {
+                return fail(res, MESSAGE_CODES.ROLE_CODE_EXISTS);
+            }
+            throw err;
+        } finally {
+            conn.release();
+        }
+
+        invalidateRolePermissions(code);
+        await logSecurityEvent(req, SECURITY_EVENTS.ADMIN_ROLE_UPDATE, {
+            detail: { admin_id: req.user.id, action: 'create', role: code, permissions: [...new Set(permissions)] },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS, { id: roleId });
+    } catch (err) {
+        console.error('POST /api/admin/roles/create error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/update:
+ *   put:
+ *     summary: 修改角色（需 roles:manage 权限，角色ID通过 body 传入）
+ *     description: |
+ *       传入 permissions 时覆盖该角色的全部权限，已登录用户无需重新登录即可按新权限生效。
+ *       管理员角色和当前管理员自己所属角色的权限不能修改，且只能授予当前管理员自己拥有的权限。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 角色ID
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 roles:manage 权限）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.put('/admin/roles/update', async (req, res) => {
+    try {
+        const { id, name, description, permissions } = req.body || {};
+        const roleId = Number(id);
+
+        if (!roleId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const role = await findRoleById(roleId);
+        if (!role) {
+            return fail(res, MESSAGE_CODES.ROLE_NOT_FOUND);
+        }
+
+        const updateFields = [];
+        const updateValues = [];
+
+        if (name !== undefined) {
+            const trimmedName = typeof name === 'string' ? name.trim() : '';
+            if (!trimmedName || trimmedName.length > 100) {
+                return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+            }
+            updateFields.push('name = ?');
+            updateValues.push(trimmedName);
+        }
+        if (description !== undefined) {
+            updateFields.push('description = ?');
+            updateValues.push(description || null);
+        }
+
+        let permissionIds = null;
+        if (permissions !== undefined) {
+            if (role.code === ADMIN_ROLE_CODE) {
+                return fail(res, MESSAGE_CODES.ROLE_BUILTIN_READONLY);
+            }
+            if (role.code === req.user.role) {
+                return fail(res, MESSAGE_CODES.ROLE_SELF_READONLY);
+            }
+            permissionIds = await resolvePermissionIds(permissions);
+            if (!permissionIds) {
+                return fail(res, MESSAGE_CODES.PERMISSION_NOT_FOUND);
+            }
+            if (await exceedsAdminPermissions(req, permissions)) {
+                return fail(res, MESSAGE_CODES.PERMISSION_EXCEEDS_ADMIN);
+            }
+        }
+
+        if (updateFields.length === 0 && !permissionIds) {
+            return success(res, MESSAGE_CODES.UPDATE_SUCCESS);
+        }
+
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            if (updateFields.length > 0) {
+                await conn.execute(
+                    `
+          UPDATE roles
+          SET ${updateFields.join(', ')}, updated_at = NOW()
+          WHERE id = ?
+        `,
+                    [...updateValues, roleId],
+                );
+            }
+            if (permissionIds) {
+                await replaceRolePermissions(conn, roleId, permissionIds);
+            }
+            await conn.commit();
+        } catch (err) {
+            await conn.rollback();
+            throw err;
+        } finally {
+            conn.release();
+        }
+
+        invalidateRolePermissions(role.code);
+        await logSecurityEvent(req, SECURITY_EVENTS.ADMIN_ROLE_UPDATE, {
+            detail: {
+                admin_id: req.user.id,
+                action: 'update',
+                role: role.code,
+                permissions: permissionIds ? [...new Set(permissions)] : undefined,
+            },
+        });
+
+        return success(res, MESSAGE_CODES.UPDATE_SUCCESS);
+    } catch (err) {
+        console.error('PUT /api/admin/roles/update error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/delete:
+ *   delete:
+ *     summary: 删除角色（需 roles:manage 权限，角色ID通过 body 传入）
+ *     description: 内置角色不能删除；仍有用户使用的角色需先调整这些用户的角色。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 角色ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 roles:manage 权限）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.delete('/admin/roles/delete', async (req, res) => {
+    try {
+        const { id } = req.body || {};
+        const roleId = Number(id);
+
+        if (!roleId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const role = await findRoleById(roleId);
+        if (!role) {
+            return fail(res, MESSAGE_CODES.ROLE_NOT_FOUND);
+        }
+
+        if (role.is_builtin) {
+            return fail(res, MESSAGE_CODES.ROLE_BUILTIN_READONLY);
+        }
+
+        // 已删除的用户恢复时仍需要原角色，因此包含软删除的用户（已清除数据的除外）
+        const userRows = await query('SELECT COUNT(*) AS total FROM users WHERE role = ? AND purged_at IS NULL', [role.code]);
+        if (((userRows[0] && Number(userRows[0].total)) || 0) > 0) {
+            return fail(res, MESSAGE_CODES.ROLE_IN_USE);
+        }
+
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            await conn.execute('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+            await conn.execute('DELETE FROM roles WHERE id = ?', [roleId]);
+            await conn.commit();
+        } catch (err) {
+            await conn.rollback();
+            throw err;
+        } finally {
+            conn.release();
+        }
+
+        invalidateRolePermissions(role.code);
+        await logSecurityEvent(req, SECURITY_EVENTS.ADMIN_ROLE_UPDATE, {
+            detail: { admin_id: req.user.id, action: 'delete', role: role.code },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('DELETE /api/admin/roles/delete error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
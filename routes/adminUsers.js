@@ -0,0 +1,976 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    authMiddleware,
+    requireSessionAuth,
+    requirePermission,
+    revokeUserRefreshTokens,
+    generateImpersonationToken,
+    revokeAccessToken,
+    getBearerToken,
+} = require('../middlewares/auth');
+const { query } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { logSecurityEvent, SECURITY_EVENTS, SECURITY_OUTCOMES } = require('../utils/securityEvents');
+const { resetLoginFailures } = require('../utils/loginLockout');
+const { bumpTokenVersion, getTokenVersion } = require('../utils/tokenRevocation');
+const { PERMISSIONS, getRolePermissions } = require('../utils/permissions');
+
+// 用户管理接口需要 users:manage 权限，且只能通过登录会话调用
+router.use('/admin/users', authMiddleware, requireSessionAuth, requirePermission(PERMISSIONS.USERS_MANAGE));
+
+// 判断角色编码是否存在（角色在 roles 表中维护）
+async function roleExists(roleCode) {
+    if (typeof roleCode !== 'string' || !roleCode) {
+        return false;
+    }
+    const rows = await query('SELECT id FROM roles WHERE code = ? LIMIT 1', [roleCode]);
+    return !!rows[0];
+}
+
+// 按 ID 查询用户（包含已删除的用户），不存在时返回 null
+async function findUserById(userId) {
+    const rows = await query(
+        `
+      SELECT id, username, email, role, status, is_deleted, purged_at
+      FROM users
+      WHERE id = ?
+      LIMIT 1
+    `,
+        [userId],
+    );
+    return rows[0] || null;
+}
+
+// 管理员不能对自己执行禁用、降级、删除等操作，避免把自己锁在后台之外
+function isSelf(req, userId) {
+    return Number(req.user.id) === Number(userId);
+}
+
+// 判断角色的权限是否超出当前管理员（不是其子集），用于防止分配更高的角色或禁用、删除更高权限的用户来提升权限
+async function exceedsAdminPermissions(req, roleCode) {
+    const rolePermissions = await getRolePermissions(roleCode);
+    const adminPermissions = req.user.permissions || (await getRolePermissions(req.user.role));
+    return rolePermissions.some((permission) => !adminPermissions.includes(permission));
+}
+
+/**
+ * @swagger
+ * /api/admin/users/list:
+ *   post:
+ *     summary: 分页查询用户列表（需 users:manage 权限）
+ *     description: |
+ *       支持按关键字（用户名、邮箱、昵称模糊匹配）、角色、状态筛选，默认不包含已删除的用户。
+ *       响应统一为 { code, message, data }，其中 data 包含 list、pagination。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               page:
+ *                 type: integer
+ *                 description: 页码（可选，默认1，最小值1）
+ *               page_size:
+ *                 type: integer
+ *                 description: 每页数量（可选，默认20，范围1-100）
+ *               keyword:
+ *                 type: string
+ *                 description: 关键字（可选，模糊匹配用户名、邮箱、昵称）
+ *               role:
+ *                 type: string
+ *                 description: 角色编码（可选）
+ *               status:
+ *                 type: integer
+ *                 enum: [0, 1]
+ *                 description: 状态（可选，1 正常，0 禁用）
+ *               deleted:
+ *                 type: string
+ *                 enum: [exclude, only, all]
+ *                 description: 是否包含已删除用户（可选，默认 exclude）
+ *           example:
+ *             page: 1
+ *             page_size: 20
+ *             keyword: "test"
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 users:manage 权限）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/admin/users/list', async (req, res) => {
+    try {
+        const { page = 1, page_size = 20, keyword, role, status, deleted = 'exclude' } = req.body || {};
+
+        let pageNum = Number(page) || 1;
+        let pageSizeNum = Number(page_size) || 20;
+        pageNum = Math.max(Math.floor(pageNum), 1);
+        pageSizeNum = Math.min(Math.max(Math.floor(pageSizeNum), 1), 100);
+        const offset = (pageNum - 1) * pageSizeNum;
+
+        const whereClauses = [];
+        const params = [];
+
+        if (deleted === 'only') {
+            whereClauses.push('is_deleted = 1');
+        } else if (deleted !== 'all') {
+            whereClauses.push('is_deleted = 0');
+        }
+        if (keyword) {
+            whereClauses.push('(username LIKE ? OR email LIKE ? OR nick_name LIKE ?)');
+            params.push(`%${keyword}%`, `%${keyword}%`, `%${keyword}%`);
+        }
+        if (role) {
+            if (!(await roleExists(role))) {
+                return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+            }
+            whereClauses.push('role = ?');
+            params.push(role);
+        }
+        if (status !== undefined && status !== null && status !== '') {
+            const statusNum = Number(status);
+            if (statusNum !== 0 && statusNum !== 1) {
+                return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+            }
+            whereClauses.push('status = ?');
+            params.push(statusNum);
+        }
+
+        const baseWhere = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+        const totalRows = await query(
+            `
+      SELECT COUNT(*) AS total
+      FROM users
+      ${baseWhere}
+    `,
+            params,
+        );
+        const total = (totalRows[0] && totalRows[0].total) || 0;
+
+        // 注意：LIMIT 不使用占位符，offset 和 pageSizeNum 已经过规范化，直接拼接是安全的
+        const rows = await query(
+            `
+      SELECT
+        id, username, email, nick_name, role, status, is_deleted,
+        locked_until, email_verified_at, totp_enabled, last_login_at, created_at
+      FROM users
+      ${baseWhere}
+      ORDER BY id DESC
+      LIMIT ${offset}, ${pageSizeNum}
+    `,
+            params,
+        );
+
+        const list = rows.map((u) => ({
+            id: u.id,
+            username: u.username,
+            email: u.email,
+            nick_name: u.nick_name,
+            role: u.role,
+            status: u.status,
+            is_deleted: !!u.is_deleted,
+            locked: !!u.locked_until && new Date(u.locked_until) > new Date(),
+            email_verified: !!u.email_verified_at,
+            totp_enabled: !!u.totp_enabled,
+            last_login_at: u.last_login_at,
+            created_at: u.created_at,
+        }));
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, {
+            list,
+            pagination: {
+                page: pageNum,
+                page_size: pageSizeNum,
+                total,
+            },
+        });
+    } catch (err) {
+        console.error('POST /api/admin/users/list error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/detail:
+ *   post:
+ *     summary: 获取用户详情（需 users:manage 权限，用户ID通过 body 传入）
+ *     description: |
+ *       返回用户基本信息、账号状态、锁定情况、两步验证状态，以及有效会话数和个人访问令牌数。
+ *       已删除的用户同样可以查看。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 用户ID
+ *           example:
+ *             id: 1
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 users:manage 权限）
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/admin/users/detail', async (req, res) => {
+    try {
+        const { id } = req.body || {};
+        const userId = Number(id);
+
+        if (!userId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const rows = await query(
+            `
+      SELECT
+        id, username, email, pending_email, nick_name, avatar_url, role, status, is_deleted,
+        failed_login_count, last_failed_login_at, locked_until, lockout_count,
+        email_verified_at, totp_enabled, totp_enabled_at, last_login_at, deletion_requested_at, purged_at,
+        created_at, updated_at
+      FROM users
+      WHERE id = ?
+      LIMIT 1
+    `,
+            [userId],
+        );
+
+        const u = rows[0];
+        if (!u) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        const sessionRows = await query(
+            `
+      SELECT COUNT(DISTINCT family_id) AS total
+      FROM user_refresh_tokens
+      WHERE user_id = ? AND revoked = 0 AND expires_at > NOW()
+    `,
+            [userId],
+        );
+        const tokenRows = await query(
+            `
+      SELECT COUNT(*) AS total
+      FROM personal_access_tokens
+      WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+    `,
+            [userId],
+        );
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, {
+            id: u.id,
+            username: u.username,
+            email: u.email,
+            pending_email: u.pending_email,
+            nick_name: u.nick_name,
+            avatar_url: u.avatar_url,
+            role: u.role,
+            status: u.status,
+            is_deleted: !!u.is_deleted,
+            failed_login_count: u.failed_login_count,
+            last_failed_login_at: u.last_failed_login_at,
+            locked_until: u.locked_until && new Date(u.locked_until) > new Date() ? u.locked_until : null,
+            lockout_count: u.lockout_count,
+            email_verified_at: u.email_verified_at,
+            totp_enabled: !!u.totp_enabled,
+            totp_enabled_at: u.totp_enabled_at,
+            last_login_at: u.last_login_at,
+            deletion_requested_at: u.deletion_requested_at,
+            purged_at: u.purged_at,
+            created_at: u.created_at,
+            updated_at: u.updated_at,
+            active_sessions: (sessionRows[0] && sessionRows[0].total) || 0,
+            active_access_tokens: (tokenRows[0] && tokenRows[0].total) || 0,
+        });
+    } catch (err) {
+        console.error('POST /api/admin/users/detail error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/status:
+ *   put:
+ *     summary: 启用或禁用用户账号（需 users:manage 权限）
+ *     description: |
+ *       禁用后用户无法登录，已签发的 Access Token 和个人访问令牌立即失效，
+ *       同时撤销该用户的全部 Refresh Token。管理员不能禁用自己，也不能操作权限超出自己的用户。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - status
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 用户ID
+ *               status:
+ *                 type: integer
+ *                 enum: [0, 1]
+ *                 description: 1 启用，0 禁用
+ *           example:
+ *             id: 2
+ *             status: 0
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 users:manage 权限）
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.put('/admin/users/status', async (req, res) => {
+    try {
+        const { id, status } = req.body || {};
+        const userId = Number(id);
+        const statusNum = Number(status);
+
+        if (!userId || (status !== 0 && status !== 1 && status !== '0' && status !== '1')) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        if (statusNum === 0 && isSelf(req, userId)) {
+            return fail(res, MESSAGE_CODES.CANNOT_MODIFY_SELF);
+        }
+
+        const user = await findUserById(userId);
+        if (!user || user.is_deleted) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+        if (await exceedsAdminPermissions(req, user.role)) {
+            return fail(res, MESSAGE_CODES.PERMISSION_EXCEEDS_ADMIN);
+        }
+
+        await query(
+            `
+      UPDATE users
+      SET status = ?, updated_at = NOW()
+      WHERE id = ?
+    `,
+            [statusNum, userId],
+        );
+
+        if (statusNum === 0) {
+            await revokeUserRefreshTokens(userId);
+        }
+        // 禁用时使 Access Token 立即失效；启用时同样递增，以刷新令牌版本缓存
+        await bumpTokenVersion(userId);
+        await logSecurityEvent(req, SECURITY_EVENTS.ADMIN_USER_UPDATE, {
+            userId,
+            detail: { admin_id: req.user.id, action: 'status', status: statusNum },
+        });
+
+        return success(res, MESSAGE_CODES.UPDATE_SUCCESS, { id: userId, status: statusNum });
+    } catch (err) {
+        console.error('PUT /api/admin/users/status error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/role:
+ *   put:
+ *     summary: 修改用户角色（需 users:manage 权限）
+ *     description: |
+ *       用户已签发的 Access Token 立即失效，刷新令牌后按新角色生效。管理员不能修改自己的角色；
+ *       新角色和用户当前角色的权限都必须是当前管理员权限的子集，避免借此提升权限。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - role
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 用户ID
+ *               role:
+ *                 type: string
+ *                 description: 角色编码（/api/admin/roles/list 返回的 code）
+ *           example:
+ *             id: 2
+ *             role: "admin"
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 users:manage 权限）
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.put('/admin/users/role', async (req, res) => {
+    try {
+        const { id, role } = req.body || {};
+        const userId = Number(id);
+
+        if (!userId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        if (!(await roleExists(role))) {
+            return fail(res, MESSAGE_CODES.ROLE_NOT_FOUND);
+        }
+
+        if (isSelf(req, userId)) {
+            return fail(res, MESSAGE_CODES.CANNOT_MODIFY_SELF);
+        }
+
+        const user = await findUserById(userId);
+        if (!user || user.is_deleted) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+        // 新角色和用户当前角色的权限都不能超出当前管理员
+        if ((await exceedsAdminPermissions(req, role)) || (await exceedsAdminPermissions(req, user.role))) {
+            return fail(res, MESSAGE_CODES.PERMISSION_EXCEEDS_ADMIN);
+        }
+
+        await query(
+            `
+      UPDATE users
+      SET role = ?, updated_at = NOW()
+      WHERE id = ?
+    `,
+            [role, userId],
+        );
+        await bumpTokenVersion(userId);
+        await logSecurityEvent(req, SECURITY_EVENTS.ADMIN_USER_UPDATE, {
+            userId,
+            detail: { admin_id: req.user.id, action: 'role', from: user.role, to: role },
+        });
+
+        return success(res, MESSAGE_CODES.UPDATE_SUCCESS, { id: userId, role });
+    } catch (err) {
+        console.error('PUT /api/admin/users/role error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/delete:
+ *   delete:
+ *     summary: 删除用户（软删除，需 users:manage 权限，用户ID通过 body 传入）
+ *     description: |
+ *       将用户标记为已删除并撤销其全部 Refresh Token 和个人访问令牌，数据保留，可通过 /api/admin/users/restore 恢复。
+ *       管理员不能删除自己，也不能删除权限超出自己的用户。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 用户ID
+ *           example:
+ *             id: 2
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 users:manage 权限）
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.delete('/admin/users/delete', async (req, res) => {
+    try {
+        const { id } = req.body || {};
+        const userId = Number(id);
+
+        if (!userId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        if (isSelf(req, userId)) {
+            return fail(res, MESSAGE_CODES.CANNOT_MODIFY_SELF);
+        }
+
+        const user = await findUserById(userId);
+        if (!user || user.is_deleted) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+        if (await exceedsAdminPermissions(req, user.role)) {
+            return fail(res, MESSAGE_CODES.PERMISSION_EXCEEDS_ADMIN);
+        }
+
+        await query(
+            `
+      UPDATE users
+      SET is_deleted = 1, updated_at = NOW()
+      WHERE id = ?
+    `,
+            [userId],
+        );
+        await revokeUserRefreshTokens(userId);
+        await bumpTokenVersion(userId);
+        await query(
+            `
+      UPDATE personal_access_tokens
+      SET revoked_at = NOW()
+      WHERE user_id = ? AND revoked_at IS NULL
+    `,
+            [userId],
+        );
+        await logSecurityEvent(req, SECURITY_EVENTS.ADMIN_USER_UPDATE, {
+            userId,
+            detail: { admin_id: req.user.id, action: 'delete' },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('DELETE /api/admin/users/delete error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/restore:
+ *   post:
+ *     summary: 恢复已删除的用户（需 users:manage 权限）
+ *     description: |
+ *       恢复前检查用户名和邮箱是否已被其他有效用户占用。
+ *       恢复后用户需重新登录，删除时撤销的个人访问令牌不会恢复。
+ *       用户自助注销的账号只能在宽限期内恢复，数据清除后无法恢复。
+ *       不能恢复权限超出当前管理员的用户。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 用户ID
+ *           example:
+ *             id: 2
+ *     responses:
+ *       200:
+ *         description: 恢复成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 users:manage 权限）
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/admin/users/restore', async (req, res) => {
+    try {
+        const { id } = req.body || {};
+        const userId = Number(id);
+
+        if (!userId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const user = await findUserById(userId);
+        if (!user || !user.is_deleted || user.purged_at) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+        if (await exceedsAdminPermissions(req, user.role)) {
+            return fail(res, MESSAGE_CODES.PERMISSION_EXCEEDS_ADMIN);
+        }
+
+        // 删除期间用户名或邮箱可能已被新注册的用户占用
+        const existedUsers = await query(
+            `
+      SELECT id, username, email
+      FROM users
+      WHERE (username = ? OR email = ?) AND id != ? AND is_deleted = 0
+      LIMIT 1
+    `,
+            [user.username, user.email, userId],
+        );
+
+        if (existedUsers[0]) {
+            const existed = existedUsers[0];
+            if (existed.username === user.username) {
+                return fail(res, MESSAGE_CODES.USERNAME_EXISTS);
+            }
+            return fail(res, MESSAGE_CODES.EMAIL_EXISTS);
+        }
+
+        await query(
+            `
+      UPDATE users
+      SET is_deleted = 0, deletion_requested_at = NULL, updated_at = NOW()
+      WHERE id = ?
+    `,
+            [userId],
+        );
+        // 刷新令牌版本缓存，恢复后新登录签发的令牌立即可用
+        await bumpTokenVersion(userId);
+        await logSecurityEvent(req, SECURITY_EVENTS.ADMIN_USER_UPDATE, {
+            userId,
+            detail: { admin_id: req.user.id, action: 'restore' },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('POST /api/admin/users/restore error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/revoke-sessions:
+ *   post:
+ *     summary: 强制下线用户（需 users:manage 权限）
+ *     description: |
+ *       撤销该用户的全部 Refresh Token，并使已签发的 Access Token 立即失效，用户所有设备需重新登录。
+ *       响应中 data.revoked 为被撤销的令牌数量。不能强制下线权限超出当前管理员的用户。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 用户ID
+ *           example:
+ *             id: 2
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 users:manage 权限）
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/admin/users/revoke-sessions', async (req, res) => {
+    try {
+        const { id } = req.body || {};
+        const userId = Number(id);
+
+        if (!userId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const user = await findUserById(userId);
+        if (!user) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+        if (await exceedsAdminPermissions(req, user.role)) {
+            return fail(res, MESSAGE_CODES.PERMISSION_EXCEEDS_ADMIN);
+        }
+
+        const revoked = await revokeUserRefreshTokens(userId);
+        await bumpTokenVersion(userId);
+        await logSecurityEvent(req, SECURITY_EVENTS.ADMIN_USER_UPDATE, {
+            userId,
+            detail: { admin_id: req.user.id, action: 'revoke_sessions', revoked },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS, { revoked });
+    } catch (err) {
+        console.error('POST /api/admin/users/revoke-sessions error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/unlock:
+ *   post:
+ *     summary: 解锁用户账号（需 users:manage 权限）
+ *     description: |
+ *       清除指定用户的登录失败次数、锁定次数和锁定截止时间，用户可立即重新登录。
+ *       响应统一为 { code, message, data }。
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 用户ID
+ *           example:
+ *             id: 1
+ *     responses:
+ *       200:
+ *         description: 解锁成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 users:manage 权限）
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/admin/users/unlock', async (req, res) => {
+    try {
+        const { id } = req.body || {};
+        const userId = Number(id);
+
+        if (!userId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const rows = await query(
+            `
+      SELECT id, is_deleted
+      FROM users
+      WHERE id = ?
+      LIMIT 1
+    `,
+            [userId],
+        );
+
+        if (!rows[0] || rows[0].is_deleted) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        await resetLoginFailures(userId);
+        await logSecurityEvent(req, SECURITY_EVENTS.ADMIN_USER_UPDATE, {
+            userId,
+            detail: { admin_id: req.user.id, action: 'unlock' },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('POST /api/admin/users/unlock error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/impersonate:
+ *   post:
+ *     summary: 模拟用户登录（需 users:manage 和 users:impersonate 权限）
+ *     description: |
+ *       签发一个短期的模拟登录 Access Token（JWT 中的 act 字段记录管理员），用于客服以用户身份查看数据、排查问题。
+ *       令牌只在 data.access_token 中返回，不写入 Cookie，不影响管理员自己的登录状态；
+ *       调用接口时通过请求头 Authorization: Bearer <token> 传入。
+ *       - 默认只读：不能调用需要写权限的接口（read_only=false 时允许写操作）
+ *       - 不能访问账号安全、令牌管理、后台管理等仅限登录会话的接口
+ *       - 不能模拟自己、已删除或禁用的用户，以及权限超出当前管理员的用户
+ *       - 管理员被禁用、退出全部设备或失去模拟登录权限后令牌立即失效
+ *       - 模拟期间的每个请求都会以 impersonated_request 事件记录管理员ID、请求路径和响应状态码
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - reason
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 用户ID
+ *               reason:
+ *                 type: string
+ *                 description: 模拟原因（如工单号），记录在审计日志中
+ *               read_only:
+ *                 type: boolean
+ *                 description: 是否只读（可选，默认 true）
+ *           example:
+ *             id: 2
+ *             reason: "工单 #1024：汇总金额不正确"
+ *     responses:
+ *       200:
+ *         description: 操作成功，data 包含 access_token、expires_in、read_only
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 users:manage 或 users:impersonate 权限）
+ *       404:
+ *         description: 用户不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/admin/users/impersonate', requirePermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+    try {
+        const { id, reason, read_only: readOnly = true } = req.body || {};
+        const userId = Number(id);
+        const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+        if (!userId || !trimmedReason || trimmedReason.length > 255) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        if (isSelf(req, userId)) {
+            return fail(res, MESSAGE_CODES.CANNOT_MODIFY_SELF);
+        }
+
+        const user = await findUserById(userId);
+        if (!user) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        // 被模拟用户的权限不能超出当前管理员，避免借助模拟登录提升权限
+        if (user.is_deleted || user.status === 0 || (await exceedsAdminPermissions(req, user.role))) {
+            await logSecurityEvent(req, SECURITY_EVENTS.IMPERSONATION_START, {
+                userId,
+                outcome: SECURITY_OUTCOMES.BLOCKED,
+                detail: { admin_id: req.user.id, reason: trimmedReason },
+            });
+            return fail(res, MESSAGE_CODES.IMPERSONATION_NOT_ALLOWED);
+        }
+
+        const [userTokenVersion, adminTokenVersion] = await Promise.all([
+            getTokenVersion(userId),
+            getTokenVersion(req.user.id),
+        ]);
+        if (userTokenVersion === null || adminTokenVersion === null) {
+            return fail(res, MESSAGE_CODES.IMPERSONATION_NOT_ALLOWED);
+        }
+
+        const { accessToken, jti, expiresIn } = generateImpersonationToken(
+            { id: user.id, username: user.username, role: user.role, token_version: userTokenVersion },
+            { id: req.user.id, username: req.user.username, role: req.user.role, token_version: adminTokenVersion },
+            readOnly !== false,
+        );
+
+        await logSecurityEvent(req, SECURITY_EVENTS.IMPERSONATION_START, {
+            userId,
+            detail: {
+                admin_id: req.user.id,
+                reason: trimmedReason,
+                read_only: readOnly !== false,
+                jti,
+                expires_in: expiresIn,
+            },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS, {
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: expiresIn,
+            read_only: readOnly !== false,
+            user: { id: user.id, username: user.username, role: user.role },
+        });
+    } catch (err) {
+        console.error('POST /api/admin/users/impersonate error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/impersonation/end:
+ *   post:
+ *     summary: 结束模拟登录
+ *     description: 使用模拟登录令牌调用，令牌立即失效。
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/impersonation/end', authMiddleware, async (req, res) => {
+    try {
+        if (!req.impersonator) {
+            return fail(res, MESSAGE_CODES.NOT_IMPERSONATING);
+        }
+
+        await revokeAccessToken(getBearerToken(req) || req.cookies?.access_token);
+        await logSecurityEvent(req, SECURITY_EVENTS.IMPERSONATION_END, {
+            userId: req.user.id,
+            detail: { admin_id: req.impersonator.id },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('POST /api/impersonation/end error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
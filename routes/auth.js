@@ -2,21 +2,81 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const {
     generateAccessToken,
-    createAndStoreRefreshToken,
+    revokeAccessToken,
+    reissueAccessToken,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge,
     setAuthCookies,
+    setCsrfCookie,
+    getCsrfSessionToken,
     clearAuthCookies,
     revokeRefreshToken,
+    rotateRefreshToken,
     authMiddleware,
+    requireScope,
+    requireSessionAuth,
     requireRole,
     hashToken,
+    revokeUserRefreshTokens,
+    generateSecureToken,
+    getClientIp,
 } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
 const { query } = require('../config/database');
 const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { sendMail } = require('../utils/mailer');
+const { bumpTokenVersion } = require('../utils/tokenRevocation');
+const { logSecurityEvent, SECURITY_EVENTS, SECURITY_OUTCOMES } = require('../utils/securityEvents');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const { startLoginSession } = require('../utils/loginSession');
+const { getRolePermissions } = require('../utils/permissions');
+const {
+    EMAIL_VERIFICATION_POLICY,
+    isValidEmail,
+    sendVerificationEmail,
+} = require('../utils/emailVerification');
+const {
+    getActiveLock,
+    recordLoginFailure,
+    resetLoginFailures,
+    buildLockedResponseData,
+} = require('../utils/loginLockout');
 
 const router = express.Router();
 
-// 登录失败最大次数
-const MAX_FAILED_LOGIN = 5;
+// 密码重置令牌有效期（秒），默认30分钟
+const PASSWORD_RESET_EXPIRES_IN = parseInt(process.env.PASSWORD_RESET_EXPIRES_IN || '1800', 10);
+// 前端重置密码页面地址，邮件中的链接会附带 ?token=xxx
+const PASSWORD_RESET_URL =
+    process.env.PASSWORD_RESET_URL || `${process.env.FRONTEND_ORIGIN || 'http://localhost:3000'}/reset-password`;
+
+// 密码强度校验：至少8位，且同时包含字母和数字
+function isStrongPassword(password) {
+    if (typeof password !== 'string' || password.length < 8 || password.length > 128) {
+        return false;
+    }
+    return /[a-zA-Z]/.test(password) && /[0-9]/.test(password);
+}
+
+// 完成登录：建立登录会话（签发令牌并写入 Cookie），返回用户基础信息
+async function completeLogin(req, res, user, rememberMe, eventType = SECURITY_EVENTS.LOGIN, eventDetail = null) {
+    const { csrfToken } = await startLoginSession(req, res, user, rememberMe, eventType, eventDetail);
+
+    // 返回用户基础信息和 CSRF 令牌，Access Token 不需要在 body 中返回
+    return success(
+        res,
+        MESSAGE_CODES.LOGIN_SUCCESS,
+        {
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                role: user.role,
+            },
+            csrf_token: csrfToken,
+        },
+    );
+}
 
 /**
  * @swagger
@@ -72,11 +132,13 @@ const MAX_FAILED_LOGIN = 5;
  *         description: 参数错误
  *       409:
  *         description: 用户名或邮箱已存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
  *       500:
  *         description: 服务器内部错误
  */
 // 注册接口 POST /api/register
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('auth'), async (req, res) => {
     try {
         const { username, email, password, nickName, avatarUrl } = req.body || {};
 
@@ -84,6 +146,10 @@ router.post('/register', async (req, res) => {
             return fail(res, MESSAGE_CODES.USERNAME_OR_EMAIL_REQUIRED);
         }
 
+        if (!isValidEmail(email)) {
+            return fail(res, MESSAGE_CODES.INVALID_EMAIL_FORMAT);
+        }
+
         // 检查用户名或邮箱是否已存在
         const existedUsers = await query(
             `
@@ -108,19 +174,33 @@ router.post('/register', async (req, res) => {
         // 加密密码
         const passwordHash = await bcrypt.hash(password, 10);
 
+        // 不要求验证邮箱时，注册即视为已验证
+        const requireVerification = EMAIL_VERIFICATION_POLICY !== 'off';
+
         // 写入数据库，默认角色 user、状态正常、未删除
         const result = await query(
             `
       INSERT INTO users
-        (username, email, password_hash, nick_name, avatar_url, role, status, failed_login_count, is_deleted, created_at, updated_at)
+        (username, email, password_hash, nick_name, avatar_url, role, status, failed_login_count, is_deleted, email_verified_at, created_at, updated_at)
       VALUES
-        (?, ?, ?, ?, ?, 'user', 1, 0, 0, NOW(), NOW())
+        (?, ?, ?, ?, ?, 'user', 1, 0, 0, ${requireVerification ? 'NULL' : 'NOW()'}, NOW(), NOW())
     `,
             [username, email, passwordHash, nickName || null, avatarUrl || null],
         );
 
         const newUserId = result.insertId;
 
+        await logSecurityEvent(req, SECURITY_EVENTS.REGISTER, { userId: newUserId });
+
+        if (requireVerification) {
+            // 发送失败不影响注册结果，用户可稍后重新发送验证邮件
+            try {
+                await sendVerificationEmail({ id: newUserId, username }, email);
+            } catch (mailErr) {
+                console.error('POST /api/register send verification email error:', mailErr);
+            }
+        }
+
         return success(
             res,
             MESSAGE_CODES.REGISTER_SUCCESS,
@@ -132,6 +212,7 @@ router.post('/register', async (req, res) => {
                     nick_name: nickName || null,
                     avatar_url: avatarUrl || null,
                     role: 'user',
+                    email_verified: !requireVerification,
                 },
             },
         );
@@ -150,6 +231,11 @@ router.post('/register', async (req, res) => {
  * /api/login:
  *   post:
  *     summary: 用户登录
+ *     description: |
+ *       未启用两步验证时，登录成功直接写入认证 Cookie，并在 data.csrf_token 中返回 CSRF 令牌。
+ *       之后的非 GET 请求需在 X-CSRF-Token 请求头中携带该令牌（同时写入 csrf_token Cookie）。
+ *       已启用两步验证时，不写入 Cookie，data 中返回 two_factor_required、challenge_token 和 expires_in，
+ *       前端需在有效期内调用 /api/login/2fa 提交验证码完成登录。
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -183,12 +269,14 @@ router.post('/register', async (req, res) => {
  *       401:
  *         description: 用户名或密码错误
  *       403:
- *         description: 账号被禁用或锁定
+ *         description: 账号被禁用或锁定（锁定时 data 包含 locked_until、retry_after，并返回 Retry-After 响应头）
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
  *       500:
  *         description: 服务器内部错误
  */
 // 登录接口 POST /api/login
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('auth'), rateLimit('login_account'), async (req, res) => {
     try {
         const { username, password, rememberMe } = req.body || {};
 
@@ -199,7 +287,7 @@ router.post('/login', async (req, res) => {
         // 查询用户（只支持用户名登录），排除软删除用户
         const users = await query(
             `
-      SELECT id, username, email, password_hash, role, status, failed_login_count, is_deleted
+      SELECT id, username, email, password_hash, role, status, locked_until, is_deleted, totp_enabled, email_verified_at, token_version
       FROM users
       WHERE username = ? LIMIT 1
     `,
@@ -210,102 +298,236 @@ router.post('/login', async (req, res) => {
 
         // 用户不存在或被软删除
         if (!user || user.is_deleted) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN, {
+                userId: user ? user.id : null,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { reason: user ? 'account_deleted' : 'user_not_found', username: String(username).slice(0, 64) },
+            });
             // 出于安全考虑，不暴露用户是否存在
             return fail(res, MESSAGE_CODES.USERNAME_OR_PASSWORD_ERROR);
         }
 
         // 账号禁用
         if (user.status === 0) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN, {
+                userId: user.id,
+                outcome: SECURITY_OUTCOMES.BLOCKED,
+                detail: { reason: 'account_disabled' },
+            });
             return fail(res, MESSAGE_CODES.ACCOUNT_DISABLED);
         }
 
-        // 登录失败次数达到上限，视为锁定
-        if (user.failed_login_count >= MAX_FAILED_LOGIN) {
-            return fail(res, MESSAGE_CODES.ACCOUNT_LOCKED);
+        // 锁定期内直接拒绝，锁定到期后自动解锁
+        const activeLock = getActiveLock(user);
+        if (activeLock) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN, {
+                userId: user.id,
+                outcome: SECURITY_OUTCOMES.BLOCKED,
+                detail: { reason: 'account_locked' },
+            });
+            return fail(res, MESSAGE_CODES.ACCOUNT_LOCKED, buildLockedResponseData(res, activeLock));
         }
 
         const passwordMatch = await bcrypt.compare(password, user.password_hash);
 
         if (!passwordMatch) {
-            // 密码错误，增加失败次数
-            await query(
-                `
-        UPDATE users
-        SET failed_login_count = failed_login_count + 1
-        WHERE id = ?
-      `,
-                [user.id],
-            );
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN, {
+                userId: user.id,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { reason: 'wrong_password' },
+            });
+
+            // 密码错误，增加失败次数，达到上限时锁定
+            const lock = await recordLoginFailure(user.id);
+            if (lock) {
+                await logSecurityEvent(req, SECURITY_EVENTS.ACCOUNT_LOCKED, {
+                    userId: user.id,
+                    outcome: SECURITY_OUTCOMES.BLOCKED,
+                    detail: { locked_until: lock.lockedUntil, retry_after: lock.retryAfter },
+                });
+                return fail(res, MESSAGE_CODES.ACCOUNT_LOCKED, buildLockedResponseData(res, lock));
+            }
 
             return fail(res, MESSAGE_CODES.USERNAME_OR_PASSWORD_ERROR);
         }
 
-        // 登录成功：重置失败次数，更新 last_login_at
-        await query(
+        // 邮箱验证策略为 block 时，未验证邮箱不允许登录（密码校验通过后才提示，避免暴露账号状态）
+        if (EMAIL_VERIFICATION_POLICY === 'block' && !user.email_verified_at) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN, {
+                userId: user.id,
+                outcome: SECURITY_OUTCOMES.BLOCKED,
+                detail: { reason: 'email_not_verified' },
+            });
+            return fail(res, MESSAGE_CODES.EMAIL_NOT_VERIFIED, { email: user.email });
+        }
+
+        const remember = !!rememberMe;
+
+        // 已启用两步验证：不设置 Cookie，返回短期挑战令牌，由 /api/login/2fa 完成登录
+        if (user.totp_enabled) {
+            const { challengeToken, expiresIn } = generateTwoFactorChallenge(user, remember);
+            return success(res, MESSAGE_CODES.TWO_FACTOR_REQUIRED, {
+                two_factor_required: true,
+                challenge_token: challengeToken,
+                expires_in: expiresIn,
+            });
+        }
+
+        return completeLogin(req, res, user, remember);
+    } catch (err) {
+        console.error('POST /api/login error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/2fa:
+ *   post:
+ *     summary: 两步验证登录（第二步）
+ *     description: |
+ *       提交 /api/login 返回的 challenge_token 以及认证器验证码（或恢复码），校验通过后写入认证 Cookie。
+ *       验证码错误会计入登录失败次数。
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: /api/login 返回的 challenge_token
+ *               code:
+ *                 type: string
+ *                 description: 6 位验证码（与 recoveryCode 二选一）
+ *               recoveryCode:
+ *                 type: string
+ *                 description: 恢复码（与 code 二选一）
+ *           example:
+ *             challengeToken: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: 登录成功
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+// 两步验证登录接口 POST /api/login/2fa
+router.post('/login/2fa', rateLimit('auth'), async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body || {};
+
+        if (!challengeToken) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+        if (!code && !recoveryCode) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_CODE_REQUIRED);
+        }
+
+        const challenge = verifyTwoFactorChallenge(challengeToken);
+        if (!challenge) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN_2FA, {
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { reason: 'challenge_invalid' },
+            });
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_CHALLENGE_INVALID);
+        }
+
+        const users = await query(
             `
-      UPDATE users
-      SET failed_login_count = 0,
-          last_login_at = NOW()
-      WHERE id = ?
+      SELECT id, username, email, role, status, locked_until, is_deleted, totp_secret, totp_enabled, token_version
+      FROM users
+      WHERE id = ? LIMIT 1
     `,
-            [user.id],
+            [challenge.userId],
         );
 
-        const payload = {
-            sub: user.id,
-            username: user.username,
-            role: user.role,
-        };
+        const user = users[0];
 
-        const accessToken = generateAccessToken(payload);
+        if (!user || user.is_deleted || !user.totp_enabled) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_CHALLENGE_INVALID);
+        }
 
-        const userAgent = req.headers['user-agent'] || '';
-        const ipAddress =
-            req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-            req.connection?.remoteAddress ||
-            req.ip ||
-            null;
+        if (user.status === 0) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN_2FA, {
+                userId: user.id,
+                outcome: SECURITY_OUTCOMES.BLOCKED,
+                detail: { reason: 'account_disabled' },
+            });
+            return fail(res, MESSAGE_CODES.ACCOUNT_DISABLED);
+        }
 
-        const remember = !!rememberMe;
+        const activeLock = getActiveLock(user);
+        if (activeLock) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN_2FA, {
+                userId: user.id,
+                outcome: SECURITY_OUTCOMES.BLOCKED,
+                detail: { reason: 'account_locked' },
+            });
+            return fail(res, MESSAGE_CODES.ACCOUNT_LOCKED, buildLockedResponseData(res, activeLock));
+        }
 
-        const { refreshTokenRaw } = await createAndStoreRefreshToken(
-            { id: user.id },
-            remember,
-            userAgent,
-            ipAddress,
-        );
+        const method = await verifySecondFactor(user, { code, recoveryCode });
+
+        if (!method) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN_2FA, {
+                userId: user.id,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { reason: 'code_invalid' },
+            });
+
+            // 验证码错误同样计入失败次数，防止暴力枚举验证码
+            const lock = await recordLoginFailure(user.id);
+            if (lock) {
+                await logSecurityEvent(req, SECURITY_EVENTS.ACCOUNT_LOCKED, {
+                    userId: user.id,
+                    outcome: SECURITY_OUTCOMES.BLOCKED,
+                    detail: { locked_until: lock.lockedUntil, retry_after: lock.retryAfter },
+                });
+                return fail(res, MESSAGE_CODES.ACCOUNT_LOCKED, buildLockedResponseData(res, lock));
+            }
 
-        // 设置 Cookie（仅 Cookie 模式）
-        setAuthCookies(res, accessToken, refreshTokenRaw, {
-            rememberMe: remember,
-        });
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_CODE_INVALID);
+        }
 
-        // 返回用户基础信息，Access Token 不需要在 body 中返回
-        return success(
-            res,
-            MESSAGE_CODES.LOGIN_SUCCESS,
-            {
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email,
-                    role: user.role,
-                },
-            },
-        );
+        return completeLogin(req, res, user, challenge.rememberMe, SECURITY_EVENTS.LOGIN_2FA, { method });
     } catch (err) {
-        console.error('POST /api/login error:', err);
+        console.error('POST /api/login/2fa error:', err);
         return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
     }
 });
 
+/**
+ * @swagger
+ * /api/csrf-token:
+ *   get:
+ *     summary: 获取 CSRF 令牌
+ *     description: |
+ *       为当前会话重新签发 CSRF 令牌（与认证 Cookie 绑定，只对当前会话有效），写入 csrf_token Cookie 并在 data.csrf_token 中返回。
+ *       登录和刷新令牌时会自动签发；页面刷新后无法读取令牌，或接口返回 CSRF_TOKEN_INVALID 时可调用此接口获取。
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/csrf-token', (req, res) => {
+    const csrfToken = setCsrfCookie(res, getCsrfSessionToken(req));
+    return success(res, MESSAGE_CODES.GET_SUCCESS, { csrf_token: csrfToken });
+});
+
 /**
  * @swagger
  * /api/logout:
  *   post:
  *     summary: 用户登出
  *     tags: [Auth]
- *     description: 清除 Cookie 中的访问令牌和刷新令牌
+ *     description: 撤销当前会话的访问令牌和刷新令牌（访问令牌立即失效），并清除 Cookie
  *     responses:
  *       200:
  *         description: 登出成功
@@ -316,8 +538,14 @@ router.post('/logout', async (req, res) => {
         const refreshTokenRaw = req.cookies?.refresh_token;
 
         // 无论是否存在，均尝试撤销并清除 Cookie，防止暴露 token 状态
+        let userId = null;
         if (refreshTokenRaw) {
-            await revokeRefreshToken(refreshTokenRaw);
+            userId = await revokeRefreshToken(refreshTokenRaw);
+        }
+        await revokeAccessToken(req.cookies?.access_token);
+
+        if (userId) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGOUT, { userId });
         }
 
         clearAuthCookies(res);
@@ -330,6 +558,42 @@ router.post('/logout', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/logout-all:
+ *   post:
+ *     summary: 退出全部设备
+ *     tags: [Auth]
+ *     description: |
+ *       撤销当前用户全部会话的刷新令牌，并使已签发的全部访问令牌立即失效（包括当前设备），同时清除 Cookie。
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 登出成功，data.revoked 为被撤销的刷新令牌数量
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+// 退出全部设备接口 POST /api/logout-all
+router.post('/logout-all', authMiddleware, requireSessionAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const revoked = await revokeUserRefreshTokens(userId);
+        await bumpTokenVersion(userId);
+        await logSecurityEvent(req, SECURITY_EVENTS.LOGOUT_ALL, { userId, detail: { revoked } });
+
+        clearAuthCookies(res);
+
+        return success(res, MESSAGE_CODES.LOGOUT_SUCCESS, { revoked });
+    } catch (err) {
+        console.error('POST /api/logout-all error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
 /**
  * @swagger
  * /api/refresh-token:
@@ -337,6 +601,8 @@ router.post('/logout', async (req, res) => {
  *     summary: 使用 Refresh Token 刷新 Access Token
  *     description: |
  *       从 HttpOnly Cookie 中读取 refresh_token，校验未过期且未撤销后，签发新的访问令牌（access_token）写入 Cookie。
+ *       每次刷新都会轮换 refresh_token：旧令牌立即失效，新令牌写回 Cookie。
+ *       若已轮换的旧令牌被再次使用，视为令牌泄露，该次登录产生的全部令牌都会被撤销，需重新登录。
  *       不返回 token 字符串，仅通过 Cookie 续期。前端收到 200 即视为刷新成功。
  *     tags: [Auth]
  *     responses:
@@ -355,53 +621,65 @@ router.post('/refresh-token', async (req, res) => {
             return httpError(res, 401, MESSAGE_CODES.UNAUTHORIZED, null, '未认证：缺少刷新令牌');
         }
 
-        const tokenHash = hashToken(refreshTokenRaw);
+        const userAgent = req.headers['user-agent'] || '';
+        const ipAddress = getClientIp(req);
 
-        const rows = await query(
-            `
-      SELECT
-        urt.user_id,
-        urt.remember_me,
-        urt.expires_at,
-        urt.revoked,
-        u.username,
-        u.role
-      FROM user_refresh_tokens urt
-      JOIN users u ON urt.user_id = u.id
-      WHERE urt.token_hash = ?
-      LIMIT 1
-    `,
-            [tokenHash],
+        const { status, record, refreshTokenRaw: newRefreshTokenRaw } = await rotateRefreshToken(
+            refreshTokenRaw,
+            userAgent,
+            ipAddress,
         );
 
-        const record = rows[0];
+        if (status !== 'ok') {
+            await logSecurityEvent(req, SECURITY_EVENTS.TOKEN_REFRESH, {
+                userId: record ? record.user_id : null,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { reason: status, family_id: record ? record.family_id : null },
+            });
+        }
 
-        if (!record || record.revoked) {
+        if (status === 'reused') {
+            // 已轮换的令牌被再次使用，说明令牌可能被盗用，整个家族已撤销，需重新登录
+            console.error(`POST /api/refresh-token: refresh token reuse detected, user_id=${record.user_id}, family_id=${record.family_id}`);
             clearAuthCookies(res);
-            return httpError(res, 401, MESSAGE_CODES.UNAUTHORIZED, null, '未认证或刷新令牌无效');
+            return httpError(res, 401, MESSAGE_CODES.REFRESH_TOKEN_REUSED);
+        }
+
+        if (status === 'disabled') {
+            clearAuthCookies(res);
+            return httpError(res, 401, MESSAGE_CODES.ACCOUNT_DISABLED);
         }
 
-        const now = new Date();
-        const expiresAt = new Date(record.expires_at);
-        if (expiresAt <= now) {
+        if (status === 'expired') {
             clearAuthCookies(res);
             return httpError(res, 401, MESSAGE_CODES.UNAUTHORIZED, null, '刷新令牌已过期');
         }
 
+        if (status !== 'ok') {
+            clearAuthCookies(res);
+            return httpError(res, 401, MESSAGE_CODES.UNAUTHORIZED, null, '未认证或刷新令牌无效');
+        }
+
         const payload = {
             sub: record.user_id,
             username: record.username,
             role: record.role,
+            tv: record.token_version,
         };
 
         const newAccessToken = generateAccessToken(payload);
 
-        // 只需刷新 access_token，refresh_token 原样保留在 Cookie 和数据库中
-        setAuthCookies(res, newAccessToken, refreshTokenRaw, {
+        // access_token 与 refresh_token 同时更新，旧的 refresh_token 已失效；同时签发新的 CSRF 令牌
+        const csrfToken = setAuthCookies(res, newAccessToken, newRefreshTokenRaw, {
             rememberMe: !!record.remember_me,
         });
 
-        return success(res, MESSAGE_CODES.SUCCESS);
+        await logSecurityEvent(req, SECURITY_EVENTS.TOKEN_REFRESH, {
+            userId: record.user_id,
+            detail: { family_id: record.family_id },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS, { csrf_token: csrfToken });
     } catch (err) {
         console.error('POST /api/refresh-token error:', err);
         return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
@@ -413,6 +691,7 @@ router.post('/refresh-token', async (req, res) => {
  * /api/profile:
  *   get:
  *     summary: 获取当前登录用户信息
+ *     description: data.user.permissions 为当前角色拥有的权限编码，前端可据此控制后台菜单的显示
  *     tags: [Auth]
  *     security:
  *       - cookieAuth: []
@@ -427,12 +706,12 @@ router.post('/refresh-token', async (req, res) => {
  *         description: 服务器内部错误
  */
 // 一个示例受保护接口，包含角色判断（例如只允许 admin 访问）
-router.get('/profile', authMiddleware, async (req, res) => {
+router.get('/profile', authMiddleware, requireScope('profile:read'), async (req, res) => {
     // console.log('GET /api/profile', req);
     try {
         const users = await query(
             `
-      SELECT id, username, email, nick_name, avatar_url, role
+      SELECT id, username, email, nick_name, avatar_url, role, email_verified_at, pending_email
       FROM users
       WHERE id = ? AND is_deleted = 0
       LIMIT 1
@@ -440,17 +719,23 @@ router.get('/profile', authMiddleware, async (req, res) => {
             [req.user.id],
         );
 
-        const user = users[0];
+        const row = users[0];
 
-        if (!user) {
+        if (!row) {
             return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
         }
 
+        const { email_verified_at, ...user } = row;
+
         return success(
             res,
             MESSAGE_CODES.GET_SUCCESS,
             {
-                user,
+                user: {
+                    ...user,
+                    email_verified: !!email_verified_at,
+                    permissions: await getRolePermissions(user.role),
+                },
             },
         );
     } catch (err) {
@@ -464,6 +749,9 @@ router.get('/profile', authMiddleware, async (req, res) => {
  * /api/profile/update:
  *   post:
  *     summary: 修改当前登录用户的个人信息
+ *     description: |
+ *       修改邮箱时（邮箱验证策略未关闭），新邮箱不会立即生效，而是记为 pending_email 并发送验证邮件，
+ *       用户通过 /api/email/verify 完成验证后才会替换当前邮箱。
  *     tags: [Auth]
  *     security:
  *       - cookieAuth: []
@@ -523,6 +811,9 @@ router.get('/profile', authMiddleware, async (req, res) => {
  *                           type: string
  *                         role:
  *                           type: string
+ *                         pending_email:
+ *                           type: string
+ *                           description: 待验证的新邮箱
  *       400:
  *         description: 请求参数错误（如邮箱格式不正确）
  *       401:
@@ -535,7 +826,7 @@ router.get('/profile', authMiddleware, async (req, res) => {
  *         description: 服务器内部错误
  */
 // 修改个人信息接口 POST /api/profile/update
-router.post('/profile/update', authMiddleware, async (req, res) => {
+router.post('/profile/update', authMiddleware, requireSessionAuth, async (req, res) => {
     try {
         const { username, email, nickName, avatarUrl } = req.body || {};
         const userId = req.user.id;
@@ -546,11 +837,8 @@ router.post('/profile/update', authMiddleware, async (req, res) => {
         }
 
         // 验证邮箱格式（如果提供了邮箱）
-        if (email) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(email)) {
-                return fail(res, MESSAGE_CODES.INVALID_EMAIL_FORMAT);
-            }
+        if (email && !isValidEmail(email)) {
+            return fail(res, MESSAGE_CODES.INVALID_EMAIL_FORMAT);
         }
 
         // 验证用户名格式（如果提供了用户名）
@@ -624,9 +912,18 @@ router.post('/profile/update', authMiddleware, async (req, res) => {
             updateFields.push('username = ?');
             updateValues.push(username);
         }
-        if (email) {
-            updateFields.push('email = ?');
+        // 修改邮箱需重新验证：新邮箱先记为待验证，验证通过后才替换当前邮箱
+        const emailChanged = !!email && email !== currentUser.email;
+        const requireEmailVerification = EMAIL_VERIFICATION_POLICY !== 'off';
+        if (emailChanged && requireEmailVerification) {
+            updateFields.push('pending_email = ?');
+            updateValues.push(email);
+        } else if (emailChanged) {
+            updateFields.push('email = ?', 'pending_email = NULL');
             updateValues.push(email);
+        } else if (email) {
+            // 改回当前邮箱，取消未完成的邮箱修改
+            updateFields.push('pending_email = NULL');
         }
         if (nickName !== undefined) {
             updateFields.push('nick_name = ?');
@@ -651,10 +948,14 @@ router.post('/profile/update', authMiddleware, async (req, res) => {
             updateValues,
         );
 
+        if (emailChanged && requireEmailVerification) {
+            await sendVerificationEmail(currentUser, email);
+        }
+
         // 查询更新后的用户信息
         const updatedUsers = await query(
             `
-      SELECT id, username, email, nick_name, avatar_url, role
+      SELECT id, username, email, nick_name, avatar_url, role, pending_email
       FROM users
       WHERE id = ? AND is_deleted = 0
       LIMIT 1
@@ -685,6 +986,344 @@ router.post('/profile/update', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/password/change:
+ *   post:
+ *     summary: 修改当前登录用户的密码
+ *     description: |
+ *       校验当前密码后设置新密码，并撤销该用户除当前会话外的所有 Refresh Token，
+ *       其他设备上已签发的 Access Token 立即失效，需重新登录；当前会话会换发新的 Access Token。
+ *     tags: [Auth]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: 当前密码
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: 新密码（至少8位，需包含字母和数字）
+ *           example:
+ *             currentPassword: P@ssw0rd
+ *             newPassword: N3wP@ssw0rd
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+// 修改密码接口 POST /api/password/change
+router.post('/password/change', authMiddleware, requireSessionAuth, rateLimit('auth'), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        const userId = req.user.id;
+
+        if (!currentPassword || !newPassword) {
+            return fail(res, MESSAGE_CODES.PASSWORD_FIELDS_REQUIRED);
+        }
+
+        if (!isStrongPassword(newPassword)) {
+            return fail(res, MESSAGE_CODES.PASSWORD_TOO_WEAK);
+        }
+
+        const users = await query(
+            `
+      SELECT id, password_hash, is_deleted
+      FROM users
+      WHERE id = ? LIMIT 1
+    `,
+            [userId],
+        );
+
+        const user = users[0];
+
+        if (!user || user.is_deleted) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        const passwordMatch = await bcrypt.compare(currentPassword, user.password_hash);
+        if (!passwordMatch) {
+            await logSecurityEvent(req, SECURITY_EVENTS.PASSWORD_CHANGE, {
+                userId,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { reason: 'wrong_password' },
+            });
+            return fail(res, MESSAGE_CODES.CURRENT_PASSWORD_ERROR);
+        }
+
+        if (currentPassword === newPassword) {
+            return fail(res, MESSAGE_CODES.PASSWORD_SAME_AS_OLD);
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+
+        await query(
+            `
+      UPDATE users
+      SET password_hash = ?, updated_at = NOW()
+      WHERE id = ?
+    `,
+            [passwordHash, userId],
+        );
+
+        // 保留当前会话，撤销其他所有设备上的 Refresh Token
+        const refreshTokenRaw = req.cookies?.refresh_token;
+        await revokeUserRefreshTokens(userId, {
+            exceptTokenHash: refreshTokenRaw ? hashToken(refreshTokenRaw) : null,
+        });
+
+        // 其他设备的 Access Token 立即失效，当前会话换发新的 Access Token
+        const tokenVersion = await bumpTokenVersion(userId);
+        reissueAccessToken(res, req.user, tokenVersion);
+
+        await logSecurityEvent(req, SECURITY_EVENTS.PASSWORD_CHANGE, { userId });
+
+        return success(res, MESSAGE_CODES.PASSWORD_CHANGE_SUCCESS);
+    } catch (err) {
+        console.error('POST /api/password/change error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/password/reset/request:
+ *   post:
+ *     summary: 申请重置密码（发送重置邮件）
+ *     description: |
+ *       根据邮箱生成一次性重置令牌并通过邮件发送重置链接。
+ *       出于安全考虑，无论邮箱是否注册均返回相同结果。
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: 注册邮箱
+ *           example:
+ *             email: test@example.com
+ *     responses:
+ *       200:
+ *         description: 已受理
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+// 申请重置密码接口 POST /api/password/reset/request
+router.post('/password/reset/request', rateLimit('auth'), async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        if (!email) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const users = await query(
+            `
+      SELECT id, username, email, status
+      FROM users
+      WHERE email = ? AND is_deleted = 0
+      LIMIT 1
+    `,
+            [email],
+        );
+
+        const user = users[0];
+
+        // 用户不存在或被禁用时同样返回成功，不暴露邮箱是否注册
+        if (!user || user.status === 0) {
+            return success(res, MESSAGE_CODES.PASSWORD_RESET_REQUESTED);
+        }
+
+        // 作废该用户之前未使用的重置令牌，保证同一时间只有一个有效链接
+        await query(
+            `
+      UPDATE password_reset_tokens
+      SET used_at = NOW()
+      WHERE user_id = ? AND used_at IS NULL
+    `,
+            [user.id],
+        );
+
+        const tokenRaw = generateSecureToken();
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRES_IN * 1000);
+
+        await query(
+            `
+      INSERT INTO password_reset_tokens
+        (user_id, token_hash, ip_address, expires_at)
+      VALUES
+        (?, ?, ?, ?)
+    `,
+            [user.id, hashToken(tokenRaw), getClientIp(req), expiresAt],
+        );
+
+        await logSecurityEvent(req, SECURITY_EVENTS.PASSWORD_RESET_REQUEST, { userId: user.id });
+
+        const resetLink = `${PASSWORD_RESET_URL}?token=${tokenRaw}`;
+        const expiresInMinutes = Math.round(PASSWORD_RESET_EXPIRES_IN / 60);
+
+        await sendMail({
+            to: user.email,
+            subject: 'Finsmart 重置密码',
+            text: [
+                `${user.username}，您好：`,
+                '',
+                '我们收到了重置您 Finsmart 账号密码的请求，请点击以下链接设置新密码：',
+                resetLink,
+                '',
+                `链接将在 ${expiresInMinutes} 分钟后失效，且只能使用一次。`,
+                '如果这不是您本人的操作，请忽略本邮件。',
+            ].join('\n'),
+        });
+
+        return success(res, MESSAGE_CODES.PASSWORD_RESET_REQUESTED);
+    } catch (err) {
+        console.error('POST /api/password/reset/request error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/password/reset/confirm:
+ *   post:
+ *     summary: 使用重置令牌设置新密码
+ *     description: |
+ *       校验邮件中的一次性令牌（未使用且未过期）后设置新密码，
+ *       同时清除登录失败次数和锁定状态，并撤销该用户的全部 Refresh Token。
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 邮件中的重置令牌
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: 新密码（至少8位，需包含字母和数字）
+ *     responses:
+ *       200:
+ *         description: 重置成功
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+// 确认重置密码接口 POST /api/password/reset/confirm
+router.post('/password/reset/confirm', rateLimit('auth'), async (req, res) => {
+    try {
+        const { token, newPassword } = req.body || {};
+
+        if (!token || !newPassword) {
+            return fail(res, MESSAGE_CODES.PASSWORD_FIELDS_REQUIRED);
+        }
+
+        if (!isStrongPassword(newPassword)) {
+            return fail(res, MESSAGE_CODES.PASSWORD_TOO_WEAK);
+        }
+
+        const tokenHash = hashToken(String(token));
+
+        const rows = await query(
+            `
+      SELECT prt.id, prt.user_id, prt.expires_at, prt.used_at, u.is_deleted, u.status
+      FROM password_reset_tokens prt
+      JOIN users u ON prt.user_id = u.id
+      WHERE prt.token_hash = ?
+      LIMIT 1
+    `,
+            [tokenHash],
+        );
+
+        const resetToken = rows[0];
+
+        if (
+            !resetToken ||
+            resetToken.used_at ||
+            new Date(resetToken.expires_at) <= new Date() ||
+            resetToken.is_deleted ||
+            resetToken.status === 0
+        ) {
+            await logSecurityEvent(req, SECURITY_EVENTS.PASSWORD_RESET, {
+                userId: resetToken ? resetToken.user_id : null,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { reason: 'token_invalid' },
+            });
+            return fail(res, MESSAGE_CODES.RESET_TOKEN_INVALID);
+        }
+
+        // 先标记令牌已使用（带条件更新，防止并发重复使用）
+        const consumeResult = await query(
+            `
+      UPDATE password_reset_tokens
+      SET used_at = NOW()
+      WHERE id = ? AND used_at IS NULL
+    `,
+            [resetToken.id],
+        );
+
+        if (!consumeResult.affectedRows) {
+            return fail(res, MESSAGE_CODES.RESET_TOKEN_INVALID);
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+
+        await query(
+            `
+      UPDATE users
+      SET password_hash = ?, password_set = 1, updated_at = NOW()
+      WHERE id = ?
+    `,
+            [passwordHash, resetToken.user_id],
+        );
+        await resetLoginFailures(resetToken.user_id);
+
+        // 密码已重置，所有设备需重新登录
+        await revokeUserRefreshTokens(resetToken.user_id);
+        await bumpTokenVersion(resetToken.user_id);
+
+        await logSecurityEvent(req, SECURITY_EVENTS.PASSWORD_RESET, { userId: resetToken.user_id });
+
+        return success(res, MESSAGE_CODES.PASSWORD_RESET_SUCCESS);
+    } catch (err) {
+        console.error('POST /api/password/reset/confirm error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
 /**
  * @swagger
  * /api/admin-only:
@@ -702,7 +1341,7 @@ router.post('/profile/update', authMiddleware, async (req, res) => {
  *         description: 无访问权限
  */
 // 示例：仅 admin 角色可访问的接口
-router.get('/admin-only', authMiddleware, requireRole('admin'), (req, res) => {
+router.get('/admin-only', authMiddleware, requireSessionAuth, requireRole('admin'), (req, res) => {
     return success(res, MESSAGE_CODES.SUCCESS, null, '欢迎，管理员');
 });
 
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 
-const { authMiddleware } = require('../middlewares/auth');
+const { authMiddleware, requireScope } = require('../middlewares/auth');
 const { query } = require('../config/database');
 const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
 
 // 所有分类接口均需要登录
 router.use(authMiddleware);
@@ -37,7 +38,7 @@ router.use(authMiddleware);
  *       500:
  *         description: 服务器内部错误
  */
-router.get('/categories', async (req, res) => {
+router.get('/categories', requireScope('categories:read'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { type_id } = req.query || {};
@@ -108,6 +109,9 @@ router.get('/categories', async (req, res) => {
  *               sort_order:
  *                 type: integer
  *                 description: 排序值
+ *               is_system:
+ *                 type: integer
+ *                 description: 是否创建为系统分类（所有用户可见，需 categories:system:edit 权限）
  *           example:
  *             name: 餐饮
  *             type_id: 1
@@ -122,10 +126,12 @@ router.get('/categories', async (req, res) => {
  *         description: 参数错误
  *       401:
  *         description: 未认证
+ *       403:
+ *         description: 无访问权限（创建系统分类需 categories:system:edit 权限）
  *       500:
  *         description: 服务器内部错误
  */
-router.post('/categories', async (req, res) => {
+router.post('/categories', requireScope('categories:write'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { name, type_id, parent_id, icon, color, sort_order, is_system } = req.body || {};
@@ -134,6 +140,12 @@ router.post('/categories', async (req, res) => {
             return fail(res, MESSAGE_CODES.CATEGORY_REQUIRED_FIELDS);
         }
 
+        // 系统分类不属于任何用户，仅拥有 categories:system:edit 权限的用户可以创建
+        const isSystem = Number(is_system) === 1;
+        if (isSystem && !(await hasPermission(req.user, PERMISSIONS.CATEGORIES_SYSTEM_EDIT))) {
+            return httpError(res, 403, MESSAGE_CODES.FORBIDDEN);
+        }
+
         try {
             const result = await query(
                 `
@@ -142,7 +154,7 @@ router.post('/categories', async (req, res) => {
         VALUES
           (?, ?, ?, ?, ?, ?, ?, ?, 0, NOW(), NOW())
       `,
-                [userId, type_id, name, parent_id || null, icon || null, color || null, sort_order || 0, is_system || 0],
+                [isSystem ? null : userId, type_id, name, parent_id || null, icon || null, color || null, sort_order || 0, isSystem ? 1 : 0],
             );
 
             const id = result.insertId;
@@ -186,27 +198,32 @@ router.post('/categories', async (req, res) => {
  *                 type: string
  *               sort_order:
  *                 type: integer
+ *               is_system:
+ *                 type: integer
+ *                 description: 是否系统分类（需 categories:system:edit 权限）
  *     responses:
  *       200:
  *         description: 修改成功
  *       401:
  *         description: 未认证
+ *       403:
+ *         description: 无访问权限（修改系统分类需 categories:system:edit 权限）
  *       404:
  *         description: 分类不存在
  *       500:
  *         description: 服务器内部错误
  */
-router.put('/categories/update', async (req, res) => {
+router.put('/categories/update', requireScope('categories:write'), async (req, res) => {
     try {
         const userId = req.user.id;
-        const { id, name, parent_id, icon, color, sort_order, is_system = 0 } = req.body || {};
+        const { id, name, parent_id, icon, color, sort_order, is_system } = req.body || {};
         const categoryId = Number(id);
 
         if (!categoryId) {
             return fail(res, MESSAGE_CODES.INVALID_PARAMS);
         }
 
-        // 只能修改当前用户的自定义分类或系统分类（可根据业务限制）
+        // 只能修改当前用户的自定义分类；系统分类需要 categories:system:edit 权限
         const rows = await query(
             `
       SELECT id, user_id, is_system, is_deleted
@@ -222,6 +239,13 @@ router.put('/categories/update', async (req, res) => {
             return fail(res, MESSAGE_CODES.CATEGORY_NOT_FOUND);
         }
 
+        if (
+            (!category.user_id || is_system !== undefined) &&
+            !(await hasPermission(req.user, PERMISSIONS.CATEGORIES_SYSTEM_EDIT))
+        ) {
+            return httpError(res, 403, MESSAGE_CODES.FORBIDDEN);
+        }
+
         const updateFields = [];
         const updateValues = [];
 
@@ -276,7 +300,7 @@ router.put('/categories/update', async (req, res) => {
  * @swagger
  * /api/categories/delete:
  *   delete:
- *     summary: 删除分类（软删除，分类ID通过 body 传入）
+ *     summary: 删除分类（软删除，移入回收站，分类ID通过 body 传入）
  *     tags: [Categories]
  *     security:
  *       - cookieAuth: []
@@ -295,12 +319,14 @@ router.put('/categories/update', async (req, res) => {
  *         description: 删除成功
  *       401:
  *         description: 未认证
+ *       403:
+ *         description: 无访问权限（删除系统分类需 categories:system:edit 权限）
  *       404:
  *         description: 分类不存在
  *       500:
  *         description: 服务器内部错误
  */
-router.delete('/categories/delete', async (req, res) => {
+router.delete('/categories/delete', requireScope('categories:write'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { id } = req.body || {};
@@ -325,10 +351,15 @@ router.delete('/categories/delete', async (req, res) => {
             return fail(res, MESSAGE_CODES.CATEGORY_NOT_FOUND);
         }
 
+        // 删除系统分类需要 categories:system:edit 权限
+        if (!category.user_id && !(await hasPermission(req.user, PERMISSIONS.CATEGORIES_SYSTEM_EDIT))) {
+            return httpError(res, 403, MESSAGE_CODES.FORBIDDEN);
+        }
+
         await query(
             `
       UPDATE fs_categories
-      SET is_deleted = 1, updated_at = NOW()
+      SET is_deleted = 1, deleted_at = NOW(), updated_at = NOW()
       WHERE id = ?
     `,
             [categoryId],
@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+
+const { verifyEmailVerificationToken } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { query } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { logSecurityEvent, SECURITY_EVENTS } = require('../utils/securityEvents');
+const {
+    EMAIL_VERIFICATION_POLICY,
+    isValidEmail,
+    getResendWaitSeconds,
+    sendVerificationEmail,
+} = require('../utils/emailVerification');
+
+/**
+ * @swagger
+ * /api/email/verify:
+ *   post:
+ *     summary: 验证邮箱
+ *     description: |
+ *       提交验证邮件链接中的 token 完成邮箱验证。
+ *       如果是修改邮箱产生的验证，验证通过后新邮箱替换当前邮箱。
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 验证邮件中的 token
+ *     responses:
+ *       200:
+ *         description: 验证成功
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+// 验证邮箱接口 POST /api/email/verify
+router.post('/email/verify', rateLimit('auth'), async (req, res) => {
+    try {
+        const { token } = req.body || {};
+
+        if (!token) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const payload = verifyEmailVerificationToken(String(token));
+        if (!payload) {
+            return fail(res, MESSAGE_CODES.EMAIL_VERIFICATION_TOKEN_INVALID);
+        }
+
+        const users = await query(
+            `
+      SELECT id, email, pending_email, email_verified_at, is_deleted
+      FROM users
+      WHERE id = ? LIMIT 1
+    `,
+            [payload.userId],
+        );
+
+        const user = users[0];
+
+        if (!user || user.is_deleted) {
+            return fail(res, MESSAGE_CODES.EMAIL_VERIFICATION_TOKEN_INVALID);
+        }
+
+        // 修改邮箱：令牌中的邮箱必须与当前待验证邮箱一致（再次修改后旧链接自动失效）
+        if (user.pending_email && payload.email === user.pending_email) {
+            const existedUsers = await query(
+                `
+        SELECT id
+        FROM users
+        WHERE email = ? AND id != ? AND is_deleted = 0
+        LIMIT 1
+      `,
+                [user.pending_email, user.id],
+            );
+
+            if (existedUsers[0]) {
+                return fail(res, MESSAGE_CODES.EMAIL_EXISTS);
+            }
+
+            await query(
+                `
+        UPDATE users
+        SET email = pending_email, pending_email = NULL, email_verified_at = NOW(), updated_at = NOW()
+        WHERE id = ?
+      `,
+                [user.id],
+            );
+
+            await logSecurityEvent(req, SECURITY_EVENTS.EMAIL_VERIFY, {
+                userId: user.id,
+                detail: { email_changed: true },
+            });
+
+            return success(res, MESSAGE_CODES.EMAIL_VERIFIED, { email: payload.email });
+        }
+
+        // 注册邮箱验证
+        if (payload.email === user.email) {
+            if (!user.email_verified_at) {
+                await query(
+                    `
+          UPDATE users
+          SET email_verified_at = NOW(), updated_at = NOW()
+          WHERE id = ?
+        `,
+                    [user.id],
+                );
+
+                await logSecurityEvent(req, SECURITY_EVENTS.EMAIL_VERIFY, {
+                    userId: user.id,
+                    detail: { email_changed: false },
+                });
+            }
+
+            return success(res, MESSAGE_CODES.EMAIL_VERIFIED, { email: payload.email });
+        }
+
+        return fail(res, MESSAGE_CODES.EMAIL_VERIFICATION_TOKEN_INVALID);
+    } catch (err) {
+        console.error('POST /api/email/verify error:', err);
+        if (err && err.code === 'ER_DUP_ENTRY') {
+            return fail(res, MESSAGE_CODES.EMAIL_EXISTS);
+        }
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/email/verify/resend:
+ *   post:
+ *     summary: 重新发送邮箱验证邮件
+ *     description: |
+ *       根据邮箱（注册邮箱或待验证的新邮箱）重新发送验证邮件，同一用户两次发送之间有最小间隔。
+ *       出于安全考虑，邮箱未注册或已验证时同样返回成功。
+ *       发送过于频繁时返回失败，data.retry_after 为需等待的秒数。
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *           example:
+ *             email: test@example.com
+ *     responses:
+ *       200:
+ *         description: 已受理
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+// 重新发送验证邮件接口 POST /api/email/verify/resend
+router.post('/email/verify/resend', rateLimit('auth'), async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        if (!isValidEmail(email)) {
+            return fail(res, MESSAGE_CODES.INVALID_EMAIL_FORMAT);
+        }
+
+        if (EMAIL_VERIFICATION_POLICY === 'off') {
+            return success(res, MESSAGE_CODES.EMAIL_VERIFICATION_SENT);
+        }
+
+        const users = await query(
+            `
+      SELECT id, username, email, pending_email, email_verified_at, email_verification_sent_at
+      FROM users
+      WHERE (email = ? OR pending_email = ?) AND is_deleted = 0
+      LIMIT 1
+    `,
+            [email, email],
+        );
+
+        const user = users[0];
+
+        // 确定需要验证的地址：待验证的新邮箱，或尚未验证的注册邮箱
+        let targetEmail = null;
+        if (user && user.pending_email === email) {
+            targetEmail = user.pending_email;
+        } else if (user && user.email === email && !user.email_verified_at) {
+            targetEmail = user.email;
+        }
+
+        if (!targetEmail) {
+            return success(res, MESSAGE_CODES.EMAIL_VERIFICATION_SENT);
+        }
+
+        const waitSeconds = getResendWaitSeconds(user);
+        if (waitSeconds > 0) {
+            res.set('Retry-After', String(waitSeconds));
+            return fail(res, MESSAGE_CODES.EMAIL_VERIFICATION_TOO_FREQUENT, { retry_after: waitSeconds });
+        }
+
+        await sendVerificationEmail(user, targetEmail);
+
+        return success(res, MESSAGE_CODES.EMAIL_VERIFICATION_SENT);
+    } catch (err) {
+        console.error('POST /api/email/verify/resend error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
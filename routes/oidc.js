@@ -0,0 +1,639 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const router = express.Router();
+
+const {
+    authMiddleware,
+    requireSessionAuth,
+    generateTwoFactorChallenge,
+    generateSecureToken,
+    hashToken,
+} = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { query } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { logSecurityEvent, SECURITY_EVENTS, SECURITY_OUTCOMES } = require('../utils/securityEvents');
+const { getActiveLock } = require('../utils/loginLockout');
+const { startLoginSession } = require('../utils/loginSession');
+const { EMAIL_VERIFICATION_POLICY, sendVerificationEmail } = require('../utils/emailVerification');
+const {
+    getOidcProviders,
+    getOidcProvider,
+    generateAuthorizationParams,
+    buildAuthorizationUrl,
+    exchangeCodeForIdentity,
+} = require('../utils/oidc');
+
+// 授权请求有效期（秒），默认10分钟
+const OIDC_AUTH_REQUEST_EXPIRES_IN = parseInt(process.env.OIDC_AUTH_REQUEST_EXPIRES_IN || '600', 10);
+// 回调处理完成后跳转的前端页面，结果通过查询参数 status、error 传递
+const OIDC_RESULT_URL =
+    process.env.OIDC_RESULT_URL || `${process.env.FRONTEND_ORIGIN || 'http://localhost:3000'}/oauth/callback`;
+// 保存 state 的 Cookie：回调时校验与 state 一致，确保授权由当前浏览器发起，防止登录 CSRF
+const OIDC_STATE_COOKIE_NAME = 'oidc_state';
+const OIDC_STATE_COOKIE_PATH = '/api/oidc';
+
+// 管理已绑定身份的接口需要登录，且只能通过登录会话调用
+router.use('/oidc/identities', authMiddleware, requireSessionAuth);
+
+// 跳转到前端结果页；fragment 中的参数（如两步验证挑战令牌）不会发送到服务器或写入访问日志
+function redirectToResult(res, params, fragment = null) {
+    const url = new URL(OIDC_RESULT_URL);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, String(value)));
+    if (fragment) {
+        url.hash = new URLSearchParams(fragment).toString();
+    }
+    return res.redirect(302, url.toString());
+}
+
+function redirectWithError(res, error) {
+    return redirectToResult(res, { status: 'error', error });
+}
+
+// 将 state 写入短期 Cookie，有效期与授权请求一致
+function setStateCookie(res, state) {
+    res.cookie(OIDC_STATE_COOKIE_NAME, state, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax', // 身份提供方跳转回调属于顶级导航，lax 下 Cookie 会被发送
+        maxAge: OIDC_AUTH_REQUEST_EXPIRES_IN * 1000,
+        path: OIDC_STATE_COOKIE_PATH,
+    });
+}
+
+// 保存授权请求并将 state 写入 Cookie，返回授权地址
+async function createAuthorizationRequest(res, provider, { purpose, userId = null, rememberMe = false }) {
+    const params = generateAuthorizationParams();
+    const expiresAt = new Date(Date.now() + OIDC_AUTH_REQUEST_EXPIRES_IN * 1000);
+
+    // 顺带清理过期的授权请求
+    await query('DELETE FROM oidc_auth_requests WHERE expires_at < NOW()');
+    await query(
+        `
+      INSERT INTO oidc_auth_requests
+        (state_hash, provider, purpose, user_id, code_verifier, nonce, remember_me, expires_at)
+      VALUES
+        (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+        [
+            hashToken(params.state),
+            provider.name,
+            purpose,
+            userId,
+            params.codeVerifier,
+            params.nonce,
+            rememberMe ? 1 : 0,
+            expiresAt,
+        ],
+    );
+
+    setStateCookie(res, params.state);
+    return buildAuthorizationUrl(provider, params);
+}
+
+// 读取并消费授权请求（一次性），无效或过期时返回 null
+async function consumeAuthorizationRequest(state) {
+    const rows = await query(
+        `
+      SELECT id, provider, purpose, user_id, code_verifier, nonce, remember_me, expires_at, used_at
+      FROM oidc_auth_requests
+      WHERE state_hash = ?
+      LIMIT 1
+    `,
+        [hashToken(String(state))],
+    );
+
+    const authRequest = rows[0];
+    if (!authRequest || authRequest.used_at || new Date(authRequest.expires_at) <= new Date()) {
+        return null;
+    }
+
+    // 条件更新，防止同一 state 被并发重复使用
+    const result = await query(
+        `
+      UPDATE oidc_auth_requests
+      SET used_at = NOW()
+      WHERE id = ? AND used_at IS NULL
+    `,
+        [authRequest.id],
+    );
+
+    return result.affectedRows ? authRequest : null;
+}
+
+// 根据第三方身份信息生成可用的用户名（字母、数字、下划线，3-50位，已存在时追加随机后缀）
+async function generateUniqueUsername(identity) {
+    const source = identity.preferredUsername || (identity.email ? identity.email.split('@')[0] : '') || 'user';
+    let base = source.replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 40);
+    if (base.length < 3) {
+        base = `user_${base}`;
+    }
+
+    let candidate = base;
+    for (let i = 0; i < 5; i += 1) {
+        const rows = await query('SELECT id FROM users WHERE username = ? LIMIT 1', [candidate]);
+        if (!rows[0]) {
+            return candidate;
+        }
+        candidate = `${base}_${Math.floor(1000 + Math.random() * 9000)}`;
+    }
+    return `${base}_${generateSecureToken(4)}`;
+}
+
+// 第三方登录首次登录时创建用户（无可用密码）并绑定身份
+async function createUserFromIdentity(provider, identity) {
+    const username = await generateUniqueUsername(identity);
+    // 随机密码哈希，保证无法通过密码登录，直到用户通过重置密码流程设置密码
+    const passwordHash = await bcrypt.hash(generateSecureToken(), 10);
+    // 身份提供方已验证邮箱或不要求验证邮箱时，视为已验证
+    const emailVerified = identity.emailVerified || EMAIL_VERIFICATION_POLICY === 'off';
+
+    const result = await query(
+        `
+      INSERT INTO users
+        (username, email, password_hash, password_set, nick_name, avatar_url, role, status, failed_login_count, is_deleted, email_verified_at, created_at, updated_at)
+      VALUES
+        (?, ?, ?, 0, ?, NULL, 'user', 1, 0, 0, ${emailVerified ? 'NOW()' : 'NULL'}, NOW(), NOW())
+    `,
+        [username, identity.email, passwordHash, identity.name ? String(identity.name).slice(0, 50) : null],
+    );
+
+    const userId = result.insertId;
+
+    await query(
+        `
+      INSERT INTO user_identities (user_id, provider, subject, email, display_name)
+      VALUES (?, ?, ?, ?, ?)
+    `,
+        [userId, provider.name, identity.subject, identity.email, identity.name],
+    );
+
+    if (!emailVerified) {
+        try {
+            await sendVerificationEmail({ id: userId, username }, identity.email);
+        } catch (mailErr) {
+            console.error('GET /api/oidc/callback send verification email error:', mailErr);
+        }
+    }
+
+    return userId;
+}
+
+// 查询登录所需的用户字段
+async function findLoginUser(userId) {
+    const users = await query(
+        `
+      SELECT id, username, email, role, status, locked_until, is_deleted, totp_enabled, email_verified_at, token_version
+      FROM users
+      WHERE id = ? LIMIT 1
+    `,
+        [userId],
+    );
+    return users[0] || null;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: OIDC
+ *   description: 第三方身份提供方（OpenID Connect）登录与账号绑定相关接口
+ */
+
+/**
+ * @swagger
+ * /api/oidc/providers:
+ *   get:
+ *     summary: 获取可用的第三方登录方式
+ *     tags: [OIDC]
+ *     responses:
+ *       200:
+ *         description: 获取成功，data.list 为提供方数组（name、display_name）
+ */
+router.get('/oidc/providers', (req, res) => {
+    const list = getOidcProviders().map((p) => ({ name: p.name, display_name: p.displayName }));
+    return success(res, MESSAGE_CODES.GET_SUCCESS, { list });
+});
+
+/**
+ * @swagger
+ * /api/oidc/{provider}/login:
+ *   get:
+ *     summary: 使用第三方账号登录（跳转到身份提供方）
+ *     description: |
+ *       浏览器直接访问该地址，服务端生成 state、nonce 和 PKCE 参数后 302 跳转到身份提供方授权页，
+ *       state 同时写入 httpOnly Cookie（oidc_state），回调时校验，须在同一浏览器中完成授权。
+ *       授权完成后身份提供方回调 /api/oidc/callback，处理结果通过跳转到前端结果页（OIDC_RESULT_URL）返回：
+ *       - status=success：登录成功，认证 Cookie 已写入
+ *       - status=two_factor_required：需要两步验证，fragment 中的 challenge_token 用于调用 /api/login/2fa
+ *       - status=error&error=xxx：登录失败
+ *     tags: [OIDC]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 提供方名称（/api/oidc/providers 返回的 name）
+ *       - in: query
+ *         name: remember_me
+ *         schema:
+ *           type: boolean
+ *         description: 是否记住登录
+ *     responses:
+ *       302:
+ *         description: 跳转到身份提供方授权页
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.get('/oidc/:provider/login', rateLimit('auth'), async (req, res) => {
+    try {
+        const provider = getOidcProvider(req.params.provider);
+        if (!provider) {
+            return fail(res, MESSAGE_CODES.OIDC_PROVIDER_NOT_FOUND);
+        }
+
+        const rememberMe = ['1', 'true'].includes(String(req.query.remember_me));
+        const authorizationUrl = await createAuthorizationRequest(res, provider, { purpose: 'login', rememberMe });
+
+        return res.redirect(302, authorizationUrl);
+    } catch (err) {
+        console.error('GET /api/oidc/:provider/login error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/oidc/link:
+ *   post:
+ *     summary: 绑定第三方账号
+ *     description: |
+ *       为当前登录用户发起绑定，返回身份提供方授权地址，前端跳转到该地址完成授权。
+ *       state 同时写入 httpOnly Cookie（oidc_state），须在同一浏览器中完成授权。
+ *       回调处理完成后跳转到前端结果页，status=linked 表示绑定成功。
+ *     tags: [OIDC]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - provider
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 description: 提供方名称
+ *     responses:
+ *       200:
+ *         description: 获取成功，data.authorization_url 为授权地址
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/oidc/link', authMiddleware, requireSessionAuth, async (req, res) => {
+    try {
+        const { provider: providerName } = req.body || {};
+
+        const provider = getOidcProvider(providerName);
+        if (!provider) {
+            return fail(res, MESSAGE_CODES.OIDC_PROVIDER_NOT_FOUND);
+        }
+
+        const authorizationUrl = await createAuthorizationRequest(res, provider, {
+            purpose: 'link',
+            userId: req.user.id,
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS, { authorization_url: authorizationUrl });
+    } catch (err) {
+        console.error('POST /api/oidc/link error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/oidc/callback:
+ *   get:
+ *     summary: 身份提供方授权回调
+ *     description: |
+ *       由身份提供方跳转调用，校验 state（须与 oidc_state Cookie 一致）、用授权码和 PKCE code_verifier 换取令牌并校验 ID Token。
+ *       登录：已绑定的身份直接登录；未绑定且邮箱未被占用时自动注册；邮箱已被本地账号占用时需先用密码登录后再绑定。
+ *       处理结果通过跳转到前端结果页返回，error 取值：
+ *       invalid_state、access_denied、provider_error、email_required、account_exists、identity_in_use、
+ *       account_disabled、account_locked、account_unavailable、email_not_verified
+ *     tags: [OIDC]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: 跳转到前端结果页
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ */
+router.get('/oidc/callback', rateLimit('auth'), async (req, res) => {
+    try {
+        const { code, state, error } = req.query || {};
+
+        // state 必须与发起授权时写入 Cookie 的值一致，校验后清除 Cookie
+        const stateCookie = req.cookies?.[OIDC_STATE_COOKIE_NAME];
+        res.clearCookie(OIDC_STATE_COOKIE_NAME, { path: OIDC_STATE_COOKIE_PATH });
+        if (!state || typeof stateCookie !== 'string' || hashToken(stateCookie) !== hashToken(String(state))) {
+            return redirectWithError(res, 'invalid_state');
+        }
+
+        const authRequest = await consumeAuthorizationRequest(state);
+        if (!authRequest) {
+            return redirectWithError(res, 'invalid_state');
+        }
+
+        const provider = getOidcProvider(authRequest.provider);
+        if (!provider) {
+            return redirectWithError(res, 'invalid_state');
+        }
+
+        // 用户在身份提供方拒绝授权
+        if (error || !code) {
+            return redirectWithError(res, 'access_denied');
+        }
+
+        let identity;
+        try {
+            identity = await exchangeCodeForIdentity(provider, {
+                code: String(code),
+                codeVerifier: authRequest.code_verifier,
+                nonce: authRequest.nonce,
+            });
+        } catch (exchangeErr) {
+            console.error(`GET /api/oidc/callback exchange error, provider=${provider.name}:`, exchangeErr);
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN_OIDC, {
+                userId: authRequest.user_id,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { provider: provider.name, reason: 'provider_error' },
+            });
+            return redirectWithError(res, 'provider_error');
+        }
+
+        const identityRows = await query(
+            `
+      SELECT id, user_id
+      FROM user_identities
+      WHERE provider = ? AND subject = ?
+      LIMIT 1
+    `,
+            [provider.name, identity.subject],
+        );
+        const linkedIdentity = identityRows[0] || null;
+
+        // 绑定到当前登录用户
+        if (authRequest.purpose === 'link') {
+            const user = await findLoginUser(authRequest.user_id);
+            if (!user || user.is_deleted) {
+                return redirectWithError(res, 'account_unavailable');
+            }
+
+            if (linkedIdentity && Number(linkedIdentity.user_id) !== Number(user.id)) {
+                return redirectWithError(res, 'identity_in_use');
+            }
+
+            if (!linkedIdentity) {
+                await query(
+                    `
+          INSERT INTO user_identities (user_id, provider, subject, email, display_name)
+          VALUES (?, ?, ?, ?, ?)
+        `,
+                    [user.id, provider.name, identity.subject, identity.email, identity.name],
+                );
+                await logSecurityEvent(req, SECURITY_EVENTS.IDENTITY_LINK, {
+                    userId: user.id,
+                    detail: { provider: provider.name },
+                });
+            }
+
+            return redirectToResult(res, { status: 'linked', provider: provider.name });
+        }
+
+        // 登录
+        let userId = linkedIdentity ? linkedIdentity.user_id : null;
+
+        if (!userId) {
+            if (!identity.email) {
+                return redirectWithError(res, 'email_required');
+            }
+
+            // 不自动绑定到同邮箱的本地账号，避免通过第三方账号接管他人账号
+            const existedUsers = await query(
+                `
+        SELECT id
+        FROM users
+        WHERE email = ? AND is_deleted = 0
+        LIMIT 1
+      `,
+                [identity.email],
+            );
+            if (existedUsers[0]) {
+                return redirectWithError(res, 'account_exists');
+            }
+
+            userId = await createUserFromIdentity(provider, identity);
+            await logSecurityEvent(req, SECURITY_EVENTS.REGISTER, {
+                userId,
+                detail: { provider: provider.name },
+            });
+        }
+
+        const user = await findLoginUser(userId);
+
+        if (!user || user.is_deleted) {
+            return redirectWithError(res, 'account_unavailable');
+        }
+
+        if (user.status === 0) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN_OIDC, {
+                userId: user.id,
+                outcome: SECURITY_OUTCOMES.BLOCKED,
+                detail: { provider: provider.name, reason: 'account_disabled' },
+            });
+            return redirectWithError(res, 'account_disabled');
+        }
+
+        if (getActiveLock(user)) {
+            await logSecurityEvent(req, SECURITY_EVENTS.LOGIN_OIDC, {
+                userId: user.id,
+                outcome: SECURITY_OUTCOMES.BLOCKED,
+                detail: { provider: provider.name, reason: 'account_locked' },
+            });
+            return redirectWithError(res, 'account_locked');
+        }
+
+        if (EMAIL_VERIFICATION_POLICY === 'block' && !user.email_verified_at) {
+            return redirectWithError(res, 'email_not_verified');
+        }
+
+        await query(
+            `
+      UPDATE user_identities
+      SET last_login_at = NOW(), email = ?, display_name = ?
+      WHERE provider = ? AND subject = ?
+    `,
+            [identity.email, identity.name, provider.name, identity.subject],
+        );
+
+        const rememberMe = !!authRequest.remember_me;
+
+        // 已启用两步验证：与密码登录一致，需通过 /api/login/2fa 完成登录
+        if (user.totp_enabled) {
+            const { challengeToken, expiresIn } = generateTwoFactorChallenge(user, rememberMe);
+            return redirectToResult(
+                res,
+                { status: 'two_factor_required' },
+                { challenge_token: challengeToken, expires_in: expiresIn },
+            );
+        }
+
+        await startLoginSession(req, res, user, rememberMe, SECURITY_EVENTS.LOGIN_OIDC, { provider: provider.name });
+
+        return redirectToResult(res, { status: 'success' });
+    } catch (err) {
+        console.error('GET /api/oidc/callback error:', err);
+        if (err && err.code === 'ER_DUP_ENTRY') {
+            return redirectWithError(res, 'identity_in_use');
+        }
+        return redirectWithError(res, 'server_error');
+    }
+});
+
+/**
+ * @swagger
+ * /api/oidc/identities:
+ *   get:
+ *     summary: 获取当前用户绑定的第三方账号
+ *     description: |
+ *       响应统一为 { code, message, data }，其中 data.list 为已绑定身份，
+ *       data.password_set 表示是否设置过密码（未设置密码时不能解绑最后一个第三方账号）。
+ *     tags: [OIDC]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.get('/oidc/identities', async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const rows = await query(
+            `
+      SELECT id, provider, email, display_name, last_login_at, created_at
+      FROM user_identities
+      WHERE user_id = ?
+      ORDER BY id ASC
+    `,
+            [userId],
+        );
+
+        const users = await query('SELECT password_set FROM users WHERE id = ? LIMIT 1', [userId]);
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, {
+            list: rows,
+            password_set: !!(users[0] && users[0].password_set),
+        });
+    } catch (err) {
+        console.error('GET /api/oidc/identities error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/oidc/identities/unlink:
+ *   delete:
+ *     summary: 解绑第三方账号（绑定ID通过 body 传入）
+ *     description: 未设置密码的用户不能解绑最后一个第三方账号，需先通过重置密码流程设置密码。
+ *     tags: [OIDC]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 绑定ID（GET /api/oidc/identities 返回的 id）
+ *     responses:
+ *       200:
+ *         description: 解绑成功
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.delete('/oidc/identities/unlink', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.body || {};
+        const identityId = Number(id);
+
+        if (!identityId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const rows = await query(
+            `
+      SELECT id, provider
+      FROM user_identities
+      WHERE id = ? AND user_id = ?
+      LIMIT 1
+    `,
+            [identityId, userId],
+        );
+
+        if (!rows[0]) {
+            return fail(res, MESSAGE_CODES.IDENTITY_NOT_FOUND);
+        }
+
+        const users = await query('SELECT password_set FROM users WHERE id = ? LIMIT 1', [userId]);
+        if (!users[0] || !users[0].password_set) {
+            const countRows = await query('SELECT COUNT(*) AS total FROM user_identities WHERE user_id = ?', [userId]);
+            if (((countRows[0] && Number(countRows[0].total)) || 0) <= 1) {
+                return fail(res, MESSAGE_CODES.IDENTITY_LAST_LOGIN_METHOD);
+            }
+        }
+
+        await query('DELETE FROM user_identities WHERE id = ? AND user_id = ?', [identityId, userId]);
+
+        await logSecurityEvent(req, SECURITY_EVENTS.IDENTITY_UNLINK, {
+            userId,
+            detail: { provider: rows[0].provider },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('DELETE /api/oidc/identities/unlink error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
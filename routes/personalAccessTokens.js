@@ -0,0 +1,264 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    authMiddleware,
+    requireSessionAuth,
+    hashToken,
+    TOKEN_SCOPES,
+    generatePersonalAccessTokenRaw,
+} = require('../middlewares/auth');
+const { requireVerifiedEmail } = require('../middlewares/emailVerification');
+const { query } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { logSecurityEvent, SECURITY_EVENTS } = require('../utils/securityEvents');
+
+// 令牌默认有效期（天）与最长有效期（天）
+const DEFAULT_TOKEN_EXPIRES_IN_DAYS = 90;
+const MAX_TOKEN_EXPIRES_IN_DAYS = 365;
+// 每个用户最多持有的有效令牌数量
+const MAX_ACTIVE_TOKENS_PER_USER = 20;
+
+// 令牌管理接口需要登录，且只能通过登录会话调用（不能用令牌管理令牌）
+router.use('/tokens', authMiddleware, requireSessionAuth);
+
+/**
+ * @swagger
+ * tags:
+ *   name: AccessTokens
+ *   description: 个人访问令牌相关接口（供脚本、自动化任务通过 Authorization Bearer 调用）
+ */
+
+/**
+ * @swagger
+ * /api/tokens:
+ *   get:
+ *     summary: 获取当前用户的个人访问令牌列表
+ *     description: |
+ *       返回令牌的名称、前缀、权限范围、过期时间和最近使用时间，不返回令牌原文。
+ *       响应统一为 { code, message, data }，其中 data.list 为令牌数组，data.available_scopes 为可选权限范围。
+ *     tags: [AccessTokens]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.get('/tokens', async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const rows = await query(
+            `
+      SELECT id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_at
+      FROM personal_access_tokens
+      WHERE user_id = ?
+      ORDER BY id DESC
+    `,
+            [userId],
+        );
+
+        const now = new Date();
+        const list = rows.map((r) => ({
+            id: r.id,
+            name: r.name,
+            token_prefix: r.token_prefix,
+            scopes: String(r.scopes || '').split(',').filter(Boolean),
+            expires_at: r.expires_at,
+            last_used_at: r.last_used_at,
+            last_used_ip: r.last_used_ip,
+            created_at: r.created_at,
+            revoked: !!r.revoked_at,
+            expired: !!r.expires_at && new Date(r.expires_at) <= now,
+        }));
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, { list, available_scopes: TOKEN_SCOPES });
+    } catch (err) {
+        console.error('GET /api/tokens error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/tokens:
+ *   post:
+ *     summary: 创建个人访问令牌
+ *     description: |
+ *       令牌原文只在创建时返回一次，请提示用户妥善保存。
+ *       调用接口时通过请求头 Authorization: Bearer <token> 传入，仅能访问 scopes 授权的接口。
+ *       邮箱验证策略开启时，需先验证邮箱才能创建令牌。
+ *     tags: [AccessTokens]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 令牌名称（如 "家庭自动化"）
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 权限范围，如 records:read、records:write
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: 有效天数（可选，默认90，最长365）
+ *           example:
+ *             name: 导入脚本
+ *             scopes: ["records:write", "categories:read", "tags:read"]
+ *             expiresInDays: 30
+ *     responses:
+ *       200:
+ *         description: 创建成功，data.token 为令牌原文
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/tokens', requireVerifiedEmail, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { name, scopes, expiresInDays } = req.body || {};
+
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (!trimmedName || trimmedName.length > 100) {
+            return fail(res, MESSAGE_CODES.TOKEN_NAME_REQUIRED);
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !TOKEN_SCOPES.includes(scope))) {
+            return fail(res, MESSAGE_CODES.TOKEN_SCOPES_INVALID, { available_scopes: TOKEN_SCOPES });
+        }
+
+        let days = DEFAULT_TOKEN_EXPIRES_IN_DAYS;
+        if (expiresInDays !== undefined && expiresInDays !== null) {
+            days = Number(expiresInDays);
+            if (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_EXPIRES_IN_DAYS) {
+                return fail(res, MESSAGE_CODES.INVALID_PARAMS, null, `有效天数必须是 1-${MAX_TOKEN_EXPIRES_IN_DAYS} 之间的整数`);
+            }
+        }
+
+        const activeRows = await query(
+            `
+      SELECT COUNT(*) AS total
+      FROM personal_access_tokens
+      WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+    `,
+            [userId],
+        );
+        if (((activeRows[0] && Number(activeRows[0].total)) || 0) >= MAX_ACTIVE_TOKENS_PER_USER) {
+            return fail(res, MESSAGE_CODES.TOKEN_LIMIT_EXCEEDED);
+        }
+
+        const tokenRaw = generatePersonalAccessTokenRaw();
+        const tokenPrefix = tokenRaw.slice(0, 12);
+        const uniqueScopes = [...new Set(scopes)];
+        const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+        const result = await query(
+            `
+      INSERT INTO personal_access_tokens
+        (user_id, name, token_prefix, token_hash, scopes, expires_at)
+      VALUES
+        (?, ?, ?, ?, ?, ?)
+    `,
+            [userId, trimmedName, tokenPrefix, hashToken(tokenRaw), uniqueScopes.join(','), expiresAt],
+        );
+
+        await logSecurityEvent(req, SECURITY_EVENTS.PERSONAL_ACCESS_TOKEN_CREATE, {
+            userId,
+            detail: { token_id: result.insertId, token_prefix: tokenPrefix, scopes: uniqueScopes },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS, {
+            id: result.insertId,
+            name: trimmedName,
+            token: tokenRaw,
+            token_prefix: tokenPrefix,
+            scopes: uniqueScopes,
+            expires_at: expiresAt,
+        });
+    } catch (err) {
+        console.error('POST /api/tokens error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/tokens/revoke:
+ *   delete:
+ *     summary: 撤销个人访问令牌（令牌ID通过 body 传入）
+ *     tags: [AccessTokens]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 令牌ID
+ *     responses:
+ *       200:
+ *         description: 撤销成功
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 令牌不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.delete('/tokens/revoke', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.body || {};
+        const tokenId = Number(id);
+
+        if (!tokenId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const result = await query(
+            `
+      UPDATE personal_access_tokens
+      SET revoked_at = NOW()
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `,
+            [tokenId, userId],
+        );
+
+        if (!result.affectedRows) {
+            return fail(res, MESSAGE_CODES.TOKEN_NOT_FOUND);
+        }
+
+        await logSecurityEvent(req, SECURITY_EVENTS.PERSONAL_ACCESS_TOKEN_REVOKE, {
+            userId,
+            detail: { token_id: tokenId },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('DELETE /api/tokens/revoke error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
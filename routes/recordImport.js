@@ -0,0 +1,516 @@
+const express = require('express');
+const router = express.Router();
+
+const { authMiddleware, requireScope } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { parseCsv } = require('../utils/csv');
+const { BILL_SOURCES, parseBill } = require('../utils/billImport');
+const { parseOfx } = require('../utils/ofx');
+const { parseQif } = require('../utils/qif');
+const {
+    IMPORT_MAX_ROWS,
+    detectColumnMapping,
+    resolveColumnMapping,
+    csvRowsToImportRows,
+    prepareImport,
+    buildImportReport,
+    commitImport,
+} = require('../utils/recordImport');
+
+// 导入接口需要登录
+router.use('/records/import', authMiddleware);
+
+// 预览时返回的数据行数
+const PREVIEW_ROWS = 10;
+// 试运行时返回的解析结果条数
+const DRY_RUN_SAMPLE_ROWS = 20;
+
+/**
+ * 解析请求中的 CSV 内容
+ * @param {object} body - 请求体 { content, delimiter, has_header }
+ * @returns {{ delimiter: string, headers: Array<string>|null, rows: Array<Array<string>>, firstRow: number }}
+ */
+function readCsvTable(body) {
+    const { content, delimiter, has_header = true } = body || {};
+    const parsed = parseCsv(content, { delimiter: delimiter || undefined });
+    const hasHeader = has_header !== false;
+    return {
+        delimiter: parsed.delimiter,
+        headers: hasHeader ? parsed.rows[0] || [] : null,
+        rows: hasHeader ? parsed.rows.slice(1) : parsed.rows,
+        firstRow: hasHeader ? 2 : 1,
+    };
+}
+
+/**
+ * 校验导入行并试运行或写入，各种导入来源共用
+ * - dry_run 为 true（默认）时只返回报告，不写库
+ * - 写入时存在错误行且未开启 skip_invalid 则不导入任何数据
+ * @param {object} req - Express请求对象
+ * @param {object} res - Express响应对象
+ * @param {Array<object>} importRows - 导入行
+ * @param {object} options - { extra: 附加到响应中的数据（如使用的列映射）；importSource: 导入来源（按交易单号去重）；
+ *                            skipped: 解析来源文件时已跳过的行 }
+ */
+async function runImport(req, res, importRows, options = {}) {
+    const { extra = {}, importSource = null, skipped = [] } = options;
+    const userId = req.user.id;
+    const { default_type_id, default_category_id, create_missing = true, dry_run = true, skip_invalid = false } =
+        req.body || {};
+
+    if (importRows.length === 0 && skipped.length === 0) {
+        return fail(res, MESSAGE_CODES.IMPORT_EMPTY);
+    }
+    if (importRows.length + skipped.length > IMPORT_MAX_ROWS) {
+        return fail(res, MESSAGE_CODES.IMPORT_TOO_MANY_ROWS, null, `单次最多导入 ${IMPORT_MAX_ROWS} 行`);
+    }
+
+    const prepared = await prepareImport(userId, importRows, {
+        default_type_id,
+        default_category_id,
+        create_missing: create_missing !== false,
+        import_source: importSource,
+    });
+    const report = { ...extra, dry_run: dry_run !== false, ...buildImportReport(prepared, skipped) };
+
+    if (dry_run !== false) {
+        report.sample = prepared.rows
+            .filter((r) => r.record)
+            .slice(0, DRY_RUN_SAMPLE_ROWS)
+            .map((r) => ({ row: r.row, ...r.record }));
+        return success(res, MESSAGE_CODES.GET_SUCCESS, report);
+    }
+
+    if (prepared.invalid_rows > 0 && !skip_invalid) {
+        return fail(res, MESSAGE_CODES.IMPORT_INVALID_ROWS, report);
+    }
+    if (prepared.valid_rows === 0) {
+        // 全部被跳过（如重复导入同一账单）时视为成功
+        if (report.skipped_rows > 0 && prepared.invalid_rows === 0) {
+            return success(res, MESSAGE_CODES.SUCCESS, {
+                ...report,
+                imported: 0,
+                record_ids: [],
+                created_categories: 0,
+                created_tags: 0,
+            });
+        }
+        return fail(res, MESSAGE_CODES.IMPORT_EMPTY, report);
+    }
+
+    const result = await commitImport(userId, prepared);
+    return success(res, MESSAGE_CODES.SUCCESS, { ...report, ...result });
+}
+
+// OFX、QIF 文件的解析函数，键同时作为导入来源
+const FINANCE_FILE_PARSERS = {
+    ofx: parseOfx,
+    qif: parseQif,
+};
+
+/**
+ * 导入 OFX / QIF 文件，两种格式共用
+ * @param {object} req - Express请求对象
+ * @param {object} res - Express响应对象
+ * @param {string} format - 文件格式：ofx、qif
+ */
+async function importFinanceFile(req, res, format) {
+    const { content_base64 } = req.body || {};
+    if (typeof content_base64 !== 'string' || !content_base64.trim()) {
+        return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+    }
+
+    let parsed;
+    try {
+        parsed = FINANCE_FILE_PARSERS[format](Buffer.from(content_base64, 'base64'));
+    } catch (err) {
+        // 内容损坏等无法解析的文件
+        parsed = null;
+    }
+    if (!parsed) {
+        const message = `无法识别文件格式，请上传 ${format.toUpperCase()} 文件`;
+        return fail(res, MESSAGE_CODES.IMPORT_FILE_UNRECOGNIZED, null, message);
+    }
+
+    return runImport(req, res, parsed.rows, {
+        extra: { format },
+        importSource: format,
+        skipped: parsed.skipped,
+    });
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: RecordImport
+ *   description: 记账记录导入相关接口
+ */
+
+/**
+ * @swagger
+ * /api/records/import/preview:
+ *   post:
+ *     summary: 预览 CSV 文件并自动识别列
+ *     description: |
+ *       返回识别到的分隔符、表头、前10行数据和自动识别的列映射（detected_mapping），
+ *       前端可据此让用户确认或调整映射后调用 /api/records/import/csv。
+ *     tags: [RecordImport]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: CSV 文件内容（UTF-8）
+ *               delimiter:
+ *                 type: string
+ *                 description: 分隔符（可选，默认自动识别逗号、分号、制表符）
+ *               has_header:
+ *                 type: boolean
+ *                 description: 第一行是否为表头（默认 true）
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/records/import/preview', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const { content } = req.body || {};
+        if (typeof content !== 'string' || !content.trim()) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const table = readCsvTable(req.body);
+        if (table.rows.length === 0) {
+            return fail(res, MESSAGE_CODES.IMPORT_EMPTY);
+        }
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, {
+            delimiter: table.delimiter,
+            headers: table.headers,
+            rows: table.rows.slice(0, PREVIEW_ROWS),
+            total_rows: table.rows.length,
+            detected_mapping: table.headers ? detectColumnMapping(table.headers) : {},
+        });
+    } catch (err) {
+        console.error('POST /api/records/import/preview error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/records/import/csv:
+ *   post:
+ *     summary: 从 CSV 导入记账记录
+ *     description: |
+ *       按列映射解析 CSV，支持试运行和正式导入：
+ *       - dry_run=true（默认）：只校验，返回行级错误（errors）、将要新建的分类和标签、前20条解析结果（sample）
+ *       - dry_run=false：在同一事务中创建缺少的分类和标签、写入记录及 CREATE 历史；
+ *         存在错误行时默认不导入任何数据，skip_invalid=true 时跳过错误行
+ *
+ *       mapping 的值为表头名称或从0开始的列下标（has_header=false 时只能使用列下标），未传时按表头自动识别。
+ *       类型列可填类型ID、编码或名称，分类列可填分类ID或名称，标签列为逗号等分隔的标签名称。
+ *       金额按绝对值导入；不带时区的时间按东8区理解。errors 中的 row 为文件中的行号（表头为第1行）。
+ *     tags: [RecordImport]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: CSV 文件内容（UTF-8）
+ *               delimiter:
+ *                 type: string
+ *               has_header:
+ *                 type: boolean
+ *               mapping:
+ *                 type: object
+ *                 description: 列映射，键为 type_id、category_id、amount、occurred_at、remark、tags（amount、occurred_at 必填）
+ *               default_type_id:
+ *                 type: integer
+ *                 description: 未映射类型列或该列为空时使用的记账类型
+ *               default_category_id:
+ *                 type: integer
+ *                 description: 未映射分类列或该列为空时使用的分类
+ *               create_missing:
+ *                 type: boolean
+ *                 description: 是否自动创建不存在的分类和标签（默认 true）
+ *               dry_run:
+ *                 type: boolean
+ *                 description: 是否仅试运行（默认 true）
+ *               skip_invalid:
+ *                 type: boolean
+ *                 description: 正式导入时是否跳过错误行（默认 false）
+ *           example:
+ *             content: "日期,金额,分类,备注,标签\n2025-01-01 12:30,88.8,餐饮,午饭,工作日\n"
+ *             mapping:
+ *               occurred_at: "日期"
+ *               amount: "金额"
+ *               category_id: "分类"
+ *               remark: "备注"
+ *               tags: "标签"
+ *             default_type_id: 1
+ *             dry_run: true
+ *     responses:
+ *       200:
+ *         description: 试运行返回导入报告；正式导入返回报告及 imported、record_ids
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/records/import/csv', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const { content, mapping } = req.body || {};
+        if (typeof content !== 'string' || !content.trim()) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+        if (mapping !== undefined && (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping))) {
+            return fail(res, MESSAGE_CODES.IMPORT_MAPPING_INVALID);
+        }
+
+        const table = readCsvTable(req.body);
+        const finalMapping = mapping || (table.headers ? detectColumnMapping(table.headers) : {});
+        const { columns, error } = resolveColumnMapping(finalMapping, table.headers);
+        if (error) {
+            return fail(res, MESSAGE_CODES.IMPORT_MAPPING_INVALID, null, `列映射不正确：${error}`);
+        }
+
+        const importRows = csvRowsToImportRows(table.rows, columns, table.firstRow);
+        return await runImport(req, res, importRows, { extra: { mapping: finalMapping } });
+    } catch (err) {
+        console.error('POST /api/records/import/csv error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/records/import/bill:
+ *   post:
+ *     summary: 导入支付宝、微信支付账单
+ *     description: |
+ *       解析支付宝、微信支付导出的原始账单文件（CSV 或 XLSX，CSV 支持 UTF-8 和 GBK 编码），
+ *       试运行、skip_invalid 等参数与 /api/records/import/csv 相同：
+ *       - 收/支 为“收入”“支出”的交易分别导入为编码 income、expense 的记账类型
+ *       - 备注为“交易对方 - 商品说明”，分类使用账单中的交易分类（支付宝）或交易类型（微信支付），不存在时自动创建
+ *       - 不计收支的交易（转账、理财、提现等）、交易关闭或失败的交易不导入
+ *       - 退款交易不单独导入，linked_row 为同一文件中的原交易行号，原交易按扣除退款后的金额导入，全额退款则不导入
+ *       - 按账单中的交易单号去重，重复导入同一账单时已导入的交易会被跳过
+ *
+ *       skipped 中的 reason：duplicate（已导入）、transfer（不计收支）、refund（退款）、refunded（已全额退款）、closed（交易关闭或未成功）。
+ *     tags: [RecordImport]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content_base64
+ *             properties:
+ *               content_base64:
+ *                 type: string
+ *                 description: 账单文件内容（Base64 编码）
+ *               source:
+ *                 type: string
+ *                 enum: [alipay, wechat]
+ *                 description: 账单来源（可选，默认自动识别）
+ *               create_missing:
+ *                 type: boolean
+ *                 description: 是否自动创建不存在的分类（默认 true）
+ *               dry_run:
+ *                 type: boolean
+ *                 description: 是否仅试运行（默认 true）
+ *               skip_invalid:
+ *                 type: boolean
+ *                 description: 正式导入时是否跳过错误行（默认 false）
+ *     responses:
+ *       200:
+ *         description: 试运行返回导入报告；正式导入返回报告及 imported、record_ids
+ *       400:
+ *         description: 参数错误或无法识别账单格式
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/records/import/bill', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const { content_base64, source } = req.body || {};
+        if (typeof content_base64 !== 'string' || !content_base64.trim()) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+        if (source !== undefined && source !== null && !BILL_SOURCES.includes(source)) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        let bill;
+        try {
+            bill = parseBill(Buffer.from(content_base64, 'base64'), source || undefined);
+        } catch (err) {
+            // 损坏的 XLSX 等文件
+            bill = null;
+        }
+        if (!bill) {
+            return fail(res, MESSAGE_CODES.IMPORT_FILE_UNRECOGNIZED);
+        }
+
+        return await runImport(req, res, bill.rows, {
+            extra: { source: bill.source },
+            importSource: bill.source,
+            skipped: bill.skipped,
+        });
+    } catch (err) {
+        console.error('POST /api/records/import/bill error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/records/import/ofx:
+ *   post:
+ *     summary: 导入 OFX 文件
+ *     description: |
+ *       支持 OFX 1.x（SGML）和 OFX 2.x（XML）格式的银行账户、信用卡对账单（如 GnuCash、网银导出的文件），
+ *       试运行、skip_invalid 等参数与 /api/records/import/csv 相同：
+ *       - 金额为负数时导入为支出（编码 expense），为正数时导入为收入（编码 income）
+ *       - 备注为“交易对方 - 附言”（NAME 或 PAYEE、MEMO），分类为“其他”（不存在时自动创建）
+ *       - 按“账号:FITID”去重，重复导入同一文件时已导入的交易会被跳过（skipped 中 reason 为 duplicate）
+ *       - 时间不带时区时按 GMT 理解（OFX 规范）
+ *     tags: [RecordImport]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content_base64
+ *             properties:
+ *               content_base64:
+ *                 type: string
+ *                 description: OFX 文件内容（Base64 编码，支持 UTF-8、Windows-1252、GBK 编码）
+ *               create_missing:
+ *                 type: boolean
+ *                 description: 是否自动创建不存在的分类（默认 true）
+ *               dry_run:
+ *                 type: boolean
+ *                 description: 是否仅试运行（默认 true）
+ *               skip_invalid:
+ *                 type: boolean
+ *                 description: 正式导入时是否跳过错误行（默认 false）
+ *     responses:
+ *       200:
+ *         description: 试运行返回导入报告；正式导入返回报告及 imported、record_ids
+ *       400:
+ *         description: 参数错误或无法识别文件格式
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/records/import/ofx', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        return await importFinanceFile(req, res, 'ofx');
+    } catch (err) {
+        console.error('POST /api/records/import/ofx error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/records/import/qif:
+ *   post:
+ *     summary: 导入 QIF 文件
+ *     description: |
+ *       读取 !Type:Bank、Cash、CCard、Oth A、Oth L 段中的交易（如 GnuCash、Quicken 导出的文件），
+ *       试运行、skip_invalid 等参数与 /api/records/import/csv 相同：
+ *       - 金额为负数时导入为支出（编码 expense），为正数时导入为收入（编码 income）；拆分交易按合计金额导入
+ *       - 备注为“交易对方 - 附言”（P、M），分类为 L 的最后一级名称（不存在时自动创建），没有 L 时为“其他”
+ *       - L 为 [账户] 的账户间转账不导入（skipped 中 reason 为 transfer）
+ *       - 日期按 月/日/年 解析，文件中出现第一段大于12的日期或使用 . 分隔时按 日/月/年 解析，时间按东8区当天 00:00
+ *       - QIF 没有交易标识，按账户、日期、金额、交易对方、附言、编号去重，重复导入同一文件时已导入的交易会被跳过
+ *     tags: [RecordImport]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content_base64
+ *             properties:
+ *               content_base64:
+ *                 type: string
+ *                 description: QIF 文件内容（Base64 编码，支持 UTF-8、GBK 编码）
+ *               create_missing:
+ *                 type: boolean
+ *                 description: 是否自动创建不存在的分类（默认 true）
+ *               dry_run:
+ *                 type: boolean
+ *                 description: 是否仅试运行（默认 true）
+ *               skip_invalid:
+ *                 type: boolean
+ *                 description: 正式导入时是否跳过错误行（默认 false）
+ *     responses:
+ *       200:
+ *         description: 试运行返回导入报告；正式导入返回报告及 imported、record_ids
+ *       400:
+ *         description: 参数错误或无法识别文件格式
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/records/import/qif', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        return await importFinanceFile(req, res, 'qif');
+    } catch (err) {
+        console.error('POST /api/records/import/qif error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 
-const { authMiddleware, requireRole } = require('../middlewares/auth');
+const { authMiddleware, requireScope, requireSessionAuth, requirePermission } = require('../middlewares/auth');
 const { query } = require('../config/database');
 const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // 记录类型接口需要登录（如果你希望对未登录用户开放，可去掉该中间件）
 router.use(authMiddleware);
@@ -34,7 +35,7 @@ router.use(authMiddleware);
  *       500:
  *         description: 服务器内部错误
  */
-router.get('/record-types', async (req, res) => {
+router.get('/record-types', requireScope('record_types:read'), async (req, res) => {
     try {
         const rows = await query(
             `
@@ -71,14 +72,14 @@ router.get('/record-types', async (req, res) => {
  * @swagger
  * tags:
  *   name: Admin
- *   description: 后台管理相关接口（仅管理员可访问）
+ *   description: 后台管理相关接口（需具备对应的管理权限）
  */
 
 /**
  * @swagger
  * /api/admin/record-types:
  *   post:
- *     summary: 创建系统记账类型（仅管理员）
+ *     summary: 创建系统记账类型（需 record_types:manage 权限）
  *     description: |
  *       创建新的系统记账类型，如"借入"、"借出"等。
  *       响应统一为 { code, message, data }。
@@ -120,13 +121,13 @@ router.get('/record-types', async (req, res) => {
  *       401:
  *         description: 未认证
  *       403:
- *         description: 无访问权限（非管理员）
+ *         description: 无访问权限（缺少 record_types:manage 权限）
  *       409:
  *         description: 类型编码已存在
  *       500:
  *         description: 服务器内部错误
  */
-router.post('/admin/record-types', requireRole('admin'), async (req, res) => {
+router.post('/admin/record-types', requireSessionAuth, requirePermission(PERMISSIONS.RECORD_TYPES_MANAGE), async (req, res) => {
     try {
         const { code, name, description, sort_order } = req.body || {};
 
@@ -173,7 +174,7 @@ router.post('/admin/record-types', requireRole('admin'), async (req, res) => {
  * @swagger
  * /api/admin/record-types/update:
  *   put:
- *     summary: 修改系统记账类型（仅管理员）
+ *     summary: 修改系统记账类型（需 record_types:manage 权限）
  *     description: |
  *       修改系统记账类型的名称、描述、排序等信息。
  *       类型编码（code）不允许修改，以确保数据一致性。
@@ -215,13 +216,13 @@ router.post('/admin/record-types', requireRole('admin'), async (req, res) => {
  *       401:
  *         description: 未认证
  *       403:
- *         description: 无访问权限（非管理员）
+ *         description: 无访问权限（缺少 record_types:manage 权限）
  *       404:
  *         description: 类型不存在
  *       500:
  *         description: 服务器内部错误
  */
-router.put('/admin/record-types/update', requireRole('admin'), async (req, res) => {
+router.put('/admin/record-types/update', requireSessionAuth, requirePermission(PERMISSIONS.RECORD_TYPES_MANAGE), async (req, res) => {
     try {
         const { id, name, description, sort_order } = req.body || {};
 
@@ -287,7 +288,7 @@ router.put('/admin/record-types/update', requireRole('admin'), async (req, res)
  * @swagger
  * /api/admin/record-types/delete:
  *   delete:
- *     summary: 删除系统记账类型（仅管理员，软删除）
+ *     summary: 删除系统记账类型（需 record_types:manage 权限，软删除）
  *     description: |
  *       软删除系统记账类型，已使用的类型仍可正常显示历史数据。
  *       响应统一为 { code, message, data }。
@@ -316,13 +317,13 @@ router.put('/admin/record-types/update', requireRole('admin'), async (req, res)
  *       401:
  *         description: 未认证
  *       403:
- *         description: 无访问权限（非管理员）
+ *         description: 无访问权限（缺少 record_types:manage 权限）
  *       404:
  *         description: 类型不存在
  *       500:
  *         description: 服务器内部错误
  */
-router.delete('/admin/record-types/delete', requireRole('admin'), async (req, res) => {
+router.delete('/admin/record-types/delete', requireSessionAuth, requirePermission(PERMISSIONS.RECORD_TYPES_MANAGE), async (req, res) => {
     try {
         const { id } = req.body || {};
 
@@ -1,43 +1,24 @@
 const express = require('express');
 const router = express.Router();
 
-const { authMiddleware } = require('../middlewares/auth');
+const { authMiddleware, requireScope } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
 const { query } = require('../config/database');
 const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
-
-/**
- * 将 ISO 8601 格式的时间字符串转换为 MySQL DATETIME 格式
- * 注意：使用本地时间方法（getHours 而不是 getUTCHours），
- * 因为数据库连接配置了 timezone: '+08:00'，MySQL2 驱动会将传入的 DATETIME 字符串
- * 视为本地时区（东8区）时间，然后转换为数据库服务器时区存储。
- * 
- * @param {string} isoString - ISO 8601 格式的时间字符串，如 "2026-02-04T13:47:19.029Z" 或 "2026-02-04T21:47:19+08:00"
- * @returns {string} MySQL DATETIME 格式，如 "2026-02-04 21:47:19"（本地时区）
- */
-function formatDateTimeForMySQL(isoString) {
-    if (!isoString) {
-        return null;
-    }
-    try {
-        const date = new Date(isoString);
-        if (isNaN(date.getTime())) {
-            throw new Error('Invalid date string');
-        }
-        // 格式化为 MySQL DATETIME 格式：YYYY-MM-DD HH:MM:SS
-        // 使用本地时间方法（getFullYear, getHours 等），而不是 UTC 方法
-        // 这样传入的时间会被 MySQL2 驱动正确识别为本地时区（+08:00）时间
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        const seconds = String(date.getSeconds()).padStart(2, '0');
-        return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-    } catch (err) {
-        console.error('formatDateTimeForMySQL error:', err);
-        throw new Error('Invalid date format');
-    }
-}
+const {
+    RECORD_BATCH_MODES,
+    RECORD_BATCH_MAX_SIZE,
+    withTransaction,
+    validateRecordFields,
+    createRecordWithHistory,
+    updateRecordWithHistory,
+    deleteRecordWithHistory,
+    runRecordBatch,
+    buildRecordListFilter,
+    parseSnapshot,
+    diffSnapshots,
+} = require('../utils/records');
+const { RECORD_EXPORT_FORMATS, exportRecords, createResponseWriter } = require('../utils/recordExport');
 
 // 所有记账记录接口均需要登录
 router.use(authMiddleware);
@@ -105,121 +86,28 @@ router.use(authMiddleware);
  *         description: 参数错误
  *       401:
  *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
  *       500:
  *         description: 服务器内部错误
  */
-router.post('/records', async (req, res) => {
+router.post('/records', requireScope('records:write'), rateLimit('write'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { type_id, amount, category_id, occurred_at, remark, tag_ids = [] } = req.body || {};
 
-        if (!type_id || !amount || !category_id || !occurred_at) {
-            return fail(res, MESSAGE_CODES.RECORD_REQUIRED_FIELDS);
-        }
-
-        if (Number(amount) <= 0) {
-            return fail(res, MESSAGE_CODES.RECORD_AMOUNT_INVALID);
-        }
-
-        // 转换时间格式为 MySQL DATETIME 格式
-        let mysqlDateTime;
-        try {
-            mysqlDateTime = formatDateTimeForMySQL(occurred_at);
-            if (!mysqlDateTime) {
-                return fail(res, MESSAGE_CODES.INVALID_PARAMS, null, '发生时间格式不正确');
-            }
-        } catch (err) {
-            return fail(res, MESSAGE_CODES.INVALID_PARAMS, null, '发生时间格式不正确');
-        }
-
-        const conn = await query.getConnection ? await query.getConnection() : null;
-        const exec = async (sql, params) => {
-            if (conn) {
-                // conn.query() 返回 [rows, fields]
-                const [rows] = await conn.query(sql, params);
-                return rows;
-            }
-            // query() 已经返回 results（不是数组）
-            return await query(sql, params);
-        };
-
-        // 用于获取 INSERT 操作的 insertId
-        const execInsert = async (sql, params) => {
-            if (conn) {
-                // conn.query() 返回 [result, fields]，result 包含 insertId
-                const [result] = await conn.query(sql, params);
-                return result;
-            }
-            // query() 返回 result，包含 insertId
-            return await query(sql, params);
-        };
-
-        if (conn) {
-            await conn.beginTransaction();
+        const invalid = validateRecordFields({ type_id, amount, category_id, occurred_at });
+        if (invalid) {
+            return fail(res, invalid.code, null, invalid.message);
         }
 
-        try {
-            // 插入记录
-            const result = await execInsert(
-                `
-        INSERT INTO fs_records (user_id, type_id, category_id, amount, occurred_at, remark)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `,
-                [userId, type_id, category_id, amount, mysqlDateTime, remark || null],
-            );
-            const recordId = result.insertId;
-
-            // 标签关联
-            const normalizedTagIds = Array.isArray(tag_ids) ? tag_ids : [];
-            if (normalizedTagIds.length > 0) {
-                // 批量插入标签：构建 (?, ?), (?, ?) 格式
-                const placeholders = normalizedTagIds.map(() => '(?, ?)').join(', ');
-                const tagParams = normalizedTagIds.flatMap((tagId) => [recordId, tagId]);
-                await exec(
-                    `
-            INSERT INTO fs_record_tags (record_id, tag_id)
-            VALUES ${placeholders}
-          `,
-                    tagParams,
-                );
-            }
-
-            // 写历史（CREATE）
-            const snapshotAfter = {
-                user_id: userId,
-                type_id,
-                category_id,
-                amount,
-                occurred_at,
-                remark: remark || null,
-                tag_ids: normalizedTagIds,
-            };
-            await exec(
-                `
-        INSERT INTO fs_record_history (record_id, user_id, operation, snapshot_before, snapshot_after)
-        VALUES (?, ?, 'CREATE', NULL, ?)
-      `,
-                [recordId, userId, JSON.stringify(snapshotAfter)],
-            );
-
-            if (conn) {
-                await conn.commit();
-            }
+        const recordId = await withTransaction((conn) =>
+            createRecordWithHistory(conn, userId, { type_id, amount, category_id, occurred_at, remark, tag_ids }),
+        );
 
-            return success(res, MESSAGE_CODES.SUCCESS, { id: recordId });
-        } catch (err) {
-            if (conn) {
-                await conn.rollback();
-            }
-            console.error('POST /api/records error:', err);
-            return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
-        } finally {
-            if (conn) {
-                conn.release();
-            }
-        }
+        return success(res, MESSAGE_CODES.SUCCESS, { id: recordId });
     } catch (err) {
-        console.error('POST /api/records outer error:', err);
+        console.error('POST /api/records error:', err);
         return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
     }
 });
@@ -267,10 +155,12 @@ router.post('/records', async (req, res) => {
  *         description: 未认证
  *       404:
  *         description: 记录不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
  *       500:
  *         description: 服务器内部错误
  */
-router.put('/records/update', async (req, res) => {
+router.put('/records/update', requireScope('records:write'), rateLimit('write'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { id, type_id, amount, category_id, occurred_at, remark, tag_ids } = req.body || {};
@@ -280,181 +170,29 @@ router.put('/records/update', async (req, res) => {
             return fail(res, MESSAGE_CODES.INVALID_PARAMS);
         }
 
-        const conn = await query.getConnection ? await query.getConnection() : null;
-        const exec = async (sql, params) => {
-            if (conn) {
-                // conn.query() 返回 [rows, fields]
-                const [rows] = await conn.query(sql, params);
-                return rows;
-            }
-            // query() 已经返回 results（不是数组）
-            return await query(sql, params);
-        };
-
-        if (conn) {
-            await conn.beginTransaction();
+        const invalid = validateRecordFields({ amount, occurred_at }, { partial: true });
+        if (invalid) {
+            return fail(res, invalid.code, null, invalid.message);
         }
 
-        try {
-            // 查询旧记录
-            const rows = await exec(
-                `
-        SELECT id, user_id, type_id, category_id, amount, occurred_at, remark, is_deleted
-        FROM fs_records
-        WHERE id = ? AND user_id = ?
-        LIMIT 1
-      `,
-                [recordId, userId],
-            );
-            const oldRecord = rows && rows[0];
-
-            if (!oldRecord || oldRecord.is_deleted) {
-                if (conn) {
-                    await conn.rollback();
-                    conn.release();
-                }
-                return fail(res, MESSAGE_CODES.RECORD_NOT_FOUND);
-            }
-
-            // 查询旧标签
-            const tagRows = await exec(
-                `
-        SELECT tag_id
-        FROM fs_record_tags
-        WHERE record_id = ?
-      `,
-                [recordId],
-            );
-            const oldTagIds = (tagRows || []).map((r) => r.tag_id);
-
-            const snapshotBefore = {
-                user_id: oldRecord.user_id,
-                type_id: oldRecord.type_id,
-                category_id: oldRecord.category_id,
-                amount: oldRecord.amount,
-                occurred_at: oldRecord.occurred_at,
-                remark: oldRecord.remark,
-                tag_ids: oldTagIds,
-            };
-
-            const updateFields = [];
-            const updateValues = [];
-
-            if (type_id !== undefined) {
-                updateFields.push('type_id = ?');
-                updateValues.push(type_id);
-            }
-            if (amount !== undefined) {
-                if (Number(amount) <= 0) {
-                    return fail(res, MESSAGE_CODES.RECORD_AMOUNT_INVALID);
-                }
-                updateFields.push('amount = ?');
-                updateValues.push(amount);
-            }
-            if (category_id !== undefined) {
-                updateFields.push('category_id = ?');
-                updateValues.push(category_id);
-            }
-            if (occurred_at !== undefined) {
-                // 转换时间格式为 MySQL DATETIME 格式
-                let mysqlDateTime;
-                try {
-                    mysqlDateTime = formatDateTimeForMySQL(occurred_at);
-                    if (!mysqlDateTime) {
-                        if (conn) {
-                            await conn.rollback();
-                            conn.release();
-                        }
-                        return fail(res, MESSAGE_CODES.INVALID_PARAMS, null, '发生时间格式不正确');
-                    }
-                } catch (err) {
-                    if (conn) {
-                        await conn.rollback();
-                        conn.release();
-                    }
-                    return fail(res, MESSAGE_CODES.INVALID_PARAMS, null, '发生时间格式不正确');
-                }
-                updateFields.push('occurred_at = ?');
-                updateValues.push(mysqlDateTime);
-            }
-            if (remark !== undefined) {
-                updateFields.push('remark = ?');
-                updateValues.push(remark || null);
-            }
-
-            if (updateFields.length > 0) {
-                updateFields.push('updated_at = NOW()');
-                updateValues.push(recordId, userId);
-
-                await exec(
-                    `
-          UPDATE fs_records
-          SET ${updateFields.join(', ')}
-          WHERE id = ? AND user_id = ?
-        `,
-                    updateValues,
-                );
-            }
-
-            // 更新标签
-            let newTagIds = oldTagIds;
-            if (Array.isArray(tag_ids)) {
-                newTagIds = tag_ids;
-                await exec(
-                    `
-          DELETE FROM fs_record_tags
-          WHERE record_id = ?
-        `,
-                    [recordId],
-                );
-                if (newTagIds.length > 0) {
-                    // 批量插入标签：构建 (?, ?), (?, ?) 格式
-                    const placeholders = newTagIds.map(() => '(?, ?)').join(', ');
-                    const tagParams = newTagIds.flatMap((tagId) => [recordId, tagId]);
-                    await exec(
-                        `
-            INSERT INTO fs_record_tags (record_id, tag_id)
-            VALUES ${placeholders}
-          `,
-                        tagParams,
-                    );
-                }
-            }
-
-            const snapshotAfter = {
-                user_id: userId,
-                type_id: type_id !== undefined ? type_id : oldRecord.type_id,
-                category_id: category_id !== undefined ? category_id : oldRecord.category_id,
-                amount: amount !== undefined ? amount : oldRecord.amount,
-                occurred_at: occurred_at !== undefined ? occurred_at : oldRecord.occurred_at,
-                remark: remark !== undefined ? remark || null : oldRecord.remark,
-                tag_ids: newTagIds,
-            };
-
-            await exec(
-                `
-        INSERT INTO fs_record_history (record_id, user_id, operation, snapshot_before, snapshot_after)
-        VALUES (?, ?, 'UPDATE', ?, ?)
-      `,
-                [recordId, userId, JSON.stringify(snapshotBefore), JSON.stringify(snapshotAfter)],
-            );
-
-            if (conn) {
-                await conn.commit();
-                conn.release();
-            }
+        const result = await withTransaction((conn) =>
+            updateRecordWithHistory(conn, userId, recordId, {
+                type_id,
+                amount,
+                category_id,
+                occurred_at,
+                remark,
+                tag_ids,
+            }),
+        );
 
-            return success(res, MESSAGE_CODES.UPDATE_SUCCESS);
-        } catch (err) {
-            if (conn) {
-                await conn.rollback();
-                conn.release();
-            }
-            console.error('PUT /api/records/:id error:', err);
-            return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+        if (!result) {
+            return fail(res, MESSAGE_CODES.RECORD_NOT_FOUND);
         }
+
+        return success(res, MESSAGE_CODES.UPDATE_SUCCESS);
     } catch (err) {
-        console.error('PUT /api/records/:id outer error:', err);
+        console.error('PUT /api/records/update error:', err);
         return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
     }
 });
@@ -463,7 +201,7 @@ router.put('/records/update', async (req, res) => {
  * @swagger
  * /api/records/delete:
  *   delete:
- *     summary: 删除记账记录（软删除，ID 通过 body 传入以避免在URL中暴露）
+ *     summary: 删除记账记录（软删除，移入回收站，ID 通过 body 传入以避免在URL中暴露）
  *     tags: [Records]
  *     security:
  *       - cookieAuth: []
@@ -484,10 +222,12 @@ router.put('/records/update', async (req, res) => {
  *         description: 未认证
  *       404:
  *         description: 记录不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
  *       500:
  *         description: 服务器内部错误
  */
-router.delete('/records/delete', async (req, res) => {
+router.delete('/records/delete', requireScope('records:write'), rateLimit('write'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { id } = req.body || {};
@@ -497,99 +237,264 @@ router.delete('/records/delete', async (req, res) => {
             return fail(res, MESSAGE_CODES.INVALID_PARAMS);
         }
 
-        const conn = await query.getConnection ? await query.getConnection() : null;
-        const exec = async (sql, params) => {
-            if (conn) {
-                // conn.query() 返回 [rows, fields]
-                const [rows] = await conn.query(sql, params);
-                return rows;
-            }
-            // query() 已经返回 results（不是数组）
-            return await query(sql, params);
-        };
+        const deleted = await withTransaction((conn) => deleteRecordWithHistory(conn, userId, recordId));
 
-        if (conn) {
-            await conn.beginTransaction();
+        if (!deleted) {
+            return fail(res, MESSAGE_CODES.RECORD_NOT_FOUND);
         }
 
-        try {
-            // 查询旧记录
-            const rows = await exec(
-                `
-        SELECT id, user_id, type_id, category_id, amount, occurred_at, remark, is_deleted
-        FROM fs_records
-        WHERE id = ? AND user_id = ?
-        LIMIT 1
-      `,
-                [recordId, userId],
-            );
-            const oldRecord = rows && rows[0];
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('DELETE /api/records/delete error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+/**
+ * 执行批量操作接口的公共流程：校验请求体，执行批量操作并返回逐项结果
+ * atomic 模式下有项目失败时返回业务失败（code -1），data 中同样包含逐项结果
+ * @param {object} req - Express请求对象
+ * @param {object} res - Express响应对象
+ * @param {string} key - 请求体中项目数组的字段名
+ * @param {object} handlers - runRecordBatch 的 { validate, apply }
+ */
+async function handleRecordBatch(req, res, key, handlers) {
+    const { mode = 'atomic' } = req.body || {};
+    const items = (req.body || {})[key];
 
-            if (!oldRecord || oldRecord.is_deleted) {
-                if (conn) {
-                    await conn.rollback();
-                    conn.release();
-                }
-                return fail(res, MESSAGE_CODES.RECORD_NOT_FOUND);
-            }
+    if (!Array.isArray(items) || items.length === 0 || !RECORD_BATCH_MODES.includes(mode)) {
+        return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+    }
+    if (items.length > RECORD_BATCH_MAX_SIZE) {
+        return fail(res, MESSAGE_CODES.RECORD_BATCH_TOO_LARGE, null, `单次批量操作最多 ${RECORD_BATCH_MAX_SIZE} 条`);
+    }
 
-            const tagRows = await exec(
-                `
-        SELECT tag_id
-        FROM fs_record_tags
-        WHERE record_id = ?
-      `,
-                [recordId],
-            );
-            const oldTagIds = (tagRows || []).map((r) => r.tag_id);
-
-            const snapshotBefore = {
-                user_id: oldRecord.user_id,
-                type_id: oldRecord.type_id,
-                category_id: oldRecord.category_id,
-                amount: oldRecord.amount,
-                occurred_at: oldRecord.occurred_at,
-                remark: oldRecord.remark,
-                tag_ids: oldTagIds,
-            };
+    const result = await runRecordBatch(items, mode, handlers);
+    const data = { mode, ...result };
 
-            await exec(
-                `
-        UPDATE fs_records
-        SET is_deleted = 1, updated_at = NOW()
-        WHERE id = ? AND user_id = ?
-      `,
-                [recordId, userId],
-            );
+    if (mode === 'atomic' && !result.committed) {
+        return fail(res, MESSAGE_CODES.RECORD_BATCH_FAILED, data);
+    }
+    return success(res, MESSAGE_CODES.SUCCESS, data);
+}
 
-            await exec(
-                `
-        INSERT INTO fs_record_history (record_id, user_id, operation, snapshot_before, snapshot_after)
-        VALUES (?, ?, 'DELETE', ?, NULL)
-      `,
-                [recordId, userId, JSON.stringify(snapshotBefore)],
-            );
+// 批量修改、删除的项目需包含有效的记录ID
+function validateBatchRecordId(id) {
+    return Number(id) ? null : { code: MESSAGE_CODES.INVALID_PARAMS, message: '记录ID不能为空' };
+}
 
-            if (conn) {
-                await conn.commit();
-                conn.release();
-            }
+/**
+ * @swagger
+ * /api/records/batch/create:
+ *   post:
+ *     summary: 批量创建记账记录
+ *     description: |
+ *       在同一事务中创建多条记录，每条记录写入 CREATE 历史。单次最多 RECORD_BATCH_MAX_SIZE 条（默认500）。
+ *       - mode=atomic（默认）：任一项目失败则全部不保存，返回 code -1
+ *       - mode=best_effort：跳过失败的项目，其余照常保存
+ *
+ *       data.results 与 items 按位置一一对应：成功为 { index, success: true, id }，失败为 { index, success: false, code, message }。
+ *       atomic 模式失败时，原本可以保存的项目返回 RECORD_BATCH_ITEM_SKIPPED。
+ *     tags: [Records]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [atomic, best_effort]
+ *               items:
+ *                 type: array
+ *                 description: 记录数组，字段与 POST /api/records 相同
+ *                 items:
+ *                   type: object
+ *           example:
+ *             mode: "best_effort"
+ *             items:
+ *               - type_id: 1
+ *                 amount: 88.8
+ *                 category_id: 10
+ *                 occurred_at: "2025-01-01T04:30:00Z"
+ *                 remark: "午饭"
+ *                 tag_ids: [1, 2]
+ *     responses:
+ *       200:
+ *         description: 处理完成，data 包含 committed、total、succeeded、failed、results
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/records/batch/create', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
 
-            return success(res, MESSAGE_CODES.SUCCESS);
-        } catch (err) {
-            if (conn) {
-                await conn.rollback();
-                conn.release();
-            }
-            console.error('DELETE /api/records/:id error:', err);
-            return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
-        }
+        return await handleRecordBatch(req, res, 'items', {
+            validate: (item) => validateRecordFields(item),
+            apply: async (conn, item) => {
+                const { type_id, amount, category_id, occurred_at, remark, tag_ids = [] } = item;
+                const id = await createRecordWithHistory(conn, userId, {
+                    type_id,
+                    amount,
+                    category_id,
+                    occurred_at,
+                    remark,
+                    tag_ids,
+                });
+                return { id };
+            },
+        });
+    } catch (err) {
+        console.error('POST /api/records/batch/create error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/records/batch/update:
+ *   put:
+ *     summary: 批量修改记账记录
+ *     description: |
+ *       在同一事务中修改多条记录，每条记录只修改传入的字段并写入 UPDATE 历史，适用于批量修改分类等场景。
+ *       mode 与结果格式同 /api/records/batch/create，成功项目为 { index, success: true, id }。
+ *     tags: [Records]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [atomic, best_effort]
+ *               items:
+ *                 type: array
+ *                 description: 修改项数组，字段与 PUT /api/records/update 相同（id 必填）
+ *                 items:
+ *                   type: object
+ *           example:
+ *             items:
+ *               - id: 1
+ *                 category_id: 12
+ *               - id: 2
+ *                 category_id: 12
+ *     responses:
+ *       200:
+ *         description: 处理完成，data 包含 committed、total、succeeded、failed、results
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.put('/records/batch/update', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        return await handleRecordBatch(req, res, 'items', {
+            validate: (item) =>
+                validateBatchRecordId(item && item.id) || validateRecordFields(item, { partial: true }),
+            apply: async (conn, item) => {
+                const { id, type_id, amount, category_id, occurred_at, remark, tag_ids } = item;
+                const recordId = Number(id);
+                const result = await updateRecordWithHistory(conn, userId, recordId, {
+                    type_id,
+                    amount,
+                    category_id,
+                    occurred_at,
+                    remark,
+                    tag_ids,
+                });
+                return result ? { id: recordId } : null;
+            },
+        });
+    } catch (err) {
+        console.error('PUT /api/records/batch/update error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/records/batch/delete:
+ *   delete:
+ *     summary: 批量删除记账记录（软删除，移入回收站）
+ *     description: |
+ *       在同一事务中删除多条记录，每条记录写入 DELETE 历史。
+ *       mode 与结果格式同 /api/records/batch/create，results 与 ids 按位置一一对应。
+ *     tags: [Records]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [atomic, best_effort]
+ *               ids:
+ *                 type: array
+ *                 description: 要删除的记录ID数组
+ *                 items:
+ *                   type: integer
+ *           example:
+ *             mode: "best_effort"
+ *             ids: [1, 2, 3]
+ *     responses:
+ *       200:
+ *         description: 处理完成，data 包含 committed、total、succeeded、failed、results
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.delete('/records/batch/delete', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        return await handleRecordBatch(req, res, 'ids', {
+            validate: (id) => validateBatchRecordId(id),
+            apply: async (conn, id) => {
+                const recordId = Number(id);
+                const deleted = await deleteRecordWithHistory(conn, userId, recordId);
+                return deleted ? { id: recordId } : null;
+            },
+        });
     } catch (err) {
-        console.error('DELETE /api/records/:id outer error:', err);
+        console.error('DELETE /api/records/batch/delete error:', err);
         return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
     }
 });
 
+
 /**
  * @swagger
  * /api/records/detail:
@@ -615,10 +520,12 @@ router.delete('/records/delete', async (req, res) => {
  *         description: 未认证
  *       404:
  *         description: 记录不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
  *       500:
  *         description: 服务器内部错误
  */
-router.post('/records/detail', async (req, res) => {
+router.post('/records/detail', requireScope('records:read'), rateLimit('read'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { id } = req.body || {};
@@ -684,6 +591,276 @@ router.post('/records/detail', async (req, res) => {
     }
 });
 
+// 批量查询 ID 对应的名称，返回 Map<id, name>；传入 userId 时只查询系统数据（user_id 为空）和该用户自己的数据
+async function loadNameMap(table, ids, userId = null) {
+    const uniqueIds = [...new Set(ids.filter((id) => id !== null && id !== undefined).map(Number))];
+    if (uniqueIds.length === 0) {
+        return new Map();
+    }
+    const placeholders = uniqueIds.map(() => '?').join(', ');
+    const rows = await query(
+        `
+      SELECT id, name
+      FROM ${table}
+      WHERE id IN (${placeholders})${userId === null ? '' : ' AND (user_id IS NULL OR user_id = ?)'}
+    `,
+        userId === null ? uniqueIds : [...uniqueIds, userId],
+    );
+    return new Map(rows.map((r) => [Number(r.id), r.name]));
+}
+
+/**
+ * @swagger
+ * /api/records/{id}/history:
+ *   get:
+ *     summary: 获取记账记录的修改历史
+ *     description: |
+ *       按时间倒序返回记录的全部历史（包括已删除的记录），每条历史附带字段级差异 changes。
+ *       changes 中分类、类型的变化附带 before_name / after_name，标签的变化附带 added / removed（含标签名称）。
+ *       snapshot_before / snapshot_after 可作为 /api/records/revert 的回滚目标。
+ *     tags: [Records]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 记录ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 记录不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.get('/records/:id/history', requireScope('records:read'), rateLimit('read'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const recordId = Number(req.params.id);
+
+        if (!recordId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const records = await query(
+            `
+      SELECT id
+      FROM fs_records
+      WHERE id = ? AND user_id = ?
+      LIMIT 1
+    `,
+            [recordId, userId],
+        );
+        if (records.length === 0) {
+            return fail(res, MESSAGE_CODES.RECORD_NOT_FOUND);
+        }
+
+        const rows = await query(
+            `
+      SELECT id, operation, snapshot_before, snapshot_after, source_history_id, created_at
+      FROM fs_record_history
+      WHERE record_id = ? AND user_id = ?
+      ORDER BY id DESC
+    `,
+            [recordId, userId],
+        );
+
+        const entries = rows.map((r) => {
+            const before = parseSnapshot(r.snapshot_before);
+            const after = parseSnapshot(r.snapshot_after);
+            return { row: r, before, after, changes: diffSnapshots(before, after) };
+        });
+
+        // 批量查询分类、类型、标签名称
+        const typeIds = [];
+        const categoryIds = [];
+        const tagIds = [];
+        entries.forEach(({ changes }) => {
+            changes.forEach((change) => {
+                if (change.field === 'type_id') {
+                    typeIds.push(change.before, change.after);
+                } else if (change.field === 'category_id') {
+                    categoryIds.push(change.before, change.after);
+                } else if (change.field === 'tag_ids') {
+                    tagIds.push(...change.added, ...change.removed);
+                }
+            });
+        });
+        const [typeNames, categoryNames, tagNames] = await Promise.all([
+            loadNameMap('fs_record_types', typeIds),
+            loadNameMap('fs_categories', categoryIds, userId),
+            loadNameMap('fs_tags', tagIds, userId),
+        ]);
+
+        const withNames = (nameMap) => (id) => ({ id, name: nameMap.get(id) || null });
+        const list = entries.map(({ row, before, after, changes }) => ({
+            id: row.id,
+            operation: row.operation,
+            source_history_id: row.source_history_id,
+            created_at: row.created_at,
+            changes: changes.map((change) => {
+                if (change.field === 'type_id' || change.field === 'category_id') {
+                    const nameMap = change.field === 'type_id' ? typeNames : categoryNames;
+                    return {
+                        ...change,
+                        before_name: change.before === null ? null : nameMap.get(change.before) || null,
+                        after_name: change.after === null ? null : nameMap.get(change.after) || null,
+                    };
+                }
+                if (change.field === 'tag_ids') {
+                    return {
+                        ...change,
+                        added: change.added.map(withNames(tagNames)),
+                        removed: change.removed.map(withNames(tagNames)),
+                    };
+                }
+                return change;
+            }),
+            snapshot_before: before,
+            snapshot_after: after,
+        }));
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, { list });
+    } catch (err) {
+        console.error('GET /api/records/:id/history error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/records/revert:
+ *   post:
+ *     summary: 将记账记录回滚到某条历史快照
+ *     description: |
+ *       使用指定历史记录的快照覆盖记录的全部字段（含标签），与修改接口走同一事务流程，
+ *       回滚本身会写入一条 operation 为 REVERT 的历史记录。已删除的标签会被忽略；已删除的记录不能回滚。
+ *     tags: [Records]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - history_id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 记录ID
+ *               history_id:
+ *                 type: integer
+ *                 description: 历史记录ID（/api/records/{id}/history 返回的 id）
+ *               snapshot:
+ *                 type: string
+ *                 enum: [after, before]
+ *                 description: 使用该历史的修改后快照（默认）或修改前快照
+ *           example:
+ *             id: 1
+ *             history_id: 12
+ *             snapshot: "before"
+ *     responses:
+ *       200:
+ *         description: 回滚成功，返回本次回滚的字段差异
+ *       400:
+ *         description: 参数错误或快照为空
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 记录或历史记录不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/records/revert', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id, history_id, snapshot = 'after' } = req.body || {};
+        const recordId = Number(id);
+        const historyId = Number(history_id);
+
+        if (!recordId || !historyId || !['after', 'before'].includes(snapshot)) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const rows = await query(
+            `
+      SELECT id, snapshot_before, snapshot_after
+      FROM fs_record_history
+      WHERE id = ? AND record_id = ? AND user_id = ?
+      LIMIT 1
+    `,
+            [historyId, recordId, userId],
+        );
+        const history = rows[0];
+        if (!history) {
+            return fail(res, MESSAGE_CODES.RECORD_HISTORY_NOT_FOUND);
+        }
+
+        const target = parseSnapshot(snapshot === 'before' ? history.snapshot_before : history.snapshot_after);
+        if (!target) {
+            return fail(res, MESSAGE_CODES.RECORD_HISTORY_SNAPSHOT_EMPTY);
+        }
+
+        // 只恢复仍然可用的标签
+        let tagIds = Array.isArray(target.tag_ids) ? target.tag_ids.map(Number) : [];
+        if (tagIds.length > 0) {
+            const placeholders = tagIds.map(() => '?').join(', ');
+            const tagRows = await query(
+                `
+        SELECT id
+        FROM fs_tags
+        WHERE id IN (${placeholders}) AND is_deleted = 0 AND (user_id IS NULL OR user_id = ?)
+      `,
+                [...tagIds, userId],
+            );
+            const available = new Set(tagRows.map((r) => Number(r.id)));
+            tagIds = tagIds.filter((tagId) => available.has(tagId));
+        }
+
+        const result = await withTransaction((conn) =>
+            updateRecordWithHistory(
+                conn,
+                userId,
+                recordId,
+                {
+                    type_id: target.type_id,
+                    amount: target.amount,
+                    category_id: target.category_id,
+                    occurred_at: target.occurred_at,
+                    remark: target.remark || null,
+                    tag_ids: tagIds,
+                },
+                { operation: 'REVERT', sourceHistoryId: historyId },
+            ),
+        );
+
+        if (!result) {
+            return fail(res, MESSAGE_CODES.RECORD_NOT_FOUND);
+        }
+
+        return success(res, MESSAGE_CODES.UPDATE_SUCCESS, {
+            changes: diffSnapshots(result.before, result.after),
+        });
+    } catch (err) {
+        console.error('POST /api/records/revert error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
 /**
  * @swagger
  * /api/records/list:
@@ -819,10 +996,12 @@ router.post('/records/detail', async (req, res) => {
  *                           type: number
  *       401:
  *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
  *       500:
  *         description: 服务器内部错误
  */
-router.post('/records/list', async (req, res) => {
+router.post('/records/list', requireScope('records:read'), rateLimit('read'), async (req, res) => {
     try {
         const userId = req.user.id;
 
@@ -875,39 +1054,15 @@ router.post('/records/list', async (req, res) => {
             return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR, null, '分页参数错误');
         }
 
-        const whereClauses = ['r.user_id = ?', 'r.is_deleted = 0'];
-        const params = [userIdNum];
-
-        if (type_id) {
-            whereClauses.push('r.type_id = ?');
-            params.push(Number(type_id));
-        }
-        if (category_id) {
-            whereClauses.push('r.category_id = ?');
-            params.push(Number(category_id));
-        }
-        if (min_amount) {
-            whereClauses.push('r.amount >= ?');
-            params.push(Number(min_amount));
-        }
-        if (max_amount) {
-            whereClauses.push('r.amount <= ?');
-            params.push(Number(max_amount));
-        }
-        if (keyword) {
-            whereClauses.push('r.remark LIKE ?');
-            params.push(`%${keyword}%`);
-        }
-
-        // 时间范围（这里先简单按 UTC 日期字符串拼接，实际可在SQL中做时区转换）
-        if (start_date) {
-            whereClauses.push('DATE(r.occurred_at) >= ?');
-            params.push(start_date);
-        }
-        if (end_date) {
-            whereClauses.push('DATE(r.occurred_at) <= ?');
-            params.push(end_date);
-        }
+        const { whereClauses, params } = buildRecordListFilter(userIdNum, {
+            start_date,
+            end_date,
+            type_id,
+            category_id,
+            min_amount,
+            max_amount,
+            keyword,
+        });
 
         const baseWhere = whereClauses.join(' AND ');
         const finalOrderBy = ['occurred_at', 'amount', 'created_at'].includes(order_by)
@@ -1086,6 +1241,132 @@ router.post('/records/list', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/records/export:
+ *   post:
+ *     summary: 导出记账记录
+ *     description: |
+ *       按与 /api/records/list 相同的筛选和排序条件导出全部匹配的记录（不分页），以附件形式流式返回：
+ *       - csv：UTF-8 带 BOM，可直接用 Excel 打开，也可通过 /api/records/import/csv 重新导入
+ *       - xlsx：Excel 工作簿，金额为数值单元格
+ *       - ndjson：每行一个 JSON 对象，tags 为标签名称数组
+ *       - ofx：OFX 2.x 银行对账单，可导入 GnuCash 等软件；FITID 为记录ID，NAME / MEMO 为备注
+ *       - qif：!Type:Bank 格式，日期为 MM/DD/YYYY，P 为备注，L 为分类
+ *
+ *       列依次为 id、type_id、type_code、type_name、category_id、category_name、amount、occurred_at、remark、tags、created_at、updated_at，
+ *       CSV 和 XLSX 中多个标签以 | 分隔，时间为 ISO 8601 格式。
+ *       OFX 和 QIF 中收入类型（编码 income）的金额为正数，其余类型为负数，时间按东8区输出。
+ *       导出过程中出错时连接会被中断，客户端应将不完整的文件视为失败。
+ *     tags: [Records]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [csv, xlsx, ndjson, ofx, qif]
+ *                 description: 导出格式（可选，默认 csv）
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *               end_date:
+ *                 type: string
+ *                 format: date
+ *               type_id:
+ *                 type: integer
+ *               category_id:
+ *                 type: integer
+ *               tag_id:
+ *                 type: integer
+ *               min_amount:
+ *                 type: number
+ *               max_amount:
+ *                 type: number
+ *               keyword:
+ *                 type: string
+ *               order_by:
+ *                 type: string
+ *                 enum: [occurred_at, amount, created_at]
+ *               order:
+ *                 type: string
+ *                 enum: [asc, desc]
+ *           example:
+ *             format: "csv"
+ *             start_date: "2023-01-01"
+ *             end_date: "2025-12-31"
+ *             type_id: 1
+ *     responses:
+ *       200:
+ *         description: 导出成功
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/x-ofx:
+ *             schema:
+ *               type: string
+ *           application/qif:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/records/export', requireScope('records:read'), rateLimit('read'), async (req, res) => {
+    try {
+        const userId = Number(req.user.id);
+        const filters = req.body || {};
+        const { format = 'csv', tag_id } = filters;
+
+        if (!Object.keys(RECORD_EXPORT_FORMATS).includes(format)) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS, null, '导出格式只支持 csv、xlsx、ndjson、ofx、qif');
+        }
+        if (tag_id && isNaN(Number(tag_id))) {
+            return httpError(res, 400, MESSAGE_CODES.INVALID_PARAMS, null, '标签ID格式错误');
+        }
+
+        const { contentType, extension } = RECORD_EXPORT_FORMATS[format];
+        const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        const fileName = `records-${dateStr}.${extension}`;
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.setHeader('Cache-Control', 'no-store');
+
+        await exportRecords(userId, filters, format, createResponseWriter(res));
+        return res.end();
+    } catch (err) {
+        // 客户端中途断开，无需再响应
+        if (res.destroyed) {
+            return undefined;
+        }
+        console.error('POST /api/records/export error:', err);
+        // 已开始输出文件时无法再返回 JSON，直接中断连接
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
 /**
  * @swagger
  * /api/records/summary:
@@ -1130,10 +1411,12 @@ router.post('/records/list', async (req, res) => {
  *         description: 参数错误
  *       401:
  *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
  *       500:
  *         description: 服务器内部错误
  */
-router.post('/records/summary', async (req, res) => {
+router.post('/records/summary', requireScope('records:read'), rateLimit('read'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { start_date, end_date, group_by = 'day', type_id } = req.body || {};
@@ -1224,10 +1507,12 @@ router.post('/records/summary', async (req, res) => {
  *         description: 参数错误
  *       401:
  *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
  *       500:
  *         description: 服务器内部错误
  */
-router.post('/records/summary-by-category', async (req, res) => {
+router.post('/records/summary-by-category', requireScope('records:read'), rateLimit('read'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { start_date, end_date, type_id } = req.body || {};
@@ -0,0 +1,855 @@
+const express = require('express');
+const router = express.Router();
+
+const { authMiddleware, requireScope } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { query } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { withTransaction } = require('../utils/records');
+const { isValidDate, getLocalDate } = require('../utils/recurrence');
+const {
+    RECURRING_RULE_STATUSES,
+    RECURRING_OCCURRENCE_STATUSES,
+    RECURRING_RULE_COLUMNS,
+    formatRecurringRule,
+    loadRecurringRule,
+    normalizeRecurringRule,
+    normalizeOccurrenceOverrides,
+    computeNextRunDate,
+    setRecurringOccurrence,
+    listUpcomingOccurrences,
+} = require('../utils/recurringRules');
+
+// 周期记账接口需要登录
+router.use('/recurring-rules', authMiddleware);
+
+// 规则中可以修改的字段
+const RULE_FIELDS = [
+    'name',
+    'frequency',
+    'interval_count',
+    'rrule',
+    'start_date',
+    'end_date',
+    'run_time',
+    'type_id',
+    'category_id',
+    'amount',
+    'remark',
+    'tag_ids',
+];
+
+// 详情中返回的接下来的日期数量：默认10，最多50
+const UPCOMING_DEFAULT_LIMIT = 10;
+const UPCOMING_MAX_LIMIT = 50;
+
+// 保存规则的字段（创建和修改共用）
+function ruleParams(rule) {
+    return [
+        rule.name,
+        rule.frequency,
+        rule.interval_count,
+        rule.rrule,
+        rule.start_date,
+        rule.end_date,
+        rule.run_time,
+        rule.type_id,
+        rule.category_id,
+        rule.amount,
+        rule.remark,
+        JSON.stringify(rule.tag_ids),
+    ];
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: RecurringRules
+ *   description: 周期记账相关接口（按规则定时生成记账记录，如房租、工资、订阅费）
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecurringRuleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: 规则名称（不超过64个字符）
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly, yearly, custom]
+ *           description: |
+ *             频率。weekly、monthly、yearly 以开始日期为基准（开始日期的星期、日、月和日），
+ *             开始日期为 29-31 日时，没有该日期的月份使用当月最后一天；custom 使用 rrule
+ *         interval_count:
+ *           type: integer
+ *           description: 间隔（1-999，默认1），如 frequency 为 weekly、interval_count 为 2 表示每两周
+ *         rrule:
+ *           type: string
+ *           description: |
+ *             自定义重复规则（frequency 为 custom 时必填），RFC 5545 RRULE 的子集：
+ *             FREQ（DAILY、WEEKLY、MONTHLY、YEARLY）、INTERVAL、COUNT、UNTIL、BYDAY、BYMONTHDAY、BYMONTH、WKST（仅 MO）。
+ *             不存在的日期会跳过，如 BYMONTHDAY=31 只在有 31 日的月份生成
+ *         start_date:
+ *           type: string
+ *           format: date
+ *           description: 开始日期（YYYY-MM-DD）。早于今天时，开始日期以来的日期会补生成；最早为 366 天前
+ *         end_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: 结束日期（含，可选）
+ *         run_time:
+ *           type: string
+ *           description: 生成时间（东8区，HH:MM，默认 09:00），也是生成的记录的发生时间
+ *         type_id:
+ *           type: integer
+ *         category_id:
+ *           type: integer
+ *         amount:
+ *           type: number
+ *           format: double
+ *         remark:
+ *           type: string
+ *         tag_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ */
+
+/**
+ * @swagger
+ * /api/recurring-rules/list:
+ *   post:
+ *     summary: 分页查询周期记账规则
+ *     tags: [RecurringRules]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, paused, finished]
+ *                 description: 状态（可选）
+ *               page:
+ *                 type: integer
+ *                 description: 页码（可选，默认1）
+ *               page_size:
+ *                 type: integer
+ *                 description: 每页数量（可选，默认20，范围1-100）
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/recurring-rules/list', requireScope('records:read'), rateLimit('read'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { status, page = 1, page_size = 20 } = req.body || {};
+
+        const pageNum = Math.max(Math.floor(Number(page) || 1), 1);
+        const pageSizeNum = Math.min(Math.max(Math.floor(Number(page_size) || 20), 1), 100);
+        const offset = (pageNum - 1) * pageSizeNum;
+
+        const whereClauses = ['r.user_id = ?', 'r.is_deleted = 0'];
+        const params = [userId];
+        if (Object.values(RECURRING_RULE_STATUSES).includes(status)) {
+            whereClauses.push('r.status = ?');
+            params.push(status);
+        }
+        const whereSql = whereClauses.join(' AND ');
+
+        const totalRows = await query(
+            `
+      SELECT COUNT(*) AS total
+      FROM fs_recurring_rules r
+      WHERE ${whereSql}
+    `,
+            params,
+        );
+        const total = (totalRows[0] && totalRows[0].total) || 0;
+
+        // 注意：LIMIT 不使用占位符，offset 和 pageSizeNum 已经过校验
+        const rows = await query(
+            `
+      SELECT ${RECURRING_RULE_COLUMNS},
+        t.name AS type_name,
+        c.name AS category_name
+      FROM fs_recurring_rules r
+      LEFT JOIN fs_record_types t ON r.type_id = t.id
+      LEFT JOIN fs_categories c ON r.category_id = c.id
+      WHERE ${whereSql}
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT ${offset}, ${pageSizeNum}
+    `,
+            params,
+        );
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, {
+            list: rows.map(formatRecurringRule),
+            pagination: {
+                page: pageNum,
+                page_size: pageSizeNum,
+                total,
+            },
+        });
+    } catch (err) {
+        console.error('POST /api/recurring-rules/list error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/recurring-rules/detail:
+ *   post:
+ *     summary: 获取周期记账规则详情
+ *     description: |
+ *       upcoming 为从下次生成日期起接下来的日期：status 为 scheduled（按模板生成）、skipped（已跳过）或 modified（已单独修改），
+ *       record 为该日期生成记录时使用的字段。已结束的规则没有 upcoming。
+ *     tags: [RecurringRules]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 规则ID
+ *               upcoming_limit:
+ *                 type: integer
+ *                 description: 返回的日期数量（可选，默认10，最多50）
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 规则不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/recurring-rules/detail', requireScope('records:read'), rateLimit('read'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id, upcoming_limit = UPCOMING_DEFAULT_LIMIT } = req.body || {};
+        const ruleId = Number(id);
+        if (!ruleId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const rule = await loadRecurringRule(null, userId, ruleId);
+        if (!rule) {
+            return fail(res, MESSAGE_CODES.RECURRING_RULE_NOT_FOUND);
+        }
+
+        const limit = Math.min(Math.max(Number(upcoming_limit) || UPCOMING_DEFAULT_LIMIT, 1), UPCOMING_MAX_LIMIT);
+        const upcoming = await listUpcomingOccurrences(rule, limit);
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, { ...rule, upcoming });
+    } catch (err) {
+        console.error('POST /api/recurring-rules/detail error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/recurring-rules:
+ *   post:
+ *     summary: 创建周期记账规则
+ *     description: |
+ *       定时任务（每 RECURRING_RECORD_INTERVAL 秒）在每个日期的生成时间之后，按记录模板生成记账记录，
+ *       与 POST /api/records 使用相同的校验和写入方式（包括修改历史）。
+ *       服务停止期间错过的日期会在之后补生成，同一日期不会重复生成。
+ *     tags: [RecurringRules]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RecurringRuleInput'
+ *               - type: object
+ *                 required:
+ *                   - name
+ *                   - frequency
+ *                   - start_date
+ *                   - type_id
+ *                   - category_id
+ *                   - amount
+ *           example:
+ *             name: "房租"
+ *             frequency: "monthly"
+ *             start_date: "2026-01-05"
+ *             run_time: "09:00"
+ *             type_id: 1
+ *             category_id: 3
+ *             amount: 3500
+ *             remark: "每月房租"
+ *             tag_ids: [1]
+ *     responses:
+ *       200:
+ *         description: 创建成功，返回规则ID和下次生成日期
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/recurring-rules', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { rule, error } = normalizeRecurringRule(req.body || {});
+        if (error) {
+            return fail(res, error.code, null, error.message);
+        }
+
+        const nextRunDate = computeNextRunDate(rule, null);
+        const result = await query(
+            `
+      INSERT INTO fs_recurring_rules
+        (user_id, name, frequency, interval_count, rrule, start_date, end_date, run_time,
+         type_id, category_id, amount, remark, tag_ids, next_run_date, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+            [userId, ...ruleParams(rule), nextRunDate, RECURRING_RULE_STATUSES.ACTIVE],
+        );
+
+        return success(res, MESSAGE_CODES.SUCCESS, { id: result.insertId, next_run_date: nextRunDate });
+    } catch (err) {
+        console.error('POST /api/recurring-rules error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/recurring-rules/update:
+ *   put:
+ *     summary: 修改周期记账规则（通过 body 传入规则ID和要修改的字段）
+ *     description: |
+ *       只影响尚未处理的日期，已生成的记录不变。下次生成日期按修改后的规则重新计算（最近一次处理的日期之后）。
+ *       已结束的规则修改后仍有后续日期时重新生效；暂停的规则保持暂停。
+ *     tags: [RecurringRules]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RecurringRuleInput'
+ *               - type: object
+ *                 required:
+ *                   - id
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     description: 规则ID
+ *     responses:
+ *       200:
+ *         description: 修改成功，返回下次生成日期
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 规则不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.put('/recurring-rules/update', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const body = req.body || {};
+        const ruleId = Number(body.id);
+        if (!ruleId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const changes = {};
+        RULE_FIELDS.forEach((field) => {
+            if (body[field] !== undefined) {
+                changes[field] = body[field];
+            }
+        });
+        if (Object.keys(changes).length === 0) {
+            return fail(res, MESSAGE_CODES.NO_FIELDS_TO_UPDATE);
+        }
+
+        const result = await withTransaction(async (conn) => {
+            const existing = await loadRecurringRule(conn, userId, ruleId);
+            if (!existing) {
+                return { error: { code: MESSAGE_CODES.RECURRING_RULE_NOT_FOUND, message: null } };
+            }
+            const { rule, error } = normalizeRecurringRule(
+                { ...existing, ...changes },
+                { previousStartDate: existing.start_date },
+            );
+            if (error) {
+                return { error };
+            }
+
+            const nextRunDate = computeNextRunDate(rule, existing.last_run_date);
+            let status = existing.status;
+            if (status !== RECURRING_RULE_STATUSES.PAUSED) {
+                status = nextRunDate ? RECURRING_RULE_STATUSES.ACTIVE : RECURRING_RULE_STATUSES.FINISHED;
+            }
+            await conn.query(
+                `
+        UPDATE fs_recurring_rules
+        SET name = ?, frequency = ?, interval_count = ?, rrule = ?, start_date = ?, end_date = ?, run_time = ?,
+            type_id = ?, category_id = ?, amount = ?, remark = ?, tag_ids = ?,
+            next_run_date = ?, status = ?, updated_at = NOW()
+        WHERE id = ?
+      `,
+                [...ruleParams(rule), nextRunDate, status, ruleId],
+            );
+            return { error: null, nextRunDate };
+        });
+
+        if (result.error) {
+            return fail(res, result.error.code, null, result.error.message);
+        }
+
+        return success(res, MESSAGE_CODES.UPDATE_SUCCESS, { next_run_date: result.nextRunDate });
+    } catch (err) {
+        console.error('PUT /api/recurring-rules/update error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/recurring-rules/delete:
+ *   delete:
+ *     summary: 删除周期记账规则（ID 通过 body 传入）
+ *     description: 删除后不再生成记录，已生成的记录不受影响。
+ *     tags: [RecurringRules]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 规则ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 规则不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.delete('/recurring-rules/delete', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const ruleId = Number((req.body || {}).id);
+        if (!ruleId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const result = await query(
+            `
+      UPDATE fs_recurring_rules
+      SET is_deleted = 1, updated_at = NOW()
+      WHERE id = ? AND user_id = ? AND is_deleted = 0
+    `,
+            [ruleId, userId],
+        );
+        if (result.affectedRows === 0) {
+            return fail(res, MESSAGE_CODES.RECURRING_RULE_NOT_FOUND);
+        }
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('DELETE /api/recurring-rules/delete error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/recurring-rules/pause:
+ *   post:
+ *     summary: 暂停周期记账规则
+ *     description: 暂停期间不生成记录。只能暂停生效中的规则。
+ *     tags: [RecurringRules]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 规则ID
+ *     responses:
+ *       200:
+ *         description: 暂停成功
+ *       400:
+ *         description: 参数错误或规则不是生效状态
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 规则不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/recurring-rules/pause', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const ruleId = Number((req.body || {}).id);
+        if (!ruleId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const code = await withTransaction(async (conn) => {
+            const rule = await loadRecurringRule(conn, userId, ruleId);
+            if (!rule) {
+                return MESSAGE_CODES.RECURRING_RULE_NOT_FOUND;
+            }
+            if (rule.status !== RECURRING_RULE_STATUSES.ACTIVE) {
+                return MESSAGE_CODES.RECURRING_RULE_STATUS_INVALID;
+            }
+            await conn.query('UPDATE fs_recurring_rules SET status = ?, updated_at = NOW() WHERE id = ?', [
+                RECURRING_RULE_STATUSES.PAUSED,
+                ruleId,
+            ]);
+            return null;
+        });
+        if (code) {
+            return fail(res, code);
+        }
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('POST /api/recurring-rules/pause error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/recurring-rules/resume:
+ *   post:
+ *     summary: 恢复已暂停的周期记账规则
+ *     description: |
+ *       暂停期间的日期不补生成，下次生成日期为今天起（含今天）的第一个日期；没有后续日期时规则结束。
+ *     tags: [RecurringRules]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 规则ID
+ *     responses:
+ *       200:
+ *         description: 恢复成功，返回状态和下次生成日期
+ *       400:
+ *         description: 参数错误或规则不是暂停状态
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 规则不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/recurring-rules/resume', requireScope('records:write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const ruleId = Number((req.body || {}).id);
+        if (!ruleId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const result = await withTransaction(async (conn) => {
+            const rule = await loadRecurringRule(conn, userId, ruleId);
+            if (!rule) {
+                return { code: MESSAGE_CODES.RECURRING_RULE_NOT_FOUND };
+            }
+            if (rule.status !== RECURRING_RULE_STATUSES.PAUSED) {
+                return { code: MESSAGE_CODES.RECURRING_RULE_STATUS_INVALID };
+            }
+            const nextRunDate = computeNextRunDate(rule, rule.last_run_date, getLocalDate());
+            const status = nextRunDate ? RECURRING_RULE_STATUSES.ACTIVE : RECURRING_RULE_STATUSES.FINISHED;
+            await conn.query(
+                'UPDATE fs_recurring_rules SET status = ?, next_run_date = ?, updated_at = NOW() WHERE id = ?',
+                [status, nextRunDate, ruleId],
+            );
+            return { code: null, status, nextRunDate };
+        });
+        if (result.code) {
+            return fail(res, result.code);
+        }
+
+        return success(res, MESSAGE_CODES.SUCCESS, { status: result.status, next_run_date: result.nextRunDate });
+    } catch (err) {
+        console.error('POST /api/recurring-rules/resume error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+// 跳过、取消跳过、单独修改某个日期共用的处理
+function occurrenceHandler(status, path) {
+    return async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const { id, date, overrides } = req.body || {};
+            const ruleId = Number(id);
+            if (!ruleId || !isValidDate(date)) {
+                return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+            }
+
+            let normalized = null;
+            if (status === RECURRING_OCCURRENCE_STATUSES.MODIFIED) {
+                const result = normalizeOccurrenceOverrides(overrides);
+                if (result.error) {
+                    return fail(res, result.error.code, null, result.error.message);
+                }
+                normalized = result.overrides;
+            }
+
+            const error = await setRecurringOccurrence(userId, ruleId, date, status, normalized);
+            if (error) {
+                return fail(res, error.code, null, error.message);
+            }
+
+            return success(res, MESSAGE_CODES.SUCCESS);
+        } catch (err) {
+            console.error(`POST /api/recurring-rules/occurrence/${path} error:`, err);
+            return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+        }
+    };
+}
+
+/**
+ * @swagger
+ * /api/recurring-rules/occurrence/skip:
+ *   post:
+ *     summary: 跳过某个日期
+ *     description: 跳过后该日期不生成记录。只能跳过规则中尚未处理、且在今天起 5 年内的日期。
+ *     tags: [RecurringRules]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - date
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 规则ID
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: 日期（YYYY-MM-DD）
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *       400:
+ *         description: 参数错误，或该日期不属于规则、已处理
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 规则不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post(
+    '/recurring-rules/occurrence/skip',
+    requireScope('records:write'),
+    rateLimit('write'),
+    occurrenceHandler(RECURRING_OCCURRENCE_STATUSES.SKIPPED, 'skip'),
+);
+
+/**
+ * @swagger
+ * /api/recurring-rules/occurrence/unskip:
+ *   post:
+ *     summary: 取消跳过某个日期
+ *     description: 取消跳过后该日期按时生成记录（有单独修改时使用修改后的字段）。
+ *     tags: [RecurringRules]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - date
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 规则ID
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: 日期（YYYY-MM-DD）
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *       400:
+ *         description: 参数错误，或该日期不属于规则、已处理
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 规则不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post(
+    '/recurring-rules/occurrence/unskip',
+    requireScope('records:write'),
+    rateLimit('write'),
+    occurrenceHandler(RECURRING_OCCURRENCE_STATUSES.SCHEDULED, 'unskip'),
+);
+
+/**
+ * @swagger
+ * /api/recurring-rules/occurrence/update:
+ *   post:
+ *     summary: 单独修改某个日期生成的记录
+ *     description: |
+ *       只影响该日期，与之前对该日期的修改合并。只能修改规则中尚未处理、且在今天起 5 年内的日期；
+ *       已生成的记录请通过 PUT /api/records/update 修改。
+ *     tags: [RecurringRules]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - date
+ *               - overrides
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: 规则ID
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: 日期（YYYY-MM-DD）
+ *               overrides:
+ *                 type: object
+ *                 description: 要修改的字段
+ *                 properties:
+ *                   type_id:
+ *                     type: integer
+ *                   category_id:
+ *                     type: integer
+ *                   amount:
+ *                     type: number
+ *                     format: double
+ *                   remark:
+ *                     type: string
+ *                   tag_ids:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *           example:
+ *             id: 1
+ *             date: "2026-12-05"
+ *             overrides:
+ *               amount: 3800
+ *               remark: "12月房租（含物业费）"
+ *     responses:
+ *       200:
+ *         description: 修改成功
+ *       400:
+ *         description: 参数错误，或该日期不属于规则、已处理
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 规则不存在
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post(
+    '/recurring-rules/occurrence/update',
+    requireScope('records:write'),
+    rateLimit('write'),
+    occurrenceHandler(RECURRING_OCCURRENCE_STATUSES.MODIFIED, 'update'),
+);
+
+module.exports = router;
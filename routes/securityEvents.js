@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+
+const { authMiddleware, requireSessionAuth, requirePermission } = require('../middlewares/auth');
+const { query } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { SECURITY_EVENTS, SECURITY_OUTCOMES, formatSecurityEvent } = require('../utils/securityEvents');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const EVENT_TYPES = Object.values(SECURITY_EVENTS);
+const OUTCOMES = Object.values(SECURITY_OUTCOMES);
+
+// 个人安全日志需要登录，且只能通过登录会话调用
+router.use('/security-events', authMiddleware, requireSessionAuth);
+// 全站安全日志需要 security_events:read 权限
+router.use('/admin/security-events', authMiddleware, requireSessionAuth, requirePermission(PERMISSIONS.SECURITY_EVENTS_READ));
+
+// 规范化分页参数：页码最小1，每页数量1-100
+function normalizePagination(page, pageSize) {
+    const pageNum = Math.max(Math.floor(Number(page) || 1), 1);
+    const pageSizeNum = Math.min(Math.max(Math.floor(Number(pageSize) || 20), 1), 100);
+    return { pageNum, pageSizeNum, offset: (pageNum - 1) * pageSizeNum };
+}
+
+// 分页查询安全事件
+async function listSecurityEvents(whereClauses, params, pagination) {
+    const baseWhere = whereClauses.length ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const { pageNum, pageSizeNum, offset } = pagination;
+
+    const totalRows = await query(
+        `
+    SELECT COUNT(*) AS total
+    FROM security_events
+    ${baseWhere}
+  `,
+        params,
+    );
+    const total = (totalRows[0] && totalRows[0].total) || 0;
+
+    // 注意：LIMIT 不使用占位符，offset 和 pageSizeNum 已经过规范化，直接拼接是安全的
+    const rows = await query(
+        `
+    SELECT id, user_id, event_type, outcome, ip_address, user_agent, detail, created_at
+    FROM security_events
+    ${baseWhere}
+    ORDER BY id DESC
+    LIMIT ${offset}, ${pageSizeNum}
+  `,
+        params,
+    );
+
+    return {
+        list: rows.map(formatSecurityEvent),
+        pagination: {
+            page: pageNum,
+            page_size: pageSizeNum,
+            total,
+        },
+    };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: SecurityEvents
+ *   description: 安全事件审计日志相关接口
+ */
+
+/**
+ * @swagger
+ * /api/security-events:
+ *   get:
+ *     summary: 获取当前用户的安全事件记录
+ *     description: |
+ *       返回当前账号的登录、登出、刷新令牌、密码修改等安全相关事件，按时间倒序分页。
+ *       响应统一为 { code, message, data }，其中 data 包含 list、pagination。
+ *     tags: [SecurityEvents]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: 页码（可选，默认1）
+ *       - in: query
+ *         name: page_size
+ *         schema:
+ *           type: integer
+ *         description: 每页数量（可选，默认20，范围1-100）
+ *       - in: query
+ *         name: event_type
+ *         schema:
+ *           type: string
+ *         description: 事件类型（可选，如 login、token_refresh、logout）
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.get('/security-events', async (req, res) => {
+    try {
+        const { page, page_size, event_type } = req.query || {};
+
+        const whereClauses = ['user_id = ?'];
+        const params = [req.user.id];
+
+        if (event_type) {
+            if (!EVENT_TYPES.includes(event_type)) {
+                return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+            }
+            whereClauses.push('event_type = ?');
+            params.push(event_type);
+        }
+
+        const data = await listSecurityEvents(whereClauses, params, normalizePagination(page, page_size));
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, data);
+    } catch (err) {
+        console.error('GET /api/security-events error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/security-events/list:
+ *   post:
+ *     summary: 分页查询全部用户的安全事件（需 security_events:read 权限）
+ *     description: |
+ *       支持按用户、事件类型、结果、IP、时间范围筛选，用于排查暴力破解等异常行为。
+ *       传入 group_by_ip: true 时额外返回 data.top_ips：筛选范围内失败次数最多的前 10 个 IP。
+ *     tags: [SecurityEvents]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               page:
+ *                 type: integer
+ *                 description: 页码（可选，默认1）
+ *               page_size:
+ *                 type: integer
+ *                 description: 每页数量（可选，默认20，范围1-100）
+ *               user_id:
+ *                 type: integer
+ *                 description: 用户ID（可选）
+ *               event_type:
+ *                 type: string
+ *                 description: 事件类型（可选）
+ *               outcome:
+ *                 type: string
+ *                 enum: [success, failure, blocked]
+ *                 description: 结果（可选）
+ *               ip_address:
+ *                 type: string
+ *                 description: 客户端IP（可选，精确匹配）
+ *               start_time:
+ *                 type: string
+ *                 description: 起始时间（可选，如 2025-01-01 00:00:00）
+ *               end_time:
+ *                 type: string
+ *                 description: 结束时间（可选）
+ *               group_by_ip:
+ *                 type: boolean
+ *                 description: 是否返回失败次数最多的 IP 统计（可选）
+ *           example:
+ *             event_type: "login"
+ *             outcome: "failure"
+ *             start_time: "2025-01-01 00:00:00"
+ *             group_by_ip: true
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 未认证
+ *       403:
+ *         description: 无访问权限（缺少 security_events:read 权限）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/admin/security-events/list', async (req, res) => {
+    try {
+        const {
+            page,
+            page_size,
+            user_id,
+            event_type,
+            outcome,
+            ip_address,
+            start_time,
+            end_time,
+            group_by_ip,
+        } = req.body || {};
+
+        const whereClauses = [];
+        const params = [];
+
+        if (user_id) {
+            whereClauses.push('user_id = ?');
+            params.push(Number(user_id));
+        }
+        if (event_type) {
+            if (!EVENT_TYPES.includes(event_type)) {
+                return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+            }
+            whereClauses.push('event_type = ?');
+            params.push(event_type);
+        }
+        if (outcome) {
+            if (!OUTCOMES.includes(outcome)) {
+                return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+            }
+            whereClauses.push('outcome = ?');
+            params.push(outcome);
+        }
+        if (ip_address) {
+            whereClauses.push('ip_address = ?');
+            params.push(String(ip_address));
+        }
+        if (start_time) {
+            whereClauses.push('created_at >= ?');
+            params.push(start_time);
+        }
+        if (end_time) {
+            whereClauses.push('created_at <= ?');
+            params.push(end_time);
+        }
+
+        const data = await listSecurityEvents(whereClauses, params, normalizePagination(page, page_size));
+
+        if (group_by_ip) {
+            const failureWhere = [...whereClauses, "outcome != 'success'", 'ip_address IS NOT NULL'];
+            data.top_ips = await query(
+                `
+        SELECT ip_address, COUNT(*) AS failures, COUNT(DISTINCT user_id) AS users, MAX(created_at) AS last_seen_at
+        FROM security_events
+        WHERE ${failureWhere.join(' AND ')}
+        GROUP BY ip_address
+        ORDER BY failures DESC
+        LIMIT 10
+      `,
+                params,
+            );
+        }
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, data);
+    } catch (err) {
+        console.error('POST /api/admin/security-events/list error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
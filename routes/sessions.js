@@ -0,0 +1,275 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    authMiddleware,
+    requireSessionAuth,
+    hashToken,
+    revokeRefreshTokenFamily,
+    clearAuthCookies,
+    reissueAccessToken,
+} = require('../middlewares/auth');
+const { query } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { logSecurityEvent, SECURITY_EVENTS } = require('../utils/securityEvents');
+const { bumpTokenVersion } = require('../utils/tokenRevocation');
+
+// 所有会话接口均需要登录，且只能通过登录会话调用
+router.use('/sessions', authMiddleware, requireSessionAuth);
+
+// 根据 Cookie 中的 refresh_token 查找当前会话所属的令牌家族
+async function getCurrentFamilyId(req) {
+    const refreshTokenRaw = req.cookies?.refresh_token;
+    if (!refreshTokenRaw) {
+        return null;
+    }
+    const rows = await query(
+        `
+      SELECT family_id
+      FROM user_refresh_tokens
+      WHERE token_hash = ? AND user_id = ?
+      LIMIT 1
+    `,
+        [hashToken(refreshTokenRaw), req.user.id],
+    );
+    return (rows[0] && rows[0].family_id) || null;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sessions
+ *   description: 登录会话管理相关接口
+ */
+
+/**
+ * @swagger
+ * /api/sessions:
+ *   get:
+ *     summary: 获取当前用户的在线会话列表
+ *     description: |
+ *       每个会话对应一次登录（一个 Refresh Token 家族），刷新令牌不会产生新会话。
+ *       仅返回未撤销且未过期的会话，current 为 true 表示发起本次请求的会话。
+ *       响应统一为 { code, message, data }，其中 data.list 为会话数组。
+ *     tags: [Sessions]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 message:
+ *                   type: string
+ *                   example: "获取成功"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     list:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             description: 会话ID（令牌家族ID）
+ *                           user_agent:
+ *                             type: string
+ *                           ip_address:
+ *                             type: string
+ *                           remember_me:
+ *                             type: boolean
+ *                           signed_in_at:
+ *                             type: string
+ *                             description: 登录时间
+ *                           last_active_at:
+ *                             type: string
+ *                             description: 最近一次刷新令牌的时间
+ *                           expires_at:
+ *                             type: string
+ *                           current:
+ *                             type: boolean
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.get('/sessions', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const currentFamilyId = await getCurrentFamilyId(req);
+
+        const rows = await query(
+            `
+      SELECT
+        urt.family_id,
+        urt.user_agent,
+        urt.ip_address,
+        urt.remember_me,
+        urt.created_at AS last_active_at,
+        urt.expires_at,
+        (
+          SELECT MIN(f.created_at)
+          FROM user_refresh_tokens f
+          WHERE f.family_id = urt.family_id
+        ) AS signed_in_at
+      FROM user_refresh_tokens urt
+      WHERE urt.user_id = ? AND urt.revoked = 0 AND urt.expires_at > NOW()
+      ORDER BY urt.created_at DESC
+    `,
+            [userId],
+        );
+
+        const list = rows.map((r) => ({
+            id: r.family_id,
+            user_agent: r.user_agent,
+            ip_address: r.ip_address,
+            remember_me: !!r.remember_me,
+            signed_in_at: r.signed_in_at,
+            last_active_at: r.last_active_at,
+            expires_at: r.expires_at,
+            current: !!currentFamilyId && r.family_id === currentFamilyId,
+        }));
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, { list });
+    } catch (err) {
+        console.error('GET /api/sessions error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/sessions/revoke:
+ *   delete:
+ *     summary: 注销指定会话（远程登出，会话ID通过 body 传入）
+ *     description: |
+ *       撤销该会话下的全部 Refresh Token，对应设备在 Access Token 过期后需重新登录。
+ *       如果注销的是当前会话，同时清除本次请求的认证 Cookie。
+ *     tags: [Sessions]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: 会话ID（GET /api/sessions 返回的 id）
+ *     responses:
+ *       200:
+ *         description: 注销成功
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 会话不存在
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.delete('/sessions/revoke', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.body || {};
+
+        if (!id) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        // 只能注销属于自己且仍然有效的会话
+        const rows = await query(
+            `
+      SELECT family_id
+      FROM user_refresh_tokens
+      WHERE family_id = ? AND user_id = ? AND revoked = 0
+      LIMIT 1
+    `,
+            [String(id), userId],
+        );
+
+        if (!rows[0]) {
+            return fail(res, MESSAGE_CODES.SESSION_NOT_FOUND);
+        }
+
+        await revokeRefreshTokenFamily(rows[0].family_id);
+        await logSecurityEvent(req, SECURITY_EVENTS.SESSION_REVOKE, {
+            userId,
+            detail: { family_id: rows[0].family_id },
+        });
+
+        const currentFamilyId = await getCurrentFamilyId(req);
+        if (currentFamilyId && currentFamilyId === rows[0].family_id) {
+            clearAuthCookies(res);
+        }
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('DELETE /api/sessions/revoke error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/sessions/revoke-others:
+ *   delete:
+ *     summary: 注销除当前会话外的所有会话
+ *     description: |
+ *       撤销当前用户其他所有会话的 Refresh Token，并使其他会话已签发的 Access Token 立即失效，
+ *       当前会话换发新的 Access Token 并保持登录。
+ *       响应中 data.revoked 为被撤销的令牌数量。
+ *     tags: [Sessions]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 注销成功
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.delete('/sessions/revoke-others', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const currentFamilyId = await getCurrentFamilyId(req);
+
+        const params = [userId];
+        let sql = `
+      UPDATE user_refresh_tokens
+      SET revoked = 1
+      WHERE user_id = ? AND revoked = 0
+    `;
+        if (currentFamilyId) {
+            sql += ' AND family_id != ?';
+            params.push(currentFamilyId);
+        }
+
+        const result = await query(sql, params);
+
+        const tokenVersion = await bumpTokenVersion(userId);
+        reissueAccessToken(res, req.user, tokenVersion);
+
+        await logSecurityEvent(req, SECURITY_EVENTS.SESSION_REVOKE, {
+            userId,
+            detail: { scope: 'others', revoked: result.affectedRows || 0 },
+        });
+
+        return success(res, MESSAGE_CODES.SUCCESS, { revoked: result.affectedRows || 0 });
+    } catch (err) {
+        console.error('DELETE /api/sessions/revoke-others error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
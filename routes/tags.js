@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 
-const { authMiddleware } = require('../middlewares/auth');
+const { authMiddleware, requireScope } = require('../middlewares/auth');
 const { query } = require('../config/database');
 const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
 
@@ -31,7 +31,7 @@ router.use(authMiddleware);
  *       500:
  *         description: 服务器内部错误
  */
-router.get('/tags', async (req, res) => {
+router.get('/tags', requireScope('tags:read'), async (req, res) => {
     try {
         const userId = req.user.id;
 
@@ -88,7 +88,7 @@ router.get('/tags', async (req, res) => {
  *       500:
  *         description: 服务器内部错误
  */
-router.post('/tags', async (req, res) => {
+router.post('/tags', requireScope('tags:write'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { name, color, is_system } = req.body || {};
@@ -124,7 +124,7 @@ router.post('/tags', async (req, res) => {
  * @swagger
  * /api/tags/delete:
  *   delete:
- *     summary: 删除标签（软删除，标签ID通过 body 传入）
+ *     summary: 删除标签（软删除，移入回收站，标签ID通过 body 传入）
  *     tags: [Tags]
  *     security:
  *       - cookieAuth: []
@@ -148,7 +148,7 @@ router.post('/tags', async (req, res) => {
  *       500:
  *         description: 服务器内部错误
  */
-router.delete('/tags/delete', async (req, res) => {
+router.delete('/tags/delete', requireScope('tags:write'), async (req, res) => {
     try {
         const userId = req.user.id;
         const { id } = req.body || {};
@@ -176,7 +176,7 @@ router.delete('/tags/delete', async (req, res) => {
         await query(
             `
       UPDATE fs_tags
-      SET is_deleted = 1, updated_at = NOW()
+      SET is_deleted = 1, deleted_at = NOW(), updated_at = NOW()
       WHERE id = ?
     `,
             [tagId],
@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+
+const { authMiddleware, requireScope } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { query } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { TRASH_RETENTION_DAYS, TRASH_TYPES, PURGE_RESULTS, restoreTrashItem, purgeTrashItem } = require('../utils/trash');
+
+// 回收站接口需要登录
+router.use('/trash', authMiddleware);
+
+// 列表查询字段
+const TRASH_LIST_SQL = {
+    records: `
+      SELECT
+        r.id,
+        r.type_id,
+        t.name AS type_name,
+        r.category_id,
+        c.name AS category_name,
+        r.amount,
+        r.occurred_at,
+        r.remark,
+        r.deleted_at
+      FROM fs_records r
+      LEFT JOIN fs_record_types t ON r.type_id = t.id
+      LEFT JOIN fs_categories c ON r.category_id = c.id
+      WHERE r.user_id = ? AND r.is_deleted = 1
+      ORDER BY r.deleted_at DESC, r.id DESC
+    `,
+    categories: `
+      SELECT id, type_id, name, parent_id, icon, color, deleted_at
+      FROM fs_categories
+      WHERE user_id = ? AND is_deleted = 1
+      ORDER BY deleted_at DESC, id DESC
+    `,
+    tags: `
+      SELECT id, name, color, deleted_at
+      FROM fs_tags
+      WHERE user_id = ? AND is_deleted = 1
+      ORDER BY deleted_at DESC, id DESC
+    `,
+};
+
+// 校验回收站类型，并按类型检查访问令牌权限（如 records:read、tags:write）
+function requireTrashScope(access) {
+    return (req, res, next) => {
+        const { type } = req.body || {};
+        if (!TRASH_TYPES[type]) {
+            return fail(res, MESSAGE_CODES.TRASH_TYPE_INVALID);
+        }
+        return requireScope(`${TRASH_TYPES[type].scope}:${access}`)(req, res, next);
+    };
+}
+
+// 计算自动彻底删除的时间
+function getPurgeAfter(deletedAt) {
+    if (!deletedAt) {
+        return null;
+    }
+    return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: 回收站相关接口（已删除的记账记录、分类和标签）
+ */
+
+/**
+ * @swagger
+ * /api/trash/list:
+ *   post:
+ *     summary: 分页查询回收站
+ *     description: |
+ *       按类型查询当前用户已删除的项目，按删除时间倒序。
+ *       purge_after 为自动彻底删除的时间（删除时间 + TRASH_RETENTION_DAYS 天）。
+ *     tags: [Trash]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [records, categories, tags]
+ *                 description: 回收站类型
+ *               page:
+ *                 type: integer
+ *                 description: 页码（可选，默认1）
+ *               page_size:
+ *                 type: integer
+ *                 description: 每页数量（可选，默认20，范围1-100）
+ *           example:
+ *             type: "records"
+ *             page: 1
+ *             page_size: 20
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/trash/list', requireTrashScope('read'), rateLimit('read'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { type, page = 1, page_size = 20 } = req.body || {};
+
+        const pageNum = Math.max(Math.floor(Number(page) || 1), 1);
+        const pageSizeNum = Math.min(Math.max(Math.floor(Number(page_size) || 20), 1), 100);
+        const offset = (pageNum - 1) * pageSizeNum;
+
+        const totalRows = await query(
+            `
+      SELECT COUNT(*) AS total
+      FROM ${TRASH_TYPES[type].table}
+      WHERE user_id = ? AND is_deleted = 1
+    `,
+            [userId],
+        );
+        const total = (totalRows[0] && totalRows[0].total) || 0;
+
+        // 注意：LIMIT 不使用占位符，offset 和 pageSizeNum 已经过校验
+        const rows = await query(`${TRASH_LIST_SQL[type]} LIMIT ${offset}, ${pageSizeNum}`, [userId]);
+
+        const list = rows.map((r) => ({
+            ...r,
+            purge_after: getPurgeAfter(r.deleted_at),
+        }));
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, {
+            list,
+            pagination: {
+                page: pageNum,
+                page_size: pageSizeNum,
+                total,
+            },
+            retention_days: TRASH_RETENTION_DAYS,
+        });
+    } catch (err) {
+        console.error('POST /api/trash/list error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/trash/restore:
+ *   post:
+ *     summary: 从回收站恢复
+ *     description: |
+ *       恢复记账记录时同时恢复删除前的标签关联（已彻底删除或在回收站中的标签除外），并写入一条 operation 为 RESTORE 的历史记录。
+ *     tags: [Trash]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - id
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [records, categories, tags]
+ *               id:
+ *                 type: integer
+ *                 description: 项目ID
+ *     responses:
+ *       200:
+ *         description: 恢复成功
+ *       400:
+ *         description: 参数错误
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 回收站中不存在该项目
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/trash/restore', requireTrashScope('write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { type, id } = req.body || {};
+        const itemId = Number(id);
+
+        if (!itemId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const restored = await restoreTrashItem(type, userId, itemId);
+        if (!restored) {
+            return fail(res, MESSAGE_CODES.TRASH_ITEM_NOT_FOUND);
+        }
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('POST /api/trash/restore error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/trash/purge:
+ *   delete:
+ *     summary: 彻底删除回收站中的项目
+ *     description: |
+ *       彻底删除后不可恢复。记账记录会同时删除标签关联和修改历史；标签会同时删除与记录的关联；
+ *       分类仍被记账记录（包括回收站中的记录）、子分类或周期记账规则引用时不能彻底删除。
+ *     tags: [Trash]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - id
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [records, categories, tags]
+ *               id:
+ *                 type: integer
+ *                 description: 项目ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       400:
+ *         description: 参数错误或分类仍被引用
+ *       401:
+ *         description: 未认证
+ *       404:
+ *         description: 回收站中不存在该项目
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.delete('/trash/purge', requireTrashScope('write'), rateLimit('write'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { type, id } = req.body || {};
+        const itemId = Number(id);
+
+        if (!itemId) {
+            return fail(res, MESSAGE_CODES.INVALID_PARAMS);
+        }
+
+        const result = await purgeTrashItem(type, userId, itemId);
+        if (result === PURGE_RESULTS.NOT_FOUND) {
+            return fail(res, MESSAGE_CODES.TRASH_ITEM_NOT_FOUND);
+        }
+        if (result === PURGE_RESULTS.IN_USE) {
+            return fail(res, MESSAGE_CODES.CATEGORY_IN_USE);
+        }
+
+        return success(res, MESSAGE_CODES.SUCCESS);
+    } catch (err) {
+        console.error('DELETE /api/trash/purge error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
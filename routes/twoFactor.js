@@ -0,0 +1,369 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const router = express.Router();
+
+const { authMiddleware, requireSessionAuth } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { query } = require('../config/database');
+const { success, fail, httpError, MESSAGE_CODES } = require('../utils/response');
+const { logSecurityEvent, SECURITY_EVENTS, SECURITY_OUTCOMES } = require('../utils/securityEvents');
+const { generateSecret, buildOtpAuthUri } = require('../utils/totp');
+const {
+    regenerateRecoveryCodes,
+    countRemainingRecoveryCodes,
+    consumeTotpCode,
+    verifySecondFactor,
+} = require('../utils/twoFactor');
+
+// 认证器应用中显示的发行方名称
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Finsmart';
+
+// 所有两步验证管理接口均需要登录，且只能通过登录会话调用
+router.use('/2fa', authMiddleware, requireSessionAuth);
+
+// 查询当前用户的两步验证相关字段
+async function findTwoFactorUser(userId) {
+    const users = await query(
+        `
+      SELECT id, username, password_hash, totp_secret, totp_enabled, totp_enabled_at, is_deleted
+      FROM users
+      WHERE id = ? LIMIT 1
+    `,
+        [userId],
+    );
+    const user = users[0];
+    if (!user || user.is_deleted) {
+        return null;
+    }
+    return user;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: TwoFactor
+ *   description: 两步验证（TOTP）相关接口
+ */
+
+/**
+ * @swagger
+ * /api/2fa/status:
+ *   get:
+ *     summary: 获取当前用户的两步验证状态
+ *     tags: [TwoFactor]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功，data 包含 enabled、enabled_at、recovery_codes_remaining
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.get('/2fa/status', async (req, res) => {
+    try {
+        const user = await findTwoFactorUser(req.user.id);
+        if (!user) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        const enabled = !!user.totp_enabled;
+
+        return success(res, MESSAGE_CODES.GET_SUCCESS, {
+            enabled,
+            enabled_at: enabled ? user.totp_enabled_at : null,
+            recovery_codes_remaining: enabled ? await countRemainingRecoveryCodes(user.id) : 0,
+        });
+    } catch (err) {
+        console.error('GET /api/2fa/status error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/2fa/setup:
+ *   post:
+ *     summary: 开始绑定两步验证（生成密钥）
+ *     description: |
+ *       生成新的 TOTP 密钥并返回 otpauth URI，前端可将其渲染为二维码供认证器应用扫描。
+ *       此时两步验证尚未启用，需调用 /api/2fa/enable 提交验证码确认后才会生效。
+ *     tags: [TwoFactor]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: 生成成功，data 包含 secret、otpauth_uri
+ *       401:
+ *         description: 未认证
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/2fa/setup', async (req, res) => {
+    try {
+        const user = await findTwoFactorUser(req.user.id);
+        if (!user) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        if (user.totp_enabled) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_ALREADY_ENABLED);
+        }
+
+        const secret = generateSecret();
+
+        await query(
+            `
+      UPDATE users
+      SET totp_secret = ?, totp_last_used_step = NULL, updated_at = NOW()
+      WHERE id = ?
+    `,
+            [secret, user.id],
+        );
+
+        return success(res, MESSAGE_CODES.SUCCESS, {
+            secret,
+            otpauth_uri: buildOtpAuthUri(secret, user.username, TOTP_ISSUER),
+        });
+    } catch (err) {
+        console.error('POST /api/2fa/setup error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/2fa/enable:
+ *   post:
+ *     summary: 确认启用两步验证
+ *     description: |
+ *       提交认证器应用中显示的验证码，校验通过后启用两步验证，并返回一组一次性恢复码。
+ *       恢复码只在此时返回一次，请提示用户妥善保存。
+ *     tags: [TwoFactor]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6 位验证码
+ *           example:
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: 启用成功，data.recovery_codes 为恢复码数组
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/2fa/enable', rateLimit('auth'), async (req, res) => {
+    try {
+        const { code } = req.body || {};
+
+        if (!code) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_CODE_REQUIRED);
+        }
+
+        const user = await findTwoFactorUser(req.user.id);
+        if (!user) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        if (user.totp_enabled) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_ALREADY_ENABLED);
+        }
+
+        if (!user.totp_secret) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_SETUP_REQUIRED);
+        }
+
+        if (!(await consumeTotpCode(user, code))) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_CODE_INVALID);
+        }
+
+        await query(
+            `
+      UPDATE users
+      SET totp_enabled = 1, totp_enabled_at = NOW(), updated_at = NOW()
+      WHERE id = ?
+    `,
+            [user.id],
+        );
+
+        const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+        await logSecurityEvent(req, SECURITY_EVENTS.TWO_FACTOR_ENABLE, { userId: user.id });
+
+        return success(res, MESSAGE_CODES.TWO_FACTOR_ENABLED, { recovery_codes: recoveryCodes });
+    } catch (err) {
+        console.error('POST /api/2fa/enable error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/2fa/disable:
+ *   post:
+ *     summary: 关闭两步验证
+ *     description: 需同时提供登录密码和验证码（或恢复码），关闭后清除密钥和全部恢复码。
+ *     tags: [TwoFactor]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: 登录密码
+ *               code:
+ *                 type: string
+ *                 description: 6 位验证码（与 recoveryCode 二选一）
+ *               recoveryCode:
+ *                 type: string
+ *                 description: 恢复码（与 code 二选一）
+ *     responses:
+ *       200:
+ *         description: 关闭成功
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/2fa/disable', rateLimit('auth'), async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body || {};
+
+        if (!password) {
+            return fail(res, MESSAGE_CODES.PASSWORD_FIELDS_REQUIRED);
+        }
+        if (!code && !recoveryCode) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_CODE_REQUIRED);
+        }
+
+        const user = await findTwoFactorUser(req.user.id);
+        if (!user) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        if (!user.totp_enabled) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_NOT_ENABLED);
+        }
+
+        const passwordMatch = await bcrypt.compare(password, user.password_hash);
+        if (!passwordMatch) {
+            return fail(res, MESSAGE_CODES.CURRENT_PASSWORD_ERROR);
+        }
+
+        if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+            await logSecurityEvent(req, SECURITY_EVENTS.TWO_FACTOR_DISABLE, {
+                userId: user.id,
+                outcome: SECURITY_OUTCOMES.FAILURE,
+                detail: { reason: 'code_invalid' },
+            });
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_CODE_INVALID);
+        }
+
+        await query(
+            `
+      UPDATE users
+      SET totp_enabled = 0, totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL, updated_at = NOW()
+      WHERE id = ?
+    `,
+            [user.id],
+        );
+        await query('DELETE FROM user_recovery_codes WHERE user_id = ?', [user.id]);
+
+        await logSecurityEvent(req, SECURITY_EVENTS.TWO_FACTOR_DISABLE, { userId: user.id });
+
+        return success(res, MESSAGE_CODES.TWO_FACTOR_DISABLED);
+    } catch (err) {
+        console.error('POST /api/2fa/disable error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+/**
+ * @swagger
+ * /api/2fa/recovery-codes/regenerate:
+ *   post:
+ *     summary: 重新生成恢复码
+ *     description: 校验验证码后生成一组新的恢复码，旧恢复码全部作废。
+ *     tags: [TwoFactor]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6 位验证码
+ *     responses:
+ *       200:
+ *         description: 生成成功，data.recovery_codes 为恢复码数组
+ *       401:
+ *         description: 未认证
+ *       429:
+ *         description: 请求过于频繁（返回 Retry-After 响应头）
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.post('/2fa/recovery-codes/regenerate', rateLimit('auth'), async (req, res) => {
+    try {
+        const { code } = req.body || {};
+
+        if (!code) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_CODE_REQUIRED);
+        }
+
+        const user = await findTwoFactorUser(req.user.id);
+        if (!user) {
+            return fail(res, MESSAGE_CODES.USER_NOT_FOUND);
+        }
+
+        if (!user.totp_enabled) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_NOT_ENABLED);
+        }
+
+        if (!(await consumeTotpCode(user, code))) {
+            return fail(res, MESSAGE_CODES.TWO_FACTOR_CODE_INVALID);
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+        await logSecurityEvent(req, SECURITY_EVENTS.RECOVERY_CODES_REGENERATE, { userId: user.id });
+
+        return success(res, MESSAGE_CODES.SUCCESS, { recovery_codes: recoveryCodes });
+    } catch (err) {
+        console.error('POST /api/2fa/recovery-codes/regenerate error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
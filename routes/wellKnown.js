@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+
+const { httpError, MESSAGE_CODES } = require('../utils/response');
+const { getJwks } = require('../utils/jwtKeys');
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: 获取 Access Token 签名公钥（JWKS）
+ *     description: |
+ *       返回 RS256 / ES256 签名密钥的公钥，供其他服务按 JWT 头部的 kid 校验 Access Token。
+ *       只使用 HS256 密钥时 keys 为空数组。
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: JWKS 文档
+ *       500:
+ *         description: 服务器内部错误
+ */
+router.get('/.well-known/jwks.json', (req, res) => {
+    try {
+        // 密钥轮换后客户端需要及时获取新公钥，缓存时间不宜过长
+        res.set('Cache-Control', 'public, max-age=300');
+        return res.json(getJwks());
+    } catch (err) {
+        console.error('GET /.well-known/jwks.json error:', err);
+        return httpError(res, 500, MESSAGE_CODES.INTERNAL_SERVER_ERROR);
+    }
+});
+
+module.exports = router;
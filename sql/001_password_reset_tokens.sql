@@ -0,0 +1,14 @@
+-- 密码重置令牌表
+-- 仅保存令牌的 SHA-256 哈希，原文只通过邮件发送给用户
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id          BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id     BIGINT UNSIGNED NOT NULL COMMENT '用户ID',
+  token_hash  CHAR(64)        NOT NULL COMMENT '令牌哈希（SHA-256）',
+  ip_address  VARCHAR(64)     NULL     COMMENT '申请重置时的IP',
+  expires_at  DATETIME        NOT NULL COMMENT '过期时间',
+  used_at     DATETIME        NULL     COMMENT '使用时间，非空表示已使用或已作废',
+  created_at  DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uk_token_hash (token_hash),
+  KEY idx_user_id (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='密码重置令牌';
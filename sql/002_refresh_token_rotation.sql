@@ -0,0 +1,11 @@
+-- Refresh Token 轮换：同一次登录产生的令牌属于同一个家族（family）
+-- 每次刷新签发新令牌（parent_id 指向旧令牌），旧令牌被撤销并记录 rotated_at
+-- 若已轮换的令牌再次被使用，视为泄露，撤销整个家族
+ALTER TABLE user_refresh_tokens
+  ADD COLUMN family_id  VARCHAR(64)     NULL COMMENT '令牌家族ID（同一次登录）' AFTER token_hash,
+  ADD COLUMN parent_id  BIGINT UNSIGNED NULL COMMENT '上一代令牌ID' AFTER family_id,
+  ADD COLUMN rotated_at DATETIME        NULL COMMENT '被轮换的时间，非空表示已被新令牌替换' AFTER revoked,
+  ADD KEY idx_family_id (family_id);
+
+-- 历史数据：每个已有令牌各自成为一个家族
+UPDATE user_refresh_tokens SET family_id = UUID() WHERE family_id IS NULL;
@@ -0,0 +1,18 @@
+-- TOTP 两步验证
+-- totp_secret 在启用前即写入（待确认状态），totp_enabled = 1 后才在登录时要求验证码
+ALTER TABLE users
+  ADD COLUMN totp_secret         VARCHAR(64)     NULL COMMENT 'TOTP 密钥（Base32）',
+  ADD COLUMN totp_enabled        TINYINT(1)      NOT NULL DEFAULT 0 COMMENT '是否启用两步验证',
+  ADD COLUMN totp_enabled_at     DATETIME        NULL COMMENT '启用两步验证的时间',
+  ADD COLUMN totp_last_used_step BIGINT UNSIGNED NULL COMMENT '最近一次使用的时间步序号（防止验证码重放）';
+
+-- 两步验证恢复码：每个只能使用一次，仅保存哈希
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id          BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id     BIGINT UNSIGNED NOT NULL COMMENT '用户ID',
+  code_hash   CHAR(64)        NOT NULL COMMENT '恢复码哈希（SHA-256）',
+  used_at     DATETIME        NULL     COMMENT '使用时间',
+  created_at  DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_user_id (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='两步验证恢复码';
@@ -0,0 +1,9 @@
+-- 登录失败渐进式锁定
+-- 失败次数在统计窗口内累计，达到上限后锁定至 locked_until，每次锁定时长按 lockout_count 指数递增
+ALTER TABLE users
+  ADD COLUMN last_failed_login_at DATETIME     NULL COMMENT '最近一次登录失败时间',
+  ADD COLUMN locked_until         DATETIME     NULL COMMENT '锁定截止时间，为空或早于当前时间表示未锁定',
+  ADD COLUMN lockout_count        INT UNSIGNED NOT NULL DEFAULT 0 COMMENT '连续被锁定的次数，登录成功或管理员解锁后清零';
+
+-- 旧逻辑下失败次数达到上限即永久锁定，迁移后统一清零，交由新的锁定策略处理
+UPDATE users SET failed_login_count = 0 WHERE failed_login_count > 0;
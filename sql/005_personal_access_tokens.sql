@@ -0,0 +1,18 @@
+-- 个人访问令牌：供脚本、自动化任务通过 Authorization: Bearer 调用接口
+-- 仅保存令牌哈希，原文只在创建时返回一次
+CREATE TABLE IF NOT EXISTS personal_access_tokens (
+  id            BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id       BIGINT UNSIGNED NOT NULL COMMENT '用户ID',
+  name          VARCHAR(100)    NOT NULL COMMENT '令牌名称',
+  token_prefix  VARCHAR(16)     NOT NULL COMMENT '令牌原文前若干位，用于列表中辨认',
+  token_hash    CHAR(64)        NOT NULL COMMENT '令牌哈希（SHA-256）',
+  scopes        VARCHAR(500)    NOT NULL COMMENT '权限范围，逗号分隔，如 records:read,records:write',
+  expires_at    DATETIME        NULL     COMMENT '过期时间',
+  last_used_at  DATETIME        NULL     COMMENT '最近使用时间',
+  last_used_ip  VARCHAR(64)     NULL     COMMENT '最近使用IP',
+  revoked_at    DATETIME        NULL     COMMENT '撤销时间',
+  created_at    DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uk_token_hash (token_hash),
+  KEY idx_user_id (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='个人访问令牌';
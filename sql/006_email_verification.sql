@@ -0,0 +1,9 @@
+-- 邮箱验证
+-- email_verified_at 为空表示邮箱未验证；修改邮箱时新地址先写入 pending_email，验证通过后才替换 email
+ALTER TABLE users
+  ADD COLUMN email_verified_at           DATETIME     NULL COMMENT '邮箱验证时间',
+  ADD COLUMN pending_email               VARCHAR(255) NULL COMMENT '待验证的新邮箱',
+  ADD COLUMN email_verification_sent_at  DATETIME     NULL COMMENT '最近一次发送验证邮件的时间（用于限制重发频率）';
+
+-- 已有用户视为已验证，避免上线后被拦截
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
@@ -0,0 +1,6 @@
+-- 用户自助注销账号
+-- 注销后账号立即软删除（is_deleted = 1），宽限期内管理员可恢复；宽限期过后清除业务数据并匿名化用户信息
+ALTER TABLE users
+  ADD COLUMN deletion_requested_at DATETIME NULL COMMENT '用户申请注销的时间，宽限期从此时开始计算',
+  ADD COLUMN purged_at             DATETIME NULL COMMENT '数据清除时间，非空表示已匿名化，无法恢复',
+  ADD KEY idx_deletion_requested_at (deletion_requested_at);
@@ -0,0 +1,15 @@
+-- Access Token 即时失效
+-- token_version 写入 Access Token（tv 字段），版本号递增后该用户此前签发的全部 Access Token 立即失效
+-- （退出全部设备、修改或重置密码、禁用账号、修改角色等场景）
+ALTER TABLE users
+  ADD COLUMN token_version INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Access Token 版本号';
+
+-- 单个 Access Token 的撤销名单（登出时写入），过期后可清除
+CREATE TABLE IF NOT EXISTS revoked_access_tokens (
+  jti         CHAR(36)        NOT NULL COMMENT 'Access Token 的 jti',
+  user_id     BIGINT UNSIGNED NOT NULL COMMENT '用户ID',
+  expires_at  DATETIME        NOT NULL COMMENT 'Access Token 原过期时间',
+  created_at  DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (jti),
+  KEY idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='已撤销的 Access Token';
@@ -0,0 +1,16 @@
+-- 安全事件审计日志：登录、登出、刷新令牌、密码修改等认证相关操作
+-- user_id 为受影响的用户（登录时用户名不存在则为空），管理员操作的执行人记录在 detail.admin_id
+CREATE TABLE IF NOT EXISTS security_events (
+  id          BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id     BIGINT UNSIGNED NULL     COMMENT '用户ID',
+  event_type  VARCHAR(64)     NOT NULL COMMENT '事件类型，如 login、token_refresh、logout',
+  outcome     VARCHAR(16)     NOT NULL COMMENT '结果：success 成功，failure 失败，blocked 被拦截',
+  ip_address  VARCHAR(64)     NULL     COMMENT '客户端IP',
+  user_agent  VARCHAR(255)    NULL     COMMENT '客户端 User-Agent',
+  detail      JSON            NULL     COMMENT '附加信息，如失败原因、尝试登录的用户名',
+  created_at  DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_user_created (user_id, created_at),
+  KEY idx_type_created (event_type, created_at),
+  KEY idx_ip_created (ip_address, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='安全事件审计日志';
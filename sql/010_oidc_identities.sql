@@ -0,0 +1,37 @@
+-- 第三方身份提供方（OIDC）登录
+-- 通过第三方登录自动创建的用户没有可用密码（password_set = 0），可通过重置密码流程设置密码
+ALTER TABLE users
+  ADD COLUMN password_set TINYINT(1) NOT NULL DEFAULT 1 COMMENT '是否设置过登录密码';
+
+-- 用户绑定的第三方身份：同一提供方的同一 subject 只能绑定一个用户
+CREATE TABLE IF NOT EXISTS user_identities (
+  id             BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id        BIGINT UNSIGNED NOT NULL COMMENT '用户ID',
+  provider       VARCHAR(64)     NOT NULL COMMENT '身份提供方标识，对应 OIDC_PROVIDERS 中的名称',
+  subject        VARCHAR(255)    NOT NULL COMMENT '身份提供方中的用户唯一标识（sub）',
+  email          VARCHAR(255)    NULL     COMMENT '身份提供方返回的邮箱',
+  display_name   VARCHAR(255)    NULL     COMMENT '身份提供方返回的名称',
+  last_login_at  DATETIME        NULL     COMMENT '最近一次通过该身份登录的时间',
+  created_at     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uk_provider_subject (provider, subject),
+  KEY idx_user_id (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='用户绑定的第三方身份';
+
+-- 授权请求：保存 state 对应的 PKCE code_verifier 和 nonce，回调时一次性使用
+CREATE TABLE IF NOT EXISTS oidc_auth_requests (
+  id             BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  state_hash     CHAR(64)        NOT NULL COMMENT 'state 哈希（SHA-256）',
+  provider       VARCHAR(64)     NOT NULL COMMENT '身份提供方标识',
+  purpose        VARCHAR(16)     NOT NULL COMMENT 'login 登录，link 绑定到已登录用户',
+  user_id        BIGINT UNSIGNED NULL     COMMENT '绑定时的当前用户ID',
+  code_verifier  VARCHAR(128)    NOT NULL COMMENT 'PKCE code_verifier',
+  nonce          VARCHAR(64)     NOT NULL COMMENT 'ID Token nonce',
+  remember_me    TINYINT(1)      NOT NULL DEFAULT 0 COMMENT '登录时是否记住登录',
+  expires_at     DATETIME        NOT NULL COMMENT '过期时间',
+  used_at        DATETIME        NULL     COMMENT '使用时间',
+  created_at     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uk_state_hash (state_hash),
+  KEY idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='OIDC 授权请求';
@@ -0,0 +1,51 @@
+-- 基于权限的访问控制：角色、权限及角色权限关联
+-- users.role 保存角色编码（对应 roles.code），接口通过权限编码鉴权，不再直接判断角色名称
+ALTER TABLE users
+  MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'user' COMMENT '角色编码，对应 roles.code';
+
+CREATE TABLE IF NOT EXISTS roles (
+  id           INT UNSIGNED    NOT NULL AUTO_INCREMENT,
+  code         VARCHAR(50)     NOT NULL COMMENT '角色编码，如 user、admin',
+  name         VARCHAR(100)    NOT NULL COMMENT '角色名称',
+  description  VARCHAR(255)    NULL     COMMENT '角色说明',
+  is_builtin   TINYINT(1)      NOT NULL DEFAULT 0 COMMENT '是否内置角色：内置角色不能删除，admin 的权限不能修改',
+  created_at   DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at   DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uk_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='角色';
+
+CREATE TABLE IF NOT EXISTS permissions (
+  id           INT UNSIGNED    NOT NULL AUTO_INCREMENT,
+  code         VARCHAR(100)    NOT NULL COMMENT '权限编码，如 users:manage',
+  name         VARCHAR(100)    NOT NULL COMMENT '权限名称',
+  created_at   DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uk_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='权限';
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id        INT UNSIGNED  NOT NULL COMMENT '角色ID',
+  permission_id  INT UNSIGNED  NOT NULL COMMENT '权限ID',
+  created_at     DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (role_id, permission_id),
+  KEY idx_permission_id (permission_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='角色权限关联';
+
+INSERT IGNORE INTO roles (code, name, description, is_builtin) VALUES
+  ('user', '普通用户', '注册用户的默认角色', 1),
+  ('admin', '管理员', '拥有全部权限', 1);
+
+INSERT IGNORE INTO permissions (code, name) VALUES
+  ('users:manage', '用户管理'),
+  ('roles:manage', '角色与权限管理'),
+  ('record_types:manage', '记账类型管理'),
+  ('categories:system:edit', '编辑系统分类'),
+  ('security_events:read', '查看安全审计日志');
+
+-- 管理员拥有全部权限
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+CROSS JOIN permissions p
+WHERE r.code = 'admin';
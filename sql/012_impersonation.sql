@@ -0,0 +1,9 @@
+-- 模拟登录权限：客服排查问题时以用户身份查看数据，全部请求记录在 security_events
+INSERT IGNORE INTO permissions (code, name) VALUES
+  ('users:impersonate', '模拟用户登录');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+CROSS JOIN permissions p
+WHERE r.code = 'admin' AND p.code = 'users:impersonate';
@@ -0,0 +1,5 @@
+-- 记账记录历史：支持按历史快照回滚
+-- operation 新增 REVERT（回滚），source_history_id 记录回滚所依据的历史记录
+ALTER TABLE fs_record_history
+  MODIFY COLUMN operation VARCHAR(16) NOT NULL COMMENT '操作类型：CREATE、UPDATE、DELETE、REVERT',
+  ADD COLUMN source_history_id BIGINT UNSIGNED NULL COMMENT '回滚所依据的历史记录ID，仅 REVERT 有值' AFTER snapshot_after;
@@ -0,0 +1,18 @@
+-- 回收站：记录软删除时间，超过保留期（TRASH_RETENTION_DAYS）后自动彻底删除
+-- 记账记录从回收站恢复时写入 fs_record_history，operation 为 RESTORE
+ALTER TABLE fs_records
+  ADD COLUMN deleted_at DATETIME NULL COMMENT '删除时间（移入回收站的时间）',
+  ADD KEY idx_user_deleted (user_id, is_deleted, deleted_at);
+
+ALTER TABLE fs_categories
+  ADD COLUMN deleted_at DATETIME NULL COMMENT '删除时间（移入回收站的时间）',
+  ADD KEY idx_user_deleted (user_id, is_deleted, deleted_at);
+
+ALTER TABLE fs_tags
+  ADD COLUMN deleted_at DATETIME NULL COMMENT '删除时间（移入回收站的时间）',
+  ADD KEY idx_user_deleted (user_id, is_deleted, deleted_at);
+
+-- 已删除的数据以最后修改时间作为删除时间
+UPDATE fs_records SET deleted_at = updated_at WHERE is_deleted = 1 AND deleted_at IS NULL;
+UPDATE fs_categories SET deleted_at = updated_at WHERE is_deleted = 1 AND deleted_at IS NULL;
+UPDATE fs_tags SET deleted_at = updated_at WHERE is_deleted = 1 AND deleted_at IS NULL;
@@ -0,0 +1,6 @@
+-- 导入来源：记录从支付宝、微信支付等账单导入时保存来源和原始交易单号，重复导入同一账单时跳过已导入的交易
+-- 软删除（回收站中）的记录仍占用单号，重新导入时不会恢复；彻底删除后可以重新导入
+ALTER TABLE fs_records
+  ADD COLUMN import_source VARCHAR(32) NULL COMMENT '导入来源，如 alipay、wechat，手动创建的记录为空',
+  ADD COLUMN external_id VARCHAR(128) NULL COMMENT '导入来源中的交易单号（没有单号时为交易内容的摘要）',
+  ADD UNIQUE KEY uk_user_import (user_id, import_source, external_id);
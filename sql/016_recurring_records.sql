@@ -0,0 +1,44 @@
+-- 周期记账：按规则（每天、每周、每月、每年或自定义 RRULE）定时生成记账记录，如房租、工资、订阅费
+-- 定时任务（RECURRING_RECORD_INTERVAL）生成到期的记录，服务停止期间错过的日期在下次执行时补生成
+CREATE TABLE IF NOT EXISTS fs_recurring_rules (
+  id             BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id        BIGINT UNSIGNED NOT NULL COMMENT '用户ID',
+  name           VARCHAR(64)     NOT NULL COMMENT '规则名称，如 房租',
+  frequency      VARCHAR(16)     NOT NULL COMMENT '频率：daily、weekly、monthly、yearly、custom（使用 rrule）',
+  interval_count INT UNSIGNED    NOT NULL DEFAULT 1 COMMENT '间隔，如 2 表示每两周，custom 时使用 rrule 中的 INTERVAL',
+  rrule          VARCHAR(255)    NULL     COMMENT '自定义重复规则（RFC 5545 RRULE 的子集），仅 custom 有值',
+  start_date     DATE            NOT NULL COMMENT '开始日期，也是每周、每月、每年重复的基准日期',
+  end_date       DATE            NULL     COMMENT '结束日期（含），为空表示不结束',
+  run_time       TIME            NOT NULL DEFAULT '09:00:00' COMMENT '生成时间（东8区），也是生成的记录的发生时间',
+  next_run_date  DATE            NULL     COMMENT '下次生成日期，没有后续日期时为空',
+  last_run_date  DATE            NULL     COMMENT '最近一次处理的日期（生成或跳过）',
+  type_id        BIGINT UNSIGNED NOT NULL COMMENT '记录模板：类型ID',
+  category_id    BIGINT UNSIGNED NOT NULL COMMENT '记录模板：分类ID',
+  amount         DECIMAL(12, 2)  NOT NULL COMMENT '记录模板：金额',
+  remark         VARCHAR(255)    NULL     COMMENT '记录模板：备注',
+  tag_ids        JSON            NULL     COMMENT '记录模板：标签ID数组',
+  status         VARCHAR(16)     NOT NULL DEFAULT 'active' COMMENT '状态：active 生效，paused 暂停，finished 已结束',
+  is_deleted     TINYINT(1)      NOT NULL DEFAULT 0,
+  created_at     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_user (user_id, is_deleted),
+  KEY idx_due (status, is_deleted, next_run_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='周期记账规则';
+
+-- 单次日期的处理结果和单独修改：每个规则的每个日期只有一行，保证补生成和并发执行时不会重复生成
+-- status：created 已生成（record_id 为生成的记录），skipped 已跳过，modified 已单独修改、尚未生成（overrides 为修改的字段）
+CREATE TABLE IF NOT EXISTS fs_recurring_occurrences (
+  id              BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  rule_id         BIGINT UNSIGNED NOT NULL COMMENT '周期记账规则ID',
+  user_id         BIGINT UNSIGNED NOT NULL COMMENT '用户ID',
+  occurrence_date DATE            NOT NULL COMMENT '日期',
+  status          VARCHAR(16)     NOT NULL COMMENT '状态：created、skipped、modified',
+  overrides       JSON            NULL     COMMENT '单独修改的记录字段：type_id、category_id、amount、remark、tag_ids',
+  record_id       BIGINT UNSIGNED NULL     COMMENT '生成的记账记录ID',
+  created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uk_rule_date (rule_id, occurrence_date),
+  KEY idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='周期记账单次日期';
@@ -0,0 +1,404 @@
+const { query, pool } = require('../config/database');
+const { toCsv } = require('./csv');
+const { createZip } = require('./zip');
+
+/**
+ * 账号数据导出与注销清理
+ * - 导出：打包用户资料、全部记账记录（含标签和历史）、自定义分类和标签、周期记账规则，JSON 与 CSV 各一份
+ * - 清理：用户自助注销后经过宽限期（ACCOUNT_DELETION_GRACE_DAYS），删除业务数据并匿名化用户信息
+ */
+
+// 注销宽限期（天），默认30天
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30', 10);
+// 清理任务执行间隔（秒），默认1小时
+const ACCOUNT_PURGE_INTERVAL = parseInt(process.env.ACCOUNT_PURGE_INTERVAL || '3600', 10);
+
+const RECORD_CSV_COLUMNS = [
+    'id',
+    'type_id',
+    'type_name',
+    'category_id',
+    'category_name',
+    'amount',
+    'occurred_at',
+    'remark',
+    'tags',
+    'is_deleted',
+    'created_at',
+    'updated_at',
+];
+const HISTORY_CSV_COLUMNS = ['id', 'record_id', 'operation', 'snapshot_before', 'snapshot_after', 'created_at'];
+const CATEGORY_CSV_COLUMNS = ['id', 'type_id', 'name', 'parent_id', 'icon', 'color', 'sort_order', 'is_deleted', 'created_at'];
+const TAG_CSV_COLUMNS = ['id', 'name', 'color', 'is_deleted', 'created_at'];
+const RECURRING_RULE_CSV_COLUMNS = [
+    'id',
+    'name',
+    'frequency',
+    'interval_count',
+    'rrule',
+    'start_date',
+    'end_date',
+    'run_time',
+    'next_run_date',
+    'last_run_date',
+    'type_id',
+    'category_id',
+    'amount',
+    'remark',
+    'tag_ids',
+    'status',
+    'is_deleted',
+    'created_at',
+    'updated_at',
+];
+const RECURRING_OCCURRENCE_CSV_COLUMNS = ['id', 'rule_id', 'occurrence_date', 'status', 'overrides', 'record_id', 'created_at'];
+
+// 将数据库中的 JSON 字段解析为对象（mysql2 对 JSON 列可能已返回对象）
+function parseJsonField(value) {
+    if (value === null || value === undefined || typeof value === 'object') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return value;
+    }
+}
+
+/**
+ * 收集用户的全部可导出数据
+ * @param {number} userId - 用户ID
+ * @returns {Promise<object|null>} 导出数据，用户不存在时返回 null
+ */
+async function collectAccountData(userId) {
+    const users = await query(
+        `
+    SELECT
+      id, username, email, pending_email, nick_name, avatar_url, role,
+      email_verified_at, totp_enabled, last_login_at, created_at, updated_at
+    FROM users
+    WHERE id = ? AND is_deleted = 0
+    LIMIT 1
+  `,
+        [userId],
+    );
+
+    const user = users[0];
+    if (!user) {
+        return null;
+    }
+
+    const records = await query(
+        `
+    SELECT
+      r.id,
+      r.type_id,
+      t.name AS type_name,
+      r.category_id,
+      c.name AS category_name,
+      r.amount,
+      r.occurred_at,
+      r.remark,
+      r.is_deleted,
+      r.created_at,
+      r.updated_at
+    FROM fs_records r
+    LEFT JOIN fs_record_types t ON r.type_id = t.id
+    LEFT JOIN fs_categories c ON r.category_id = c.id
+    WHERE r.user_id = ?
+    ORDER BY r.id ASC
+  `,
+        [userId],
+    );
+
+    const recordTags = await query(
+        `
+    SELECT rt.record_id, tg.id, tg.name
+    FROM fs_record_tags rt
+    JOIN fs_records r ON rt.record_id = r.id
+    JOIN fs_tags tg ON rt.tag_id = tg.id
+    WHERE r.user_id = ?
+  `,
+        [userId],
+    );
+
+    const history = await query(
+        `
+    SELECT id, record_id, operation, snapshot_before, snapshot_after, created_at
+    FROM fs_record_history
+    WHERE user_id = ?
+    ORDER BY id ASC
+  `,
+        [userId],
+    );
+
+    const categories = await query(
+        `
+    SELECT id, type_id, name, parent_id, icon, color, sort_order, is_deleted, created_at
+    FROM fs_categories
+    WHERE user_id = ?
+    ORDER BY id ASC
+  `,
+        [userId],
+    );
+
+    const tags = await query(
+        `
+    SELECT id, name, color, is_deleted, created_at
+    FROM fs_tags
+    WHERE user_id = ?
+    ORDER BY id ASC
+  `,
+        [userId],
+    );
+
+    // 日期列格式化为字符串，避免按时区转换
+    const recurringRules = await query(
+        `
+    SELECT
+      id, name, frequency, interval_count, rrule,
+      DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+      DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+      TIME_FORMAT(run_time, '%H:%i:%s') AS run_time,
+      DATE_FORMAT(next_run_date, '%Y-%m-%d') AS next_run_date,
+      DATE_FORMAT(last_run_date, '%Y-%m-%d') AS last_run_date,
+      type_id, category_id, amount, remark, tag_ids, status, is_deleted, created_at, updated_at
+    FROM fs_recurring_rules
+    WHERE user_id = ?
+    ORDER BY id ASC
+  `,
+        [userId],
+    );
+
+    const recurringOccurrences = await query(
+        `
+    SELECT id, rule_id, DATE_FORMAT(occurrence_date, '%Y-%m-%d') AS occurrence_date, status, overrides, record_id, created_at
+    FROM fs_recurring_occurrences
+    WHERE user_id = ?
+    ORDER BY id ASC
+  `,
+        [userId],
+    );
+
+    // 按记录ID归集标签和历史
+    const tagsByRecord = new Map();
+    for (const row of recordTags) {
+        if (!tagsByRecord.has(row.record_id)) {
+            tagsByRecord.set(row.record_id, []);
+        }
+        tagsByRecord.get(row.record_id).push({ id: row.id, name: row.name });
+    }
+
+    const historyList = history.map((h) => ({
+        id: h.id,
+        record_id: h.record_id,
+        operation: h.operation,
+        snapshot_before: parseJsonField(h.snapshot_before),
+        snapshot_after: parseJsonField(h.snapshot_after),
+        created_at: h.created_at,
+    }));
+
+    const historyByRecord = new Map();
+    for (const h of historyList) {
+        if (!historyByRecord.has(h.record_id)) {
+            historyByRecord.set(h.record_id, []);
+        }
+        historyByRecord.get(h.record_id).push(h);
+    }
+
+    return {
+        profile: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            pending_email: user.pending_email,
+            nick_name: user.nick_name,
+            avatar_url: user.avatar_url,
+            role: user.role,
+            email_verified_at: user.email_verified_at,
+            totp_enabled: !!user.totp_enabled,
+            last_login_at: user.last_login_at,
+            created_at: user.created_at,
+            updated_at: user.updated_at,
+        },
+        records: records.map((r) => ({
+            ...r,
+            is_deleted: !!r.is_deleted,
+            tags: tagsByRecord.get(r.id) || [],
+            history: historyByRecord.get(r.id) || [],
+        })),
+        record_history: historyList,
+        categories: categories.map((c) => ({ ...c, is_deleted: !!c.is_deleted })),
+        tags: tags.map((t) => ({ ...t, is_deleted: !!t.is_deleted })),
+        recurring_rules: recurringRules.map((r) => ({
+            ...r,
+            tag_ids: parseJsonField(r.tag_ids) || [],
+            is_deleted: !!r.is_deleted,
+        })),
+        recurring_occurrences: recurringOccurrences.map((o) => ({ ...o, overrides: parseJsonField(o.overrides) })),
+    };
+}
+
+/**
+ * 生成账号数据导出压缩包
+ * 包含 account.json（完整数据）以及 records.csv、record_history.csv、categories.csv、tags.csv、
+ * recurring_rules.csv、recurring_occurrences.csv
+ * @param {number} userId - 用户ID
+ * @returns {Promise<{ fileName: string, buffer: Buffer }|null>} 用户不存在时返回 null
+ */
+async function buildAccountExportArchive(userId) {
+    const data = await collectAccountData(userId);
+    if (!data) {
+        return null;
+    }
+
+    const exportedAt = new Date();
+    const recordRows = data.records.map((r) => ({
+        ...r,
+        tags: r.tags.map((t) => t.name).join('|'),
+    }));
+
+    const buffer = createZip(
+        [
+            {
+                name: 'account.json',
+                content: JSON.stringify({ exported_at: exportedAt.toISOString(), ...data }, null, 2),
+            },
+            { name: 'records.csv', content: toCsv(RECORD_CSV_COLUMNS, recordRows) },
+            { name: 'record_history.csv', content: toCsv(HISTORY_CSV_COLUMNS, data.record_history) },
+            { name: 'categories.csv', content: toCsv(CATEGORY_CSV_COLUMNS, data.categories) },
+            { name: 'tags.csv', content: toCsv(TAG_CSV_COLUMNS, data.tags) },
+            { name: 'recurring_rules.csv', content: toCsv(RECURRING_RULE_CSV_COLUMNS, data.recurring_rules) },
+            {
+                name: 'recurring_occurrences.csv',
+                content: toCsv(RECURRING_OCCURRENCE_CSV_COLUMNS, data.recurring_occurrences),
+            },
+        ],
+        exportedAt,
+    );
+
+    const dateStr = exportedAt.toISOString().slice(0, 10).replace(/-/g, '');
+    return {
+        fileName: `finsmart-export-${data.profile.username}-${dateStr}.zip`,
+        buffer,
+    };
+}
+
+/**
+ * 清除单个已注销用户的数据：删除业务数据和认证凭据，匿名化用户信息
+ * 在同一事务中执行，任一步骤失败则全部回滚
+ * @param {number} userId - 用户ID
+ */
+async function purgeAccount(userId) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        await conn.execute(
+            `
+      DELETE rt FROM fs_record_tags rt
+      JOIN fs_records r ON rt.record_id = r.id
+      WHERE r.user_id = ?
+    `,
+            [userId],
+        );
+        // 先删除周期记账规则，避免定时任务继续为该用户生成记录
+        await conn.execute('DELETE FROM fs_recurring_occurrences WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM fs_recurring_rules WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM fs_record_history WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM fs_records WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM fs_categories WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM fs_tags WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM user_refresh_tokens WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM personal_access_tokens WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM user_identities WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM oidc_auth_requests WHERE user_id = ?', [userId]);
+
+        // 保留用户行（ID 可能被日志等引用），清空可识别个人身份的信息
+        await conn.execute(
+            `
+      UPDATE users
+      SET
+        username = CONCAT('deleted_', id),
+        email = CONCAT('deleted_', id, '@deleted.invalid'),
+        pending_email = NULL,
+        password_hash = '',
+        nick_name = NULL,
+        avatar_url = NULL,
+        totp_secret = NULL,
+        totp_enabled = 0,
+        totp_enabled_at = NULL,
+        purged_at = NOW(),
+        updated_at = NOW()
+      WHERE id = ? AND purged_at IS NULL
+    `,
+            [userId],
+        );
+
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+/**
+ * 清除所有超过宽限期的已注销账号
+ * @returns {Promise<number>} 清除的账号数量
+ */
+async function purgeExpiredAccounts() {
+    const rows = await query(
+        `
+    SELECT id
+    FROM users
+    WHERE is_deleted = 1
+      AND purged_at IS NULL
+      AND deletion_requested_at IS NOT NULL
+      AND deletion_requested_at <= NOW() - INTERVAL ${ACCOUNT_DELETION_GRACE_DAYS} DAY
+  `,
+    );
+
+    let purged = 0;
+    for (const row of rows) {
+        try {
+            await purgeAccount(row.id);
+            purged += 1;
+        } catch (err) {
+            console.error(`purgeAccount error, user_id=${row.id}:`, err);
+        }
+    }
+    return purged;
+}
+
+/**
+ * 启动定时清理任务
+ * @returns {NodeJS.Timeout} 定时器
+ */
+function startAccountPurgeJob() {
+    const run = async () => {
+        try {
+            const purged = await purgeExpiredAccounts();
+            if (purged > 0) {
+                console.log(`🧹 Purged ${purged} deleted account(s)`);
+            }
+        } catch (err) {
+            console.error('purgeExpiredAccounts error:', err);
+        }
+    };
+    const timer = setInterval(run, ACCOUNT_PURGE_INTERVAL * 1000);
+    // 不阻止进程退出
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    buildAccountExportArchive,
+    purgeAccount,
+    purgeExpiredAccounts,
+    startAccountPurgeJob,
+};
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const { parseCsv } = require('./csv');
+const { readXlsxRows, excelSerialToDate } = require('./xlsx');
+const { IMPORT_DEFAULT_CATEGORY, decodeImportText } = require('./recordImport');
+
+/**
+ * 支付宝、微信支付账单导入
+ * 解析两者导出的原始账单文件（CSV 或 XLSX，CSV 常为 GBK 编码，表头前后带有说明信息），
+ * 转换为 recordImport 的导入行：
+ * - 收/支 为“收入”“支出”的交易分别对应编码为 income、expense 的记账类型
+ * - 备注为“交易对方 - 商品说明”，原账单有备注时附在后面
+ * - 分类使用账单中的交易分类（支付宝）或交易类型（微信支付），为空时使用“其他”
+ * - 不计收支的交易（账户间转账、理财转入转出、提现等）、交易关闭或失败的交易不导入
+ * - 退款交易不单独导入：能在同一文件中找到原交易时从原交易金额中扣除，全额退款的原交易也不导入
+ * - external_id 为账单中的交易单号，用于重复导入同一账单时跳过已导入的交易
+ */
+
+// 支持的账单来源
+const BILL_SOURCES = ['alipay', 'wechat'];
+
+// 各来源的表头（按可能的列名依次匹配），用于定位表头行和取值
+const BILL_COLUMNS = {
+    alipay: {
+        time: ['交易时间', '交易创建时间', '付款时间'],
+        category: ['交易分类'],
+        counterparty: ['交易对方'],
+        item: ['商品说明', '商品名称'],
+        direction: ['收/支'],
+        amount: ['金额', '金额（元）', '金额(元)'],
+        status: ['交易状态'],
+        refunded: ['成功退款（元）', '成功退款(元)'],
+        order_no: ['交易订单号', '交易号'],
+        merchant_no: ['商家订单号'],
+        remark: ['备注'],
+    },
+    wechat: {
+        time: ['交易时间'],
+        category: ['交易类型'],
+        counterparty: ['交易对方'],
+        item: ['商品'],
+        direction: ['收/支'],
+        amount: ['金额(元)', '金额（元）'],
+        status: ['当前状态'],
+        refunded: [],
+        order_no: ['交易单号'],
+        merchant_no: ['商户单号'],
+        remark: ['备注'],
+    },
+};
+
+// 识别表头行时必须存在的列
+const BILL_REQUIRED_COLUMNS = ['time', 'counterparty', 'direction', 'amount', 'order_no'];
+
+// 交易关闭或未成功的状态
+const CLOSED_STATUS_PATTERN = /关闭|失败|撤销|已取消|等待付款|未付款|待支付/;
+
+/**
+ * 将账单文件内容解码为表格
+ * XLSX 直接读取第一个工作表；CSV 先按 UTF-8 解码，不是合法 UTF-8 时按 GBK 解码
+ * @param {Buffer} buffer - 文件内容
+ * @returns {Array<Array<string>>} 行数组
+ */
+function readBillTable(buffer) {
+    // XLSX 为 ZIP 格式，以 PK 开头
+    if (buffer.length >= 2 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+        return readXlsxRows(buffer);
+    }
+
+    // 表头前的说明行没有分隔符，固定按逗号解析
+    return parseCsv(decodeImportText(buffer), { delimiter: ',' }).rows;
+}
+
+// 去掉单元格首尾的空格和制表符（账单中的单号后常带有制表符）
+function cleanCell(value) {
+    return String(value === undefined || value === null ? '' : value).trim();
+}
+
+// 在表头中查找列下标
+function findColumn(headers, names) {
+    return headers.findIndex((h) => names.includes(h));
+}
+
+/**
+ * 查找账单的来源和表头行
+ * @param {Array<Array<string>>} rows - 行数组
+ * @param {string} [source] - 指定来源时只按该来源识别
+ * @returns {{ source: string, headerIndex: number, columns: object }|null}
+ */
+function detectBillFormat(rows, source) {
+    const sources = source ? [source] : BILL_SOURCES;
+    for (let i = 0; i < rows.length; i += 1) {
+        const headers = rows[i].map(cleanCell);
+        for (const candidate of sources) {
+            const columns = {};
+            Object.entries(BILL_COLUMNS[candidate]).forEach(([field, names]) => {
+                columns[field] = findColumn(headers, names);
+            });
+            // 支付宝和微信支付都有“交易对方”“收/支”，用各自特有的列区分
+            const distinctive = candidate === 'alipay' ? columns.status >= 0 : columns.category >= 0 && columns.item >= 0;
+            if (distinctive && BILL_REQUIRED_COLUMNS.every((field) => columns[field] >= 0)) {
+                return { source: candidate, headerIndex: i, columns };
+            }
+        }
+    }
+    return null;
+}
+
+// 解析账单中的时间（XLSX 中可能是 Excel 日期序列号）
+function parseBillTime(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        return excelSerialToDate(value);
+    }
+    return value;
+}
+
+// 解析账单金额：去掉货币符号和千分位
+function parseBillAmount(value) {
+    const amount = Number(String(value).replace(/[¥￥,\s]/g, ''));
+    return Number.isFinite(amount) ? Math.abs(amount) : null;
+}
+
+// 生成没有交易单号时的外部ID
+function hashBillRow(source, values) {
+    return `${source}:${crypto.createHash('sha1').update(values.join('\u0001')).digest('hex')}`;
+}
+
+// 判断是否为退款交易
+function isRefundRow(source, tx) {
+    if (source === 'wechat') {
+        return /退款/.test(tx.category);
+    }
+    return tx.status === '退款成功' || /^退款[-－:：]/.test(tx.item);
+}
+
+// 微信支付原交易状态中的退款金额：已全额退款 / 已退款(￥3.00) / 已退款￥3.00
+function parseStatusRefund(tx) {
+    if (tx.status === '已全额退款') {
+        return tx.amount;
+    }
+    const match = tx.status.match(/已退款[（(]?[¥￥]?\s*([\d,.]+)/);
+    return match ? parseBillAmount(match[1]) : null;
+}
+
+// 在同一文件中查找退款对应的原交易：单号以原交易单号开头，或商家订单号相同
+function findOriginal(transactions, refund) {
+    return (
+        transactions.find(
+            (tx) =>
+                !tx.is_refund &&
+                ((tx.order_no && refund.order_no !== tx.order_no && refund.order_no.startsWith(tx.order_no)) ||
+                    (tx.merchant_no && refund.merchant_no === tx.merchant_no)),
+        ) || null
+    );
+}
+
+// 拼接备注：交易对方 - 商品说明（原账单备注）
+function buildRemark(tx, refunded) {
+    const parts = [tx.counterparty, tx.item].filter((v) => v && v !== '/');
+    let remark = parts.join(' - ');
+    if (tx.remark && tx.remark !== '/') {
+        remark += `（${tx.remark}）`;
+    }
+    if (refunded > 0) {
+        remark += `（已退款 ${refunded.toFixed(2)}）`;
+    }
+    return remark;
+}
+
+/**
+ * 解析支付宝、微信支付账单
+ * @param {Buffer} buffer - 账单文件内容（CSV 或 XLSX）
+ * @param {string} [source] - 账单来源：alipay、wechat，未传时自动识别
+ * @returns {{ source: string, rows: Array<object>, skipped: Array<object> }|null}
+ *          rows 为导入行，skipped 为不导入的行（{ row, reason, linked_row }）；无法识别格式时返回 null
+ */
+function parseBill(buffer, source) {
+    const table = readBillTable(buffer);
+    const format = detectBillFormat(table, source);
+    if (!format) {
+        return null;
+    }
+
+    const { columns } = format;
+    const cell = (values, field) => (columns[field] >= 0 ? cleanCell(values[columns[field]]) : '');
+
+    const transactions = [];
+    for (let i = format.headerIndex + 1; i < table.length; i += 1) {
+        const values = table[i];
+        const time = cell(values, 'time');
+        // 表格后的汇总、说明行没有交易时间，到此结束
+        if (!time || !/^\d/.test(time)) {
+            if (transactions.length > 0) {
+                break;
+            }
+            continue;
+        }
+
+        const tx = {
+            row: i + 1,
+            time: parseBillTime(time),
+            category: cell(values, 'category'),
+            counterparty: cell(values, 'counterparty'),
+            item: cell(values, 'item'),
+            direction: cell(values, 'direction'),
+            amount: parseBillAmount(cell(values, 'amount')),
+            status: cell(values, 'status'),
+            order_no: cell(values, 'order_no'),
+            merchant_no: cell(values, 'merchant_no'),
+            remark: cell(values, 'remark'),
+            raw: values.map(cleanCell),
+        };
+        tx.is_refund = isRefundRow(format.source, tx);
+        const refundedCell = cell(values, 'refunded');
+        tx.refunded = refundedCell ? parseBillAmount(refundedCell) : null;
+        if (format.source === 'wechat' && !tx.is_refund) {
+            tx.refunded = parseStatusRefund(tx);
+        }
+        tx.linked_refund = 0;
+        transactions.push(tx);
+    }
+
+    const skipped = [];
+
+    // 退款交易：关联到原交易，账单中没有原交易退款金额时累计到原交易上
+    transactions
+        .filter((tx) => tx.is_refund)
+        .forEach((tx) => {
+            const original = findOriginal(transactions, tx);
+            if (original) {
+                original.linked_refund += tx.amount || 0;
+            }
+            skipped.push({ row: tx.row, reason: 'refund', linked_row: original ? original.row : null });
+        });
+
+    const rows = [];
+    transactions
+        .filter((tx) => !tx.is_refund)
+        .forEach((tx) => {
+            if (CLOSED_STATUS_PATTERN.test(tx.status)) {
+                skipped.push({ row: tx.row, reason: 'closed' });
+                return;
+            }
+            const type = tx.direction === '收入' ? 'income' : tx.direction === '支出' ? 'expense' : null;
+            if (!type) {
+                skipped.push({ row: tx.row, reason: 'transfer' });
+                return;
+            }
+
+            const refunded = tx.refunded !== null ? tx.refunded : tx.linked_refund;
+            let amount = tx.amount;
+            if (amount !== null && refunded > 0) {
+                amount = Math.round((amount - refunded) * 100) / 100;
+                if (amount <= 0) {
+                    skipped.push({ row: tx.row, reason: 'refunded' });
+                    return;
+                }
+            }
+
+            rows.push({
+                row: tx.row,
+                type,
+                category: tx.category && tx.category !== '/' ? tx.category : IMPORT_DEFAULT_CATEGORY,
+                amount: amount === null ? cell(table[tx.row - 1], 'amount') : amount,
+                occurred_at: tx.time,
+                remark: buildRemark(tx, refunded),
+                tags: [],
+                external_id: tx.order_no || hashBillRow(format.source, tx.raw),
+            });
+        });
+
+    skipped.sort((a, b) => a.row - b.row);
+    return { source: format.source, rows, skipped };
+}
+
+module.exports = {
+    BILL_SOURCES,
+    parseBill,
+};
@@ -0,0 +1,48 @@
+/**
+ * 进程内 TTL 缓存
+ * 用于缓存频繁读取、允许短时间不一致的数据（如令牌版本号），减少数据库查询
+ * 注意：多实例部署时各进程缓存相互独立，本进程内的 delete 不会通知其他进程，最长不一致时间为 ttlSeconds
+ */
+
+/**
+ * 创建内存缓存
+ * @param {object} options - { ttlSeconds: 过期时间（秒），maxEntries: 最大条目数，超出时淘汰最早写入的条目 }
+ * @returns {object} 缓存对象 { get, set, delete, clear }
+ */
+function createMemoryCache(options = {}) {
+    const { ttlSeconds = 60, maxEntries = 10000 } = options;
+    const entries = new Map();
+
+    return {
+        // 读取缓存，不存在或已过期时返回 undefined
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+        set(key, value, customTtlSeconds = ttlSeconds) {
+            // Map 按插入顺序迭代，重新插入使该键成为最新条目
+            entries.delete(key);
+            if (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, { value, expiresAt: Date.now() + customTtlSeconds * 1000 });
+        },
+        delete(key) {
+            entries.delete(key);
+        },
+        clear() {
+            entries.clear();
+        },
+    };
+}
+
+module.exports = {
+    createMemoryCache,
+};
@@ -0,0 +1,153 @@
+/**
+ * CSV 工具
+ * 生成符合 RFC 4180 的 CSV 文本：字段包含逗号、双引号或换行时用双引号包裹，内部双引号转义为两个双引号；
+ * 以 = + - @ 等开头的文本字段前加单引号，防止在 Excel 等表格软件中打开时被当作公式执行（CSV 公式注入）
+ * 解析同样遵循 RFC 4180，并兼容 Excel 常见的 UTF-8 BOM、分号或制表符分隔
+ */
+
+// UTF-8 BOM，便于 Excel 正确识别中文
+const CSV_BOM = '﻿';
+
+// 表格软件会当作公式处理的开头字符
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// 纯数字（如负数金额）不会被当作公式，保持原样
+const CSV_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+/**
+ * 转义单个 CSV 字段
+ * @param {any} value - 字段值，null/undefined 输出为空，Date 输出为 ISO 字符串，对象输出为 JSON；
+ *   可能被当作公式的文本前加单引号
+ * @returns {string} 转义后的字段
+ */
+function escapeCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let str;
+    if (value instanceof Date) {
+        str = value.toISOString();
+    } else if (typeof value === 'object') {
+        str = JSON.stringify(value);
+    } else {
+        str = String(value);
+    }
+    if (CSV_FORMULA_PREFIX.test(str) && !CSV_NUMBER.test(str)) {
+        str = `'${str}`;
+    }
+    if (/[",\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * 将对象数组转换为 CSV 文本
+ * @param {Array<string>} columns - 列名（同时作为对象的键）
+ * @param {Array<object>} rows - 数据行
+ * @param {object} options - { bom: 是否添加 UTF-8 BOM，默认 true }
+ * @returns {string} CSV 文本
+ */
+function toCsv(columns, rows, options = {}) {
+    const { bom = true } = options;
+    const lines = [columns.map(escapeCsvField).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((col) => escapeCsvField(row[col])).join(','));
+    }
+    return (bom ? CSV_BOM : '') + lines.join('\r\n') + '\r\n';
+}
+
+// 解析时自动识别的分隔符
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * 根据首行（引号外）出现次数最多的字符识别分隔符
+ * @param {string} text - CSV 文本
+ * @returns {string} 分隔符，默认逗号
+ */
+function detectCsvDelimiter(text) {
+    const counts = new Map(CSV_DELIMITERS.map((d) => [d, 0]));
+    let inQuotes = false;
+    for (const ch of text) {
+        if (ch === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (ch === '\n' || ch === '\r')) {
+            break;
+        } else if (!inQuotes && counts.has(ch)) {
+            counts.set(ch, counts.get(ch) + 1);
+        }
+    }
+    let best = ',';
+    counts.forEach((count, delimiter) => {
+        if (count > counts.get(best)) {
+            best = delimiter;
+        }
+    });
+    return best;
+}
+
+/**
+ * 解析 CSV 文本
+ * @param {string} text - CSV 文本（可带 UTF-8 BOM）
+ * @param {object} options - { delimiter: 分隔符，不传时自动识别 }
+ * @returns {{ delimiter: string, rows: Array<Array<string>> }} 全部行（含表头），空行会被忽略
+ */
+function parseCsv(text, options = {}) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectCsvDelimiter(content);
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        // 忽略空行
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < content.length; i += 1) {
+        const ch = content[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (content[i + 1] === '"') {
+                    field += '"';
+                    i += 1;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && content[i + 1] === '\n') {
+                i += 1;
+            }
+            endRow();
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return { delimiter, rows };
+}
+
+module.exports = {
+    CSV_BOM,
+    escapeCsvField,
+    toCsv,
+    detectCsvDelimiter,
+    parseCsv,
+};
@@ -0,0 +1,83 @@
+const { query } = require('../config/database');
+const { generateEmailVerificationToken } = require('../middlewares/auth');
+const { sendMail } = require('./mailer');
+
+/**
+ * 邮箱验证相关工具
+ * EMAIL_VERIFICATION_POLICY 控制未验证邮箱的用户可以做什么：
+ *   off   - 不要求验证
+ *   limit - 允许登录，但部分功能（如创建访问令牌）需验证后才能使用（默认）
+ *   block - 未验证邮箱不允许登录
+ */
+
+const EMAIL_VERIFICATION_POLICY = ['off', 'limit', 'block'].includes(process.env.EMAIL_VERIFICATION_POLICY)
+    ? process.env.EMAIL_VERIFICATION_POLICY
+    : 'limit';
+// 两次发送验证邮件的最小间隔（秒），默认60秒
+const EMAIL_VERIFICATION_RESEND_INTERVAL = parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL || '60', 10);
+// 前端验证邮箱页面地址，邮件中的链接会附带 ?token=xxx
+const EMAIL_VERIFICATION_URL =
+    process.env.EMAIL_VERIFICATION_URL || `${process.env.FRONTEND_ORIGIN || 'http://localhost:3000'}/verify-email`;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * 校验邮箱格式
+ * @param {string} email - 邮箱地址
+ * @returns {boolean} 是否合法
+ */
+function isValidEmail(email) {
+    return typeof email === 'string' && email.length <= 255 && EMAIL_REGEX.test(email);
+}
+
+/**
+ * 计算距离下次允许发送验证邮件还需等待的秒数
+ * @param {object} user - 用户行，需包含 email_verification_sent_at
+ * @returns {number} 需等待的秒数，0 表示可以发送
+ */
+function getResendWaitSeconds(user) {
+    if (!user || !user.email_verification_sent_at) {
+        return 0;
+    }
+    const nextAllowedAt = new Date(user.email_verification_sent_at).getTime() + EMAIL_VERIFICATION_RESEND_INTERVAL * 1000;
+    return Math.max(Math.ceil((nextAllowedAt - Date.now()) / 1000), 0);
+}
+
+/**
+ * 发送邮箱验证邮件，并记录发送时间
+ * @param {object} user - 用户行，需包含 id、username
+ * @param {string} email - 待验证的邮箱（注册邮箱或修改后的新邮箱）
+ */
+async function sendVerificationEmail(user, email) {
+    const token = generateEmailVerificationToken(user.id, email);
+    const verifyLink = `${EMAIL_VERIFICATION_URL}?token=${encodeURIComponent(token)}`;
+
+    await query(
+        `
+    UPDATE users
+    SET email_verification_sent_at = NOW()
+    WHERE id = ?
+  `,
+        [user.id],
+    );
+
+    await sendMail({
+        to: email,
+        subject: 'Finsmart 验证邮箱',
+        text: [
+            `${user.username}，您好：`,
+            '',
+            '请点击以下链接验证您的邮箱地址：',
+            verifyLink,
+            '',
+            '如果这不是您本人的操作，请忽略本邮件。',
+        ].join('\n'),
+    });
+}
+
+module.exports = {
+    EMAIL_VERIFICATION_POLICY,
+    isValidEmail,
+    getResendWaitSeconds,
+    sendVerificationEmail,
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Access Token 签名密钥管理（支持按 kid 轮换）
+ *
+ * 通过环境变量配置：
+ *   JWT_KEY_IDS=2026a,default                  可用于校验的密钥 kid，逗号分隔；从列表中移除即视为退役，使用该密钥签发的令牌立即失效
+ *   JWT_ACTIVE_KID=2026a                       用于签发新令牌的密钥，默认为 JWT_KEY_IDS 中的第一个
+ *   JWT_KEY_<KID>_ALG                          签名算法：HS256（默认）、RS256、ES256
+ *   JWT_KEY_<KID>_SECRET                       HS256 密钥
+ *   JWT_KEY_<KID>_PRIVATE_KEY(_FILE)           RS256 / ES256 私钥（PEM 内容或文件路径），只有签发密钥需要
+ *   JWT_KEY_<KID>_PUBLIC_KEY(_FILE)            RS256 / ES256 公钥（PEM），未配置时由私钥推导
+ *
+ * 未配置 JWT_KEY_IDS 时，使用 ACCESS_TOKEN_SECRET 作为唯一的 HS256 密钥（kid 为 default）。
+ * kid 为 default 的密钥未单独配置 SECRET 时同样使用 ACCESS_TOKEN_SECRET，且用于校验此前签发的不带 kid 的令牌。
+ * 轮换步骤：新增密钥并设为 JWT_ACTIVE_KID（旧 kid 保留在 JWT_KEY_IDS 中），待旧令牌全部过期后再移除旧 kid。
+ */
+
+const DEFAULT_KID = 'default';
+// 未配置 ACCESS_TOKEN_SECRET 时使用的默认值，仅用于本地开发，生产环境启动时会拒绝该值
+const DEFAULT_ACCESS_TOKEN_SECRET = 'please_change_access_secret';
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+
+// 读取 PEM：优先读取环境变量中的内容，其次读取文件
+function readPem(prefix, name) {
+    const value = process.env[`${prefix}${name}`];
+    if (value) {
+        // 环境变量中的换行常被写成 \n
+        return value.replace(/\\n/g, '\n');
+    }
+    const file = process.env[`${prefix}${name}_FILE`];
+    return file ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// 读取单个密钥的配置
+function readKeyConfig(kid) {
+    const prefix = `JWT_KEY_${kid.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const alg = (process.env[`${prefix}ALG`] || 'HS256').toUpperCase();
+
+    if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+        throw new Error(`JWT key ${kid}: unsupported algorithm ${alg}`);
+    }
+
+    if (alg === 'HS256') {
+        const fallbackSecret = kid === DEFAULT_KID ? process.env.ACCESS_TOKEN_SECRET || DEFAULT_ACCESS_TOKEN_SECRET : null;
+        const secret = process.env[`${prefix}SECRET`] || fallbackSecret;
+        if (!secret) {
+            throw new Error(`JWT key ${kid}: ${prefix}SECRET is required`);
+        }
+        return { kid, alg, signingKey: secret, verifyKey: secret, publicKey: null };
+    }
+
+    const privatePem = readPem(prefix, 'PRIVATE_KEY');
+    const publicPem = readPem(prefix, 'PUBLIC_KEY');
+    if (!privatePem && !publicPem) {
+        throw new Error(`JWT key ${kid}: ${prefix}PRIVATE_KEY or ${prefix}PUBLIC_KEY is required`);
+    }
+
+    const privateKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+    const publicKey = publicPem ? crypto.createPublicKey(publicPem) : crypto.createPublicKey(privateKey);
+    const expectedType = alg === 'RS256' ? 'rsa' : 'ec';
+    if (publicKey.asymmetricKeyType !== expectedType) {
+        throw new Error(`JWT key ${kid}: key type ${publicKey.asymmetricKeyType} does not match ${alg}`);
+    }
+
+    return { kid, alg, signingKey: privateKey, verifyKey: publicKey, publicKey };
+}
+
+let keyRing = null;
+
+/**
+ * 加载密钥配置（首次调用时读取环境变量，之后复用）
+ * @returns {{ activeKey: object, keys: Map<string, object> }}
+ */
+function loadKeyRing() {
+    if (keyRing) {
+        return keyRing;
+    }
+
+    const kids = String(process.env.JWT_KEY_IDS || DEFAULT_KID)
+        .split(',')
+        .map((kid) => kid.trim())
+        .filter(Boolean);
+
+    const keys = new Map();
+    kids.forEach((kid) => keys.set(kid, readKeyConfig(kid)));
+
+    const activeKid = process.env.JWT_ACTIVE_KID || kids[0];
+    const activeKey = keys.get(activeKid);
+    if (!activeKey) {
+        throw new Error(`JWT_ACTIVE_KID ${activeKid} is not listed in JWT_KEY_IDS`);
+    }
+    if (!activeKey.signingKey) {
+        throw new Error(`JWT key ${activeKid}: private key is required for signing`);
+    }
+
+    keyRing = { activeKey, keys };
+    return keyRing;
+}
+
+/**
+ * 使用当前签发密钥签名 Access Token（JWT 头部带 kid）
+ * @param {object} payload - 令牌内容
+ * @param {object} options - jsonwebtoken 的签名选项（如 expiresIn、jwtid）
+ * @returns {string} 令牌
+ */
+function signAccessToken(payload, options = {}) {
+    const { activeKey } = loadKeyRing();
+    return jwt.sign(payload, activeKey.signingKey, {
+        ...options,
+        algorithm: activeKey.alg,
+        keyid: activeKey.kid,
+    });
+}
+
+/**
+ * 校验 Access Token：按头部 kid 选择未退役的密钥，且只接受该密钥对应的算法
+ * 不带 kid 的旧令牌使用 kid 为 default 的密钥校验
+ * @param {string} token - 令牌
+ * @returns {object} 令牌内容，无效时抛出错误
+ */
+function verifyAccessToken(token) {
+    const { keys } = loadKeyRing();
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+        throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const key = keys.get(decoded.header.kid || DEFAULT_KID);
+    if (!key) {
+        throw new jwt.JsonWebTokenError('jwt signing key is unknown or retired');
+    }
+
+    return jwt.verify(token, key.verifyKey, { algorithms: [key.alg] });
+}
+
+/**
+ * 获取 JWKS（仅包含 RS256 / ES256 密钥的公钥，HS256 密钥不会公开）
+ * @returns {{ keys: Array<object> }}
+ */
+function getJwks() {
+    const { keys } = loadKeyRing();
+    return {
+        keys: [...keys.values()]
+            .filter((key) => key.publicKey)
+            .map((key) => ({
+                ...key.publicKey.export({ format: 'jwk' }),
+                kid: key.kid,
+                alg: key.alg,
+                use: 'sig',
+            })),
+    };
+}
+
+module.exports = {
+    DEFAULT_ACCESS_TOKEN_SECRET,
+    loadKeyRing,
+    signAccessToken,
+    verifyAccessToken,
+    getJwks,
+};
@@ -0,0 +1,142 @@
+const { query } = require('../config/database');
+
+/**
+ * 登录失败锁定策略
+ * - 在统计窗口（LOGIN_FAILURE_WINDOW）内累计失败次数，超出窗口后重新计数
+ * - 失败次数达到 MAX_FAILED_LOGIN 时锁定账号，锁定时长为 LOCKOUT_BASE_SECONDS * 2^(第几次锁定 - 1)，
+ *   最长不超过 LOCKOUT_MAX_SECONDS；锁定到期后自动解锁
+ * - 登录成功或管理员解锁后清零失败次数和锁定次数
+ */
+
+// 登录失败最大次数
+const MAX_FAILED_LOGIN = parseInt(process.env.MAX_FAILED_LOGIN || '5', 10);
+// 失败次数统计窗口（秒），默认15分钟
+const LOGIN_FAILURE_WINDOW = parseInt(process.env.LOGIN_FAILURE_WINDOW || '900', 10);
+// 首次锁定时长（秒），默认5分钟
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOCKOUT_BASE_SECONDS || '300', 10);
+// 最长锁定时长（秒），默认1天
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOCKOUT_MAX_SECONDS || '86400', 10);
+
+/**
+ * 计算第 n 次锁定的时长（秒）
+ * @param {number} lockoutCount - 第几次锁定（从 1 开始）
+ * @returns {number} 锁定时长（秒）
+ */
+function getLockoutDuration(lockoutCount) {
+    const exponent = Math.max(lockoutCount - 1, 0);
+    return Math.min(LOCKOUT_BASE_SECONDS * 2 ** exponent, LOCKOUT_MAX_SECONDS);
+}
+
+/**
+ * 获取用户当前的锁定状态
+ * @param {object} user - 用户行，需包含 locked_until
+ * @returns {object|null} 锁定中返回 { lockedUntil, retryAfter }（retryAfter 单位秒），否则返回 null
+ */
+function getActiveLock(user) {
+    if (!user || !user.locked_until) {
+        return null;
+    }
+    const lockedUntil = new Date(user.locked_until);
+    const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+    if (retryAfter <= 0) {
+        return null;
+    }
+    return { lockedUntil, retryAfter };
+}
+
+/**
+ * 记录一次登录失败，达到上限时锁定账号
+ * @param {number} userId - 用户ID
+ * @returns {Promise<object|null>} 本次触发锁定时返回 { lockedUntil, retryAfter }，否则返回 null
+ */
+async function recordLoginFailure(userId) {
+    // 超出统计窗口则从 1 重新计数（注意 failed_login_count 需在 last_failed_login_at 之前赋值）
+    await query(
+        `
+    UPDATE users
+    SET failed_login_count = IF(
+          last_failed_login_at IS NULL OR last_failed_login_at < NOW() - INTERVAL ? SECOND,
+          1,
+          failed_login_count + 1
+        ),
+        last_failed_login_at = NOW()
+    WHERE id = ?
+  `,
+        [LOGIN_FAILURE_WINDOW, userId],
+    );
+
+    const rows = await query(
+        `
+    SELECT failed_login_count, lockout_count
+    FROM users
+    WHERE id = ? LIMIT 1
+  `,
+        [userId],
+    );
+    const state = rows[0];
+
+    if (!state || state.failed_login_count < MAX_FAILED_LOGIN) {
+        return null;
+    }
+
+    const lockoutCount = (state.lockout_count || 0) + 1;
+    const retryAfter = getLockoutDuration(lockoutCount);
+    const lockedUntil = new Date(Date.now() + retryAfter * 1000);
+
+    // 条件更新，避免并发失败请求重复叠加锁定次数
+    const result = await query(
+        `
+    UPDATE users
+    SET failed_login_count = 0,
+        lockout_count = ?,
+        locked_until = ?
+    WHERE id = ? AND failed_login_count >= ?
+  `,
+        [lockoutCount, lockedUntil, userId, MAX_FAILED_LOGIN],
+    );
+
+    if (!result.affectedRows) {
+        return null;
+    }
+
+    return { lockedUntil, retryAfter };
+}
+
+/**
+ * 清除失败次数与锁定状态（登录成功、管理员解锁时调用）
+ * @param {number} userId - 用户ID
+ */
+async function resetLoginFailures(userId) {
+    await query(
+        `
+    UPDATE users
+    SET failed_login_count = 0,
+        last_failed_login_at = NULL,
+        lockout_count = 0,
+        locked_until = NULL
+    WHERE id = ?
+  `,
+        [userId],
+    );
+}
+
+/**
+ * 构造 ACCOUNT_LOCKED 响应数据，并设置 Retry-After 响应头
+ * @param {object} res - Express响应对象
+ * @param {object} lock - getActiveLock / recordLoginFailure 的返回值
+ * @returns {object} 响应 data
+ */
+function buildLockedResponseData(res, lock) {
+    res.set('Retry-After', String(lock.retryAfter));
+    return {
+        locked_until: lock.lockedUntil,
+        retry_after: lock.retryAfter,
+    };
+}
+
+module.exports = {
+    getActiveLock,
+    recordLoginFailure,
+    resetLoginFailures,
+    buildLockedResponseData,
+};
@@ -0,0 +1,65 @@
+const { query } = require('../config/database');
+const {
+    generateAccessToken,
+    createAndStoreRefreshToken,
+    setAuthCookies,
+    getClientIp,
+} = require('../middlewares/auth');
+const { resetLoginFailures } = require('./loginLockout');
+const { logSecurityEvent, SECURITY_EVENTS } = require('./securityEvents');
+
+/**
+ * 建立登录会话：重置失败次数、更新 last_login_at、签发 Access Token 和 Refresh Token 并写入 Cookie，记录登录事件
+ * 密码登录、两步验证登录和第三方登录共用此流程
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ * @param {object} user - 用户（需包含 id、username、role、token_version）
+ * @param {boolean} rememberMe - 是否记住登录
+ * @param {string} eventType - 安全事件类型，默认 login
+ * @param {object|null} eventDetail - 安全事件附加信息
+ * @returns {Promise<{csrfToken: string}>} 本次签发的 CSRF 令牌
+ */
+async function startLoginSession(req, res, user, rememberMe, eventType = SECURITY_EVENTS.LOGIN, eventDetail = null) {
+    // 登录成功：重置失败次数与锁定状态，更新 last_login_at
+    await resetLoginFailures(user.id);
+    await query(
+        `
+      UPDATE users
+      SET last_login_at = NOW()
+      WHERE id = ?
+    `,
+        [user.id],
+    );
+
+    const payload = {
+        sub: user.id,
+        username: user.username,
+        role: user.role,
+        tv: user.token_version,
+    };
+
+    const accessToken = generateAccessToken(payload);
+
+    const userAgent = req.headers['user-agent'] || '';
+    const ipAddress = getClientIp(req);
+
+    const { refreshTokenRaw } = await createAndStoreRefreshToken(
+        { id: user.id },
+        rememberMe,
+        userAgent,
+        ipAddress,
+    );
+
+    // 设置 Cookie（仅 Cookie 模式）
+    const csrfToken = setAuthCookies(res, accessToken, refreshTokenRaw, {
+        rememberMe,
+    });
+
+    await logSecurityEvent(req, eventType, { userId: user.id, detail: eventDetail });
+
+    return { csrfToken };
+}
+
+module.exports = {
+    startLoginSession,
+};
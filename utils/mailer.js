@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 邮件发送工具（可插拔传输层）
+ * 默认使用 outbox 传输：将邮件写入本地目录，便于离线开发和测试
+ * 也可通过 MAIL_TRANSPORT=console 将邮件直接打印到控制台
+ * 如需接入真实 SMTP / 第三方服务，可通过 setMailTransport 注册自定义传输
+ *
+ * 传输对象约定：{ name: string, send: async (message) => any }
+ * message 结构：{ to, subject, text, html }
+ */
+
+// 默认传输：outbox（写入本地目录）或 console（打印到控制台）
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'outbox';
+// 发件人地址
+const MAIL_FROM = process.env.MAIL_FROM || 'Finsmart <no-reply@finsmart.local>';
+// 本地发件箱目录（outbox 传输使用）
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+/**
+ * 创建本地发件箱传输：每封邮件写入一个 JSON 文件
+ * @param {string} dir - 发件箱目录
+ * @returns {object} 传输对象
+ */
+function createOutboxTransport(dir = MAIL_OUTBOX_DIR) {
+    return {
+        name: 'outbox',
+        async send(message) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            // 文件名：时间戳 + 随机串，保证按时间排序且不冲突
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+            const filePath = path.join(dir, fileName);
+            await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2), 'utf8');
+            return { filePath };
+        },
+    };
+}
+
+/**
+ * 创建控制台传输：直接打印邮件内容
+ * @returns {object} 传输对象
+ */
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            console.log(`📧 [mail] to=${message.to} subject=${message.subject}\n${message.text}`);
+            return {};
+        },
+    };
+}
+
+// 当前使用的传输，默认写入本地发件箱
+let currentTransport = MAIL_TRANSPORT === 'console' ? createConsoleTransport() : createOutboxTransport();
+
+/**
+ * 注册自定义邮件传输
+ * @param {object} transport - 传输对象，需实现 send(message)
+ */
+function setMailTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('Mail transport must implement send(message)');
+    }
+    currentTransport = transport;
+}
+
+/**
+ * 获取当前邮件传输
+ * @returns {object} 传输对象
+ */
+function getMailTransport() {
+    return currentTransport;
+}
+
+/**
+ * 发送邮件
+ * @param {object} options - { to, subject, text, html }
+ * @returns {Promise<any>} 传输层返回结果
+ */
+async function sendMail({ to, subject, text, html }) {
+    const message = {
+        from: MAIL_FROM,
+        to,
+        subject,
+        text: text || '',
+        html: html || null,
+        created_at: new Date().toISOString(),
+    };
+    return currentTransport.send(message);
+}
+
+module.exports = {
+    createOutboxTransport,
+    createConsoleTransport,
+    setMailTransport,
+    getMailTransport,
+    sendMail,
+};
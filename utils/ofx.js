@@ -0,0 +1,221 @@
+const { decodeXmlEntities, escapeXml } = require('./xml');
+const { IMPORT_DEFAULT_CATEGORY, decodeImportText, buildImportRemark } = require('./recordImport');
+
+/**
+ * OFX 工具（用于与 GnuCash 等桌面记账软件互通）
+ * - 解析：同时支持 OFX 1.x（SGML，叶子元素没有结束标签）和 OFX 2.x（XML），
+ *   读取银行账户和信用卡对账单中的交易（STMTTRN），转换为 recordImport 的导入行：
+ *   金额为负数时为支出（expense），为正数时为收入（income）；备注为“交易对方 - 附言”（NAME / PAYEE、MEMO）；
+ *   external_id 为“账号:FITID”，用于重复导入时跳过已导入的交易
+ * - 生成：OFX 2.x（XML）银行对账单，由 createOfxWriter 逐条输出
+ */
+
+// OFX 中 NAME 字段的最大长度
+const OFX_NAME_MAX_LENGTH = 32;
+
+// 读取元素内全部叶子元素的值：<TAG>值（SGML）或 <TAG>值</TAG>（XML），同名元素取第一个
+function readLeafValues(block) {
+    const values = {};
+    const re = /<([A-Za-z0-9.]+)>([^<]*)/g;
+    let match;
+    while ((match = re.exec(block)) !== null) {
+        const tag = match[1].toUpperCase();
+        const value = decodeXmlEntities(match[2].trim());
+        if (value && values[tag] === undefined) {
+            values[tag] = value;
+        }
+    }
+    return values;
+}
+
+/**
+ * 解析 OFX 时间：YYYYMMDD[HHMMSS[.XXX]][[+-偏移小时[:时区名]]]
+ * 按 OFX 规范，没有时区偏移时按 GMT 理解
+ * @param {string} value - 原始时间
+ * @returns {string|null} ISO 8601 字符串
+ */
+function parseOfxDate(value) {
+    const match = String(value || '')
+        .trim()
+        .match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(?:(\d{2})(?:\.\d+)?)?)?(?:\s*\[([+-]?\d+(?:\.\d+)?)(?::[^\]]*)?\])?/);
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hours = '00', minutes = '00', seconds = '00', offset = '0'] = match;
+    const local = new Date(
+        Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)),
+    );
+    // 排除 20250230 这类不存在的日期
+    if (isNaN(local.getTime()) || local.getUTCMonth() + 1 !== Number(month) || local.getUTCDate() !== Number(day)) {
+        return null;
+    }
+    return new Date(local.getTime() - Number(offset) * 60 * 60 * 1000).toISOString();
+}
+
+// 解析 OFX 金额：部分软件使用逗号作为小数点
+function parseOfxAmount(value) {
+    let str = String(value || '').trim();
+    if (str.includes(',') && !str.includes('.')) {
+        str = str.replace(',', '.');
+    }
+    str = str.replace(/,/g, '');
+    if (!/^[+-]?\d+(\.\d+)?$/.test(str) && !/^[+-]?\.\d+$/.test(str)) {
+        return null;
+    }
+    return Number(str);
+}
+
+/**
+ * 解析 OFX 文件
+ * @param {Buffer} buffer - 文件内容
+ * @returns {{ rows: Array<object>, skipped: Array<object> }|null} 不是 OFX 文件时返回 null
+ */
+function parseOfx(buffer) {
+    // 不是合法 UTF-8 时按头部声明的编码解码（OFX 1.x 的 CHARSET:1252 表示 Windows-1252），默认 GBK
+    const head = buffer.subarray(0, 1024).toString('latin1');
+    const fallback = /CHARSET:\s*1252|encoding="(windows-1252|iso-8859-1)"/i.test(head) ? 'windows-1252' : 'gbk';
+    const text = decodeImportText(buffer, fallback);
+
+    const ofxStart = text.search(/<OFX>/i);
+    if (ofxStart < 0) {
+        return null;
+    }
+
+    // 对账单（银行账户或信用卡），每个对账单有自己的账号；content 在文件中的起始位置用于计算行号
+    const statements = [];
+    const statementRe = /<(STMTRS|CCSTMTRS)>([\s\S]*?)<\/\1>/gi;
+    statementRe.lastIndex = ofxStart;
+    let match;
+    while ((match = statementRe.exec(text)) !== null) {
+        statements.push({ content: match[2], offset: match.index + match[1].length + 2 });
+    }
+    if (statements.length === 0) {
+        statements.push({ content: text.slice(ofxStart), offset: ofxStart });
+    }
+
+    // 交易按在文件中的位置依次出现，逐段累计换行数得到行号
+    let lastPos = 0;
+    let lastLine = 1;
+    const lineOf = (pos) => {
+        for (let i = lastPos; i < pos; i += 1) {
+            if (text.charCodeAt(i) === 10) {
+                lastLine += 1;
+            }
+        }
+        lastPos = pos;
+        return lastLine;
+    };
+
+    const rows = [];
+    statements.forEach((statement) => {
+        const accountMatch = statement.content.match(/<ACCTID>([^<\r\n]*)/i);
+        const accountId = accountMatch ? decodeXmlEntities(accountMatch[1].trim()) : '';
+
+        const trnRe = /<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi;
+        let trnMatch;
+        while ((trnMatch = trnRe.exec(statement.content)) !== null) {
+            const values = readLeafValues(trnMatch[1]);
+            const amount = parseOfxAmount(values.TRNAMT);
+            const fitId = values.FITID || '';
+
+            rows.push({
+                row: lineOf(statement.offset + trnMatch.index),
+                type: amount === null ? '' : amount < 0 ? 'expense' : 'income',
+                category: IMPORT_DEFAULT_CATEGORY,
+                amount: amount === null ? values.TRNAMT || '' : Math.abs(amount),
+                occurred_at: parseOfxDate(values.DTPOSTED || values.DTUSER) || values.DTPOSTED || '',
+                remark: buildImportRemark(values.NAME || values.PAYEE, values.MEMO),
+                tags: [],
+                external_id: fitId ? (accountId ? `${accountId}:${fitId}` : fitId) : null,
+            });
+        }
+    });
+
+    return { rows, skipped: [] };
+}
+
+// 将时间格式化为 OFX 时间（东8区）：20250101123000.000[+8:CST]
+function formatOfxDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    const local = new Date(date.getTime() + 8 * 60 * 60 * 1000).toISOString();
+    return `${local.slice(0, 19).replace(/[-T:]/g, '')}.000[+8:CST]`;
+}
+
+// OFX 中的文本字段
+function ofxText(value, maxLength) {
+    const text = String(value || '').replace(/[\r\n]+/g, ' ').trim();
+    return escapeXml(maxLength ? text.slice(0, maxLength) : text);
+}
+
+/**
+ * 创建 OFX 生成器：header、transaction、footer 依次输出文件的各部分
+ * 收入类型（编码 income）的金额为正数，其余类型为负数
+ * @param {object} options - { account_id: 账户标识, start_date, end_date: 对账单的起止日期（YYYY-MM-DD，可选） }
+ * @returns {{ header: function(): string, transaction: function(object): string, footer: function(): string }}
+ */
+function createOfxWriter(options = {}) {
+    const now = new Date();
+    const accountId = ofxText(options.account_id || 'FINSMART', 22);
+    let balance = 0;
+
+    // 起止日期只保留 YYYYMMDD 的数字，格式不正确时使用默认值
+    const dateOnly = (value, fallback) => {
+        const digits = String(value || '').replace(/\D/g, '');
+        return digits.length === 8 ? digits : fallback;
+    };
+
+    return {
+        header() {
+            return (
+                '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' +
+                '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>\n' +
+                '<OFX>\n' +
+                '<SIGNONMSGSRSV1><SONRS>' +
+                '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>' +
+                `<DTSERVER>${formatOfxDate(now)}</DTSERVER><LANGUAGE>CHI</LANGUAGE>` +
+                '</SONRS></SIGNONMSGSRSV1>\n' +
+                '<BANKMSGSRSV1><STMTTRNRS><TRNUID>0</TRNUID>' +
+                '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>\n' +
+                '<STMTRS><CURDEF>CNY</CURDEF>' +
+                `<BANKACCTFROM><BANKID>FINSMART</BANKID><ACCTID>${accountId}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>\n` +
+                `<BANKTRANLIST><DTSTART>${dateOnly(options.start_date, '19700101')}</DTSTART>` +
+                `<DTEND>${dateOnly(options.end_date, formatOfxDate(now))}</DTEND>\n`
+            );
+        },
+
+        /**
+         * @param {object} record - { id, type_code, amount, occurred_at, remark, category_name }
+         */
+        transaction(record) {
+            const amount = Number(record.amount) * (record.type_code === 'income' ? 1 : -1);
+            balance += amount;
+            const name = ofxText(record.remark || record.category_name, OFX_NAME_MAX_LENGTH);
+            const memo = ofxText(record.remark, 255);
+            return (
+                '<STMTTRN>' +
+                `<TRNTYPE>${amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>` +
+                `<DTPOSTED>${formatOfxDate(record.occurred_at)}</DTPOSTED>` +
+                `<TRNAMT>${amount.toFixed(2)}</TRNAMT>` +
+                `<FITID>${record.id}</FITID>` +
+                (name ? `<NAME>${name}</NAME>` : '') +
+                (memo && memo !== name ? `<MEMO>${memo}</MEMO>` : '') +
+                '</STMTTRN>\n'
+            );
+        },
+
+        footer() {
+            return (
+                '</BANKTRANLIST>\n' +
+                `<LEDGERBAL><BALAMT>${balance.toFixed(2)}</BALAMT><DTASOF>${formatOfxDate(now)}</DTASOF></LEDGERBAL>\n` +
+                '</STMTRS></STMTTRNRS></BANKMSGSRSV1>\n' +
+                '</OFX>\n'
+            );
+        },
+    };
+}
+
+module.exports = {
+    parseOfx,
+    parseOfxDate,
+    createOfxWriter,
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createMemoryCache } = require('./cache');
+
+/**
+ * OpenID Connect 授权码流程（PKCE）客户端
+ *
+ * 通过环境变量配置身份提供方：
+ *   OIDC_PROVIDERS=google,mock                 启用的提供方名称，逗号分隔
+ *   OIDC_<NAME>_ISSUER                         Issuer，未单独配置端点时通过 <issuer>/.well-known/openid-configuration 自动发现
+ *   OIDC_<NAME>_CLIENT_ID / _CLIENT_SECRET     客户端凭据（公开客户端可不配置 secret）
+ *   OIDC_<NAME>_AUTHORIZATION_ENDPOINT         可选，覆盖自动发现的端点（本地 mock IdP 可全部手动配置）
+ *   OIDC_<NAME>_TOKEN_ENDPOINT
+ *   OIDC_<NAME>_JWKS_URI
+ *   OIDC_<NAME>_USERINFO_ENDPOINT
+ *   OIDC_<NAME>_SCOPES                         默认 "openid email profile"
+ *   OIDC_<NAME>_DISPLAY_NAME                   前端展示名称，默认为提供方名称
+ */
+
+// 回调地址（需在身份提供方处登记），提供方通过 state 区分
+const OIDC_CALLBACK_URL =
+    process.env.OIDC_CALLBACK_URL || `http://localhost:${process.env.PORT || 3030}/api/oidc/callback`;
+// 请求身份提供方的超时时间（毫秒）
+const OIDC_HTTP_TIMEOUT = parseInt(process.env.OIDC_HTTP_TIMEOUT || '10000', 10);
+// 自动发现文档与 JWKS 的缓存时间（秒）
+const OIDC_METADATA_CACHE_TTL = parseInt(process.env.OIDC_METADATA_CACHE_TTL || '3600', 10);
+
+// ID Token 允许的签名算法（HS256 使用 client_secret 作为密钥）
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'HS256'];
+
+const metadataCache = createMemoryCache({ ttlSeconds: OIDC_METADATA_CACHE_TTL, maxEntries: 100 });
+
+// 读取单个提供方的配置
+function readProviderConfig(name) {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const env = (key) => process.env[prefix + key] || null;
+    return {
+        name,
+        displayName: env('DISPLAY_NAME') || name,
+        issuer: env('ISSUER'),
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET'),
+        authorizationEndpoint: env('AUTHORIZATION_ENDPOINT'),
+        tokenEndpoint: env('TOKEN_ENDPOINT'),
+        jwksUri: env('JWKS_URI'),
+        userinfoEndpoint: env('USERINFO_ENDPOINT'),
+        scopes: env('SCOPES') || 'openid email profile',
+    };
+}
+
+/**
+ * 获取已启用的身份提供方列表（缺少 issuer 或 client_id 的配置会被忽略）
+ * @returns {Array<object>} 提供方配置
+ */
+function getOidcProviders() {
+    return String(process.env.OIDC_PROVIDERS || '')
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .map(readProviderConfig)
+        .filter((p) => p.issuer && p.clientId);
+}
+
+/**
+ * 按名称获取身份提供方配置
+ * @param {string} name - 提供方名称
+ * @returns {object|null}
+ */
+function getOidcProvider(name) {
+    return getOidcProviders().find((p) => p.name === name) || null;
+}
+
+// 带超时的 HTTP 请求，返回 JSON
+async function fetchJson(url, options = {}) {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(OIDC_HTTP_TIMEOUT) });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const error = new Error(`OIDC request failed: ${response.status} ${url}`);
+        error.status = response.status;
+        error.body = body;
+        throw error;
+    }
+    return body;
+}
+
+/**
+ * 获取提供方端点：手动配置优先，否则使用自动发现文档
+ * @param {object} provider - 提供方配置
+ * @returns {Promise<object>} { issuer, authorizationEndpoint, tokenEndpoint, jwksUri, userinfoEndpoint }
+ */
+async function resolveProviderMetadata(provider) {
+    const configured = {
+        issuer: provider.issuer,
+        authorizationEndpoint: provider.authorizationEndpoint,
+        tokenEndpoint: provider.tokenEndpoint,
+        jwksUri: provider.jwksUri,
+        userinfoEndpoint: provider.userinfoEndpoint,
+    };
+    if (configured.authorizationEndpoint && configured.tokenEndpoint && configured.jwksUri) {
+        return configured;
+    }
+
+    const discoveryUrl = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    let discovery = metadataCache.get(discoveryUrl);
+    if (!discovery) {
+        discovery = await fetchJson(discoveryUrl);
+        metadataCache.set(discoveryUrl, discovery);
+    }
+
+    return {
+        issuer: discovery.issuer || configured.issuer,
+        authorizationEndpoint: configured.authorizationEndpoint || discovery.authorization_endpoint,
+        tokenEndpoint: configured.tokenEndpoint || discovery.token_endpoint,
+        jwksUri: configured.jwksUri || discovery.jwks_uri,
+        userinfoEndpoint: configured.userinfoEndpoint || discovery.userinfo_endpoint || null,
+    };
+}
+
+// Base64url 编码
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 生成 PKCE 参数和 state、nonce
+ * @returns {{ state: string, nonce: string, codeVerifier: string, codeChallenge: string }}
+ */
+function generateAuthorizationParams() {
+    const codeVerifier = base64url(crypto.randomBytes(48));
+    return {
+        state: base64url(crypto.randomBytes(32)),
+        nonce: base64url(crypto.randomBytes(24)),
+        codeVerifier,
+        codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    };
+}
+
+/**
+ * 构造授权地址
+ * @param {object} provider - 提供方配置
+ * @param {object} params - { state, nonce, codeChallenge }
+ * @returns {Promise<string>} 授权地址
+ */
+async function buildAuthorizationUrl(provider, { state, nonce, codeChallenge }) {
+    const metadata = await resolveProviderMetadata(provider);
+    const url = new URL(metadata.authorizationEndpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', OIDC_CALLBACK_URL);
+    url.searchParams.set('scope', provider.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+}
+
+// 获取 JWKS 中与 kid 对应的公钥，找不到时强制刷新一次（应对提供方轮换密钥）
+async function getSigningKey(jwksUri, kid) {
+    const findKey = (jwks) =>
+        (jwks.keys || []).find((k) => (kid ? k.kid === kid : true) && (!k.use || k.use === 'sig'));
+
+    let jwks = metadataCache.get(jwksUri);
+    let jwk = jwks ? findKey(jwks) : null;
+    if (!jwk) {
+        jwks = await fetchJson(jwksUri);
+        metadataCache.set(jwksUri, jwks);
+        jwk = findKey(jwks);
+    }
+    if (!jwk) {
+        throw new Error(`OIDC signing key not found: kid=${kid}`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * 校验 ID Token：签名、issuer、audience、过期时间和 nonce
+ * @param {object} provider - 提供方配置
+ * @param {string} idToken - ID Token
+ * @param {string} nonce - 授权请求时生成的 nonce
+ * @returns {Promise<object>} ID Token 声明
+ */
+async function verifyIdToken(provider, idToken, nonce) {
+    const metadata = await resolveProviderMetadata(provider);
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header) {
+        throw new Error('OIDC id_token malformed');
+    }
+
+    const { alg, kid } = decoded.header;
+    if (!ID_TOKEN_ALGORITHMS.includes(alg)) {
+        throw new Error(`OIDC id_token algorithm not allowed: ${alg}`);
+    }
+
+    let key;
+    if (alg === 'HS256') {
+        if (!provider.clientSecret) {
+            throw new Error('OIDC id_token signed with HS256 but client secret is not configured');
+        }
+        key = provider.clientSecret;
+    } else {
+        key = await getSigningKey(metadata.jwksUri, kid);
+    }
+
+    const claims = jwt.verify(idToken, key, {
+        algorithms: [alg],
+        issuer: metadata.issuer,
+        audience: provider.clientId,
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error('OIDC id_token nonce mismatch');
+    }
+    if (!claims.sub) {
+        throw new Error('OIDC id_token missing sub');
+    }
+    return claims;
+}
+
+/**
+ * 用授权码换取令牌，校验 ID Token 并返回用户身份
+ * ID Token 中缺少邮箱时，尝试从 userinfo 端点补充
+ * @param {object} provider - 提供方配置
+ * @param {object} params - { code, codeVerifier, nonce }
+ * @returns {Promise<{ subject: string, email: string|null, emailVerified: boolean, name: string|null, preferredUsername: string|null }>}
+ */
+async function exchangeCodeForIdentity(provider, { code, codeVerifier, nonce }) {
+    const metadata = await resolveProviderMetadata(provider);
+
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: OIDC_CALLBACK_URL,
+        client_id: provider.clientId,
+        code_verifier: codeVerifier,
+    });
+    if (provider.clientSecret) {
+        form.set('client_secret', provider.clientSecret);
+    }
+
+    const tokens = await fetchJson(metadata.tokenEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: form.toString(),
+    });
+
+    if (!tokens || !tokens.id_token) {
+        throw new Error('OIDC token response missing id_token');
+    }
+
+    const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+    let profile = claims;
+
+    if (!claims.email && metadata.userinfoEndpoint && tokens.access_token) {
+        const userinfo = await fetchJson(metadata.userinfoEndpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' },
+        });
+        // userinfo 的 sub 必须与 ID Token 一致，防止令牌替换
+        if (userinfo && userinfo.sub === claims.sub) {
+            profile = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+        }
+    }
+
+    return {
+        subject: String(claims.sub),
+        email: profile.email ? String(profile.email) : null,
+        emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+        name: profile.name || null,
+        preferredUsername: profile.preferred_username || null,
+    };
+}
+
+module.exports = {
+    OIDC_CALLBACK_URL,
+    getOidcProviders,
+    getOidcProvider,
+    generateAuthorizationParams,
+    buildAuthorizationUrl,
+    exchangeCodeForIdentity,
+};
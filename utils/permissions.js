@@ -0,0 +1,85 @@
+const { query } = require('../config/database');
+const { createMemoryCache } = require('./cache');
+
+/**
+ * 基于权限的访问控制
+ * 用户的角色编码写入 Access Token（role 字段），角色对应的权限通过 role_permissions 查询并在进程内缓存
+ * 修改角色权限时清除本进程缓存，其他实例最多延迟 PERMISSION_CACHE_TTL 秒生效
+ */
+
+// 权限编码（与 permissions 表中的 code 一致）
+const PERMISSIONS = {
+    USERS_MANAGE: 'users:manage',
+    USERS_IMPERSONATE: 'users:impersonate',
+    ROLES_MANAGE: 'roles:manage',
+    RECORD_TYPES_MANAGE: 'record_types:manage',
+    CATEGORIES_SYSTEM_EDIT: 'categories:system:edit',
+    SECURITY_EVENTS_READ: 'security_events:read',
+};
+
+// 缓存有效期（秒），默认60秒
+const PERMISSION_CACHE_TTL = parseInt(process.env.PERMISSION_CACHE_TTL || '60', 10);
+
+const rolePermissionCache = createMemoryCache({ ttlSeconds: PERMISSION_CACHE_TTL, maxEntries: 1000 });
+
+/**
+ * 获取角色拥有的权限编码
+ * @param {string} roleCode - 角色编码
+ * @returns {Promise<string[]>} 权限编码数组，角色不存在时为空数组
+ */
+async function getRolePermissions(roleCode) {
+    if (!roleCode) {
+        return [];
+    }
+
+    const cached = rolePermissionCache.get(roleCode);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const rows = await query(
+        `
+    SELECT p.code
+    FROM roles r
+    INNER JOIN role_permissions rp ON rp.role_id = r.id
+    INNER JOIN permissions p ON p.id = rp.permission_id
+    WHERE r.code = ?
+    ORDER BY p.code ASC
+  `,
+        [roleCode],
+    );
+
+    const permissions = rows.map((r) => r.code);
+    rolePermissionCache.set(roleCode, permissions);
+    return permissions;
+}
+
+/**
+ * 判断用户是否拥有指定权限
+ * @param {object} user - 当前用户（req.user，需包含 role）
+ * @param {string} permission - 权限编码
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(user, permission) {
+    if (!user) {
+        return false;
+    }
+    const permissions = await getRolePermissions(user.role);
+    return permissions.includes(permission);
+}
+
+// 清除角色权限缓存，不传角色编码时清除全部
+function invalidateRolePermissions(roleCode = null) {
+    if (roleCode) {
+        rolePermissionCache.delete(roleCode);
+    } else {
+        rolePermissionCache.clear();
+    }
+}
+
+module.exports = {
+    PERMISSIONS,
+    getRolePermissions,
+    hasPermission,
+    invalidateRolePermissions,
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { IMPORT_DEFAULT_CATEGORY, decodeImportText, buildImportRemark } = require('./recordImport');
+
+/**
+ * QIF 工具（用于与 GnuCash、Quicken 等桌面记账软件互通）
+ * - 解析：读取 !Type:Bank、Cash、CCard、Oth A、Oth L 段中的交易，转换为 recordImport 的导入行：
+ *   金额为负数时为支出（expense），为正数时为收入（income）；备注为“交易对方 - 附言”（P、M）；
+ *   分类（L）取最后一级名称，L 为 [账户] 表示账户间转账，不导入；拆分（S/E/$）按合计金额导入
+ * - QIF 没有交易唯一标识，external_id 为账户、日期、金额、交易对方、附言、编号的摘要，
+ *   同一文件中内容完全相同的交易按出现顺序区分
+ * - 生成：!Type:Bank 段，由 createQifWriter 逐条输出
+ */
+
+// 包含交易的段
+const QIF_TRANSACTION_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+// 日期：月/日/年、日.月.年（年份可以是两位，Quicken 用 ' 分隔表示 2000 年以后），或 年-月-日
+const QIF_DATE_PATTERN = /^(\d{1,2})\s*[/.-]\s*(\d{1,2})\s*(['/.-])\s*(\d{2}|\d{4})$/;
+const QIF_ISO_DATE_PATTERN = /^(\d{4})\s*[/.-]\s*(\d{1,2})\s*[/.-]\s*(\d{1,2})$/;
+
+// 根据文件中全部日期判断日和月的顺序：出现大于12的第一段时为 日/月/年，默认 月/日/年
+function detectDateOrder(values) {
+    let dotted = false;
+    for (const value of values) {
+        const match = value.match(QIF_DATE_PATTERN);
+        if (!match) {
+            continue;
+        }
+        if (Number(match[1]) > 12) {
+            return 'dmy';
+        }
+        if (Number(match[2]) > 12) {
+            return 'mdy';
+        }
+        dotted = dotted || value.includes('.');
+    }
+    return dotted ? 'dmy' : 'mdy';
+}
+
+/**
+ * 解析 QIF 日期
+ * @param {string} value - 原始日期
+ * @param {string} order - 日和月的顺序：mdy、dmy
+ * @returns {string|null} YYYY-MM-DD，无法解析时返回 null
+ */
+function parseQifDate(value, order) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const iso = value.match(QIF_ISO_DATE_PATTERN);
+    if (iso) {
+        return `${iso[1]}-${pad(iso[2])}-${pad(iso[3])}`;
+    }
+    const match = value.match(QIF_DATE_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const [, first, second, separator, yearText] = match;
+    let year = Number(yearText);
+    if (yearText.length === 2) {
+        year += separator === "'" || year < 70 ? 2000 : 1900;
+    }
+    const [month, day] = order === 'dmy' ? [second, first] : [first, second];
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// 分类取最后一级名称，去掉 / 后的类别（class）
+function parseQifCategory(value) {
+    const name = String(value || '')
+        .split('/')[0]
+        .split(':')
+        .pop()
+        .trim();
+    return name || IMPORT_DEFAULT_CATEGORY;
+}
+
+/**
+ * 解析 QIF 文件
+ * @param {Buffer} buffer - 文件内容
+ * @returns {{ rows: Array<object>, skipped: Array<object> }|null} 不是 QIF 文件时返回 null
+ */
+function parseQif(buffer) {
+    const lines = decodeImportText(buffer).split(/\r?\n/);
+    if (!lines.some((line) => /^!Type:/i.test(line.trim()))) {
+        return null;
+    }
+
+    // 按 ^ 分隔交易，字段为首字母 + 值，同一字段出现多次时取第一个
+    const transactions = [];
+    let section = null;
+    let account = '';
+    let current = null;
+    lines.forEach((rawLine, i) => {
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+        if (line.startsWith('!')) {
+            if (/^!Type:/i.test(line)) {
+                section = line.slice(6).trim().toLowerCase();
+            } else if (/^!Account/i.test(line)) {
+                section = 'account';
+            }
+            current = null;
+            return;
+        }
+        if (line === '^') {
+            if (current && section !== 'account') {
+                transactions.push(current);
+            }
+            current = null;
+            return;
+        }
+
+        const code = line[0];
+        const value = line.slice(1).trim();
+        // !Account 段中的 N 为后续交易所属的账户名称
+        if (section === 'account') {
+            if (code === 'N') {
+                account = value;
+            }
+            return;
+        }
+        if (!QIF_TRANSACTION_TYPES.includes(section)) {
+            return;
+        }
+        if (!current) {
+            current = { row: i + 1, account, fields: {} };
+        }
+        if (current.fields[code] === undefined) {
+            current.fields[code] = value;
+        }
+    });
+    if (current && QIF_TRANSACTION_TYPES.includes(section)) {
+        transactions.push(current);
+    }
+
+    const dateOrder = detectDateOrder(transactions.map((tx) => tx.fields.D || ''));
+    const occurrences = new Map();
+    const rows = [];
+    const skipped = [];
+
+    transactions.forEach((tx) => {
+        const { D: date = '', T, U, P: payee = '', M: memo = '', L: category = '', N: number = '' } = tx.fields;
+        const amountText = (T !== undefined ? T : U || '').replace(/,/g, '');
+        const amount = /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(amountText) ? Number(amountText) : null;
+
+        // L 为 [账户] 表示账户间转账
+        if (/^\[.*\]/.test(category)) {
+            skipped.push({ row: tx.row, reason: 'transfer' });
+            return;
+        }
+
+        const digest = crypto
+            .createHash('sha1')
+            .update([tx.account, date, amountText, payee, memo, number].join('\u0001'))
+            .digest('hex');
+        const occurrence = (occurrences.get(digest) || 0) + 1;
+        occurrences.set(digest, occurrence);
+
+        rows.push({
+            row: tx.row,
+            type: amount === null ? '' : amount < 0 ? 'expense' : 'income',
+            category: parseQifCategory(category),
+            amount: amount === null ? amountText : Math.abs(amount),
+            occurred_at: parseQifDate(date, dateOrder) || date,
+            remark: buildImportRemark(payee, memo),
+            tags: [],
+            external_id: occurrence > 1 ? `${digest}:${occurrence}` : digest,
+        });
+    });
+
+    return { rows, skipped };
+}
+
+// 将时间格式化为 QIF 日期（东8区）：MM/DD/YYYY
+function formatQifDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    const local = new Date(date.getTime() + 8 * 60 * 60 * 1000).toISOString();
+    return `${local.slice(5, 7)}/${local.slice(8, 10)}/${local.slice(0, 4)}`;
+}
+
+// QIF 中的文本字段：每个字段只能占一行
+function qifText(value) {
+    return String(value || '')
+        .replace(/[\r\n]+/g, ' ')
+        .trim();
+}
+
+/**
+ * 创建 QIF 生成器：header、transaction、footer 依次输出文件的各部分
+ * 收入类型（编码 income）的金额为正数，其余类型为负数；备注输出为交易对方（P），分类输出为 L
+ * @returns {{ header: function(): string, transaction: function(object): string, footer: function(): string }}
+ */
+function createQifWriter() {
+    return {
+        header() {
+            return '!Type:Bank\n';
+        },
+
+        /**
+         * @param {object} record - { type_code, amount, occurred_at, remark, category_name }
+         */
+        transaction(record) {
+            const amount = Number(record.amount) * (record.type_code === 'income' ? 1 : -1);
+            const payee = qifText(record.remark);
+            const category = qifText(record.category_name);
+            return (
+                `D${formatQifDate(record.occurred_at)}\n` +
+                `T${amount.toFixed(2)}\n` +
+                (payee ? `P${payee}\n` : '') +
+                (category ? `L${category}\n` : '') +
+                '^\n'
+            );
+        },
+
+        footer() {
+            return '';
+        },
+    };
+}
+
+module.exports = {
+    parseQif,
+    parseQifDate,
+    createQifWriter,
+};
@@ -0,0 +1,55 @@
+/**
+ * 限流计数存储
+ * 存储接口（异步，便于替换为 Redis 等共享存储，实现相同方法即可）：
+ *   increment(key, windowSeconds) => Promise<{ count, resetAt }>  计数加一，返回当前窗口内的次数和窗口结束时间（毫秒时间戳）
+ *   reset(key) => Promise<void>                                     清除某个键的计数
+ * 内存存储仅在当前进程内有效，多实例部署时各实例分别计数
+ */
+
+/**
+ * 创建内存限流存储（固定窗口计数）
+ * @param {object} options - { maxEntries: 最大键数量，超出时先清理已过期的键，仍超出则淘汰最早的键 }
+ * @returns {object} 存储对象 { increment, reset }
+ */
+function createMemoryRateLimitStore(options = {}) {
+    const { maxEntries = 50000 } = options;
+    const buckets = new Map();
+
+    // 清理已过期的窗口
+    function pruneExpired(now) {
+        for (const [key, bucket] of buckets) {
+            if (bucket.resetAt <= now) {
+                buckets.delete(key);
+            }
+        }
+    }
+
+    return {
+        async increment(key, windowSeconds) {
+            const now = Date.now();
+            let bucket = buckets.get(key);
+
+            if (!bucket || bucket.resetAt <= now) {
+                buckets.delete(key);
+                if (buckets.size >= maxEntries) {
+                    pruneExpired(now);
+                    if (buckets.size >= maxEntries) {
+                        buckets.delete(buckets.keys().next().value);
+                    }
+                }
+                bucket = { count: 0, resetAt: now + windowSeconds * 1000 };
+                buckets.set(key, bucket);
+            }
+
+            bucket.count += 1;
+            return { count: bucket.count, resetAt: bucket.resetAt };
+        },
+        async reset(key) {
+            buckets.delete(key);
+        },
+    };
+}
+
+module.exports = {
+    createMemoryRateLimitStore,
+};
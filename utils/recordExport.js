@@ -0,0 +1,234 @@
+const { pool } = require('../config/database');
+const { CSV_BOM, escapeCsvField } = require('./csv');
+const { writeXlsx } = require('./xlsx');
+const { buildRecordListFilter } = require('./records');
+const { createOfxWriter } = require('./ofx');
+const { createQifWriter } = require('./qif');
+
+/**
+ * 记账记录导出
+ * 使用流式查询逐行读取，边查询边输出 CSV、XLSX、NDJSON、OFX 或 QIF，导出多年数据时也不会一次性加载到内存
+ */
+
+// 导出格式：响应类型和文件扩展名
+const RECORD_EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    ofx: { contentType: 'application/x-ofx; charset=utf-8', extension: 'ofx' },
+    qif: { contentType: 'application/qif; charset=utf-8', extension: 'qif' },
+};
+
+// 导出的列（与 /records/import/csv 自动识别的表头一致，导出的 CSV 可直接重新导入）
+const RECORD_EXPORT_COLUMNS = [
+    'id',
+    'type_id',
+    'type_code',
+    'type_name',
+    'category_id',
+    'category_name',
+    'amount',
+    'occurred_at',
+    'remark',
+    'tags',
+    'created_at',
+    'updated_at',
+];
+
+// CSV、XLSX 中多个标签的分隔符（与账号数据导出一致）
+const TAG_SEPARATOR = '|';
+
+// 流式查询每次缓冲的行数
+const EXPORT_STREAM_HIGH_WATER_MARK = 200;
+
+/**
+ * 生成导出查询
+ * @param {number} userId - 用户ID
+ * @param {object} filters - 与 /records/list 相同的筛选和排序参数
+ * @returns {{ sql: string, params: Array<*> }}
+ */
+function buildRecordExportQuery(userId, filters = {}) {
+    const { tag_id, order_by, order } = filters;
+    const { whereClauses, params } = buildRecordListFilter(userId, filters);
+
+    if (tag_id) {
+        whereClauses.push('EXISTS (SELECT 1 FROM fs_record_tags rt WHERE rt.record_id = r.id AND rt.tag_id = ?)');
+        params.push(Number(tag_id));
+    }
+
+    const finalOrderBy = ['occurred_at', 'amount', 'created_at'].includes(order_by) ? order_by : 'occurred_at';
+    const finalOrder = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+    // 标签名称用换行符拼接，输出时再按格式转换；与记录详情一致，不包含回收站中的标签
+    const sql = `
+    SELECT
+      r.id,
+      r.type_id,
+      t.code AS type_code,
+      t.name AS type_name,
+      r.category_id,
+      c.name AS category_name,
+      r.amount,
+      r.occurred_at,
+      r.remark,
+      (
+        SELECT GROUP_CONCAT(tg.name ORDER BY tg.name SEPARATOR '\\n')
+        FROM fs_record_tags rt
+        JOIN fs_tags tg ON rt.tag_id = tg.id
+        WHERE rt.record_id = r.id AND tg.is_deleted = 0
+      ) AS tags,
+      r.created_at,
+      r.updated_at
+    FROM fs_records r
+    LEFT JOIN fs_record_types t ON r.type_id = t.id
+    LEFT JOIN fs_categories c ON r.category_id = c.id
+    WHERE ${whereClauses.join(' AND ')}
+    ORDER BY r.\`${finalOrderBy}\` ${finalOrder}, r.id ${finalOrder}
+  `;
+    return { sql, params };
+}
+
+// 将查询结果转换为导出的行对象
+function toExportRow(row) {
+    return {
+        ...row,
+        tags: row.tags ? String(row.tags).split('\n') : [],
+    };
+}
+
+// 将行对象转换为 CSV / XLSX 的单元格
+function toCells(row, format) {
+    return RECORD_EXPORT_COLUMNS.map((col) => {
+        const value = row[col];
+        if (col === 'tags') {
+            return value.join(TAG_SEPARATOR);
+        }
+        if (col === 'amount' && format === 'xlsx' && value !== null) {
+            return Number(value);
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        return value;
+    });
+}
+
+/**
+ * 流式查询记录
+ * 使用独立连接，查询未读完就结束（如客户端断开）时销毁连接而不是放回连接池
+ * @param {string} sql - SQL
+ * @param {Array<*>} params - 参数
+ */
+async function* streamRecordRows(sql, params) {
+    const conn = await pool.getConnection();
+    let completed = false;
+    try {
+        const stream = conn.connection.query(sql, params).stream({ highWaterMark: EXPORT_STREAM_HIGH_WATER_MARK });
+        for await (const row of stream) {
+            yield toExportRow(row);
+        }
+        completed = true;
+    } finally {
+        if (completed) {
+            conn.release();
+        } else {
+            conn.destroy();
+        }
+    }
+}
+
+// 逐行输出的文本格式：header、transaction、footer 依次生成文件的各部分
+const TEXT_WRITERS = {
+    csv: () => ({
+        header: () => `${CSV_BOM}${RECORD_EXPORT_COLUMNS.join(',')}\r\n`,
+        transaction: (row) => `${toCells(row, 'csv').map(escapeCsvField).join(',')}\r\n`,
+        footer: () => '',
+    }),
+    ndjson: () => ({
+        header: () => '',
+        transaction: (row) => `${JSON.stringify(row)}\n`,
+        footer: () => '',
+    }),
+    ofx: (userId, filters) =>
+        createOfxWriter({ account_id: `FINSMART-${userId}`, start_date: filters.start_date, end_date: filters.end_date }),
+    qif: () => createQifWriter(),
+};
+
+/**
+ * 导出记账记录
+ * @param {number} userId - 用户ID
+ * @param {object} filters - 与 /records/list 相同的筛选和排序参数
+ * @param {string} format - 导出格式：csv、xlsx、ndjson、ofx、qif
+ * @param {function(Buffer|string): Promise<void>} write - 输出函数，返回的 Promise 完成后再写入下一块
+ * @returns {Promise<number>} 导出的行数
+ */
+async function exportRecords(userId, filters, format, write) {
+    const { sql, params } = buildRecordExportQuery(userId, filters);
+    const rows = streamRecordRows(sql, params);
+    let count = 0;
+
+    if (format === 'xlsx') {
+        async function* cells() {
+            for await (const row of rows) {
+                count += 1;
+                yield toCells(row, format);
+            }
+        }
+        await writeXlsx(write, RECORD_EXPORT_COLUMNS, cells(), 'records');
+        return count;
+    }
+
+    const writer = TEXT_WRITERS[format](userId, filters);
+    const header = writer.header();
+    if (header) {
+        await write(header);
+    }
+    for await (const row of rows) {
+        count += 1;
+        await write(writer.transaction(row));
+    }
+    const footer = writer.footer();
+    if (footer) {
+        await write(footer);
+    }
+    return count;
+}
+
+/**
+ * 创建写入 HTTP 响应的输出函数：缓冲区满时等待 drain，客户端断开时抛出错误以结束查询
+ * @param {object} res - Express响应对象
+ * @returns {function(Buffer|string): Promise<void>}
+ */
+function createResponseWriter(res) {
+    return async (chunk) => {
+        if (res.destroyed || res.writableEnded) {
+            throw new Error('Response closed');
+        }
+        if (res.write(chunk)) {
+            return;
+        }
+        await new Promise((resolve, reject) => {
+            const cleanup = () => {
+                res.off('drain', onDrain);
+                res.off('close', onClose);
+            };
+            const onDrain = () => {
+                cleanup();
+                resolve();
+            };
+            const onClose = () => {
+                cleanup();
+                reject(new Error('Response closed'));
+            };
+            res.on('drain', onDrain);
+            res.on('close', onClose);
+        });
+    };
+}
+
+module.exports = {
+    RECORD_EXPORT_FORMATS,
+    RECORD_EXPORT_COLUMNS,
+    exportRecords,
+    createResponseWriter,
+};
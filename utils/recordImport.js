@@ -0,0 +1,564 @@
+const { query } = require('../config/database');
+const { withTransaction, createRecordWithHistory } = require('./records');
+
+/**
+ * 记账记录导入
+ * 各种来源（CSV、支付宝和微信支付账单等）先转换为统一的导入行：
+ *   { row, type, category, amount, occurred_at, remark, tags, external_id }
+ *   row 为原文件中的行号；type、category 可以是 ID 或名称（type 也可以是编码）；tags 为标签名称数组；
+ *   external_id 为来源中的交易单号（可选），同一来源下已导入过的单号会被跳过
+ * 再经过 prepareImport 校验并解析类型、分类、标签（不存在的分类和标签可自动创建），
+ * 最后由 commitImport 在同一事务中写入记录和 CREATE 历史
+ */
+
+// 单次导入的最大行数
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || '5000', 10);
+// 报告中最多返回的错误行数
+const IMPORT_MAX_REPORTED_ERRORS = 200;
+
+// 来源文件中没有分类时使用的分类名称
+const IMPORT_DEFAULT_CATEGORY = '其他';
+
+// 跳过导入的原因
+const IMPORT_SKIP_REASONS = {
+    duplicate: '已导入过该交易',
+    transfer: '不计收支的交易（如账户间转账、理财转入转出）',
+    refund: '退款交易（已从同一文件中的原交易金额扣除，或原交易不在本次导入中）',
+    refunded: '已全额退款的交易',
+    closed: '交易关闭或未成功',
+};
+
+// 可映射的字段
+const IMPORT_FIELDS = ['type_id', 'category_id', 'amount', 'occurred_at', 'remark', 'tags'];
+
+// 自动识别列时使用的表头别名（小写比较）
+const IMPORT_COLUMN_ALIASES = {
+    type_id: ['type_id', 'type', '类型', '收支', '收/支', '收支类型', '记账类型'],
+    category_id: ['category_id', 'category', '分类', '类别', '类目', '分类名称'],
+    amount: ['amount', 'money', 'value', '金额', '金额(元)', '金额（元）'],
+    occurred_at: ['occurred_at', 'date', 'time', 'datetime', '日期', '时间', '发生时间', '交易时间', '记账时间'],
+    remark: ['remark', 'note', 'notes', 'memo', 'description', '备注', '说明', '描述'],
+    tags: ['tags', 'tag', '标签'],
+};
+
+/**
+ * 根据表头自动识别列映射
+ * @param {Array<string>} headers - 表头
+ * @returns {object} { 字段: 表头名称 }，未识别的字段不出现
+ */
+function detectColumnMapping(headers) {
+    const mapping = {};
+    IMPORT_FIELDS.forEach((field) => {
+        const header = headers.find((h) => IMPORT_COLUMN_ALIASES[field].includes(String(h).trim().toLowerCase()));
+        if (header !== undefined) {
+            mapping[field] = header;
+        }
+    });
+    return mapping;
+}
+
+/**
+ * 将列映射转换为列下标
+ * @param {object} mapping - { 字段: 表头名称或从0开始的列下标 }
+ * @param {Array<string>|null} headers - 表头，没有表头时为 null（只能使用列下标）
+ * @returns {{ columns: object|null, error: string|null }}
+ */
+function resolveColumnMapping(mapping, headers) {
+    const columns = {};
+    for (const [field, ref] of Object.entries(mapping || {})) {
+        if (!IMPORT_FIELDS.includes(field)) {
+            return { columns: null, error: `不支持的字段：${field}` };
+        }
+        if (ref === null || ref === undefined || ref === '') {
+            continue;
+        }
+        let index = -1;
+        if (typeof ref === 'number') {
+            index = ref;
+        } else if (headers) {
+            index = headers.findIndex((h) => String(h).trim() === String(ref).trim());
+        }
+        const columnCount = headers ? headers.length : Infinity;
+        if (!Number.isInteger(index) || index < 0 || index >= columnCount) {
+            return { columns: null, error: `找不到字段 ${field} 对应的列：${ref}` };
+        }
+        columns[field] = index;
+    }
+    if (columns.amount === undefined || columns.occurred_at === undefined) {
+        return { columns: null, error: '必须映射 amount 和 occurred_at 列' };
+    }
+    return { columns, error: null };
+}
+
+/**
+ * 解码上传的文本文件：先按 UTF-8 解码，不是合法 UTF-8 时按备用编码解码
+ * @param {Buffer} buffer - 文件内容
+ * @param {string} fallbackEncoding - 备用编码，默认 gbk
+ * @returns {string} 文本（已去掉 UTF-8 BOM）
+ */
+function decodeImportText(buffer, fallbackEncoding = 'gbk') {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (err) {
+        return new TextDecoder(fallbackEncoding).decode(buffer);
+    }
+}
+
+/**
+ * 拼接备注：交易对方 - 附言；附言以交易对方开头时（如本系统导出后再导入）只使用附言
+ * @param {string} payee - 交易对方
+ * @param {string} memo - 附言
+ * @returns {string}
+ */
+function buildImportRemark(payee, memo) {
+    if (payee && memo) {
+        return memo.startsWith(payee) ? memo : `${payee} - ${memo}`;
+    }
+    return payee || memo || '';
+}
+
+/**
+ * 解析金额：去掉货币符号、千分位和空格，括号表示负数
+ * @param {string|number} value - 原始金额
+ * @returns {number|null} 无法解析时返回 null
+ */
+function parseImportAmount(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    let str = String(value || '').trim();
+    if (!str) {
+        return null;
+    }
+    let negative = false;
+    if (/^\(.*\)$/.test(str)) {
+        negative = true;
+        str = str.slice(1, -1);
+    }
+    str = str.replace(/[¥￥$€£,\s]|元|CNY|RMB/gi, '');
+    if (!/^[+-]?\d+(\.\d+)?$/.test(str)) {
+        return null;
+    }
+    const amount = Number(str);
+    return negative ? -amount : amount;
+}
+
+/**
+ * 解析发生时间
+ * 支持 ISO 8601（带时区）以及 2025-01-01、2025/1/1 12:30、2025.01.01 12:30:45、2025年1月1日 等格式，
+ * 不带时区的时间按东8区理解
+ * @param {string|Date} value - 原始时间
+ * @returns {string|null} ISO 8601 字符串，无法解析时返回 null
+ */
+function parseImportDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.toISOString();
+    }
+    const str = String(value || '').trim();
+    if (!str) {
+        return null;
+    }
+
+    const match = str.match(
+        /^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?(?:[ T]+(\d{1,2}):(\d{1,2})(?::(\d{1,2}))?)?$/,
+    );
+    if (match) {
+        const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+        const pad = (n) => String(n).padStart(2, '0');
+        const iso = `${year}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}+08:00`;
+        const date = new Date(iso);
+        if (isNaN(date.getTime())) {
+            return null;
+        }
+        // 排除 2025-02-30 这类不存在的日期（Date 会自动顺延到下个月）
+        const local = new Date(date.getTime() + 8 * 60 * 60 * 1000);
+        if (local.getUTCMonth() + 1 !== Number(month) || local.getUTCDate() !== Number(day)) {
+            return null;
+        }
+        return date.toISOString();
+    }
+
+    // 带时区的 ISO 8601 时间
+    if (/^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/i.test(str)) {
+        const date = new Date(str);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    return null;
+}
+
+/**
+ * 拆分标签名称：支持逗号、分号、竖线、顿号分隔
+ * @param {string|Array<string>} value - 原始标签
+ * @returns {Array<string>} 去重后的标签名称
+ */
+function splitImportTags(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[,，;；|、]/);
+    return [...new Set(parts.map((s) => String(s).trim()).filter(Boolean))];
+}
+
+/**
+ * 将 CSV 数据行转换为导入行
+ * @param {Array<Array<string>>} rows - 数据行（不含表头）
+ * @param {object} columns - resolveColumnMapping 返回的列下标
+ * @param {number} firstRow - 第一条数据在原文件中的行号
+ * @returns {Array<object>} 导入行
+ */
+function csvRowsToImportRows(rows, columns, firstRow) {
+    const cell = (values, field) => (columns[field] === undefined ? undefined : values[columns[field]]);
+    return rows.map((values, i) => ({
+        row: firstRow + i,
+        type: cell(values, 'type_id'),
+        category: cell(values, 'category_id'),
+        amount: cell(values, 'amount'),
+        occurred_at: cell(values, 'occurred_at'),
+        remark: cell(values, 'remark'),
+        tags: splitImportTags(cell(values, 'tags')),
+    }));
+}
+
+// 名称比较时忽略大小写和首尾空格
+function nameKey(name) {
+    return String(name).trim().toLowerCase();
+}
+
+// 读取当前用户可用的类型、分类和标签
+async function loadImportDictionaries(userId) {
+    const [types, categories, tags] = await Promise.all([
+        query(
+            `
+      SELECT id, code, name
+      FROM fs_record_types
+      WHERE is_deleted = 0
+    `,
+        ),
+        query(
+            `
+      SELECT id, type_id, name
+      FROM fs_categories
+      WHERE is_deleted = 0 AND (user_id IS NULL OR user_id = ?)
+      ORDER BY user_id IS NULL, id ASC
+    `,
+            [userId],
+        ),
+        query(
+            `
+      SELECT id, name
+      FROM fs_tags
+      WHERE is_deleted = 0 AND (user_id IS NULL OR user_id = ?)
+      ORDER BY user_id IS NULL, id ASC
+    `,
+            [userId],
+        ),
+    ]);
+
+    const typeByKey = new Map();
+    types.forEach((t) => {
+        typeByKey.set(String(t.id), t);
+        typeByKey.set(nameKey(t.code), t);
+        typeByKey.set(nameKey(t.name), t);
+    });
+
+    // 同名分类优先使用用户自己的分类
+    const categoryById = new Map(categories.map((c) => [String(c.id), c]));
+    const categoryByName = new Map();
+    categories.forEach((c) => {
+        const key = `${c.type_id}:${nameKey(c.name)}`;
+        if (!categoryByName.has(key)) {
+            categoryByName.set(key, c);
+        }
+    });
+
+    const tagByName = new Map();
+    tags.forEach((t) => {
+        if (!tagByName.has(nameKey(t.name))) {
+            tagByName.set(nameKey(t.name), t);
+        }
+    });
+
+    return { typeByKey, categoryById, categoryByName, tagByName };
+}
+
+// 查询同一来源下已导入过的交易单号
+async function loadImportedExternalIds(userId, importSource, externalIds) {
+    const imported = new Set();
+    const uniqueIds = [...new Set(externalIds)];
+    for (let i = 0; i < uniqueIds.length; i += 500) {
+        const chunk = uniqueIds.slice(i, i + 500);
+        const placeholders = chunk.map(() => '?').join(', ');
+        const rows = await query(
+            `
+      SELECT external_id
+      FROM fs_records
+      WHERE user_id = ? AND import_source = ? AND external_id IN (${placeholders})
+    `,
+            [userId, importSource, ...chunk],
+        );
+        rows.forEach((r) => imported.add(r.external_id));
+    }
+    return imported;
+}
+
+/**
+ * 校验导入行，并解析类型、分类和标签
+ * @param {number} userId - 用户ID
+ * @param {Array<object>} importRows - 导入行
+ * @param {object} options - { default_type_id, default_category_id: 未映射或为空时使用；create_missing: 是否自动创建不存在的分类和标签，默认 true；
+ *                            import_source: 导入来源，传入时按 external_id 跳过已导入的交易 }
+ * @returns {Promise<object>} { rows: 解析结果（含 errors、record、skipped），valid_rows, invalid_rows, skipped_rows }
+ */
+async function prepareImport(userId, importRows, options = {}) {
+    const { default_type_id, default_category_id, create_missing = true, import_source = null } = options;
+    const dicts = await loadImportDictionaries(userId);
+
+    const imported = import_source
+        ? await loadImportedExternalIds(
+              userId,
+              import_source,
+              importRows.filter((item) => item.external_id).map((item) => item.external_id),
+          )
+        : new Set();
+    const seen = new Set();
+
+    const rows = importRows.map((item) => {
+        // 已导入过，或在同一文件中重复出现的交易
+        if (import_source && item.external_id) {
+            if (imported.has(item.external_id) || seen.has(item.external_id)) {
+                return { row: item.row, errors: [], record: null, skipped: 'duplicate' };
+            }
+            seen.add(item.external_id);
+        }
+
+        const errors = [];
+        const addError = (field, message) => errors.push({ field, message });
+
+        // 记账类型
+        const typeValue = item.type !== undefined && String(item.type).trim() !== '' ? item.type : default_type_id;
+        let type = null;
+        if (typeValue === undefined || typeValue === null || String(typeValue).trim() === '') {
+            addError('type_id', '缺少记账类型');
+        } else {
+            type = dicts.typeByKey.get(nameKey(typeValue)) || null;
+            if (!type) {
+                addError('type_id', `记账类型不存在：${typeValue}`);
+            }
+        }
+
+        // 金额：负数按绝对值导入，收支由记账类型区分；按保存的精度（2位小数）舍入后校验，如 0.004 舍入为 0.00
+        const amount = parseImportAmount(item.amount);
+        const roundedAmount = amount === null ? null : Math.abs(amount).toFixed(2);
+        if (amount === null) {
+            addError('amount', `金额格式不正确：${item.amount === undefined ? '' : item.amount}`);
+        } else if (Number(roundedAmount) === 0) {
+            addError('amount', '金额必须大于 0');
+        }
+
+        // 发生时间
+        const occurredAt = parseImportDate(item.occurred_at);
+        if (!occurredAt) {
+            addError('occurred_at', `发生时间格式不正确：${item.occurred_at === undefined ? '' : item.occurred_at}`);
+        }
+
+        // 分类：按 ID 或同一类型下的名称匹配
+        const categoryValue =
+            item.category !== undefined && String(item.category).trim() !== '' ? item.category : default_category_id;
+        let categoryId = null;
+        let newCategoryName = null;
+        if (categoryValue === undefined || categoryValue === null || String(categoryValue).trim() === '') {
+            addError('category_id', '缺少分类');
+        } else if (type) {
+            const byId = dicts.categoryById.get(String(categoryValue).trim());
+            const byName = dicts.categoryByName.get(`${type.id}:${nameKey(categoryValue)}`);
+            if (byId && byId.type_id === type.id) {
+                categoryId = byId.id;
+            } else if (byName) {
+                categoryId = byName.id;
+            } else if (create_missing) {
+                newCategoryName = String(categoryValue).trim();
+            } else {
+                addError('category_id', `分类不存在：${categoryValue}`);
+            }
+        }
+
+        // 标签：按名称匹配
+        const tagIds = [];
+        const newTagNames = [];
+        (item.tags || []).forEach((tagName) => {
+            const tag = dicts.tagByName.get(nameKey(tagName));
+            if (tag) {
+                tagIds.push(tag.id);
+            } else if (create_missing) {
+                newTagNames.push(tagName);
+            } else {
+                addError('tags', `标签不存在：${tagName}`);
+            }
+        });
+
+        const remark = item.remark === undefined || item.remark === null ? '' : String(item.remark).trim();
+
+        return {
+            row: item.row,
+            errors,
+            record: errors.length
+                ? null
+                : {
+                      type_id: type.id,
+                      type_name: type.name,
+                      category_id: categoryId,
+                      new_category_name: newCategoryName,
+                      amount: roundedAmount,
+                      occurred_at: occurredAt,
+                      remark: remark || null,
+                      tag_ids: [...new Set(tagIds)],
+                      new_tag_names: newTagNames,
+                      import_source,
+                      external_id: import_source ? item.external_id || null : null,
+                  },
+        };
+    });
+
+    const validRows = rows.filter((r) => r.record).length;
+    const skippedRows = rows.filter((r) => r.skipped).length;
+    return {
+        rows,
+        valid_rows: validRows,
+        invalid_rows: rows.length - validRows - skippedRows,
+        skipped_rows: skippedRows,
+    };
+}
+
+// 汇总需要新建的分类和标签（按名称去重）
+function collectNewDictionaryItems(records) {
+    const categories = new Map();
+    const tags = new Map();
+    records.forEach((record) => {
+        if (record.new_category_name) {
+            const key = `${record.type_id}:${nameKey(record.new_category_name)}`;
+            if (!categories.has(key)) {
+                categories.set(key, { type_id: record.type_id, name: record.new_category_name });
+            }
+        }
+        record.new_tag_names.forEach((name) => {
+            if (!tags.has(nameKey(name))) {
+                tags.set(nameKey(name), name);
+            }
+        });
+    });
+    return { categories, tags };
+}
+
+/**
+ * 生成导入报告
+ * @param {object} prepared - prepareImport 的返回值
+ * @param {Array<{row: number, reason: string}>} skipped - 解析来源文件时已跳过的行（如退款、转账）
+ * @returns {object} { total_rows, valid_rows, invalid_rows, skipped_rows, errors, skipped, new_categories, new_tags }
+ */
+function buildImportReport(prepared, skipped = []) {
+    const { categories, tags } = collectNewDictionaryItems(prepared.rows.filter((r) => r.record).map((r) => r.record));
+    const allSkipped = [
+        ...skipped,
+        ...prepared.rows.filter((r) => r.skipped).map((r) => ({ row: r.row, reason: r.skipped })),
+    ].sort((a, b) => a.row - b.row);
+
+    return {
+        total_rows: prepared.rows.length + skipped.length,
+        valid_rows: prepared.valid_rows,
+        invalid_rows: prepared.invalid_rows,
+        skipped_rows: allSkipped.length,
+        skipped: allSkipped
+            .slice(0, IMPORT_MAX_REPORTED_ERRORS)
+            .map((r) => ({ ...r, message: IMPORT_SKIP_REASONS[r.reason] || r.reason })),
+        errors: prepared.rows
+            .filter((r) => r.errors.length)
+            .slice(0, IMPORT_MAX_REPORTED_ERRORS)
+            .map((r) => ({ row: r.row, errors: r.errors })),
+        new_categories: [...categories.values()],
+        new_tags: [...tags.values()],
+    };
+}
+
+/**
+ * 在同一事务中写入校验通过的行：先创建缺少的分类和标签，再逐条创建记录并写入 CREATE 历史
+ * @param {number} userId - 用户ID
+ * @param {object} prepared - prepareImport 的返回值
+ * @returns {Promise<{imported: number, record_ids: Array<number>, created_categories: number, created_tags: number}>}
+ */
+async function commitImport(userId, prepared) {
+    const records = prepared.rows.filter((r) => r.record).map((r) => r.record);
+    const { categories, tags } = collectNewDictionaryItems(records);
+
+    return withTransaction(async (conn) => {
+        const categoryIds = new Map();
+        for (const [key, category] of categories) {
+            const [result] = await conn.query(
+                `
+        INSERT INTO fs_categories
+          (user_id, type_id, name, parent_id, icon, color, sort_order, is_system, is_deleted, created_at, updated_at)
+        VALUES
+          (?, ?, ?, NULL, NULL, NULL, 0, 0, 0, NOW(), NOW())
+      `,
+                [userId, category.type_id, category.name],
+            );
+            categoryIds.set(key, result.insertId);
+        }
+
+        const tagIds = new Map();
+        for (const [key, name] of tags) {
+            const [result] = await conn.query(
+                `
+        INSERT INTO fs_tags
+          (user_id, name, color, is_system, is_deleted, created_at, updated_at)
+        VALUES
+          (?, ?, NULL, 0, 0, NOW(), NOW())
+      `,
+                [userId, name],
+            );
+            tagIds.set(key, result.insertId);
+        }
+
+        const recordIds = [];
+        for (const record of records) {
+            const categoryId = record.new_category_name
+                ? categoryIds.get(`${record.type_id}:${nameKey(record.new_category_name)}`)
+                : record.category_id;
+            const recordTagIds = [
+                ...new Set([...record.tag_ids, ...record.new_tag_names.map((name) => tagIds.get(nameKey(name)))]),
+            ];
+            const id = await createRecordWithHistory(conn, userId, {
+                type_id: record.type_id,
+                category_id: categoryId,
+                amount: record.amount,
+                occurred_at: record.occurred_at,
+                remark: record.remark,
+                tag_ids: recordTagIds,
+                import_source: record.import_source,
+                external_id: record.external_id,
+            });
+            recordIds.push(id);
+        }
+
+        return {
+            imported: recordIds.length,
+            record_ids: recordIds,
+            created_categories: categories.size,
+            created_tags: tags.size,
+        };
+    });
+}
+
+module.exports = {
+    IMPORT_MAX_ROWS,
+    IMPORT_FIELDS,
+    IMPORT_DEFAULT_CATEGORY,
+    IMPORT_SKIP_REASONS,
+    decodeImportText,
+    buildImportRemark,
+    detectColumnMapping,
+    resolveColumnMapping,
+    parseImportAmount,
+    parseImportDate,
+    splitImportTags,
+    csvRowsToImportRows,
+    prepareImport,
+    buildImportReport,
+    commitImport,
+};
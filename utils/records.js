@@ -0,0 +1,576 @@
+const { pool } = require('../config/database');
+const { MESSAGE_CODES, getMessage } = require('./response');
+
+/**
+ * 记账记录的公共数据操作
+ * 修改记录（含标签）与写入 fs_record_history 在同一事务中完成，修改接口与回滚接口共用
+ */
+
+/**
+ * 将 ISO 8601 格式的时间字符串转换为 MySQL DATETIME 格式
+ * 注意：使用本地时间方法（getHours 而不是 getUTCHours），
+ * 因为数据库连接配置了 timezone: '+08:00'，MySQL2 驱动会将传入的 DATETIME 字符串
+ * 视为本地时区（东8区）时间，然后转换为数据库服务器时区存储。
+ *
+ * @param {string} isoString - ISO 8601 格式的时间字符串，如 "2026-02-04T13:47:19.029Z" 或 "2026-02-04T21:47:19+08:00"
+ * @returns {string} MySQL DATETIME 格式，如 "2026-02-04 21:47:19"（本地时区）
+ */
+function formatDateTimeForMySQL(isoString) {
+    if (!isoString) {
+        return null;
+    }
+    try {
+        const date = new Date(isoString);
+        if (isNaN(date.getTime())) {
+            throw new Error('Invalid date string');
+        }
+        // 格式化为 MySQL DATETIME 格式：YYYY-MM-DD HH:MM:SS
+        // 使用本地时间方法（getFullYear, getHours 等），而不是 UTC 方法
+        // 这样传入的时间会被 MySQL2 驱动正确识别为本地时区（+08:00）时间
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        const hours = String(date.getHours()).padStart(2, '0');
+        const minutes = String(date.getMinutes()).padStart(2, '0');
+        const seconds = String(date.getSeconds()).padStart(2, '0');
+        return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+    } catch (err) {
+        console.error('formatDateTimeForMySQL error:', err);
+        throw new Error('Invalid date format');
+    }
+}
+
+// 批量操作模式：atomic 全部成功才提交，任一项目失败则全部回滚；best_effort 跳过失败的项目，其余照常提交
+const RECORD_BATCH_MODES = ['atomic', 'best_effort'];
+// 单次批量操作的最大条数
+const RECORD_BATCH_MAX_SIZE = parseInt(process.env.RECORD_BATCH_MAX_SIZE || '500', 10);
+
+/**
+ * 在事务中执行操作：fn 正常返回时提交，抛出错误时回滚
+ * @param {Function} fn - async (conn) => result
+ * @returns {Promise<*>} fn 的返回值
+ */
+async function withTransaction(fn) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const result = await fn(conn);
+        await conn.commit();
+        return result;
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+// 在事务连接上执行 SQL，返回 rows / result
+async function exec(conn, sql, params) {
+    const [rows] = await conn.query(sql, params);
+    return rows;
+}
+
+/**
+ * 在事务中读取记录及其标签（加行锁），并生成历史快照
+ * @param {object} conn - 事务连接
+ * @param {number} userId - 用户ID
+ * @param {number} recordId - 记录ID
+ * @returns {Promise<{record: object, snapshot: object}|null>} 记录不存在时返回 null（包含已删除的记录，由调用方判断）
+ */
+async function loadRecordForUpdate(conn, userId, recordId) {
+    const rows = await exec(
+        conn,
+        `
+    SELECT id, user_id, type_id, category_id, amount, occurred_at, remark, is_deleted
+    FROM fs_records
+    WHERE id = ? AND user_id = ?
+    LIMIT 1
+    FOR UPDATE
+  `,
+        [recordId, userId],
+    );
+    const record = rows[0];
+    if (!record) {
+        return null;
+    }
+
+    const tagRows = await exec(
+        conn,
+        `
+    SELECT tag_id
+    FROM fs_record_tags
+    WHERE record_id = ?
+  `,
+        [recordId],
+    );
+
+    return {
+        record,
+        snapshot: {
+            user_id: record.user_id,
+            type_id: record.type_id,
+            category_id: record.category_id,
+            amount: record.amount,
+            occurred_at: record.occurred_at,
+            remark: record.remark,
+            tag_ids: tagRows.map((r) => r.tag_id),
+        },
+    };
+}
+
+/**
+ * 写入一条历史记录
+ * @param {object} conn - 事务连接
+ * @param {object} entry - { recordId, userId, operation, before, after, sourceHistoryId }
+ */
+async function insertRecordHistory(conn, { recordId, userId, operation, before, after, sourceHistoryId = null }) {
+    await exec(
+        conn,
+        `
+    INSERT INTO fs_record_history (record_id, user_id, operation, snapshot_before, snapshot_after, source_history_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `,
+        [
+            recordId,
+            userId,
+            operation,
+            before ? JSON.stringify(before) : null,
+            after ? JSON.stringify(after) : null,
+            sourceHistoryId,
+        ],
+    );
+}
+
+/**
+ * 校验记录字段
+ * @param {object} fields - { type_id, amount, category_id, occurred_at, ... }
+ * @param {object} options - { partial: 为 true 时只校验传入的字段（修改），否则 type_id、amount、category_id、occurred_at 必填（创建） }
+ * @returns {{code: string, message: string|null}|null} 校验通过返回 null，否则返回消息编码和自定义消息
+ */
+function validateRecordFields(fields, options = {}) {
+    const { partial = false } = options;
+    const { type_id, amount, category_id, occurred_at } = fields || {};
+
+    if (!partial && (!type_id || !amount || !category_id || !occurred_at)) {
+        return { code: MESSAGE_CODES.RECORD_REQUIRED_FIELDS, message: null };
+    }
+    if (amount !== undefined && Number(amount) <= 0) {
+        return { code: MESSAGE_CODES.RECORD_AMOUNT_INVALID, message: null };
+    }
+    if (occurred_at !== undefined) {
+        let mysqlDateTime = null;
+        try {
+            mysqlDateTime = formatDateTimeForMySQL(occurred_at);
+        } catch (err) {
+            mysqlDateTime = null;
+        }
+        if (!mysqlDateTime) {
+            return { code: MESSAGE_CODES.INVALID_PARAMS, message: '发生时间格式不正确' };
+        }
+    }
+    return null;
+}
+
+// 写入记录的标签关联
+async function insertRecordTags(conn, recordId, tagIds) {
+    if (tagIds.length === 0) {
+        return;
+    }
+    // 批量插入标签：构建 (?, ?), (?, ?) 格式
+    const placeholders = tagIds.map(() => '(?, ?)').join(', ');
+    const tagParams = tagIds.flatMap((tagId) => [recordId, tagId]);
+    await exec(
+        conn,
+        `
+    INSERT INTO fs_record_tags (record_id, tag_id)
+    VALUES ${placeholders}
+  `,
+        tagParams,
+    );
+}
+
+/**
+ * 在事务中创建记录（含标签），并写入 CREATE 历史
+ * 调用前需通过 validateRecordFields 校验
+ * @param {object} conn - 事务连接
+ * @param {number} userId - 用户ID
+ * @param {object} fields - { type_id, amount, category_id, occurred_at（ISO 字符串）, remark, tag_ids, import_source, external_id（账单导入时使用） }
+ * @returns {Promise<number>} 新记录ID
+ */
+async function createRecordWithHistory(conn, userId, fields) {
+    const { type_id, amount, category_id, occurred_at, remark, tag_ids, import_source, external_id } = fields;
+    const tagIds = Array.isArray(tag_ids) ? tag_ids : [];
+
+    const result = await exec(
+        conn,
+        `
+    INSERT INTO fs_records (user_id, type_id, category_id, amount, occurred_at, remark, import_source, external_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+        [
+            userId,
+            type_id,
+            category_id,
+            amount,
+            formatDateTimeForMySQL(occurred_at),
+            remark || null,
+            import_source || null,
+            external_id || null,
+        ],
+    );
+    const recordId = result.insertId;
+
+    await insertRecordTags(conn, recordId, tagIds);
+
+    await insertRecordHistory(conn, {
+        recordId,
+        userId,
+        operation: 'CREATE',
+        before: null,
+        after: {
+            user_id: userId,
+            type_id,
+            category_id,
+            amount,
+            occurred_at,
+            remark: remark || null,
+            tag_ids: tagIds,
+        },
+    });
+
+    return recordId;
+}
+
+/**
+ * 在事务中删除记录（软删除，移入回收站，标签关联保留），并写入 DELETE 历史
+ * @param {object} conn - 事务连接
+ * @param {number} userId - 用户ID
+ * @param {number} recordId - 记录ID
+ * @returns {Promise<boolean>} 记录不存在或已删除时返回 false
+ */
+async function deleteRecordWithHistory(conn, userId, recordId) {
+    const loaded = await loadRecordForUpdate(conn, userId, recordId);
+    if (!loaded || loaded.record.is_deleted) {
+        return false;
+    }
+
+    await exec(
+        conn,
+        `
+    UPDATE fs_records
+    SET is_deleted = 1, deleted_at = NOW(), updated_at = NOW()
+    WHERE id = ? AND user_id = ?
+  `,
+        [recordId, userId],
+    );
+
+    await insertRecordHistory(conn, {
+        recordId,
+        userId,
+        operation: 'DELETE',
+        before: loaded.snapshot,
+        after: null,
+    });
+    return true;
+}
+
+/**
+ * 在事务中修改记录（未传入的字段保持不变），并写入历史
+ * 调用前需通过 validateRecordFields 校验（partial）
+ * @param {object} conn - 事务连接
+ * @param {number} userId - 用户ID
+ * @param {number} recordId - 记录ID
+ * @param {object} changes - { type_id, amount, category_id, occurred_at（ISO 字符串）, remark, tag_ids }
+ * @param {object} options - { operation: 历史操作类型，默认 UPDATE；sourceHistoryId: 回滚时对应的历史记录ID }
+ * @returns {Promise<{before: object, after: object}|null>} 记录不存在或已删除时返回 null
+ */
+async function updateRecordWithHistory(conn, userId, recordId, changes, options = {}) {
+    const { operation = 'UPDATE', sourceHistoryId = null } = options;
+    const { type_id, amount, category_id, occurred_at, remark, tag_ids } = changes;
+
+    const loaded = await loadRecordForUpdate(conn, userId, recordId);
+    if (!loaded || loaded.record.is_deleted) {
+        return null;
+    }
+    const { record: oldRecord, snapshot: before } = loaded;
+
+    const updateFields = [];
+    const updateValues = [];
+
+    if (type_id !== undefined) {
+        updateFields.push('type_id = ?');
+        updateValues.push(type_id);
+    }
+    if (amount !== undefined) {
+        updateFields.push('amount = ?');
+        updateValues.push(amount);
+    }
+    if (category_id !== undefined) {
+        updateFields.push('category_id = ?');
+        updateValues.push(category_id);
+    }
+    if (occurred_at !== undefined) {
+        updateFields.push('occurred_at = ?');
+        updateValues.push(formatDateTimeForMySQL(occurred_at));
+    }
+    if (remark !== undefined) {
+        updateFields.push('remark = ?');
+        updateValues.push(remark || null);
+    }
+
+    if (updateFields.length > 0) {
+        updateFields.push('updated_at = NOW()');
+        updateValues.push(recordId, userId);
+
+        await exec(
+            conn,
+            `
+      UPDATE fs_records
+      SET ${updateFields.join(', ')}
+      WHERE id = ? AND user_id = ?
+    `,
+            updateValues,
+        );
+    }
+
+    // 更新标签
+    let newTagIds = before.tag_ids;
+    if (Array.isArray(tag_ids)) {
+        newTagIds = tag_ids;
+        await exec(conn, 'DELETE FROM fs_record_tags WHERE record_id = ?', [recordId]);
+        await insertRecordTags(conn, recordId, newTagIds);
+    }
+
+    const after = {
+        user_id: userId,
+        type_id: type_id !== undefined ? type_id : oldRecord.type_id,
+        category_id: category_id !== undefined ? category_id : oldRecord.category_id,
+        amount: amount !== undefined ? amount : oldRecord.amount,
+        occurred_at: occurred_at !== undefined ? occurred_at : oldRecord.occurred_at,
+        remark: remark !== undefined ? remark || null : oldRecord.remark,
+        tag_ids: newTagIds,
+    };
+
+    await insertRecordHistory(conn, { recordId, userId, operation, before, after, sourceHistoryId });
+
+    return { before, after };
+}
+
+// 批量操作中单个项目的失败结果
+function batchItemFailure(index, code, customMessage = null) {
+    return { index, success: false, code, message: getMessage(code, customMessage) };
+}
+
+/**
+ * 在同一事务中执行批量操作，每个项目使用独立的保存点
+ * 先逐项校验；atomic 模式下有项目校验失败时不会写库
+ * @param {Array} items - 批量项目
+ * @param {string} mode - RECORD_BATCH_MODES 中的值
+ * @param {object} handlers - { validate: (item) => 校验失败时返回 {code, message}，apply: async (conn, item) => 成功时返回附加到结果中的数据，记录不存在时返回 null }
+ * @returns {Promise<{committed: boolean, total: number, succeeded: number, failed: number, results: Array<object>}>}
+ *          results 与 items 按位置一一对应：{ index, success, ...data } 或 { index, success: false, code, message }
+ */
+async function runRecordBatch(items, mode, { validate, apply }) {
+    const results = items.map((item, index) => {
+        const invalid = validate(item);
+        return invalid ? batchItemFailure(index, invalid.code, invalid.message) : null;
+    });
+
+    const abort = () =>
+        results.map((result, index) =>
+            result && !result.success ? result : batchItemFailure(index, MESSAGE_CODES.RECORD_BATCH_ITEM_SKIPPED),
+        );
+
+    let committed = false;
+    let finalResults = results;
+
+    if (mode === 'atomic' && results.some(Boolean)) {
+        finalResults = abort();
+    } else {
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+
+            let aborted = false;
+            for (let index = 0; index < items.length; index += 1) {
+                if (results[index] || aborted) {
+                    continue;
+                }
+
+                await conn.query('SAVEPOINT batch_item');
+                try {
+                    const data = await apply(conn, items[index]);
+                    if (data) {
+                        await conn.query('RELEASE SAVEPOINT batch_item');
+                        results[index] = { index, success: true, ...data };
+                    } else {
+                        await conn.query('ROLLBACK TO SAVEPOINT batch_item');
+                        results[index] = batchItemFailure(index, MESSAGE_CODES.RECORD_NOT_FOUND);
+                    }
+                } catch (err) {
+                    console.error(`runRecordBatch item ${index} error:`, err);
+                    await conn.query('ROLLBACK TO SAVEPOINT batch_item');
+                    results[index] = batchItemFailure(index, MESSAGE_CODES.RECORD_BATCH_ITEM_FAILED);
+                }
+
+                if (mode === 'atomic' && !results[index].success) {
+                    aborted = true;
+                }
+            }
+
+            if (aborted) {
+                await conn.rollback();
+                finalResults = abort();
+            } else {
+                await conn.commit();
+                committed = true;
+            }
+        } catch (err) {
+            await conn.rollback();
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    const succeeded = finalResults.filter((r) => r.success).length;
+    return {
+        committed,
+        total: items.length,
+        succeeded,
+        failed: items.length - succeeded,
+        results: finalResults,
+    };
+}
+
+/**
+ * 生成记账记录列表的筛选条件（/records/list 与 /records/export 共用，不含标签筛选）
+ * @param {number} userId - 用户ID
+ * @param {object} filters - { start_date, end_date, type_id, category_id, min_amount, max_amount, keyword }
+ * @returns {{ whereClauses: Array<string>, params: Array<*> }} 条件中的表别名为 r
+ */
+function buildRecordListFilter(userId, filters = {}) {
+    const { start_date, end_date, type_id, category_id, min_amount, max_amount, keyword } = filters;
+    const whereClauses = ['r.user_id = ?', 'r.is_deleted = 0'];
+    const params = [userId];
+
+    if (type_id) {
+        whereClauses.push('r.type_id = ?');
+        params.push(Number(type_id));
+    }
+    if (category_id) {
+        whereClauses.push('r.category_id = ?');
+        params.push(Number(category_id));
+    }
+    if (min_amount) {
+        whereClauses.push('r.amount >= ?');
+        params.push(Number(min_amount));
+    }
+    if (max_amount) {
+        whereClauses.push('r.amount <= ?');
+        params.push(Number(max_amount));
+    }
+    if (keyword) {
+        whereClauses.push('r.remark LIKE ?');
+        params.push(`%${keyword}%`);
+    }
+
+    // 时间范围（这里先简单按 UTC 日期字符串拼接，实际可在SQL中做时区转换）
+    if (start_date) {
+        whereClauses.push('DATE(r.occurred_at) >= ?');
+        params.push(start_date);
+    }
+    if (end_date) {
+        whereClauses.push('DATE(r.occurred_at) <= ?');
+        params.push(end_date);
+    }
+
+    return { whereClauses, params };
+}
+
+// 参与对比的快照字段（user_id 不会变化，不参与对比）
+const SNAPSHOT_FIELDS = ['type_id', 'category_id', 'amount', 'occurred_at', 'remark', 'tag_ids'];
+
+/**
+ * 解析历史快照：JSON 列可能返回对象，也可能返回字符串
+ * @param {object|string|null} value - snapshot_before / snapshot_after 列的值
+ * @returns {object|null}
+ */
+function parseSnapshot(value) {
+    if (!value) {
+        return null;
+    }
+    if (typeof value === 'string') {
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            return null;
+        }
+    }
+    return value;
+}
+
+// 统一字段格式，避免 "88.8" 与 88.80、ISO 字符串与 Date、标签顺序不同被误判为修改
+function normalizeSnapshotValue(field, value) {
+    if (value === undefined || value === null || value === '') {
+        return field === 'tag_ids' ? [] : null;
+    }
+    switch (field) {
+        case 'type_id':
+        case 'category_id':
+            return Number(value);
+        case 'amount':
+            return Number(value).toFixed(2);
+        case 'occurred_at': {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? String(value) : date.toISOString();
+        }
+        case 'tag_ids':
+            return (Array.isArray(value) ? value : []).map(Number).sort((a, b) => a - b);
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * 计算两个快照之间的字段级差异
+ * @param {object|null} before - 修改前快照（创建时为 null）
+ * @param {object|null} after - 修改后快照（删除时为 null）
+ * @returns {Array<{field: string, before: *, after: *}>} 有变化的字段；标签额外返回 added / removed
+ */
+function diffSnapshots(before, after) {
+    const changes = [];
+    SNAPSHOT_FIELDS.forEach((field) => {
+        const oldValue = normalizeSnapshotValue(field, before ? before[field] : null);
+        const newValue = normalizeSnapshotValue(field, after ? after[field] : null);
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+            return;
+        }
+        const change = { field, before: oldValue, after: newValue };
+        if (field === 'tag_ids') {
+            change.added = newValue.filter((id) => !oldValue.includes(id));
+            change.removed = oldValue.filter((id) => !newValue.includes(id));
+        }
+        changes.push(change);
+    });
+    return changes;
+}
+
+module.exports = {
+    RECORD_BATCH_MODES,
+    RECORD_BATCH_MAX_SIZE,
+    formatDateTimeForMySQL,
+    withTransaction,
+    validateRecordFields,
+    loadRecordForUpdate,
+    insertRecordHistory,
+    insertRecordTags,
+    createRecordWithHistory,
+    updateRecordWithHistory,
+    deleteRecordWithHistory,
+    runRecordBatch,
+    buildRecordListFilter,
+    parseSnapshot,
+    diffSnapshots,
+};
@@ -0,0 +1,435 @@
+/**
+ * 周期规则的日期计算（不访问数据库）
+ * 日期均为东8区的 YYYY-MM-DD 字符串，可以直接按字符串比较大小
+ * - daily、weekly、monthly、yearly：以开始日期为基准，每 interval_count 天、周、月、年重复；
+ *   开始日期为 29-31 日时，没有该日期的月份使用当月最后一天（如 1月31日开始的每月规则，2月为 28 或 29 日）
+ * - custom：RFC 5545 RRULE 的子集，支持 FREQ、INTERVAL、COUNT、UNTIL、BYDAY、BYMONTHDAY、BYMONTH、WKST（仅 MO），
+ *   按 RFC 跳过不存在的日期（BYMONTHDAY=31 时只在有 31 日的月份生成）；
+ *   BYDAY 的序号（如 -1FR 表示最后一个周五）只用于 MONTHLY 和 YEARLY，YEARLY 的序号在所在月份内计算
+ */
+
+// 频率
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly', 'custom'];
+// interval_count / INTERVAL 的最大值
+const RECURRENCE_MAX_INTERVAL = 999;
+// COUNT 的最大值
+const RECURRENCE_MAX_COUNT = 10000;
+// 连续多少个周期没有日期时停止查找（如 FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30 永远不会有日期）
+const RECURRENCE_MAX_EMPTY_PERIODS = 1000;
+// 日期上限（DATE 列的最大年份）
+const RECURRENCE_MAX_DATE = '9999-12-31';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// RRULE 中的星期，下标与 getUTCDay 一致
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 将 UTC 时间戳格式化为 YYYY-MM-DD
+function formatDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// 某年某月（month 从 0 开始）的天数
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * 校验 YYYY-MM-DD 日期
+ * @param {*} value - 日期
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+        return false;
+    }
+    const [, year, month, day] = match.map(Number);
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month - 1);
+}
+
+/**
+ * 日期加减天数
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - 天数，负数为减
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+    return formatDate(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS);
+}
+
+/**
+ * 获取东8区的日期
+ * @param {Date} [date] - 时间，默认当前时间
+ * @returns {string} YYYY-MM-DD
+ */
+function getLocalDate(date = new Date()) {
+    return formatDate(date.getTime() + 8 * 60 * 60 * 1000);
+}
+
+/**
+ * 解析 RRULE
+ * @param {string} text - 如 FREQ=MONTHLY;BYDAY=-1FR，可以带 RRULE: 前缀
+ * @returns {{ rule: object|null, error: string|null }}
+ */
+function parseRrule(text) {
+    const invalid = (error) => ({ rule: null, error });
+    const rule = { freq: null, interval: 1, count: null, until: null, byday: [], bymonthday: [], bymonth: [] };
+    const body = String(text || '')
+        .trim()
+        .replace(/^RRULE:/i, '');
+    if (!body) {
+        return invalid('自定义重复规则不能为空');
+    }
+
+    const seen = new Set();
+    for (const part of body.split(';').filter(Boolean)) {
+        const [rawKey, value = ''] = part.split('=');
+        const key = rawKey.trim().toUpperCase();
+        const values = value.trim().toUpperCase().split(',');
+        if (seen.has(key)) {
+            return invalid(`重复规则中的 ${key} 重复`);
+        }
+        seen.add(key);
+
+        switch (key) {
+            case 'FREQ':
+                if (!RRULE_FREQUENCIES.includes(values[0])) {
+                    return invalid('FREQ 只支持 DAILY、WEEKLY、MONTHLY、YEARLY');
+                }
+                rule.freq = values[0];
+                break;
+            case 'INTERVAL':
+            case 'COUNT': {
+                const max = key === 'INTERVAL' ? RECURRENCE_MAX_INTERVAL : RECURRENCE_MAX_COUNT;
+                const n = /^\d+$/.test(values[0]) ? Number(values[0]) : 0;
+                if (n < 1 || n > max) {
+                    return invalid(`${key} 必须是 1-${max} 之间的整数`);
+                }
+                rule[key.toLowerCase()] = n;
+                break;
+            }
+            case 'UNTIL': {
+                // 只取日期部分：20261231 或 20261231T235959Z
+                const match = values[0].match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+                const date = match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+                if (!isValidDate(date)) {
+                    return invalid('UNTIL 的格式应为 YYYYMMDD');
+                }
+                rule.until = date;
+                break;
+            }
+            case 'BYDAY':
+                for (const item of values) {
+                    const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+                    const ordinal = match && match[1] ? Number(match[1]) : 0;
+                    if (!match || Math.abs(ordinal) > 5 || (match[1] && ordinal === 0)) {
+                        return invalid(`BYDAY 的值 ${item} 不正确`);
+                    }
+                    rule.byday.push({ weekday: RRULE_WEEKDAYS.indexOf(match[2]), ordinal });
+                }
+                break;
+            case 'BYMONTHDAY':
+                for (const item of values) {
+                    const n = /^[+-]?\d{1,2}$/.test(item) ? Number(item) : 0;
+                    if (n === 0 || Math.abs(n) > 31) {
+                        return invalid(`BYMONTHDAY 的值 ${item} 不正确`);
+                    }
+                    rule.bymonthday.push(n);
+                }
+                break;
+            case 'BYMONTH':
+                for (const item of values) {
+                    const n = /^\d{1,2}$/.test(item) ? Number(item) : 0;
+                    if (n < 1 || n > 12) {
+                        return invalid(`BYMONTH 的值 ${item} 不正确`);
+                    }
+                    rule.bymonth.push(n);
+                }
+                break;
+            case 'WKST':
+                if (values[0] !== 'MO') {
+                    return invalid('WKST 只支持 MO');
+                }
+                break;
+            default:
+                return invalid(`不支持的重复规则属性：${key}`);
+        }
+    }
+
+    if (!rule.freq) {
+        return invalid('重复规则缺少 FREQ');
+    }
+    if (rule.count && rule.until) {
+        return invalid('COUNT 和 UNTIL 不能同时使用');
+    }
+    if (!['MONTHLY', 'YEARLY'].includes(rule.freq) && rule.byday.some((d) => d.ordinal)) {
+        return invalid('BYDAY 的序号只能用于 MONTHLY 和 YEARLY');
+    }
+    if (rule.freq === 'WEEKLY' && rule.bymonthday.length > 0) {
+        return invalid('WEEKLY 不支持 BYMONTHDAY');
+    }
+    return { rule, error: null };
+}
+
+/**
+ * 根据规则字段生成日期计算使用的规则
+ * @param {object} fields - { frequency, interval_count, rrule, start_date, end_date }
+ * @returns {{ rule: object|null, error: string|null }} error 为规则不正确的原因
+ */
+function buildRecurrence(fields) {
+    const { frequency, interval_count, rrule, start_date, end_date } = fields || {};
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+        return { rule: null, error: `频率不正确，可选值：${RECURRENCE_FREQUENCIES.join('、')}` };
+    }
+    if (!isValidDate(start_date)) {
+        return { rule: null, error: '开始日期的格式应为 YYYY-MM-DD' };
+    }
+    if (end_date && (!isValidDate(end_date) || end_date < start_date)) {
+        return { rule: null, error: '结束日期的格式应为 YYYY-MM-DD，且不能早于开始日期' };
+    }
+
+    let rule;
+    if (frequency === 'custom') {
+        const parsed = parseRrule(rrule);
+        if (parsed.error) {
+            return parsed;
+        }
+        rule = parsed.rule;
+    } else {
+        const interval = interval_count === undefined || interval_count === null ? 1 : Number(interval_count);
+        if (!Number.isInteger(interval) || interval < 1 || interval > RECURRENCE_MAX_INTERVAL) {
+            return { rule: null, error: `间隔必须是 1-${RECURRENCE_MAX_INTERVAL} 之间的整数` };
+        }
+        // 以开始日期为基准：每周为开始日期的星期，每月为开始日期的日，每年为开始日期的月和日
+        const [, month, day] = start_date.split('-').map(Number);
+        const startWeekday = new Date(`${start_date}T00:00:00Z`).getUTCDay();
+        rule = {
+            freq: frequency.toUpperCase(),
+            interval,
+            count: null,
+            until: null,
+            byday: frequency === 'weekly' ? [{ weekday: startWeekday, ordinal: 0 }] : [],
+            bymonthday: ['monthly', 'yearly'].includes(frequency) ? [day] : [],
+            bymonth: frequency === 'yearly' ? [month] : [],
+            clamp: true,
+        };
+    }
+
+    rule.start_date = start_date;
+    rule.end_date = [end_date, rule.until, RECURRENCE_MAX_DATE].filter(Boolean).sort()[0];
+    return { rule, error: null };
+}
+
+// 日期的年、月（从 0 开始）、日、星期
+function dateParts(time) {
+    const date = new Date(time);
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth(),
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay(),
+    };
+}
+
+// 判断 BYMONTHDAY 是否包含某天（负数从月末倒数）
+function matchesMonthDay(bymonthday, day, lastDay) {
+    return bymonthday.some((n) => (n > 0 ? n : lastDay + n + 1) === day);
+}
+
+// 计算某月中符合规则的日（升序）
+function monthDays(rule, year, month, defaultDay) {
+    const lastDay = daysInMonth(year, month);
+    let days = null;
+
+    if (rule.bymonthday.length > 0) {
+        days = rule.bymonthday
+            .map((n) => (n > 0 ? n : lastDay + n + 1))
+            .map((d) => (rule.clamp ? Math.min(d, lastDay) : d))
+            .filter((d) => d >= 1 && d <= lastDay);
+    } else if (rule.byday.length === 0) {
+        days = [defaultDay].filter((d) => d <= lastDay);
+    }
+
+    if (rule.byday.length > 0) {
+        const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+        const weekdayDays = [];
+        rule.byday.forEach(({ weekday, ordinal }) => {
+            const matches = [];
+            for (let d = 1 + ((weekday - firstWeekday + 7) % 7); d <= lastDay; d += 7) {
+                matches.push(d);
+            }
+            if (!ordinal) {
+                weekdayDays.push(...matches);
+                return;
+            }
+            const d = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+            if (d) {
+                weekdayDays.push(d);
+            }
+        });
+        // 同时指定 BYMONTHDAY 时，BYDAY 用于筛选
+        days = days ? days.filter((d) => weekdayDays.includes(d)) : weekdayDays;
+    }
+
+    return [...new Set(days)].sort((a, b) => a - b).map((d) => `${year}-${pad(month + 1)}-${pad(d)}`);
+}
+
+// 计算第 k 个周期中符合规则的日期（升序）
+function periodDates(rule, start, k) {
+    switch (rule.freq) {
+        case 'DAILY': {
+            const time = Date.UTC(start.year, start.month, start.day + k * rule.interval);
+            const { year, month, day, weekday } = dateParts(time);
+            const lastDay = daysInMonth(year, month);
+            if (
+                (rule.bymonth.length > 0 && !rule.bymonth.includes(month + 1)) ||
+                (rule.bymonthday.length > 0 && !matchesMonthDay(rule.bymonthday, day, lastDay)) ||
+                (rule.byday.length > 0 && !rule.byday.some((d) => d.weekday === weekday))
+            ) {
+                return [];
+            }
+            return [formatDate(time)];
+        }
+        case 'WEEKLY': {
+            // 每周从周一开始
+            const weekStart = Date.UTC(start.year, start.month, start.day - ((start.weekday + 6) % 7) + k * rule.interval * 7);
+            const weekdays = rule.byday.length > 0 ? rule.byday.map((d) => d.weekday) : [start.weekday];
+            return [...new Set(weekdays)]
+                .map((weekday) => weekStart + ((weekday + 6) % 7) * DAY_MS)
+                .sort((a, b) => a - b)
+                .filter((time) => rule.bymonth.length === 0 || rule.bymonth.includes(dateParts(time).month + 1))
+                .map(formatDate);
+        }
+        case 'MONTHLY': {
+            const total = start.month + k * rule.interval;
+            const year = start.year + Math.floor(total / 12);
+            const month = total % 12;
+            if (rule.bymonth.length > 0 && !rule.bymonth.includes(month + 1)) {
+                return [];
+            }
+            return monthDays(rule, year, month, start.day);
+        }
+        default: {
+            const year = start.year + k * rule.interval;
+            const months = rule.bymonth.length > 0 ? [...new Set(rule.bymonth)].sort((a, b) => a - b) : [start.month + 1];
+            return months.flatMap((month) => monthDays(rule, year, month - 1, start.day));
+        }
+    }
+}
+
+// 计算某日期所在的周期序号（不早于第 0 个周期），该周期中可能有早于该日期的日期
+function periodIndex(rule, start, date) {
+    const fromTime = Date.parse(`${date}T00:00:00Z`);
+    const from = dateParts(fromTime);
+    let diff;
+    switch (rule.freq) {
+        case 'DAILY':
+            diff = Math.round((fromTime - Date.UTC(start.year, start.month, start.day)) / DAY_MS);
+            break;
+        case 'WEEKLY': {
+            // 每周从周一开始
+            const fromWeek = Date.UTC(from.year, from.month, from.day - ((from.weekday + 6) % 7));
+            const startWeek = Date.UTC(start.year, start.month, start.day - ((start.weekday + 6) % 7));
+            diff = Math.round((fromWeek - startWeek) / (7 * DAY_MS));
+            break;
+        }
+        case 'MONTHLY':
+            diff = (from.year - start.year) * 12 + from.month - start.month;
+            break;
+        default:
+            diff = from.year - start.year;
+    }
+    return Math.max(0, Math.floor(diff / rule.interval));
+}
+
+/**
+ * 按顺序生成规则的日期（从开始日期起，到结束日期、UNTIL 或达到 COUNT 为止）
+ * @param {object} rule - buildRecurrence 返回的规则
+ * @param {string|null} [fromDate] - YYYY-MM-DD，从该日期所在的周期开始生成，不必从开始日期逐个计算；
+ *   仍可能生成少量早于该日期的日期。规则有 COUNT 时需要从头计数，忽略该参数
+ * @returns {Generator<string>} YYYY-MM-DD
+ */
+function* iterateOccurrences(rule, fromDate = null) {
+    const start = dateParts(Date.parse(`${rule.start_date}T00:00:00Z`));
+    const firstPeriod = fromDate && !rule.count ? periodIndex(rule, start, fromDate) : 0;
+    let produced = 0;
+    let emptyPeriods = 0;
+
+    for (let k = firstPeriod; emptyPeriods < RECURRENCE_MAX_EMPTY_PERIODS; k += 1) {
+        const dates = periodDates(rule, start, k).filter((date) => date >= rule.start_date);
+        emptyPeriods = dates.length > 0 ? 0 : emptyPeriods + 1;
+        for (const date of dates) {
+            // 超过 9999 年的日期不是 10 位
+            if (date.length !== 10 || date > rule.end_date) {
+                return;
+            }
+            yield date;
+            produced += 1;
+            if (rule.count && produced >= rule.count) {
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * 查找某日期之后（或当天）的第一个日期
+ * @param {object} rule - buildRecurrence 返回的规则
+ * @param {string|null} date - YYYY-MM-DD，为空时返回第一个日期
+ * @param {boolean} [inclusive] - 为 true 时包含当天
+ * @returns {string|null} 没有后续日期时返回 null
+ */
+function findNextOccurrence(rule, date, inclusive = true) {
+    for (const occurrence of iterateOccurrences(rule, date)) {
+        if (!date || occurrence > date || (inclusive && occurrence === date)) {
+            return occurrence;
+        }
+    }
+    return null;
+}
+
+/**
+ * 列出某日期起（含当天）的若干个日期
+ * @param {object} rule - buildRecurrence 返回的规则
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {number} limit - 最多返回的数量
+ * @returns {Array<string>}
+ */
+function listOccurrences(rule, fromDate, limit) {
+    const dates = [];
+    for (const occurrence of iterateOccurrences(rule, fromDate)) {
+        if (dates.length >= limit) {
+            break;
+        }
+        if (occurrence >= fromDate) {
+            dates.push(occurrence);
+        }
+    }
+    return dates;
+}
+
+/**
+ * 判断某日期是否为规则的日期
+ * @param {object} rule - buildRecurrence 返回的规则
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isOccurrence(rule, date) {
+    return findNextOccurrence(rule, date, true) === date;
+}
+
+module.exports = {
+    RECURRENCE_FREQUENCIES,
+    isValidDate,
+    addDays,
+    getLocalDate,
+    parseRrule,
+    buildRecurrence,
+    iterateOccurrences,
+    findNextOccurrence,
+    listOccurrences,
+    isOccurrence,
+};
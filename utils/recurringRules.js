@@ -0,0 +1,531 @@
+const { query } = require('../config/database');
+const { MESSAGE_CODES } = require('./response');
+const { withTransaction, validateRecordFields, createRecordWithHistory } = require('./records');
+const {
+    buildRecurrence,
+    iterateOccurrences,
+    findNextOccurrence,
+    isOccurrence,
+    addDays,
+    getLocalDate,
+} = require('./recurrence');
+
+/**
+ * 周期记账
+ * - 规则包含重复方式（见 recurrence.js）和记录模板（类型、分类、金额、备注、标签）
+ * - 定时任务（RECURRING_RECORD_INTERVAL）按日期顺序处理到期（日期 + 生成时间早于当前时间）的日期，
+ *   与 POST /records 相同调用 validateRecordFields、createRecordWithHistory 生成记录，并写入 fs_recurring_occurrences；
+ *   服务停止期间错过的日期在下次执行时补生成，每次每个规则最多处理 RECURRING_CATCH_UP_LIMIT 个日期
+ * - 处理时锁定规则行，且每个日期在 fs_recurring_occurrences 中只有一行，多个进程同时执行或重复执行时不会重复生成
+ * - 尚未处理的日期可以单独跳过或修改（overrides），修改规则只影响尚未处理的日期，已生成的记录不变
+ */
+
+// 定时任务执行间隔（秒），默认5分钟
+const RECURRING_RECORD_INTERVAL = parseInt(process.env.RECURRING_RECORD_INTERVAL || '300', 10);
+// 每次执行每个规则最多处理的日期数（补生成较多时分多次完成）
+const RECURRING_CATCH_UP_LIMIT = parseInt(process.env.RECURRING_CATCH_UP_LIMIT || '100', 10);
+// 每次执行最多处理的规则数
+const RECURRING_RULE_BATCH_SIZE = 500;
+// 开始日期最早为多少天前（开始日期以来的日期都会补生成）
+const RECURRING_START_DATE_MAX_PAST_DAYS = 366;
+// 只能跳过或修改今天起多少年内的日期
+const RECURRING_OCCURRENCE_MAX_YEARS_AHEAD = 5;
+
+// 规则状态
+const RECURRING_RULE_STATUSES = {
+    ACTIVE: 'active',
+    PAUSED: 'paused',
+    FINISHED: 'finished',
+};
+
+// 单次日期的状态；没有记录的日期为 scheduled（待生成）
+const RECURRING_OCCURRENCE_STATUSES = {
+    SCHEDULED: 'scheduled',
+    CREATED: 'created',
+    SKIPPED: 'skipped',
+    MODIFIED: 'modified',
+};
+
+// 可以单独修改的记录字段
+const RECURRING_OVERRIDE_FIELDS = ['type_id', 'category_id', 'amount', 'remark', 'tag_ids'];
+
+// 规则的查询字段（DATE 列格式化为字符串，避免按时区转换）
+const RECURRING_RULE_COLUMNS = `
+      r.id,
+      r.user_id,
+      r.name,
+      r.frequency,
+      r.interval_count,
+      r.rrule,
+      DATE_FORMAT(r.start_date, '%Y-%m-%d') AS start_date,
+      DATE_FORMAT(r.end_date, '%Y-%m-%d') AS end_date,
+      TIME_FORMAT(r.run_time, '%H:%i:%s') AS run_time,
+      DATE_FORMAT(r.next_run_date, '%Y-%m-%d') AS next_run_date,
+      DATE_FORMAT(r.last_run_date, '%Y-%m-%d') AS last_run_date,
+      r.type_id,
+      r.category_id,
+      r.amount,
+      r.remark,
+      r.tag_ids,
+      r.status,
+      r.created_at,
+      r.updated_at
+`;
+
+// 在事务连接上执行 SQL，返回 rows / result
+async function exec(conn, sql, params) {
+    const [rows] = await conn.query(sql, params);
+    return rows;
+}
+
+// 解析 JSON 列：可能返回对象，也可能返回字符串
+function parseJson(value) {
+    if (!value) {
+        return null;
+    }
+    if (typeof value === 'string') {
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            return null;
+        }
+    }
+    return value;
+}
+
+/**
+ * 将查询结果转换为规则对象
+ * @param {object} row - 查询结果
+ * @returns {object}
+ */
+function formatRecurringRule(row) {
+    return {
+        ...row,
+        interval_count: Number(row.interval_count),
+        tag_ids: parseJson(row.tag_ids) || [],
+    };
+}
+
+/**
+ * 读取用户的规则（不含已删除的规则）
+ * @param {object|null} conn - 事务连接，为空时不加锁
+ * @param {number} userId - 用户ID
+ * @param {number} ruleId - 规则ID
+ * @returns {Promise<object|null>}
+ */
+async function loadRecurringRule(conn, userId, ruleId) {
+    const sql = `
+    SELECT ${RECURRING_RULE_COLUMNS}
+    FROM fs_recurring_rules r
+    WHERE r.id = ? AND r.user_id = ? AND r.is_deleted = 0
+    LIMIT 1
+    ${conn ? 'FOR UPDATE' : ''}
+  `;
+    const rows = conn ? await exec(conn, sql, [ruleId, userId]) : await query(sql, [ruleId, userId]);
+    return rows[0] ? formatRecurringRule(rows[0]) : null;
+}
+
+// 规则的日期计算对象
+function toRecurrence(rule) {
+    return buildRecurrence(rule).rule;
+}
+
+// 规范化生成时间：HH:MM 或 HH:MM:SS，返回 HH:MM:SS，格式不正确时返回 null
+function normalizeRunTime(value) {
+    const match = String(value).match(/^(\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) {
+        return null;
+    }
+    return `${match[1]}:${match[2]}:${match[3] || '00'}`;
+}
+
+/**
+ * 规范化并校验规则字段（创建时为请求字段，修改时为原规则合并修改后的字段）
+ * @param {object} fields - { name, frequency, interval_count, rrule, start_date, end_date, run_time,
+ *                            type_id, category_id, amount, remark, tag_ids }
+ * @param {object} [options] - { previousStartDate: 修改前的开始日期，未修改开始日期时不检查开始日期是否过早 }
+ * @returns {{ rule: object|null, error: {code: string, message: string|null}|null }} rule 为规范化后的字段
+ */
+function normalizeRecurringRule(fields, options = {}) {
+    const { previousStartDate = null } = options;
+    const invalid = (message) => ({ rule: null, error: { code: MESSAGE_CODES.RECURRING_RULE_INVALID, message } });
+    const name = String(fields.name || '').trim();
+    if (!name || name.length > 64) {
+        return invalid('规则名称不能为空，且不超过64个字符');
+    }
+    const runTime = normalizeRunTime(fields.run_time || '09:00:00');
+    if (!runTime) {
+        return invalid('生成时间的格式应为 HH:MM');
+    }
+    if (fields.tag_ids !== undefined && fields.tag_ids !== null && !Array.isArray(fields.tag_ids)) {
+        return invalid('标签ID应为数组');
+    }
+
+    const rule = {
+        name,
+        frequency: fields.frequency,
+        interval_count: fields.frequency === 'custom' ? 1 : Number(fields.interval_count || 1),
+        rrule: fields.frequency === 'custom' ? String(fields.rrule || '').trim() : null,
+        start_date: fields.start_date,
+        end_date: fields.end_date || null,
+        run_time: runTime,
+        type_id: fields.type_id,
+        category_id: fields.category_id,
+        amount: fields.amount,
+        remark: fields.remark || null,
+        tag_ids: (fields.tag_ids || []).map(Number),
+    };
+
+    if (rule.rrule && rule.rrule.length > 255) {
+        return invalid('自定义重复规则不超过255个字符');
+    }
+    const { rule: recurrence, error } = buildRecurrence(rule);
+    if (error) {
+        return invalid(error);
+    }
+    if (
+        rule.start_date !== previousStartDate &&
+        rule.start_date < addDays(getLocalDate(), -RECURRING_START_DATE_MAX_PAST_DAYS)
+    ) {
+        return invalid(`开始日期不能早于 ${RECURRING_START_DATE_MAX_PAST_DAYS} 天前`);
+    }
+    if (!findNextOccurrence(recurrence, null)) {
+        return invalid('按该规则不会产生任何日期');
+    }
+
+    // 记录模板与 POST /records 使用相同的校验，发生时间使用开始日期
+    const recordInvalid = validateRecordFields({
+        type_id: rule.type_id,
+        amount: rule.amount,
+        category_id: rule.category_id,
+        occurred_at: `${rule.start_date}T${rule.run_time}+08:00`,
+    });
+    if (recordInvalid) {
+        return { rule: null, error: recordInvalid };
+    }
+    return { rule, error: null };
+}
+
+/**
+ * 规范化并校验单次日期的修改字段
+ * @param {object} overrides - RECURRING_OVERRIDE_FIELDS 中的字段
+ * @returns {{ overrides: object|null, error: {code: string, message: string|null}|null }}
+ */
+function normalizeOccurrenceOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { overrides: null, error: { code: MESSAGE_CODES.INVALID_PARAMS, message: null } };
+    }
+    const result = {};
+    RECURRING_OVERRIDE_FIELDS.forEach((field) => {
+        if (overrides[field] !== undefined) {
+            result[field] = overrides[field];
+        }
+    });
+    if (Object.keys(result).length === 0) {
+        return { overrides: null, error: { code: MESSAGE_CODES.NO_FIELDS_TO_UPDATE, message: null } };
+    }
+    if (result.tag_ids !== undefined) {
+        if (!Array.isArray(result.tag_ids)) {
+            return { overrides: null, error: { code: MESSAGE_CODES.INVALID_PARAMS, message: '标签ID应为数组' } };
+        }
+        result.tag_ids = result.tag_ids.map(Number);
+    }
+    const invalid = validateRecordFields(result, { partial: true });
+    return invalid ? { overrides: null, error: invalid } : { overrides: result, error: null };
+}
+
+/**
+ * 计算规则的下次生成日期：最近一次处理的日期之后（不含），且不早于 fromDate（含）
+ * @param {object} rule - 规则（start_date 等字段）
+ * @param {string|null} lastRunDate - 最近一次处理的日期
+ * @param {string|null} [fromDate] - 最早的日期，恢复暂停的规则时为今天
+ * @returns {string|null}
+ */
+function computeNextRunDate(rule, lastRunDate, fromDate = null) {
+    const recurrence = toRecurrence(rule);
+    if (fromDate && (!lastRunDate || fromDate > lastRunDate)) {
+        return findNextOccurrence(recurrence, fromDate, true);
+    }
+    return findNextOccurrence(recurrence, lastRunDate, false);
+}
+
+// 生成某日期的记录字段：模板合并单独修改的字段，发生时间为日期 + 生成时间（东8区）
+function buildOccurrenceRecord(rule, date, overrides) {
+    const template = {
+        type_id: rule.type_id,
+        category_id: rule.category_id,
+        amount: rule.amount,
+        remark: rule.remark,
+        tag_ids: rule.tag_ids,
+    };
+    return { ...template, ...(overrides || {}), occurred_at: `${date}T${rule.run_time}+08:00` };
+}
+
+// 判断日期是否已到期：日期 + 生成时间（东8区）不晚于当前时间
+function isDue(rule, date, now) {
+    return Date.parse(`${date}T${rule.run_time}+08:00`) <= now.getTime();
+}
+
+/**
+ * 生成规则到期的记录（补生成错过的日期）
+ * 在事务中锁定规则，按日期顺序处理：已跳过的日期不生成，已单独修改的日期使用修改后的字段，
+ * 已生成的日期不会重复生成；处理完成后更新下次生成日期，没有后续日期时规则结束
+ * @param {number} userId - 用户ID
+ * @param {number} ruleId - 规则ID
+ * @param {Date} [now] - 当前时间
+ * @returns {Promise<number>} 生成的记录数
+ */
+async function materializeRecurringRule(userId, ruleId, now = new Date()) {
+    return withTransaction(async (conn) => {
+        const rule = await loadRecurringRule(conn, userId, ruleId);
+        if (!rule || rule.status !== RECURRING_RULE_STATUSES.ACTIVE || !rule.next_run_date) {
+            return 0;
+        }
+
+        let created = 0;
+        let processed = 0;
+        let lastRunDate = rule.last_run_date;
+        let nextRunDate = null;
+        for (const date of iterateOccurrences(toRecurrence(rule), rule.next_run_date)) {
+            if (date < rule.next_run_date) {
+                continue;
+            }
+            if (processed >= RECURRING_CATCH_UP_LIMIT || !isDue(rule, date, now)) {
+                nextRunDate = date;
+                break;
+            }
+
+            const occurrences = await exec(
+                conn,
+                `
+        SELECT id, status, overrides
+        FROM fs_recurring_occurrences
+        WHERE rule_id = ? AND occurrence_date = ?
+        LIMIT 1
+        FOR UPDATE
+      `,
+                [rule.id, date],
+            );
+            const occurrence = occurrences[0];
+
+            if (!occurrence || occurrence.status === RECURRING_OCCURRENCE_STATUSES.MODIFIED) {
+                const fields = buildOccurrenceRecord(rule, date, occurrence && parseJson(occurrence.overrides));
+                const invalid = validateRecordFields(fields);
+                if (invalid) {
+                    throw new Error(`Recurring rule ${rule.id} has invalid record fields on ${date}: ${invalid.code}`);
+                }
+                const recordId = await createRecordWithHistory(conn, rule.user_id, fields);
+                await exec(
+                    conn,
+                    `
+          INSERT INTO fs_recurring_occurrences (rule_id, user_id, occurrence_date, status, record_id)
+          VALUES (?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE status = VALUES(status), record_id = VALUES(record_id)
+        `,
+                    [rule.id, rule.user_id, date, RECURRING_OCCURRENCE_STATUSES.CREATED, recordId],
+                );
+                created += 1;
+            }
+
+            lastRunDate = date;
+            processed += 1;
+        }
+
+        await exec(
+            conn,
+            `
+      UPDATE fs_recurring_rules
+      SET next_run_date = ?, last_run_date = ?, status = ?, updated_at = NOW()
+      WHERE id = ?
+    `,
+            [
+                nextRunDate,
+                lastRunDate,
+                nextRunDate ? RECURRING_RULE_STATUSES.ACTIVE : RECURRING_RULE_STATUSES.FINISHED,
+                rule.id,
+            ],
+        );
+        return created;
+    });
+}
+
+/**
+ * 生成全部到期的记录
+ * 已注销（包括宽限期内）的账号不生成；单个规则失败时记录日志并继续处理其他规则，下次执行时重试
+ * @param {Date} [now] - 当前时间
+ * @returns {Promise<number>} 生成的记录数
+ */
+async function runDueRecurringRules(now = new Date()) {
+    const rows = await query(
+        `
+    SELECT r.id, r.user_id
+    FROM fs_recurring_rules r
+    JOIN users u ON r.user_id = u.id
+    WHERE r.status = ? AND r.is_deleted = 0 AND r.next_run_date IS NOT NULL AND r.next_run_date <= ?
+      AND u.is_deleted = 0 AND u.deletion_requested_at IS NULL
+    ORDER BY r.next_run_date ASC, r.id ASC
+    LIMIT ${RECURRING_RULE_BATCH_SIZE}
+  `,
+        [RECURRING_RULE_STATUSES.ACTIVE, getLocalDate(now)],
+    );
+
+    let created = 0;
+    for (const row of rows) {
+        try {
+            created += await materializeRecurringRule(row.user_id, row.id, now);
+        } catch (err) {
+            console.error(`materializeRecurringRule ${row.id} error:`, err);
+        }
+    }
+    return created;
+}
+
+/**
+ * 跳过、恢复或单独修改尚未处理的日期
+ * @param {number} userId - 用户ID
+ * @param {number} ruleId - 规则ID
+ * @param {string} date - 日期 YYYY-MM-DD
+ * @param {string} status - skipped 跳过，modified 单独修改，scheduled 取消跳过（有单独修改时按修改后的字段生成）
+ * @param {object|null} [overrides] - 单独修改的字段（status 为 modified 时），与已有的修改合并
+ * @returns {Promise<{code: string, message: string|null}|null>} 成功返回 null，否则返回消息编码和自定义消息
+ */
+async function setRecurringOccurrence(userId, ruleId, date, status, overrides = null) {
+    if (date > addDays(getLocalDate(), RECURRING_OCCURRENCE_MAX_YEARS_AHEAD * 365)) {
+        return {
+            code: MESSAGE_CODES.RECURRING_OCCURRENCE_INVALID,
+            message: `只能跳过或修改今天起 ${RECURRING_OCCURRENCE_MAX_YEARS_AHEAD} 年内的日期`,
+        };
+    }
+    return withTransaction(async (conn) => {
+        const rule = await loadRecurringRule(conn, userId, ruleId);
+        if (!rule) {
+            return { code: MESSAGE_CODES.RECURRING_RULE_NOT_FOUND, message: null };
+        }
+        if ((rule.last_run_date && date <= rule.last_run_date) || !isOccurrence(toRecurrence(rule), date)) {
+            return { code: MESSAGE_CODES.RECURRING_OCCURRENCE_INVALID, message: null };
+        }
+
+        const rows = await exec(
+            conn,
+            `
+      SELECT id, status, overrides
+      FROM fs_recurring_occurrences
+      WHERE rule_id = ? AND occurrence_date = ?
+      LIMIT 1
+      FOR UPDATE
+    `,
+            [rule.id, date],
+        );
+        const existing = rows[0];
+        if (existing && existing.status === RECURRING_OCCURRENCE_STATUSES.CREATED) {
+            return { code: MESSAGE_CODES.RECURRING_OCCURRENCE_INVALID, message: null };
+        }
+
+        // 跳过时保留已有的修改，取消跳过后仍然生效
+        const previous = existing ? parseJson(existing.overrides) : null;
+        const merged = status === RECURRING_OCCURRENCE_STATUSES.MODIFIED ? { ...(previous || {}), ...overrides } : previous;
+        let finalStatus = status;
+        if (status === RECURRING_OCCURRENCE_STATUSES.SCHEDULED) {
+            if (!merged) {
+                if (existing) {
+                    await exec(conn, 'DELETE FROM fs_recurring_occurrences WHERE id = ?', [existing.id]);
+                }
+                return null;
+            }
+            finalStatus = RECURRING_OCCURRENCE_STATUSES.MODIFIED;
+        }
+
+        await exec(
+            conn,
+            `
+      INSERT INTO fs_recurring_occurrences (rule_id, user_id, occurrence_date, status, overrides)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE status = VALUES(status), overrides = VALUES(overrides)
+    `,
+            [rule.id, userId, date, finalStatus, merged ? JSON.stringify(merged) : null],
+        );
+        return null;
+    });
+}
+
+/**
+ * 列出规则接下来的日期及其状态（scheduled、skipped、modified）和生成时使用的记录字段
+ * @param {object} rule - 规则
+ * @param {number} limit - 最多返回的数量
+ * @returns {Promise<Array<object>>}
+ */
+async function listUpcomingOccurrences(rule, limit) {
+    if (!rule.next_run_date || rule.status === RECURRING_RULE_STATUSES.FINISHED) {
+        return [];
+    }
+    const dates = [];
+    for (const date of iterateOccurrences(toRecurrence(rule), rule.next_run_date)) {
+        if (dates.length >= limit) {
+            break;
+        }
+        if (date >= rule.next_run_date) {
+            dates.push(date);
+        }
+    }
+    if (dates.length === 0) {
+        return [];
+    }
+
+    const rows = await query(
+        `
+    SELECT DATE_FORMAT(occurrence_date, '%Y-%m-%d') AS occurrence_date, status, overrides
+    FROM fs_recurring_occurrences
+    WHERE rule_id = ? AND occurrence_date BETWEEN ? AND ?
+  `,
+        [rule.id, dates[0], dates[dates.length - 1]],
+    );
+    const byDate = new Map(rows.map((row) => [row.occurrence_date, row]));
+
+    return dates.map((date) => {
+        const row = byDate.get(date);
+        const overrides = row ? parseJson(row.overrides) : null;
+        return {
+            date,
+            status: row ? row.status : RECURRING_OCCURRENCE_STATUSES.SCHEDULED,
+            overrides,
+            record: buildOccurrenceRecord(rule, date, overrides),
+        };
+    });
+}
+
+/**
+ * 启动周期记账定时任务
+ * @returns {NodeJS.Timeout} 定时器
+ */
+function startRecurringRecordJob() {
+    const run = async () => {
+        try {
+            const created = await runDueRecurringRules();
+            if (created > 0) {
+                console.log(`🔁 Created ${created} recurring record(s)`);
+            }
+        } catch (err) {
+            console.error('runDueRecurringRules error:', err);
+        }
+    };
+    const timer = setInterval(run, RECURRING_RECORD_INTERVAL * 1000);
+    // 不阻止进程退出
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    RECURRING_RULE_STATUSES,
+    RECURRING_OCCURRENCE_STATUSES,
+    RECURRING_RULE_COLUMNS,
+    formatRecurringRule,
+    loadRecurringRule,
+    normalizeRecurringRule,
+    normalizeOccurrenceOverrides,
+    computeNextRunDate,
+    materializeRecurringRule,
+    runDueRecurringRules,
+    setRecurringOccurrence,
+    listUpcomingOccurrences,
+    startRecurringRecordJob,
+};
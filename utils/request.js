@@ -0,0 +1,19 @@
+/**
+ * 请求相关工具
+ */
+
+// 获取客户端 IP：使用 Express 按 trust proxy（TRUST_PROXY）解析的 req.ip，
+// 不直接读取 X-Forwarded-For，避免客户端伪造地址绕过按 IP 的限流和登录锁定
+function getClientIp(req) {
+    return req.ip || req.socket?.remoteAddress || null;
+}
+
+// 获取 User-Agent，超长时截断，便于入库
+function getUserAgent(req, maxLength = 255) {
+    return String(req.headers['user-agent'] || '').slice(0, maxLength);
+}
+
+module.exports = {
+    getClientIp,
+    getUserAgent,
+};
@@ -14,6 +14,15 @@ const MESSAGE_CODES = {
     LOGOUT_SUCCESS: 'LOGOUT_SUCCESS',
     UPDATE_SUCCESS: 'UPDATE_SUCCESS',
     GET_SUCCESS: 'GET_SUCCESS',
+    PASSWORD_CHANGE_SUCCESS: 'PASSWORD_CHANGE_SUCCESS',
+    PASSWORD_RESET_REQUESTED: 'PASSWORD_RESET_REQUESTED',
+    PASSWORD_RESET_SUCCESS: 'PASSWORD_RESET_SUCCESS',
+    TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
+    TWO_FACTOR_ENABLED: 'TWO_FACTOR_ENABLED',
+    TWO_FACTOR_DISABLED: 'TWO_FACTOR_DISABLED',
+    ACCOUNT_DELETED: 'ACCOUNT_DELETED',
+    EMAIL_VERIFIED: 'EMAIL_VERIFIED',
+    EMAIL_VERIFICATION_SENT: 'EMAIL_VERIFICATION_SENT',
 
     // 业务失败消息
     USERNAME_OR_EMAIL_REQUIRED: 'USERNAME_OR_EMAIL_REQUIRED',
@@ -24,15 +33,60 @@ const MESSAGE_CODES = {
     USERNAME_OR_EMAIL_EXISTS: 'USERNAME_OR_EMAIL_EXISTS',
     ACCOUNT_DISABLED: 'ACCOUNT_DISABLED',
     ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    REFRESH_TOKEN_REUSED: 'REFRESH_TOKEN_REUSED',
+    SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+    TOKEN_NAME_REQUIRED: 'TOKEN_NAME_REQUIRED',
+    TOKEN_SCOPES_INVALID: 'TOKEN_SCOPES_INVALID',
+    TOKEN_NOT_FOUND: 'TOKEN_NOT_FOUND',
+    TOKEN_LIMIT_EXCEEDED: 'TOKEN_LIMIT_EXCEEDED',
     INVALID_EMAIL_FORMAT: 'INVALID_EMAIL_FORMAT',
     INVALID_USERNAME_FORMAT: 'INVALID_USERNAME_FORMAT',
     USERNAME_LENGTH_INVALID: 'USERNAME_LENGTH_INVALID',
     NO_FIELDS_TO_UPDATE: 'NO_FIELDS_TO_UPDATE',
     USER_NOT_FOUND: 'USER_NOT_FOUND',
+    CANNOT_MODIFY_SELF: 'CANNOT_MODIFY_SELF',
+    IMPERSONATION_NOT_ALLOWED: 'IMPERSONATION_NOT_ALLOWED',
+    PERMISSION_EXCEEDS_ADMIN: 'PERMISSION_EXCEEDS_ADMIN',
+    NOT_IMPERSONATING: 'NOT_IMPERSONATING',
+
+    // 密码相关
+    PASSWORD_FIELDS_REQUIRED: 'PASSWORD_FIELDS_REQUIRED',
+    CURRENT_PASSWORD_ERROR: 'CURRENT_PASSWORD_ERROR',
+    PASSWORD_TOO_WEAK: 'PASSWORD_TOO_WEAK',
+    PASSWORD_SAME_AS_OLD: 'PASSWORD_SAME_AS_OLD',
+    RESET_TOKEN_INVALID: 'RESET_TOKEN_INVALID',
+
+    // 两步验证相关
+    TWO_FACTOR_CODE_REQUIRED: 'TWO_FACTOR_CODE_REQUIRED',
+    TWO_FACTOR_CODE_INVALID: 'TWO_FACTOR_CODE_INVALID',
+    TWO_FACTOR_CHALLENGE_INVALID: 'TWO_FACTOR_CHALLENGE_INVALID',
+    TWO_FACTOR_ALREADY_ENABLED: 'TWO_FACTOR_ALREADY_ENABLED',
+    TWO_FACTOR_NOT_ENABLED: 'TWO_FACTOR_NOT_ENABLED',
+    TWO_FACTOR_SETUP_REQUIRED: 'TWO_FACTOR_SETUP_REQUIRED',
+
+    // 邮箱验证相关
+    EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+    EMAIL_VERIFICATION_TOKEN_INVALID: 'EMAIL_VERIFICATION_TOKEN_INVALID',
+    EMAIL_VERIFICATION_TOO_FREQUENT: 'EMAIL_VERIFICATION_TOO_FREQUENT',
+
+    // 第三方登录相关
+    OIDC_PROVIDER_NOT_FOUND: 'OIDC_PROVIDER_NOT_FOUND',
+    IDENTITY_NOT_FOUND: 'IDENTITY_NOT_FOUND',
+    IDENTITY_LAST_LOGIN_METHOD: 'IDENTITY_LAST_LOGIN_METHOD',
+
+    // 角色权限相关
+    ROLE_NOT_FOUND: 'ROLE_NOT_FOUND',
+    ROLE_CODE_EXISTS: 'ROLE_CODE_EXISTS',
+    ROLE_BUILTIN_READONLY: 'ROLE_BUILTIN_READONLY',
+    ROLE_IN_USE: 'ROLE_IN_USE',
+    ROLE_SELF_READONLY: 'ROLE_SELF_READONLY',
+    PERMISSION_NOT_FOUND: 'PERMISSION_NOT_FOUND',
 
     // HTTP错误消息（真正的HTTP层面错误）
     UNAUTHORIZED: 'UNAUTHORIZED',
     FORBIDDEN: 'FORBIDDEN',
+    CSRF_TOKEN_INVALID: 'CSRF_TOKEN_INVALID',
+    TOO_MANY_REQUESTS: 'TOO_MANY_REQUESTS',
     NOT_FOUND: 'NOT_FOUND',
     INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
 
@@ -40,10 +94,17 @@ const MESSAGE_CODES = {
     RECORD_REQUIRED_FIELDS: 'RECORD_REQUIRED_FIELDS',
     RECORD_AMOUNT_INVALID: 'RECORD_AMOUNT_INVALID',
     RECORD_NOT_FOUND: 'RECORD_NOT_FOUND',
+    RECORD_HISTORY_NOT_FOUND: 'RECORD_HISTORY_NOT_FOUND',
+    RECORD_HISTORY_SNAPSHOT_EMPTY: 'RECORD_HISTORY_SNAPSHOT_EMPTY',
+    RECORD_BATCH_TOO_LARGE: 'RECORD_BATCH_TOO_LARGE',
+    RECORD_BATCH_FAILED: 'RECORD_BATCH_FAILED',
+    RECORD_BATCH_ITEM_FAILED: 'RECORD_BATCH_ITEM_FAILED',
+    RECORD_BATCH_ITEM_SKIPPED: 'RECORD_BATCH_ITEM_SKIPPED',
 
     // 分类相关
     CATEGORY_REQUIRED_FIELDS: 'CATEGORY_REQUIRED_FIELDS',
     CATEGORY_NOT_FOUND: 'CATEGORY_NOT_FOUND',
+    CATEGORY_IN_USE: 'CATEGORY_IN_USE',
 
     // 标签相关
     TAG_REQUIRED_FIELDS: 'TAG_REQUIRED_FIELDS',
@@ -54,6 +115,23 @@ const MESSAGE_CODES = {
     RECORD_TYPE_NOT_FOUND: 'RECORD_TYPE_NOT_FOUND',
     RECORD_TYPE_CODE_EXISTS: 'RECORD_TYPE_CODE_EXISTS',
 
+    // 导入相关
+    IMPORT_EMPTY: 'IMPORT_EMPTY',
+    IMPORT_TOO_MANY_ROWS: 'IMPORT_TOO_MANY_ROWS',
+    IMPORT_MAPPING_INVALID: 'IMPORT_MAPPING_INVALID',
+    IMPORT_INVALID_ROWS: 'IMPORT_INVALID_ROWS',
+    IMPORT_FILE_UNRECOGNIZED: 'IMPORT_FILE_UNRECOGNIZED',
+
+    // 回收站相关
+    TRASH_TYPE_INVALID: 'TRASH_TYPE_INVALID',
+    TRASH_ITEM_NOT_FOUND: 'TRASH_ITEM_NOT_FOUND',
+
+    // 周期记账相关
+    RECURRING_RULE_NOT_FOUND: 'RECURRING_RULE_NOT_FOUND',
+    RECURRING_RULE_INVALID: 'RECURRING_RULE_INVALID',
+    RECURRING_RULE_STATUS_INVALID: 'RECURRING_RULE_STATUS_INVALID',
+    RECURRING_OCCURRENCE_INVALID: 'RECURRING_OCCURRENCE_INVALID',
+
     // 通用
     INVALID_PARAMS: 'INVALID_PARAMS',
 };
@@ -66,6 +144,15 @@ const MESSAGE_MAP = {
     [MESSAGE_CODES.LOGOUT_SUCCESS]: '登出成功',
     [MESSAGE_CODES.UPDATE_SUCCESS]: '修改成功',
     [MESSAGE_CODES.GET_SUCCESS]: '获取成功',
+    [MESSAGE_CODES.PASSWORD_CHANGE_SUCCESS]: '密码修改成功',
+    [MESSAGE_CODES.PASSWORD_RESET_REQUESTED]: '如果该邮箱已注册，我们已向其发送重置密码邮件',
+    [MESSAGE_CODES.PASSWORD_RESET_SUCCESS]: '密码重置成功，请重新登录',
+    [MESSAGE_CODES.TWO_FACTOR_REQUIRED]: '请输入两步验证码',
+    [MESSAGE_CODES.TWO_FACTOR_ENABLED]: '两步验证已启用',
+    [MESSAGE_CODES.TWO_FACTOR_DISABLED]: '两步验证已关闭',
+    [MESSAGE_CODES.ACCOUNT_DELETED]: '账号已注销',
+    [MESSAGE_CODES.EMAIL_VERIFIED]: '邮箱验证成功',
+    [MESSAGE_CODES.EMAIL_VERIFICATION_SENT]: '如果该邮箱需要验证，我们已向其发送验证邮件',
 
     [MESSAGE_CODES.USERNAME_OR_EMAIL_REQUIRED]: '用户名、邮箱和密码不能为空',
     [MESSAGE_CODES.PASSWORD_REQUIRED]: '用户名和密码不能为空',
@@ -75,14 +162,59 @@ const MESSAGE_MAP = {
     [MESSAGE_CODES.USERNAME_OR_EMAIL_EXISTS]: '用户名或邮箱已存在',
     [MESSAGE_CODES.ACCOUNT_DISABLED]: '账号已被禁用，请联系管理员',
     [MESSAGE_CODES.ACCOUNT_LOCKED]: '账号已被锁定，请稍后重试或联系管理员',
+    [MESSAGE_CODES.REFRESH_TOKEN_REUSED]: '登录状态异常，请重新登录',
+    [MESSAGE_CODES.SESSION_NOT_FOUND]: '会话不存在或已失效',
+    [MESSAGE_CODES.TOKEN_NAME_REQUIRED]: '令牌名称不能为空且不超过100个字符',
+    [MESSAGE_CODES.TOKEN_SCOPES_INVALID]: '令牌权限范围不合法',
+    [MESSAGE_CODES.TOKEN_NOT_FOUND]: '访问令牌不存在或已撤销',
+    [MESSAGE_CODES.TOKEN_LIMIT_EXCEEDED]: '有效的访问令牌数量已达上限，请先撤销不再使用的令牌',
     [MESSAGE_CODES.INVALID_EMAIL_FORMAT]: '邮箱格式不正确',
     [MESSAGE_CODES.INVALID_USERNAME_FORMAT]: '用户名只能包含字母、数字和下划线',
     [MESSAGE_CODES.USERNAME_LENGTH_INVALID]: '用户名长度必须在3-50个字符之间',
     [MESSAGE_CODES.NO_FIELDS_TO_UPDATE]: '请至少提供一个要修改的字段',
     [MESSAGE_CODES.USER_NOT_FOUND]: '用户不存在',
+    [MESSAGE_CODES.CANNOT_MODIFY_SELF]: '不能对自己的账号执行此操作',
+    [MESSAGE_CODES.IMPERSONATION_NOT_ALLOWED]: '不能模拟该用户登录（账号不可用，或其权限超出当前管理员）',
+    [MESSAGE_CODES.PERMISSION_EXCEEDS_ADMIN]: '不能操作权限超出当前管理员的用户，也不能分配或授予超出自己权限的角色和权限',
+    [MESSAGE_CODES.NOT_IMPERSONATING]: '当前不是模拟登录状态',
+
+    // 密码相关
+    [MESSAGE_CODES.PASSWORD_FIELDS_REQUIRED]: '密码字段不能为空',
+    [MESSAGE_CODES.CURRENT_PASSWORD_ERROR]: '当前密码不正确',
+    [MESSAGE_CODES.PASSWORD_TOO_WEAK]: '密码长度至少8位，且需同时包含字母和数字',
+    [MESSAGE_CODES.PASSWORD_SAME_AS_OLD]: '新密码不能与当前密码相同',
+    [MESSAGE_CODES.RESET_TOKEN_INVALID]: '重置链接无效或已过期',
+
+    // 两步验证相关
+    [MESSAGE_CODES.TWO_FACTOR_CODE_REQUIRED]: '请提供验证码或恢复码',
+    [MESSAGE_CODES.TWO_FACTOR_CODE_INVALID]: '验证码或恢复码不正确',
+    [MESSAGE_CODES.TWO_FACTOR_CHALLENGE_INVALID]: '登录验证已过期，请重新登录',
+    [MESSAGE_CODES.TWO_FACTOR_ALREADY_ENABLED]: '两步验证已启用',
+    [MESSAGE_CODES.TWO_FACTOR_NOT_ENABLED]: '尚未启用两步验证',
+    [MESSAGE_CODES.TWO_FACTOR_SETUP_REQUIRED]: '请先获取两步验证密钥',
+
+    // 邮箱验证相关
+    [MESSAGE_CODES.EMAIL_NOT_VERIFIED]: '邮箱尚未验证，请先完成邮箱验证',
+    [MESSAGE_CODES.EMAIL_VERIFICATION_TOKEN_INVALID]: '验证链接无效或已过期',
+    [MESSAGE_CODES.EMAIL_VERIFICATION_TOO_FREQUENT]: '验证邮件发送过于频繁，请稍后再试',
+
+    // 第三方登录相关
+    [MESSAGE_CODES.OIDC_PROVIDER_NOT_FOUND]: '不支持该第三方登录方式',
+    [MESSAGE_CODES.IDENTITY_NOT_FOUND]: '绑定的第三方账号不存在',
+    [MESSAGE_CODES.IDENTITY_LAST_LOGIN_METHOD]: '这是当前唯一的登录方式，请先设置密码后再解绑',
+
+    // 角色权限相关
+    [MESSAGE_CODES.ROLE_NOT_FOUND]: '角色不存在',
+    [MESSAGE_CODES.ROLE_CODE_EXISTS]: '角色编码已存在',
+    [MESSAGE_CODES.ROLE_BUILTIN_READONLY]: '内置角色不能删除，管理员角色的权限不能修改',
+    [MESSAGE_CODES.ROLE_IN_USE]: '仍有用户使用该角色，请先调整这些用户的角色',
+    [MESSAGE_CODES.ROLE_SELF_READONLY]: '不能修改自己所属角色的权限',
+    [MESSAGE_CODES.PERMISSION_NOT_FOUND]: '权限不存在',
 
     [MESSAGE_CODES.UNAUTHORIZED]: '未认证，请先登录',
     [MESSAGE_CODES.FORBIDDEN]: '无访问权限',
+    [MESSAGE_CODES.CSRF_TOKEN_INVALID]: 'CSRF 令牌缺失或无效，请刷新页面后重试',
+    [MESSAGE_CODES.TOO_MANY_REQUESTS]: '请求过于频繁，请稍后再试',
     [MESSAGE_CODES.NOT_FOUND]: '资源不存在',
     [MESSAGE_CODES.INTERNAL_SERVER_ERROR]: '服务器内部错误',
 
@@ -90,10 +222,17 @@ const MESSAGE_MAP = {
     [MESSAGE_CODES.RECORD_REQUIRED_FIELDS]: 'type_id、amount、category_id、occurred_at 不能为空',
     [MESSAGE_CODES.RECORD_AMOUNT_INVALID]: '金额必须大于 0',
     [MESSAGE_CODES.RECORD_NOT_FOUND]: '记账记录不存在',
+    [MESSAGE_CODES.RECORD_HISTORY_NOT_FOUND]: '历史记录不存在',
+    [MESSAGE_CODES.RECORD_HISTORY_SNAPSHOT_EMPTY]: '该历史记录没有可回滚的快照',
+    [MESSAGE_CODES.RECORD_BATCH_TOO_LARGE]: '批量操作的数量超过上限',
+    [MESSAGE_CODES.RECORD_BATCH_FAILED]: '批量操作失败，所有修改均未生效',
+    [MESSAGE_CODES.RECORD_BATCH_ITEM_FAILED]: '保存失败，请检查类型、分类和标签是否有效',
+    [MESSAGE_CODES.RECORD_BATCH_ITEM_SKIPPED]: '其他项目失败，本项目未保存',
 
     // 分类相关
     [MESSAGE_CODES.CATEGORY_REQUIRED_FIELDS]: '分类名称和类型不能为空',
     [MESSAGE_CODES.CATEGORY_NOT_FOUND]: '分类不存在或无权访问',
+    [MESSAGE_CODES.CATEGORY_IN_USE]: '分类仍被记账记录或子分类引用，无法彻底删除',
 
     // 标签相关
     [MESSAGE_CODES.TAG_REQUIRED_FIELDS]: '标签名称不能为空',
@@ -104,6 +243,23 @@ const MESSAGE_MAP = {
     [MESSAGE_CODES.RECORD_TYPE_NOT_FOUND]: '记账类型不存在',
     [MESSAGE_CODES.RECORD_TYPE_CODE_EXISTS]: '类型编码已存在',
 
+    // 导入相关
+    [MESSAGE_CODES.IMPORT_EMPTY]: '文件中没有可导入的数据',
+    [MESSAGE_CODES.IMPORT_TOO_MANY_ROWS]: '导入的行数超过上限',
+    [MESSAGE_CODES.IMPORT_MAPPING_INVALID]: '列映射不正确',
+    [MESSAGE_CODES.IMPORT_INVALID_ROWS]: '部分行存在错误，未导入任何数据',
+    [MESSAGE_CODES.IMPORT_FILE_UNRECOGNIZED]: '无法识别账单格式，请上传支付宝或微信支付导出的原始账单文件',
+
+    // 回收站相关
+    [MESSAGE_CODES.TRASH_TYPE_INVALID]: '回收站类型不正确，可选值：records、categories、tags',
+    [MESSAGE_CODES.TRASH_ITEM_NOT_FOUND]: '回收站中不存在该项目',
+
+    // 周期记账相关
+    [MESSAGE_CODES.RECURRING_RULE_NOT_FOUND]: '周期记账规则不存在',
+    [MESSAGE_CODES.RECURRING_RULE_INVALID]: '周期记账规则不正确',
+    [MESSAGE_CODES.RECURRING_RULE_STATUS_INVALID]: '当前状态不能执行该操作',
+    [MESSAGE_CODES.RECURRING_OCCURRENCE_INVALID]: '该日期不属于规则，或已生成、已处理，只能跳过或修改尚未处理的日期',
+
     // 通用
     [MESSAGE_CODES.INVALID_PARAMS]: '请求参数不合法',
 };
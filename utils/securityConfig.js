@@ -0,0 +1,88 @@
+const { DEFAULT_ACCESS_TOKEN_SECRET, loadKeyRing } = require('./jwtKeys');
+
+/**
+ * 启动时的安全配置检查
+ * 生产环境（NODE_ENV=production）存在问题时拒绝启动，其他环境仅输出警告
+ */
+
+// 密钥最短长度
+const MIN_SECRET_LENGTH = 32;
+// 代码中的默认值和常见的示例值，视为未配置
+const KNOWN_WEAK_SECRETS = [
+    DEFAULT_ACCESS_TOKEN_SECRET,
+    'please_change_refresh_secret',
+    'secret',
+    'changeme',
+    'change_me',
+    'password',
+    'jwt_secret',
+    'your_secret',
+    'your_jwt_secret',
+];
+
+// 检查单个密钥，返回问题描述，没有问题时返回 null
+function checkSecret(name, value) {
+    if (!value) {
+        return `${name} 未配置`;
+    }
+    if (KNOWN_WEAK_SECRETS.includes(value.toLowerCase())) {
+        return `${name} 使用了默认值或示例值`;
+    }
+    if (value.length < MIN_SECRET_LENGTH) {
+        return `${name} 长度不足 ${MIN_SECRET_LENGTH} 位`;
+    }
+    // 重复字符过多（如 aaaa... 或 abab...）
+    if (new Set(value).size < 10) {
+        return `${name} 过于简单`;
+    }
+    return null;
+}
+
+/**
+ * 检查认证相关的密钥配置
+ * @returns {string[]} 问题列表，为空表示检查通过
+ */
+function validateSecurityConfig() {
+    const problems = [];
+
+    // ACCESS_TOKEN_SECRET 用于派生两步验证、邮箱验证、CSRF 等签名密钥，即使配置了轮换密钥也必须足够安全
+    problems.push(checkSecret('ACCESS_TOKEN_SECRET', process.env.ACCESS_TOKEN_SECRET));
+
+    // Refresh Token 为随机值、数据库只保存哈希，REFRESH_TOKEN_SECRET 未参与签名，仅在显式配置时检查
+    if (process.env.REFRESH_TOKEN_SECRET) {
+        problems.push(checkSecret('REFRESH_TOKEN_SECRET', process.env.REFRESH_TOKEN_SECRET));
+    }
+
+    try {
+        const { keys } = loadKeyRing();
+        keys.forEach((key) => {
+            if (key.alg === 'HS256') {
+                problems.push(checkSecret(`JWT 签名密钥 ${key.kid}`, key.signingKey));
+            }
+        });
+    } catch (err) {
+        problems.push(`JWT 签名密钥配置错误：${err.message}`);
+    }
+
+    return [...new Set(problems.filter(Boolean))];
+}
+
+/**
+ * 启动前检查安全配置：生产环境存在问题时抛出错误，其他环境输出警告
+ */
+function assertSecureConfig() {
+    const problems = validateSecurityConfig();
+    if (problems.length === 0) {
+        return;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(`安全配置检查未通过，拒绝启动：\n  - ${problems.join('\n  - ')}`);
+    }
+    console.warn(`安全配置检查警告（生产环境将拒绝启动）：\n  - ${problems.join('\n  - ')}`);
+}
+
+module.exports = {
+    validateSecurityConfig,
+    assertSecureConfig,
+};
@@ -0,0 +1,104 @@
+const { query } = require('../config/database');
+const { getClientIp, getUserAgent } = require('./request');
+
+/**
+ * 安全事件审计日志
+ * 记录认证相关操作（登录、登出、刷新令牌、密码修改、两步验证、管理员操作等）到 security_events 表
+ * 写入失败只打印日志，不影响业务流程
+ */
+
+// 事件类型
+const SECURITY_EVENTS = {
+    LOGIN: 'login',
+    LOGIN_2FA: 'login_2fa',
+    LOGIN_OIDC: 'login_oidc',
+    ACCOUNT_LOCKED: 'account_locked',
+    TOKEN_REFRESH: 'token_refresh',
+    ACCESS_TOKEN_REJECTED: 'access_token_rejected',
+    LOGOUT: 'logout',
+    LOGOUT_ALL: 'logout_all',
+    REGISTER: 'register',
+    PASSWORD_CHANGE: 'password_change',
+    PASSWORD_RESET_REQUEST: 'password_reset_request',
+    PASSWORD_RESET: 'password_reset',
+    EMAIL_VERIFY: 'email_verify',
+    TWO_FACTOR_ENABLE: 'two_factor_enable',
+    TWO_FACTOR_DISABLE: 'two_factor_disable',
+    RECOVERY_CODES_REGENERATE: 'recovery_codes_regenerate',
+    SESSION_REVOKE: 'session_revoke',
+    IDENTITY_LINK: 'identity_link',
+    IDENTITY_UNLINK: 'identity_unlink',
+    PERSONAL_ACCESS_TOKEN_CREATE: 'personal_access_token_create',
+    PERSONAL_ACCESS_TOKEN_REVOKE: 'personal_access_token_revoke',
+    ACCOUNT_EXPORT: 'account_export',
+    ACCOUNT_DELETE: 'account_delete',
+    ADMIN_USER_UPDATE: 'admin_user_update',
+    ADMIN_ROLE_UPDATE: 'admin_role_update',
+    IMPERSONATION_START: 'impersonation_start',
+    IMPERSONATION_END: 'impersonation_end',
+    IMPERSONATED_REQUEST: 'impersonated_request',
+};
+
+// 事件结果
+const SECURITY_OUTCOMES = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    BLOCKED: 'blocked',
+};
+
+/**
+ * 记录安全事件
+ * @param {object} req - Express 请求对象，用于读取 IP 和 User-Agent
+ * @param {string} eventType - 事件类型（SECURITY_EVENTS）
+ * @param {object} options - { userId, outcome（默认 success）, detail（附加信息对象） }
+ */
+async function logSecurityEvent(req, eventType, options = {}) {
+    const { userId = null, outcome = SECURITY_OUTCOMES.SUCCESS, detail = null } = options;
+    try {
+        await query(
+            `
+      INSERT INTO security_events (user_id, event_type, outcome, ip_address, user_agent, detail)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `,
+            [
+                userId || null,
+                eventType,
+                outcome,
+                req ? getClientIp(req) : null,
+                req ? getUserAgent(req) : null,
+                detail ? JSON.stringify(detail) : null,
+            ],
+        );
+    } catch (err) {
+        console.error(`logSecurityEvent error, event_type=${eventType}:`, err);
+    }
+}
+
+// 将数据库行转换为接口返回格式
+function formatSecurityEvent(row) {
+    let detail = row.detail;
+    if (typeof detail === 'string') {
+        try {
+            detail = JSON.parse(detail);
+        } catch (err) {
+            // 保留原始字符串
+        }
+    }
+    return {
+        id: row.id,
+        user_id: row.user_id,
+        event_type: row.event_type,
+        outcome: row.outcome,
+        ip_address: row.ip_address,
+        user_agent: row.user_agent,
+        detail,
+        created_at: row.created_at,
+    };
+}
+
+module.exports = {
+    SECURITY_EVENTS,
+    SECURITY_OUTCOMES,
+    logSecurityEvent,
+    formatSecurityEvent,
+};
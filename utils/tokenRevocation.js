@@ -0,0 +1,114 @@
+const { query } = require('../config/database');
+const { createMemoryCache } = require('./cache');
+
+/**
+ * Access Token 即时失效
+ * - 令牌版本号：users.token_version 写入 Access Token 的 tv 字段，版本号递增后旧令牌全部失效
+ * - 撤销名单：登出时将单个 Access Token 的 jti 写入 revoked_access_tokens
+ * 两者的查询结果均在进程内缓存 TOKEN_STATE_CACHE_TTL 秒，本进程内的变更会立即清除对应缓存
+ */
+
+// 缓存有效期（秒），默认30秒；多实例部署时其他实例最多延迟该时长生效
+const TOKEN_STATE_CACHE_TTL = parseInt(process.env.TOKEN_STATE_CACHE_TTL || '30', 10);
+
+const tokenVersionCache = createMemoryCache({ ttlSeconds: TOKEN_STATE_CACHE_TTL });
+const revokedJtiCache = createMemoryCache({ ttlSeconds: TOKEN_STATE_CACHE_TTL });
+
+/**
+ * 获取用户当前的令牌版本号
+ * @param {number} userId - 用户ID
+ * @returns {Promise<number|null>} 版本号；用户不存在、已删除或已禁用时返回 null
+ */
+async function getTokenVersion(userId) {
+    const cacheKey = String(userId);
+    const cached = tokenVersionCache.get(cacheKey);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const rows = await query(
+        `
+    SELECT token_version, status, is_deleted
+    FROM users
+    WHERE id = ?
+    LIMIT 1
+  `,
+        [userId],
+    );
+
+    const user = rows[0];
+    const version = !user || user.is_deleted || user.status === 0 ? null : Number(user.token_version);
+    tokenVersionCache.set(cacheKey, version);
+    return version;
+}
+
+/**
+ * 递增用户的令牌版本号，使其此前签发的全部 Access Token 立即失效
+ * @param {number} userId - 用户ID
+ * @returns {Promise<number|null>} 新的版本号，用户不存在时返回 null
+ */
+async function bumpTokenVersion(userId) {
+    await query(
+        `
+    UPDATE users
+    SET token_version = token_version + 1
+    WHERE id = ?
+  `,
+        [userId],
+    );
+    tokenVersionCache.delete(String(userId));
+    return getTokenVersion(userId);
+}
+
+/**
+ * 将单个 Access Token 加入撤销名单
+ * @param {string} jti - Access Token 的 jti
+ * @param {number} userId - 用户ID
+ * @param {number} exp - Access Token 的过期时间（秒级时间戳）
+ */
+async function revokeAccessTokenJti(jti, userId, exp) {
+    await query(
+        `
+    INSERT IGNORE INTO revoked_access_tokens (jti, user_id, expires_at)
+    VALUES (?, ?, FROM_UNIXTIME(?))
+  `,
+        [jti, userId, exp],
+    );
+    revokedJtiCache.set(jti, true);
+
+    // 顺带清理已过期的记录，过期的 Access Token 本身已无法通过校验
+    await query('DELETE FROM revoked_access_tokens WHERE expires_at < NOW()');
+}
+
+/**
+ * 判断 Access Token 是否已被撤销
+ * @param {string} jti - Access Token 的 jti
+ * @returns {Promise<boolean>}
+ */
+async function isAccessTokenJtiRevoked(jti) {
+    const cached = revokedJtiCache.get(jti);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const rows = await query(
+        `
+    SELECT jti
+    FROM revoked_access_tokens
+    WHERE jti = ?
+    LIMIT 1
+  `,
+        [jti],
+    );
+
+    const revoked = !!rows[0];
+    revokedJtiCache.set(jti, revoked);
+    return revoked;
+}
+
+module.exports = {
+    getTokenVersion,
+    bumpTokenVersion,
+    revokeAccessTokenJti,
+    isAccessTokenJtiRevoked,
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP 工具（RFC 6238，基于 RFC 4226 HOTP）
+ * 与 Google Authenticator / Microsoft Authenticator 等应用兼容：
+ * HMAC-SHA1、6 位数字、30 秒时间步长
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 时间步长（秒）
+const TOTP_STEP = 30;
+// 验证码位数
+const TOTP_DIGITS = 6;
+// 允许的时间偏差（前后各 1 个步长），兼容客户端时钟误差
+const TOTP_WINDOW = 1;
+
+/**
+ * Base32 编码（RFC 4648，无填充）
+ * @param {Buffer} buffer - 原始字节
+ * @returns {string} Base32 字符串
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Base32 解码（忽略大小写、空格和填充符）
+ * @param {string} input - Base32 字符串
+ * @returns {Buffer} 原始字节
+ */
+function base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * 生成随机 TOTP 密钥（160 位，Base32 编码）
+ * @returns {string} Base32 密钥
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * 计算 HOTP 验证码
+ * @param {string} secret - Base32 密钥
+ * @param {number} counter - 计数器（TOTP 中为时间步序号）
+ * @returns {string} 定长数字验证码
+ */
+function hotp(secret, counter) {
+    const key = base32Decode(secret);
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    // 动态截断（RFC 4226 5.3）
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary =
+        ((hmac[offset] & 0x7f) << 24) |
+        ((hmac[offset + 1] & 0xff) << 16) |
+        ((hmac[offset + 2] & 0xff) << 8) |
+        (hmac[offset + 3] & 0xff);
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * 获取指定时间对应的时间步序号
+ * @param {number} timestamp - 毫秒时间戳（默认当前时间）
+ * @returns {number} 时间步序号
+ */
+function getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / TOTP_STEP);
+}
+
+/**
+ * 生成当前时间的 TOTP 验证码
+ * @param {string} secret - Base32 密钥
+ * @param {number} timestamp - 毫秒时间戳（默认当前时间）
+ * @returns {string} 验证码
+ */
+function generateTotp(secret, timestamp = Date.now()) {
+    return hotp(secret, getTimeStep(timestamp));
+}
+
+/**
+ * 校验 TOTP 验证码
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {object} options - { timestamp, window }
+ * @returns {number|null} 匹配的时间步序号（用于防重放），不匹配返回 null
+ */
+function verifyTotp(secret, code, options = {}) {
+    const { timestamp = Date.now(), window = TOTP_WINDOW } = options;
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+        return null;
+    }
+    const currentStep = getTimeStep(timestamp);
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * 生成 otpauth:// URI，供认证器应用扫码添加
+ * @param {string} secret - Base32 密钥
+ * @param {string} accountName - 账户名（一般为用户名或邮箱）
+ * @param {string} issuer - 发行方名称
+ * @returns {string} otpauth URI
+ */
+function buildOtpAuthUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpAuthUri,
+};
@@ -0,0 +1,278 @@
+const { query } = require('../config/database');
+const {
+    withTransaction,
+    loadRecordForUpdate,
+    insertRecordHistory,
+    insertRecordTags,
+    parseSnapshot,
+} = require('./records');
+
+/**
+ * 回收站：已软删除（is_deleted = 1）的记账记录、分类和标签
+ * - 恢复：记账记录同时恢复删除前的标签关联，并写入 RESTORE 历史
+ * - 彻底删除：删除数据行及其关联（记录的标签关联和历史、标签的记录关联）
+ * - 自动清理：删除超过保留期（TRASH_RETENTION_DAYS）的项目
+ * 只包含用户自己的数据，系统分类和系统标签不进入回收站
+ */
+
+// 回收站保留期（天），默认30天
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+// 清理任务执行间隔（秒），默认1小时
+const TRASH_PURGE_INTERVAL = parseInt(process.env.TRASH_PURGE_INTERVAL || '3600', 10);
+// 每次自动清理每种类型最多处理的数量
+const TRASH_PURGE_BATCH_SIZE = 500;
+
+// 回收站类型：对应的数据表和访问令牌权限前缀
+const TRASH_TYPES = {
+    records: { table: 'fs_records', scope: 'records' },
+    categories: { table: 'fs_categories', scope: 'categories' },
+    tags: { table: 'fs_tags', scope: 'tags' },
+};
+
+// 自动清理时排除仍被引用、无法彻底删除的项目，避免每次都重复选中它们而使后面的项目得不到清理
+const PURGE_EXCLUDE_IN_USE = {
+    categories: `
+        AND NOT EXISTS (SELECT 1 FROM fs_records r WHERE r.category_id = t.id)
+        AND NOT EXISTS (SELECT 1 FROM fs_categories c WHERE c.parent_id = t.id)
+        AND NOT EXISTS (SELECT 1 FROM fs_recurring_rules rr WHERE rr.category_id = t.id AND rr.is_deleted = 0)`,
+};
+
+// 彻底删除的结果
+const PURGE_RESULTS = {
+    PURGED: 'purged',
+    NOT_FOUND: 'not_found',
+    IN_USE: 'in_use',
+};
+
+// 在事务连接上执行 SQL，返回 rows / result
+async function exec(conn, sql, params) {
+    const [rows] = await conn.query(sql, params);
+    return rows;
+}
+
+// 在事务中查询回收站中的项目（加行锁）
+async function findTrashItem(conn, type, userId, id) {
+    const rows = await exec(
+        conn,
+        `
+    SELECT id
+    FROM ${TRASH_TYPES[type].table}
+    WHERE id = ? AND user_id = ? AND is_deleted = 1
+    LIMIT 1
+    FOR UPDATE
+  `,
+        [id, userId],
+    );
+    return rows[0] || null;
+}
+
+// 恢复记账记录：标签关联按最近一次删除时的快照重建（已彻底删除、在回收站中或不属于该用户的标签会被忽略）
+async function restoreRecord(conn, userId, recordId) {
+    const loaded = await loadRecordForUpdate(conn, userId, recordId);
+    if (!loaded || !loaded.record.is_deleted) {
+        return false;
+    }
+
+    const historyRows = await exec(
+        conn,
+        `
+    SELECT snapshot_before
+    FROM fs_record_history
+    WHERE record_id = ? AND user_id = ? AND operation = 'DELETE'
+    ORDER BY id DESC
+    LIMIT 1
+  `,
+        [recordId, userId],
+    );
+    const deletedSnapshot = historyRows[0] ? parseSnapshot(historyRows[0].snapshot_before) : null;
+
+    let tagIds = loaded.snapshot.tag_ids;
+    if (deletedSnapshot && Array.isArray(deletedSnapshot.tag_ids)) {
+        tagIds = [];
+        if (deletedSnapshot.tag_ids.length > 0) {
+            const placeholders = deletedSnapshot.tag_ids.map(() => '?').join(', ');
+            const tagRows = await exec(
+                conn,
+                `
+        SELECT id
+        FROM fs_tags
+        WHERE id IN (${placeholders}) AND is_deleted = 0 AND (user_id IS NULL OR user_id = ?)
+      `,
+                [...deletedSnapshot.tag_ids, userId],
+            );
+            tagIds = tagRows.map((r) => r.id);
+        }
+
+        await exec(conn, 'DELETE FROM fs_record_tags WHERE record_id = ?', [recordId]);
+        await insertRecordTags(conn, recordId, tagIds);
+    }
+
+    await exec(
+        conn,
+        `
+    UPDATE fs_records
+    SET is_deleted = 0, deleted_at = NULL, updated_at = NOW()
+    WHERE id = ? AND user_id = ?
+  `,
+        [recordId, userId],
+    );
+
+    await insertRecordHistory(conn, {
+        recordId,
+        userId,
+        operation: 'RESTORE',
+        before: null,
+        after: { ...loaded.snapshot, tag_ids: tagIds },
+    });
+
+    return true;
+}
+
+/**
+ * 从回收站恢复
+ * @param {string} type - 回收站类型：records、categories、tags
+ * @param {number} userId - 用户ID
+ * @param {number} id - 项目ID
+ * @returns {Promise<boolean>} 回收站中不存在该项目时返回 false
+ */
+async function restoreTrashItem(type, userId, id) {
+    return withTransaction(async (conn) => {
+        if (type === 'records') {
+            return restoreRecord(conn, userId, id);
+        }
+
+        const item = await findTrashItem(conn, type, userId, id);
+        if (!item) {
+            return false;
+        }
+        await exec(
+            conn,
+            `
+      UPDATE ${TRASH_TYPES[type].table}
+      SET is_deleted = 0, deleted_at = NULL, updated_at = NOW()
+      WHERE id = ?
+    `,
+            [id],
+        );
+        return true;
+    });
+}
+
+// 在事务中彻底删除回收站中的项目
+async function purgeItem(conn, type, userId, id) {
+    const item = await findTrashItem(conn, type, userId, id);
+    if (!item) {
+        return PURGE_RESULTS.NOT_FOUND;
+    }
+
+    if (type === 'records') {
+        await exec(conn, 'DELETE FROM fs_record_tags WHERE record_id = ?', [id]);
+        await exec(conn, 'DELETE FROM fs_record_history WHERE record_id = ?', [id]);
+        await exec(conn, 'DELETE FROM fs_records WHERE id = ?', [id]);
+        return PURGE_RESULTS.PURGED;
+    }
+
+    if (type === 'tags') {
+        await exec(conn, 'DELETE FROM fs_record_tags WHERE tag_id = ?', [id]);
+        await exec(conn, 'DELETE FROM fs_tags WHERE id = ?', [id]);
+        return PURGE_RESULTS.PURGED;
+    }
+
+    // 分类仍被记账记录（包括回收站中的记录）、子分类或周期记账规则引用时不能彻底删除
+    const refRows = await exec(
+        conn,
+        `
+    SELECT
+      (SELECT COUNT(*) FROM fs_records WHERE category_id = ?) AS record_count,
+      (SELECT COUNT(*) FROM fs_categories WHERE parent_id = ?) AS child_count,
+      (SELECT COUNT(*) FROM fs_recurring_rules WHERE category_id = ? AND is_deleted = 0) AS rule_count
+  `,
+        [id, id, id],
+    );
+    if (
+        Number(refRows[0].record_count) > 0 ||
+        Number(refRows[0].child_count) > 0 ||
+        Number(refRows[0].rule_count) > 0
+    ) {
+        return PURGE_RESULTS.IN_USE;
+    }
+    await exec(conn, 'DELETE FROM fs_categories WHERE id = ?', [id]);
+    return PURGE_RESULTS.PURGED;
+}
+
+/**
+ * 彻底删除回收站中的项目
+ * @param {string} type - 回收站类型：records、categories、tags
+ * @param {number} userId - 用户ID
+ * @param {number} id - 项目ID
+ * @returns {Promise<string>} PURGE_RESULTS 中的值
+ */
+async function purgeTrashItem(type, userId, id) {
+    return withTransaction((conn) => purgeItem(conn, type, userId, id));
+}
+
+/**
+ * 彻底删除所有超过保留期的项目
+ * 先处理记录，再处理标签和分类，使分类不再被过期的记录引用
+ * @returns {Promise<number>} 删除的数量
+ */
+async function purgeExpiredTrash() {
+    let purged = 0;
+    for (const type of ['records', 'tags', 'categories']) {
+        const rows = await query(
+            `
+      SELECT t.id, t.user_id
+      FROM ${TRASH_TYPES[type].table} t
+      WHERE t.is_deleted = 1
+        AND t.user_id IS NOT NULL
+        AND t.deleted_at IS NOT NULL
+        AND t.deleted_at <= NOW() - INTERVAL ${TRASH_RETENTION_DAYS} DAY${PURGE_EXCLUDE_IN_USE[type] || ''}
+      ORDER BY t.deleted_at ASC
+      LIMIT ${TRASH_PURGE_BATCH_SIZE}
+    `,
+        );
+
+        for (const row of rows) {
+            try {
+                const result = await purgeTrashItem(type, row.user_id, row.id);
+                if (result === PURGE_RESULTS.PURGED) {
+                    purged += 1;
+                }
+            } catch (err) {
+                console.error(`purgeTrashItem error, type=${type}, id=${row.id}:`, err);
+            }
+        }
+    }
+    return purged;
+}
+
+/**
+ * 启动回收站定时清理任务
+ * @returns {NodeJS.Timeout} 定时器
+ */
+function startTrashPurgeJob() {
+    const run = async () => {
+        try {
+            const purged = await purgeExpiredTrash();
+            if (purged > 0) {
+                console.log(`🧹 Purged ${purged} expired trash item(s)`);
+            }
+        } catch (err) {
+            console.error('purgeExpiredTrash error:', err);
+        }
+    };
+    const timer = setInterval(run, TRASH_PURGE_INTERVAL * 1000);
+    // 不阻止进程退出
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    TRASH_TYPES,
+    PURGE_RESULTS,
+    restoreTrashItem,
+    purgeTrashItem,
+    purgeExpiredTrash,
+    startTrashPurgeJob,
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { hashToken } = require('../middlewares/auth');
+const { verifyTotp } = require('./totp');
+
+/**
+ * 两步验证相关的数据库操作（恢复码生成、验证码校验）
+ */
+
+// 每次生成的恢复码数量
+const RECOVERY_CODE_COUNT = 10;
+
+// 恢复码规范化：忽略大小写、空格和连字符
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * 重新生成恢复码：删除旧恢复码，写入新恢复码哈希
+ * @param {number} userId - 用户ID
+ * @returns {Promise<string[]>} 恢复码原文（仅此一次返回给用户）
+ */
+async function regenerateRecoveryCodes(userId) {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    await query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+    const placeholders = codes.map(() => '(?, ?)').join(', ');
+    const params = codes.flatMap((code) => [userId, hashToken(normalizeRecoveryCode(code))]);
+    await query(
+        `
+    INSERT INTO user_recovery_codes (user_id, code_hash)
+    VALUES ${placeholders}
+  `,
+        params,
+    );
+
+    return codes;
+}
+
+/**
+ * 统计剩余可用恢复码数量
+ * @param {number} userId - 用户ID
+ * @returns {Promise<number>} 剩余数量
+ */
+async function countRemainingRecoveryCodes(userId) {
+    const rows = await query(
+        `
+    SELECT COUNT(*) AS total
+    FROM user_recovery_codes
+    WHERE user_id = ? AND used_at IS NULL
+  `,
+        [userId],
+    );
+    return (rows[0] && Number(rows[0].total)) || 0;
+}
+
+/**
+ * 校验 TOTP 验证码，并记录已使用的时间步，同一验证码不能重复使用
+ * @param {object} user - 用户行，需包含 id、totp_secret
+ * @param {string} code - 验证码
+ * @returns {Promise<boolean>} 是否校验通过
+ */
+async function consumeTotpCode(user, code) {
+    if (!user.totp_secret) {
+        return false;
+    }
+    const step = verifyTotp(user.totp_secret, code);
+    if (step === null) {
+        return false;
+    }
+    // 条件更新：只有时间步比上一次使用的更新时才算通过
+    const result = await query(
+        `
+    UPDATE users
+    SET totp_last_used_step = ?
+    WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)
+  `,
+        [step, user.id, step],
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * 校验并消耗一个恢复码
+ * @param {number} userId - 用户ID
+ * @param {string} recoveryCode - 恢复码原文
+ * @returns {Promise<boolean>} 是否校验通过
+ */
+async function consumeRecoveryCode(userId, recoveryCode) {
+    const normalized = normalizeRecoveryCode(recoveryCode);
+    if (!normalized) {
+        return false;
+    }
+    const result = await query(
+        `
+    UPDATE user_recovery_codes
+    SET used_at = NOW()
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    LIMIT 1
+  `,
+        [userId, hashToken(normalized)],
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * 校验第二因素：优先使用 TOTP 验证码，其次使用恢复码
+ * @param {object} user - 用户行，需包含 id、totp_secret
+ * @param {object} factors - { code, recoveryCode }
+ * @returns {Promise<string|null>} 通过时返回使用的方式（totp / recovery_code），否则返回 null
+ */
+async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+    if (code && (await consumeTotpCode(user, code))) {
+        return 'totp';
+    }
+    if (recoveryCode && (await consumeRecoveryCode(user.id, recoveryCode))) {
+        return 'recovery_code';
+    }
+    return null;
+}
+
+module.exports = {
+    regenerateRecoveryCodes,
+    countRemainingRecoveryCodes,
+    consumeTotpCode,
+    verifySecondFactor,
+};
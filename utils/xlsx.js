@@ -0,0 +1,233 @@
+const { readZip, createZipWriter } = require('./zip');
+const { decodeXmlEntities, escapeXml } = require('./xml');
+
+/**
+ * 最小化的 XLSX 工具
+ * - 读取：只读取第一个工作表的单元格文本（共享字符串、内联字符串、数字、布尔值），不处理样式和公式；
+ *   日期单元格保存为数字（Excel 序列号），可通过 excelSerialToDate 转换
+ * - 生成：流式输出只有一个工作表的文件，字符串使用内联字符串，无需在内存中收集全部数据
+ */
+
+// 拼接元素内全部 <t> 的文本（富文本会拆成多个 <r><t>）
+function extractText(xml) {
+    let text = '';
+    const re = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    let match;
+    while ((match = re.exec(xml)) !== null) {
+        text += decodeXmlEntities(match[1]);
+    }
+    return text;
+}
+
+// 工作表的最大列下标（XFD 列）
+const XLSX_MAX_COLUMN_INDEX = 16383;
+
+// 列字母转换为从0开始的下标：A -> 0，AA -> 26；超过 XFD 列时抛出错误
+function columnIndex(ref) {
+    const letters = ref.replace(/\d+$/, '');
+    let index = 0;
+    for (const ch of letters) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+        if (index - 1 > XLSX_MAX_COLUMN_INDEX) {
+            throw new Error(`Invalid cell reference ${ref}`);
+        }
+    }
+    return index - 1;
+}
+
+// 读取工作表时需要的文件（工作表本身的路径由 workbook.xml 和其关系文件确定）
+const XLSX_META_FILES = ['xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/sharedStrings.xml'];
+
+// 查找第一个工作表的路径
+function findFirstSheetPath(files) {
+    const workbook = files.get('xl/workbook.xml');
+    const rels = files.get('xl/_rels/workbook.xml.rels');
+    if (workbook && rels) {
+        const sheet = workbook.toString('utf8').match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+        if (sheet) {
+            const relPattern = new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*\\bTarget="([^"]+)"`);
+            const altPattern = new RegExp(`<Relationship\\b[^>]*\\bTarget="([^"]+)"[^>]*\\bId="${sheet[1]}"`);
+            const rel = rels.toString('utf8').match(relPattern) || rels.toString('utf8').match(altPattern);
+            if (rel) {
+                const target = rel[1].replace(/^\//, '');
+                return target.startsWith('xl/') ? target : `xl/${target}`;
+            }
+        }
+    }
+    return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * 读取 XLSX 文件第一个工作表的全部行
+ * @param {Buffer} buffer - XLSX 文件内容
+ * @returns {Array<Array<string>>} 行数组，每行为单元格文本数组（空单元格为空字符串，空行会被忽略）
+ */
+function readXlsxRows(buffer) {
+    // 只解压需要的文件
+    const files = readZip(buffer, { filter: (name) => XLSX_META_FILES.includes(name) });
+    const sheetPath = findFirstSheetPath(files);
+    const sheet = readZip(buffer, { filter: (name) => name === sheetPath }).get(sheetPath);
+    if (!sheet) {
+        throw new Error('Worksheet not found');
+    }
+
+    const sharedStrings = [];
+    const sharedXml = files.get('xl/sharedStrings.xml');
+    if (sharedXml) {
+        const sharedText = sharedXml.toString('utf8');
+        const re = /<si>([\s\S]*?)<\/si>/g;
+        let match;
+        while ((match = re.exec(sharedText)) !== null) {
+            sharedStrings.push(extractText(match[1]));
+        }
+    }
+
+    const sheetText = sheet.toString('utf8');
+    const rows = [];
+    const rowRe = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+    const cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let rowMatch;
+    while ((rowMatch = rowRe.exec(sheetText)) !== null) {
+        const row = [];
+        let cellMatch;
+        cellRe.lastIndex = 0;
+        while ((cellMatch = cellRe.exec(rowMatch[1])) !== null) {
+            const attrs = cellMatch[1];
+            const inner = cellMatch[2] || '';
+            const ref = attrs.match(/\br="([A-Z]+\d+)"/);
+            const type = (attrs.match(/\bt="([^"]+)"/) || [])[1];
+            const valueMatch = inner.match(/<v>([\s\S]*?)<\/v>/);
+            const raw = valueMatch ? decodeXmlEntities(valueMatch[1]) : '';
+
+            let value;
+            if (type === 's') {
+                value = sharedStrings[Number(raw)] || '';
+            } else if (type === 'inlineStr') {
+                value = extractText(inner);
+            } else if (type === 'b') {
+                value = raw === '1' ? 'TRUE' : 'FALSE';
+            } else {
+                value = raw;
+            }
+
+            const index = ref ? columnIndex(ref[1]) : row.length;
+            while (row.length < index) {
+                row.push('');
+            }
+            row[index] = value;
+        }
+        if (row.some((v) => v !== '')) {
+            rows.push(row);
+        }
+    }
+    return rows;
+}
+
+/**
+ * Excel 日期序列号转换为时间（按东8区理解）
+ * @param {number|string} serial - 序列号，如 45047.5 表示 2023-05-01 12:00
+ * @returns {string|null} ISO 8601 字符串
+ */
+function excelSerialToDate(serial) {
+    const value = Number(serial);
+    if (!Number.isFinite(value) || value <= 0) {
+        return null;
+    }
+    // Excel 的 1900 日期系统以 1899-12-30 为第0天
+    const utcMs = Math.round((value - 25569) * 24 * 60 * 60 * 1000);
+    return new Date(utcMs - 8 * 60 * 60 * 1000).toISOString();
+}
+
+// 生成 XLSX 时固定的文件内容
+const XLSX_CONTENT_TYPES =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>';
+const XLSX_ROOT_RELS =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+const XLSX_WORKBOOK_RELS =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>';
+
+// 工作表 XML 每次输出的大致字节数
+const XLSX_CHUNK_SIZE = 64 * 1024;
+
+// 从0开始的列下标转换为列字母：0 -> A，26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// 生成一行的 XML：数字输出为数值单元格，其余输出为内联字符串，null/undefined 输出为空
+function rowXml(rowNumber, values) {
+    const cells = values.map((value, i) => {
+        const ref = `${columnName(i)}${rowNumber}`;
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"><v>${value}</v></c>`;
+        }
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    });
+    return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+// 逐行生成工作表 XML，按 XLSX_CHUNK_SIZE 合并输出
+async function* sheetXmlChunks(headers, rows) {
+    let buffer =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+        rowXml(1, headers);
+    let rowNumber = 1;
+    for await (const values of rows) {
+        rowNumber += 1;
+        buffer += rowXml(rowNumber, values);
+        if (buffer.length >= XLSX_CHUNK_SIZE) {
+            yield buffer;
+            buffer = '';
+        }
+    }
+    yield `${buffer}</sheetData></worksheet>`;
+}
+
+/**
+ * 流式生成只有一个工作表的 XLSX 文件
+ * @param {function(Buffer): Promise<void>} write - 输出函数，见 createZipWriter
+ * @param {Array<string>} headers - 表头（第一行）
+ * @param {Iterable|AsyncIterable<Array<*>>} rows - 数据行，每行为单元格值数组
+ * @param {string} sheetName - 工作表名称，默认 Sheet1
+ */
+async function writeXlsx(write, headers, rows, sheetName = 'Sheet1') {
+    const zip = createZipWriter(write);
+    await zip.addFile('[Content_Types].xml', [XLSX_CONTENT_TYPES]);
+    await zip.addFile('_rels/.rels', [XLSX_ROOT_RELS]);
+    await zip.addFile('xl/workbook.xml', [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    ]);
+    await zip.addFile('xl/_rels/workbook.xml.rels', [XLSX_WORKBOOK_RELS]);
+    await zip.addFile('xl/worksheets/sheet1.xml', sheetXmlChunks(headers, rows));
+    await zip.finish();
+}
+
+module.exports = {
+    readXlsxRows,
+    excelSerialToDate,
+    writeXlsx,
+};
@@ -0,0 +1,52 @@
+/**
+ * XML 文本工具（XLSX、OFX 共用）
+ */
+
+// 是否为 XML 允许的字符码位（超出 Unicode 范围、代理项和控制字符不允许）
+function isXmlCodePoint(codePoint) {
+    return (
+        codePoint === 0x9 ||
+        codePoint === 0xa ||
+        codePoint === 0xd ||
+        (codePoint >= 0x20 && codePoint <= 0xd7ff) ||
+        (codePoint >= 0xe000 && codePoint <= 0xfffd) ||
+        (codePoint >= 0x10000 && codePoint <= 0x10ffff)
+    );
+}
+
+// 解码 XML 实体，无效的字符引用（如 &#99999999;）保持原样
+function decodeXmlEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (match, entity) => {
+        switch (entity) {
+            case 'amp':
+                return '&';
+            case 'lt':
+                return '<';
+            case 'gt':
+                return '>';
+            case 'quot':
+                return '"';
+            case 'apos':
+                return "'";
+            default: {
+                const codePoint = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return isXmlCodePoint(codePoint) ? String.fromCodePoint(codePoint) : match;
+            }
+        }
+    });
+}
+
+// 转义 XML 文本，并去掉 XML 中不允许的控制字符
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    decodeXmlEntities,
+    escapeXml,
+};
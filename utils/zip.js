@@ -0,0 +1,283 @@
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+/**
+ * 最小化的 ZIP 工具
+ * - 打包：用于生成下载文件，每个文件使用 DEFLATE 压缩，文件名按 UTF-8 编码；
+ *   createZipWriter 边压缩边输出，用于数据量较大的导出（如 XLSX），不支持单个文件超过 4GB
+ * - 读取：用于解析上传的 XLSX 等文件，只支持不加密的 STORE / DEFLATE 条目，不支持 ZIP64；
+ *   限制条目数和解压后的大小，避免压缩炸弹耗尽内存
+ */
+
+// 读取时的默认限制：条目数、单个文件解压后的大小、全部文件解压后的总大小
+const ZIP_READ_MAX_ENTRIES = 10000;
+const ZIP_READ_MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+const ZIP_READ_MAX_TOTAL_SIZE = 128 * 1024 * 1024;
+
+// 将 Date 转换为 DOS 格式的日期和时间
+function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * 生成 ZIP 文件
+ * @param {Array<{ name: string, content: string|Buffer }>} files - 文件列表
+ * @param {Date} modifiedAt - 文件修改时间，默认当前时间
+ * @returns {Buffer} ZIP 文件内容
+ */
+function createZip(files, modifiedAt = new Date()) {
+    const { time, date } = toDosDateTime(modifiedAt);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const nameBuffer = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+
+        // 本地文件头
+        const localHeader = Buffer.alloc(30);
+        localHeader.writeUInt32LE(0x04034b50, 0);
+        localHeader.writeUInt16LE(20, 4); // 解压所需版本
+        localHeader.writeUInt16LE(0x0800, 6); // 通用标志：文件名为 UTF-8
+        localHeader.writeUInt16LE(8, 8); // 压缩方式：DEFLATE
+        localHeader.writeUInt16LE(time, 10);
+        localHeader.writeUInt16LE(date, 12);
+        localHeader.writeUInt32LE(crc, 14);
+        localHeader.writeUInt32LE(compressed.length, 18);
+        localHeader.writeUInt32LE(data.length, 22);
+        localHeader.writeUInt16LE(nameBuffer.length, 26);
+        localHeader.writeUInt16LE(0, 28);
+
+        // 中央目录记录
+        const centralHeader = Buffer.alloc(46);
+        centralHeader.writeUInt32LE(0x02014b50, 0);
+        centralHeader.writeUInt16LE(20, 4); // 创建版本
+        centralHeader.writeUInt16LE(20, 6); // 解压所需版本
+        centralHeader.writeUInt16LE(0x0800, 8);
+        centralHeader.writeUInt16LE(8, 10);
+        centralHeader.writeUInt16LE(time, 12);
+        centralHeader.writeUInt16LE(date, 14);
+        centralHeader.writeUInt32LE(crc, 16);
+        centralHeader.writeUInt32LE(compressed.length, 20);
+        centralHeader.writeUInt32LE(data.length, 24);
+        centralHeader.writeUInt16LE(nameBuffer.length, 28);
+        centralHeader.writeUInt32LE(offset, 42);
+
+        localParts.push(localHeader, nameBuffer, compressed);
+        centralParts.push(centralHeader, nameBuffer);
+        offset += localHeader.length + nameBuffer.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+
+    // 中央目录结束记录
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * 创建流式 ZIP 写入器：文件内容边压缩边输出，不在内存中保留整个压缩包
+ * 文件的 CRC 和大小在内容写完后通过数据描述符（data descriptor）输出
+ * @param {function(Buffer): Promise<void>} write - 输出函数，返回的 Promise 完成后再写入下一块
+ * @param {Date} modifiedAt - 文件修改时间，默认当前时间
+ * @returns {{ addFile: function(string, Iterable|AsyncIterable): Promise<void>, finish: function(): Promise<void> }}
+ */
+function createZipWriter(write, modifiedAt = new Date()) {
+    const { time, date } = toDosDateTime(modifiedAt);
+    const centralParts = [];
+    let fileCount = 0;
+    let offset = 0;
+
+    const output = async (buffer) => {
+        offset += buffer.length;
+        await write(buffer);
+    };
+
+    return {
+        /**
+         * 写入一个文件
+         * @param {string} name - 文件名
+         * @param {Iterable|AsyncIterable<string|Buffer>} chunks - 文件内容（字符串按 UTF-8 编码）
+         */
+        async addFile(name, chunks) {
+            const nameBuffer = Buffer.from(name, 'utf8');
+            const localOffset = offset;
+
+            // 本地文件头：通用标志第3位表示 CRC 和大小在数据描述符中
+            const localHeader = Buffer.alloc(30);
+            localHeader.writeUInt32LE(0x04034b50, 0);
+            localHeader.writeUInt16LE(20, 4);
+            localHeader.writeUInt16LE(0x0808, 6);
+            localHeader.writeUInt16LE(8, 8);
+            localHeader.writeUInt16LE(time, 10);
+            localHeader.writeUInt16LE(date, 12);
+            localHeader.writeUInt16LE(nameBuffer.length, 26);
+            await output(localHeader);
+            await output(nameBuffer);
+
+            let crc = 0;
+            let size = 0;
+            let compressedSize = 0;
+            await pipeline(
+                async function* source() {
+                    for await (const chunk of chunks) {
+                        const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), 'utf8');
+                        crc = zlib.crc32(data, crc);
+                        size += data.length;
+                        yield data;
+                    }
+                },
+                zlib.createDeflateRaw(),
+                async function sink(compressed) {
+                    for await (const chunk of compressed) {
+                        compressedSize += chunk.length;
+                        await output(chunk);
+                    }
+                },
+            );
+
+            // 数据描述符
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(0x08074b50, 0);
+            descriptor.writeUInt32LE(crc, 4);
+            descriptor.writeUInt32LE(compressedSize, 8);
+            descriptor.writeUInt32LE(size, 12);
+            await output(descriptor);
+
+            // 中央目录记录
+            const centralHeader = Buffer.alloc(46);
+            centralHeader.writeUInt32LE(0x02014b50, 0);
+            centralHeader.writeUInt16LE(20, 4);
+            centralHeader.writeUInt16LE(20, 6);
+            centralHeader.writeUInt16LE(0x0808, 8);
+            centralHeader.writeUInt16LE(8, 10);
+            centralHeader.writeUInt16LE(time, 12);
+            centralHeader.writeUInt16LE(date, 14);
+            centralHeader.writeUInt32LE(crc, 16);
+            centralHeader.writeUInt32LE(compressedSize, 20);
+            centralHeader.writeUInt32LE(size, 24);
+            centralHeader.writeUInt16LE(nameBuffer.length, 28);
+            centralHeader.writeUInt32LE(localOffset, 42);
+            centralParts.push(centralHeader, nameBuffer);
+            fileCount += 1;
+        },
+
+        // 写入中央目录，结束压缩包
+        async finish() {
+            const centralDirectory = Buffer.concat(centralParts);
+            const centralOffset = offset;
+            await output(centralDirectory);
+
+            const end = Buffer.alloc(22);
+            end.writeUInt32LE(0x06054b50, 0);
+            end.writeUInt16LE(fileCount, 8);
+            end.writeUInt16LE(fileCount, 10);
+            end.writeUInt32LE(centralDirectory.length, 12);
+            end.writeUInt32LE(centralOffset, 16);
+            await output(end);
+        },
+    };
+}
+
+/**
+ * 读取 ZIP 文件中的文件
+ * 超过条目数或解压后大小的限制时抛出错误
+ * @param {Buffer} buffer - ZIP 文件内容
+ * @param {object} options - { filter: (name) => 是否读取该文件，默认全部读取；
+ *   maxEntries、maxEntrySize、maxTotalSize：条目数、单个文件和总大小的限制 }
+ * @returns {Map<string, Buffer>} 文件名到解压后内容的映射（不含目录）
+ */
+function readZip(buffer, options = {}) {
+    const {
+        filter = () => true,
+        maxEntries = ZIP_READ_MAX_ENTRIES,
+        maxEntrySize = ZIP_READ_MAX_ENTRY_SIZE,
+        maxTotalSize = ZIP_READ_MAX_TOTAL_SIZE,
+    } = options;
+
+    // 从末尾查找中央目录结束记录（其后可能有最长 65535 字节的注释）
+    let endOffset = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i -= 1) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('Invalid zip file');
+    }
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    if (entryCount > maxEntries) {
+        throw new Error('Too many zip entries');
+    }
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    const files = new Map();
+    let totalSize = 0;
+
+    for (let i = 0; i < entryCount; i += 1) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Invalid zip central directory');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/') || !filter(name)) {
+            continue;
+        }
+
+        // 本地文件头中的文件名和扩展字段长度可能与中央目录不同，需要重新读取
+        const dataStart =
+            localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        // 不信任中央目录中记录的解压后大小，解压时按剩余额度限制输出长度
+        const limit = Math.min(maxEntrySize, maxTotalSize - totalSize);
+        let content;
+        if (method === 0) {
+            content = Buffer.from(data);
+        } else if (method === 8) {
+            try {
+                content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(limit, 1) });
+            } catch (err) {
+                if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+                    throw new Error('Zip entry too large');
+                }
+                throw err;
+            }
+        } else {
+            throw new Error(`Unsupported zip compression method ${method}`);
+        }
+        if (content.length > limit) {
+            throw new Error('Zip entry too large');
+        }
+        totalSize += content.length;
+        files.set(name, content);
+    }
+
+    return files;
+}
+
+module.exports = {
+    createZip,
+    createZipWriter,
+    readZip,
+};